@@ -0,0 +1,15 @@
+﻿namespace Domain.Entities
+{
+    // Join entity between MediaCollection and MediaEntry, carrying the entry's place in the collection.
+    // Positions are 0-based; the order is what the user arranged, not a sort key.
+    public sealed class CollectionEntry
+    {
+        public Guid CollectionId { get; set; }
+        public MediaCollection Collection { get; set; } = default!;
+
+        public Guid MediaEntryId { get; set; }
+        public MediaEntry MediaEntry { get; set; } = default!;
+
+        public int Position { get; set; }
+    }
+}
@@ -0,0 +1,21 @@
+﻿
+using Domain.Enums;
+
+namespace Domain.Entities
+{
+    // Append-only log of status/rating changes for a MediaEntry.
+    // Rows are written by AppDbContext when it sees those fields change, never edited afterwards.
+    public sealed class EntryHistory
+    {
+        public Guid Id { get; set; } = Guid.NewGuid();
+
+        public Guid MediaEntryId { get; set; }
+        public MediaEntry MediaEntry { get; set; } = default!;
+
+        public Guid UserId { get; set; }                // copied from the entry for owner-scoped queries
+        public EntryHistoryField Field { get; set; }    // which value changed
+        public string? OldValue { get; set; }           // enum name or invariant rating ("7.5"), null = unset
+        public string? NewValue { get; set; }
+        public DateTime ChangedAtUtc { get; set; }
+    }
+}
@@ -0,0 +1,13 @@
+﻿namespace Domain.Entities
+{
+    // User-defined, manually ordered list of entries ("Top 10 anime", "Watch with family").
+    // An entry can be in any number of collections; the collection only holds links to it.
+    public sealed class MediaCollection : BaseEntity
+    {
+        public Guid UserId { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+
+        public ICollection<CollectionEntry> Entries { get; set; } = new List<CollectionEntry>(); // ordered by Position
+    }
+}
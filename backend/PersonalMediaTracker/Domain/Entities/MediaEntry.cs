@@ -14,7 +14,22 @@ public sealed class MediaEntry : BaseEntity
 
         public string? Notes { get; set; }
 
+        // Progress counters (null = not tracked). Series use episodes; manga uses chapters/volumes.
+        public int? CurrentEpisode { get; set; }
+        public int? TotalEpisodes { get; set; }
+        public int? CurrentChapter { get; set; }
+        public int? TotalChapters { get; set; }
+        public int? CurrentVolume { get; set; }
+        public int? TotalVolumes { get; set; }
+
+        // Viewing dates (calendar days, no time zone) and how many times it was re-watched/re-read
+        public DateOnly? StartedOn { get; set; }
+        public DateOnly? FinishedOn { get; set; }
+        public int RewatchCount { get; set; }
+
         public ICollection<EntryTag> EntryTags { get; set; } = new List<EntryTag>(); // many-to-many
+        public ICollection<EntryHistory> History { get; set; } = new List<EntryHistory>(); // append-only
+        public ICollection<CollectionEntry> CollectionEntries { get; set; } = new List<CollectionEntry>(); // user-defined lists
     }
 
 }
@@ -0,0 +1,24 @@
+﻿namespace Domain.Entities
+{
+    // Read-only public link to a user's library, or to one filtered view of it.
+    // Anyone with the token can look; revoking soft-deletes the row, which ends access at once.
+    public sealed class ShareLink : BaseEntity
+    {
+        public Guid UserId { get; set; }
+
+        // Random hex string, the only thing a viewer needs (share.html?token=...)
+        public string Token { get; set; } = string.Empty;
+
+        // Owner's label for the link ("For Sam"), never shown to viewers
+        public string? Name { get; set; }
+
+        // List filter as JSON (same fields as GET api/mediaentries); null shares the whole library
+        public string? Filter { get; set; }
+
+        // Notes are private by default
+        public bool IncludeNotes { get; set; }
+
+        // No expiry when null
+        public DateTime? ExpiresAtUtc { get; set; }
+    }
+}
@@ -0,0 +1,8 @@
+﻿
+namespace Domain.Enums
+{
+    public enum ProgressUnit
+    {
+        Episode, Chapter, Volume
+    }
+}
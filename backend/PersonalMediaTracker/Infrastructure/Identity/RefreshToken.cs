@@ -0,0 +1,23 @@
+﻿using System;
+
+namespace Infrastructure.Identity
+{
+    // Long-lived credential the SPA trades for a new access token (POST api/auth/refresh).
+    // - Only a SHA-256 hash of the token is stored, never the token itself
+    // - Every use replaces the token (rotation): the old row is revoked and points at its successor
+    // - Tokens descending from one login share a FamilyId, so the whole chain can be revoked at once
+    public class RefreshToken
+    {
+        public Guid Id { get; set; }
+        public Guid UserId { get; set; }
+        public Guid FamilyId { get; set; }
+        public string TokenHash { get; set; } = string.Empty;
+
+        public DateTime CreatedAtUtc { get; set; }
+        public DateTime ExpiresAtUtc { get; set; }
+
+        // Set on rotation (with ReplacedById) or logout
+        public DateTime? RevokedAtUtc { get; set; }
+        public Guid? ReplacedById { get; set; }
+    }
+}
@@ -0,0 +1,78 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddProgressTracking : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<int>(
+                name: "CurrentEpisode",
+                table: "MediaEntries",
+                type: "int",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "TotalEpisodes",
+                table: "MediaEntries",
+                type: "int",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "CurrentChapter",
+                table: "MediaEntries",
+                type: "int",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "TotalChapters",
+                table: "MediaEntries",
+                type: "int",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "CurrentVolume",
+                table: "MediaEntries",
+                type: "int",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "TotalVolumes",
+                table: "MediaEntries",
+                type: "int",
+                nullable: true);
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "CurrentEpisode",
+                table: "MediaEntries");
+
+            migrationBuilder.DropColumn(
+                name: "TotalEpisodes",
+                table: "MediaEntries");
+
+            migrationBuilder.DropColumn(
+                name: "CurrentChapter",
+                table: "MediaEntries");
+
+            migrationBuilder.DropColumn(
+                name: "TotalChapters",
+                table: "MediaEntries");
+
+            migrationBuilder.DropColumn(
+                name: "CurrentVolume",
+                table: "MediaEntries");
+
+            migrationBuilder.DropColumn(
+                name: "TotalVolumes",
+                table: "MediaEntries");
+        }
+    }
+}
@@ -0,0 +1,81 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace Infrastructure.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddWatchDatesAndHistory : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<DateOnly>(
+                name: "FinishedOn",
+                table: "MediaEntries",
+                type: "date",
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "RewatchCount",
+                table: "MediaEntries",
+                type: "int",
+                nullable: false,
+                defaultValue: 0);
+
+            migrationBuilder.AddColumn<DateOnly>(
+                name: "StartedOn",
+                table: "MediaEntries",
+                type: "date",
+                nullable: true);
+
+            migrationBuilder.CreateTable(
+                name: "EntryHistory",
+                columns: table => new
+                {
+                    Id = table.Column<Guid>(type: "uniqueidentifier", nullable: false),
+                    MediaEntryId = table.Column<Guid>(type: "uniqueidentifier", nullable: false),
+                    UserId = table.Column<Guid>(type: "uniqueidentifier", nullable: false),
+                    Field = table.Column<string>(type: "nvarchar(16)", maxLength: 16, nullable: false),
+                    OldValue = table.Column<string>(type: "nvarchar(32)", maxLength: 32, nullable: true),
+                    NewValue = table.Column<string>(type: "nvarchar(32)", maxLength: 32, nullable: true),
+                    ChangedAtUtc = table.Column<DateTime>(type: "datetime2", nullable: false)
+                },
+                constraints: table =>
+                {
+                    table.PrimaryKey("PK_EntryHistory", x => x.Id);
+                    table.ForeignKey(
+                        name: "FK_EntryHistory_MediaEntries_MediaEntryId",
+                        column: x => x.MediaEntryId,
+                        principalTable: "MediaEntries",
+                        principalColumn: "Id",
+                        onDelete: ReferentialAction.Cascade);
+                });
+
+            migrationBuilder.CreateIndex(
+                name: "IX_EntryHistory_MediaEntryId_ChangedAtUtc",
+                table: "EntryHistory",
+                columns: new[] { "MediaEntryId", "ChangedAtUtc" });
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropTable(
+                name: "EntryHistory");
+
+            migrationBuilder.DropColumn(
+                name: "FinishedOn",
+                table: "MediaEntries");
+
+            migrationBuilder.DropColumn(
+                name: "RewatchCount",
+                table: "MediaEntries");
+
+            migrationBuilder.DropColumn(
+                name: "StartedOn",
+                table: "MediaEntries");
+        }
+    }
+}
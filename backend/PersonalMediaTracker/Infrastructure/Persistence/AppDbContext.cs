@@ -1,7 +1,11 @@
 ﻿using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
 using System.Threading;
 using System.Threading.Tasks;
 using Domain.Entities;
+using Domain.Enums;
 using Infrastructure.Identity;
 using Microsoft.AspNetCore.Identity;
 using Microsoft.AspNetCore.Identity.EntityFrameworkCore;
@@ -20,6 +24,11 @@ public sealed class AppDbContext : IdentityDbContext<ApplicationUser, IdentityRo
         public DbSet<MediaEntry> MediaEntries => Set<MediaEntry>();
         public DbSet<Tag> Tags => Set<Tag>();
         public DbSet<EntryTag> EntryTags => Set<EntryTag>();
+        public DbSet<EntryHistory> EntryHistory => Set<EntryHistory>();
+        public DbSet<RefreshToken> RefreshTokens => Set<RefreshToken>();
+        public DbSet<MediaCollection> Collections => Set<MediaCollection>();
+        public DbSet<CollectionEntry> CollectionEntries => Set<CollectionEntry>();
+        public DbSet<ShareLink> ShareLinks => Set<ShareLink>();
 
         protected override void OnModelCreating(ModelBuilder modelBuilder)
         {
@@ -63,7 +72,7 @@ protected override void OnModelCreating(ModelBuilder modelBuilder)
             var tag = modelBuilder.Entity<Tag>();
             tag.ToTable("Tags");
             tag.HasKey(t => t.Id);
-            tag.Property(t => t.Name).HasMaxLength(64).IsRequired();
+            tag.Property(t => t.Name).HasMaxLength(64).IsRequired();    // TagSyncService.MaxNameLength checks it first
             tag.HasIndex(t => new { t.UserId, t.Name }).IsUnique();     // prevent duplicate tag names per user
             tag.HasQueryFilter(t => !t.IsDeleted);                      // global soft-delete filter
 
@@ -89,9 +98,101 @@ protected override void OnModelCreating(ModelBuilder modelBuilder)
             // Match the principals' global filters so the join never "sees" filtered principals
             entryTag.HasQueryFilter(et => !et.MediaEntry.IsDeleted && !et.Tag.IsDeleted);
 
+            // ---------------------------------
+            // EntryHistory (append-only) mapping
+            // ---------------------------------
+            var history = modelBuilder.Entity<EntryHistory>();
+            history.ToTable("EntryHistory");
+            history.HasKey(h => h.Id);
+
+            history.Property(h => h.Field)
+                .HasConversion<string>()
+                .HasMaxLength(16)
+                .IsRequired();
+
+            history.Property(h => h.OldValue).HasMaxLength(32);
+            history.Property(h => h.NewValue).HasMaxLength(32);
+
+            // Rows go away only with their entry (hard purge)
+            history.HasOne(h => h.MediaEntry).WithMany(e => e.History).HasForeignKey(h => h.MediaEntryId).OnDelete(DeleteBehavior.Cascade);
+
+            // Timeline reads are always "one entry, in time order"
+            history.HasIndex(h => new { h.MediaEntryId, h.ChangedAtUtc });
+
+            // Hidden together with a soft-deleted entry
+            history.HasQueryFilter(h => !h.MediaEntry.IsDeleted);
+
+            // ---------------------------------
+            // MediaCollection mapping
+            // ---------------------------------
+            var collection = modelBuilder.Entity<MediaCollection>();
+            collection.ToTable("Collections");
+            collection.HasKey(c => c.Id);
+            collection.Property(c => c.Name).HasMaxLength(100).IsRequired();
+            collection.Property(c => c.Description).HasMaxLength(1000);
+            collection.HasIndex(c => new { c.UserId, c.Name }).IsUnique();     // one collection per name and user
+            collection.HasQueryFilter(c => !c.IsDeleted);
+
+            // ---------------------------------------
+            // CollectionEntry (ordered join) mapping
+            // ---------------------------------------
+            var collectionEntry = modelBuilder.Entity<CollectionEntry>();
+            collectionEntry.ToTable("CollectionEntries");
+
+            // An entry is in a collection at most once
+            collectionEntry.HasKey(ce => new { ce.CollectionId, ce.MediaEntryId });
+
+            collectionEntry.HasOne(ce => ce.Collection).WithMany(c => c.Entries).HasForeignKey(ce => ce.CollectionId).OnDelete(DeleteBehavior.Cascade);
+            collectionEntry.HasOne(ce => ce.MediaEntry).WithMany(e => e.CollectionEntries).HasForeignKey(ce => ce.MediaEntryId).OnDelete(DeleteBehavior.Cascade);
+
+            // Collection pages read "one collection, in order"; the list filter goes by entry
+            collectionEntry.HasIndex(ce => new { ce.CollectionId, ce.Position });
+            collectionEntry.HasIndex(ce => ce.MediaEntryId);
+
+            // Trashed entries drop out of their collections until restored
+            collectionEntry.HasQueryFilter(ce => !ce.MediaEntry.IsDeleted && !ce.Collection.IsDeleted);
+
+            // ---------------------------------
+            // ShareLink mapping
+            // ---------------------------------
+            var share = modelBuilder.Entity<ShareLink>();
+            share.ToTable("ShareLinks");
+            share.HasKey(s => s.Id);
+
+            // Hex of 16 random bytes (32 chars); looked up on every public view
+            share.Property(s => s.Token).HasMaxLength(64).IsRequired();
+            share.HasIndex(s => s.Token).IsUnique();
+
+            share.Property(s => s.Name).HasMaxLength(100);
+            share.Property(s => s.Filter).HasMaxLength(4000);   // ShareLinkMappings.MaxFilterLength checks it first
+            share.HasIndex(s => s.UserId);
+
+            // A revoked (soft-deleted) link is gone for viewers right away
+            share.HasQueryFilter(s => !s.IsDeleted);
+
+            // ---------------------------------
+            // RefreshToken mapping
+            // ---------------------------------
+            var refresh = modelBuilder.Entity<RefreshToken>();
+            refresh.ToTable("RefreshTokens");
+            refresh.HasKey(r => r.Id);
+
+            // Base64 SHA-256 (44 chars); looked up on every refresh
+            refresh.Property(r => r.TokenHash).HasMaxLength(64).IsRequired();
+            refresh.HasIndex(r => r.TokenHash).IsUnique();
+
+            // Family revocation + cleanup of a user's expired tokens
+            refresh.HasIndex(r => r.FamilyId);
+            refresh.HasIndex(r => new { r.UserId, r.ExpiresAtUtc });
+
+            // Tokens go away with their user
+            refresh.HasOne<ApplicationUser>().WithMany().HasForeignKey(r => r.UserId).OnDelete(DeleteBehavior.Cascade);
+
             // Concurrency tokens
             modelBuilder.Entity<MediaEntry>().Property(e => e.RowVersion).IsRowVersion();
             modelBuilder.Entity<Tag>().Property(e => e.RowVersion).IsRowVersion();
+            modelBuilder.Entity<MediaCollection>().Property(e => e.RowVersion).IsRowVersion();
+            modelBuilder.Entity<ShareLink>().Property(e => e.RowVersion).IsRowVersion();
         }
 
         // Audit + Soft-delete handling.
@@ -107,12 +208,82 @@ public override int SaveChanges()
             return base.SaveChanges();
         }
 
-        // Sets CreatedAtUtc/UpdatedAtUtc automatically and converts hard deletes in soft deletes.
+        // Sets CreatedAtUtc/UpdatedAtUtc automatically (tag changes count as entry updates, membership changes as
+        // collection updates) and converts hard deletes in soft deletes.
+        // Also appends EntryHistory rows for status/rating changes.
         // Keeping this here avoids duplicating audit logic in controllers/use-cases.
         private void ApplyAuditRules()
         {
             var utcNow = DateTime.UtcNow;
 
+            if (ChangeTracker.Entries<EntryHistory>().Any(h => h.State == EntityState.Modified))
+                throw new InvalidOperationException("Entry history is append-only; existing rows can't be modified.");
+
+            // Collect first: adding rows while enumerating the change tracker isn't allowed
+            var historyRows = new List<EntryHistory>();
+            foreach (var entry in ChangeTracker.Entries<MediaEntry>().Where(e => e.State == EntityState.Modified))
+            {
+                var status = entry.Property(e => e.Status);
+                if (status.IsModified && !Equals(status.OriginalValue, status.CurrentValue))
+                {
+                    historyRows.Add(NewHistoryRow(entry.Entity, EntryHistoryField.Status,
+                        status.OriginalValue.ToString(), status.CurrentValue.ToString(), utcNow));
+                }
+
+                var rating = entry.Property(e => e.Rating);
+                if (rating.IsModified && rating.OriginalValue != rating.CurrentValue)
+                {
+                    historyRows.Add(NewHistoryRow(entry.Entity, EntryHistoryField.Rating,
+                        FormatRating(rating.OriginalValue), FormatRating(rating.CurrentValue), utcNow));
+                }
+            }
+            EntryHistory.AddRange(historyRows);
+
+            // Deleting a tracked entry/tag cascades to its loaded joins/history right away.
+            // The principal is only soft-deleted, so keep those rows: a restore brings them back.
+            var softDeleting = ChangeTracker.Entries<BaseEntity>()
+                .Where(e => e.State == EntityState.Deleted)
+                .Select(e => e.Entity.Id)
+                .ToHashSet();
+            if (softDeleting.Count > 0)
+            {
+                foreach (var join in ChangeTracker.Entries<EntryTag>().Where(e => e.State == EntityState.Deleted).ToList())
+                {
+                    if (softDeleting.Contains(join.Entity.MediaEntryId) || softDeleting.Contains(join.Entity.TagId))
+                        join.State = EntityState.Unchanged;
+                }
+                foreach (var row in ChangeTracker.Entries<EntryHistory>().Where(e => e.State == EntityState.Deleted).ToList())
+                {
+                    if (softDeleting.Contains(row.Entity.MediaEntryId))
+                        row.State = EntityState.Unchanged;
+                }
+                foreach (var link in ChangeTracker.Entries<CollectionEntry>().Where(e => e.State == EntityState.Deleted).ToList())
+                {
+                    if (softDeleting.Contains(link.Entity.MediaEntryId) || softDeleting.Contains(link.Entity.CollectionId))
+                        link.State = EntityState.Unchanged;
+                }
+            }
+
+            // A changed tag set is a change to the entry: UpdatedAtUtc moves, and with it the entry's ETag
+            var retagged = ChangeTracker.Entries<EntryTag>()
+                .Where(e => e.State is EntityState.Added or EntityState.Deleted)
+                .Select(e => e.Entity.MediaEntryId)
+                .ToHashSet();
+            foreach (var entry in ChangeTracker.Entries<MediaEntry>().Where(e => e.State == EntityState.Unchanged && retagged.Contains(e.Entity.Id)))
+            {
+                entry.Property(e => e.UpdatedAtUtc).IsModified = true;
+            }
+
+            // Adding, removing or reordering entries changes the collection
+            var rearranged = ChangeTracker.Entries<CollectionEntry>()
+                .Where(e => e.State is EntityState.Added or EntityState.Deleted or EntityState.Modified)
+                .Select(e => e.Entity.CollectionId)
+                .ToHashSet();
+            foreach (var entry in ChangeTracker.Entries<MediaCollection>().Where(e => e.State == EntityState.Unchanged && rearranged.Contains(e.Entity.Id)))
+            {
+                entry.Property(e => e.UpdatedAtUtc).IsModified = true;
+            }
+
             foreach (var entry in ChangeTracker.Entries<BaseEntity>())
             {
                 if (entry.State == EntityState.Added)
@@ -136,5 +307,22 @@ private void ApplyAuditRules()
                 }
             }
         }
+
+        private static EntryHistory NewHistoryRow(MediaEntry entry, EntryHistoryField field, string? oldValue, string? newValue, DateTime utcNow)
+        {
+            return new EntryHistory
+            {
+                MediaEntryId = entry.Id,
+                UserId = entry.UserId,
+                Field = field,
+                OldValue = oldValue,
+                NewValue = newValue,
+                ChangedAtUtc = utcNow
+            };
+        }
+
+        // Invariant, one decimal ("7.5") so stored values don't depend on server culture
+        private static string? FormatRating(decimal? rating)
+            => rating?.ToString("0.0", CultureInfo.InvariantCulture);
     }
 }
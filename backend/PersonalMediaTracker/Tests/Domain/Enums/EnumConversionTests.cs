@@ -53,6 +53,15 @@ public void EntryStatus_Names_AreStable()
                 .BeEquivalentTo(new[] { "Planning", "Watching", "Completed", "OnHold", "Dropped" }, options => options.WithStrictOrdering());
         }
 
+        [Fact]
+        public void ProgressUnit_Names_AreStable()
+        {
+            // Sent as strings by the list's "+1" buttons (POST api/mediaentries/{id}/progress).
+            Enum.GetNames(typeof(ProgressUnit))
+                .Should()
+                .BeEquivalentTo(new[] { "Episode", "Chapter", "Volume" }, options => options.WithStrictOrdering());
+        }
+
         // ------------------------------------------------------
         // JSON: Enum <-> string round trips using API serializer
         // ------------------------------------------------------
@@ -0,0 +1,86 @@
+﻿// Tests/Domain/Import/LetterboxdFileTests.cs
+// Purpose:
+// - Read the sample Letterboxd diary and watchlist CSVs and pin the mapping: films as movies,
+//   stars -> 0-10 rating, diary rewatches collapsed into one entry, same-name films told apart.
+
+using System;
+using System.Linq;
+using FluentAssertions;
+using Tests.Shared.Fixtures;
+using WebApi.Import;
+using Xunit;
+
+namespace Tests.Domain.Import
+{
+    public sealed class LetterboxdFileTests
+    {
+        [Fact]
+        public void Diary_OneEntryPerFilm_InFirstSeenOrder()
+        {
+            var (rows, error) = LetterboxdFile.Parse(SampleFiles.Read("Import", "letterboxd-diary.csv"));
+
+            error.Should().BeNull();
+            rows.Select(r => r.Entry.Title).Should().Equal(
+                "Heat", "Crouching Tiger, Hidden Dragon", "Dune (1984)", "Dune (2021)", "Paddington 2");
+            rows.Select(r => r.Row).Should().Equal(1, 2, 3, 4, 6);
+            rows.Should().OnlyContain(r => r.Errors.Count == 0);
+            rows.Should().OnlyContain(r => r.Entry.Type == "Movie" && r.Entry.SubType == null);
+            rows.Should().OnlyContain(r => r.Entry.Status == "Completed");
+        }
+
+        [Fact]
+        public void Diary_Rewatch_KeepsLatestRatingAndDate_AndCombinesTags()
+        {
+            var (rows, _) = LetterboxdFile.Parse(SampleFiles.Read("Import", "letterboxd-diary.csv"));
+
+            var heat = rows[0].Entry;
+            heat.Rating.Should().Be(10m);
+            heat.FinishedOn.Should().Be(new DateOnly(2024, 2, 2));
+            heat.RewatchCount.Should().Be(1);
+            heat.Tags.Should().Equal("crime", "rewatchable");
+        }
+
+        [Fact]
+        public void Diary_StarsDoubleOntoTheTenPointScale()
+        {
+            var (rows, _) = LetterboxdFile.Parse(SampleFiles.Read("Import", "letterboxd-diary.csv"));
+
+            rows.Select(r => r.Entry.Rating).Should().Equal(10m, 10m, 4m, 8m, null);
+            LetterboxdFile.StarsToRating(3.5m).Should().Be(7m);
+            LetterboxdFile.StarsToRating(0.5m).Should().Be(1m);
+        }
+
+        [Fact]
+        public void Watchlist_LeavesStatusForTheImportDefault()
+        {
+            var (rows, error) = LetterboxdFile.Parse(SampleFiles.Read("Import", "letterboxd-watchlist.csv"));
+
+            error.Should().BeNull();
+            rows.Select(r => r.Entry.Title).Should().Equal("Perfect Days", "Past Lives", "The Zone of Interest");
+            rows.Should().OnlyContain(r => r.Entry.Status == null && r.Entry.Rating == null && r.Entry.FinishedOn == null);
+            rows.Should().OnlyContain(r => r.Entry.RewatchCount == 0);
+        }
+
+        [Fact]
+        public void BadRatingOrDate_IsARowError()
+        {
+            const string csv = "Date,Name,Year,Letterboxd URI,Rating,Watched Date\n" +
+                "2024-01-01,Alien,1979,https://boxd.it/x,four,01/02/2024\n";
+
+            var (rows, _) = LetterboxdFile.Parse(csv);
+
+            rows.Single().Errors.Should().BeEquivalentTo(
+                "Rating 'four' is not a number.",
+                "Watched date '01/02/2024' is not a date (expected YYYY-MM-DD).");
+        }
+
+        [Fact]
+        public void NotALetterboxdFile_IsAFileError()
+        {
+            var (rows, error) = LetterboxdFile.Parse("title,type\nHeat,Movie\n");
+
+            rows.Should().BeEmpty();
+            error.Should().Contain("Letterboxd");
+        }
+    }
+}
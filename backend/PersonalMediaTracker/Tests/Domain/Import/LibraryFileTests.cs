@@ -0,0 +1,106 @@
+﻿// Tests/Domain/Import/LibraryFileTests.cs
+// Purpose:
+// - Pin the export file formats and how they read back: CSV quoting, header matching,
+//   per-row cell errors, and file-level errors for CSV and JSON.
+
+using System;
+using System.Linq;
+using FluentAssertions;
+using WebApi.Contracts;
+using WebApi.Import;
+using Xunit;
+
+namespace Tests.Domain.Import
+{
+    public sealed class LibraryFileTests
+    {
+        [Fact]
+        public void Csv_RoundTrip_KeepsCommasQuotesLineBreaksAndTags()
+        {
+            var original = new LibraryEntryDto
+            {
+                Title = "Crouching Tiger, Hidden Dragon",
+                Type = "Movie",
+                Status = "Completed",
+                Rating = 8.5m,
+                Notes = "Said \"wow\"\nthen watched it again",
+                StartedOn = new DateOnly(2025, 1, 2),
+                RewatchCount = 1,
+                Tags = new[] { "action", "drama" }
+            };
+
+            var csv = LibraryFile.CsvHeader + "\r\n" + LibraryFile.ToCsvLine(original) + "\r\n";
+            var (rows, error) = LibraryFile.ParseCsv(csv);
+
+            error.Should().BeNull();
+            var row = rows.Should().ContainSingle().Subject;
+            row.Row.Should().Be(1);
+            row.Errors.Should().BeEmpty();
+            row.Entry.Should().BeEquivalentTo(original);
+        }
+
+        [Fact]
+        public void ParseCsv_MatchesHeadersInAnyOrder_AndIgnoresUnknownColumns()
+        {
+            var csv = "Status,Comment,TITLE,type\nOn Hold,ignored,Dune,movie\n";
+
+            var (rows, error) = LibraryFile.ParseCsv(csv);
+
+            error.Should().BeNull();
+            var entry = rows.Single().Entry;
+            entry.Title.Should().Be("Dune");
+            entry.Type.Should().Be("movie");
+            entry.Status.Should().Be("On Hold");
+        }
+
+        [Fact]
+        public void ParseCsv_UnreadableCells_AreRowErrors()
+        {
+            var csv = "title,type,rating,startedOn\nDune,Movie,great,01/02/2025\n";
+
+            var (rows, error) = LibraryFile.ParseCsv(csv);
+
+            error.Should().BeNull();
+            rows.Single().Errors.Should().HaveCount(2);
+            rows.Single().Errors[0].Should().Contain("Rating 'great'");
+        }
+
+        [Theory]
+        [InlineData("", "empty")]
+        [InlineData("type,status\nMovie,Planning\n", "'title'")]
+        [InlineData("title\n\"Unclosed\n", "quoted")]
+        public void ParseCsv_BadFile_ReturnsFileError(string csv, string expected)
+        {
+            var (rows, error) = LibraryFile.ParseCsv(csv);
+
+            rows.Should().BeEmpty();
+            error.Should().Contain(expected);
+        }
+
+        [Fact]
+        public void ParseJson_ReadsArray_AndReportsBadValuesPerRow()
+        {
+            var json = "[{\"title\":\"Dune\",\"type\":\"Movie\",\"tags\":[\"scifi\"]},{\"title\":\"Heat\",\"rating\":\"high\"}]";
+
+            var (rows, error) = LibraryFile.ParseJson(json);
+
+            error.Should().BeNull();
+            rows.Should().HaveCount(2);
+            rows[0].Errors.Should().BeEmpty();
+            rows[0].Entry.Tags.Should().Equal("scifi");
+            rows[1].Entry.Title.Should().Be("Heat");
+            rows[1].Errors.Should().ContainSingle().Which.Should().Contain("rating");
+        }
+
+        [Theory]
+        [InlineData("{\"title\":\"Dune\"}", "array")]
+        [InlineData("[{\"title\":", "not valid JSON")]
+        public void ParseJson_BadFile_ReturnsFileError(string json, string expected)
+        {
+            var (rows, error) = LibraryFile.ParseJson(json);
+
+            rows.Should().BeEmpty();
+            error.Should().Contain(expected);
+        }
+    }
+}
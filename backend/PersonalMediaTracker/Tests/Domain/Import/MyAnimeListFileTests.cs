@@ -0,0 +1,130 @@
+﻿// Tests/Domain/Import/MyAnimeListFileTests.cs
+// Purpose:
+// - Read the sample MyAnimeList anime and manga exports and pin how their statuses, scores,
+//   series types, progress and dates map onto our entry fields.
+
+using System;
+using System.Linq;
+using Domain.Enums;
+using FluentAssertions;
+using Tests.Shared.Fixtures;
+using WebApi.Import;
+using Xunit;
+
+namespace Tests.Domain.Import
+{
+    public sealed class MyAnimeListFileTests
+    {
+        [Fact]
+        public void AnimeExport_MapsEveryEntry()
+        {
+            var (rows, error) = MyAnimeListFile.Parse(SampleFiles.Read("Import", "mal-animelist.xml"));
+
+            error.Should().BeNull();
+            rows.Select(r => r.Row).Should().Equal(1, 2, 3, 4, 5);
+            rows.Should().OnlyContain(r => r.Errors.Count == 0);
+            rows.Select(r => r.Entry.Status).Should().Equal("Completed", "Completed", "Watching", "OnHold", "Planning");
+            rows.Should().OnlyContain(r => r.Entry.SubType == "Anime");
+
+            var bebop = rows[0].Entry;
+            bebop.Title.Should().Be("Cowboy Bebop");
+            bebop.Type.Should().Be("Series");
+            bebop.Rating.Should().Be(9m);
+            bebop.CurrentEpisode.Should().Be(26);
+            bebop.TotalEpisodes.Should().Be(26);
+            bebop.StartedOn.Should().Be(new DateOnly(2021, 1, 3));
+            bebop.FinishedOn.Should().Be(new DateOnly(2021, 2, 14));
+            bebop.RewatchCount.Should().Be(1);
+            bebop.Notes.Should().Be("See you space cowboy & co.");
+            bebop.Tags.Should().Equal("sci-fi", "space");
+        }
+
+        [Fact]
+        public void AnimeExport_Movie_HasNoEpisodes_AndPartialDatesAreDropped()
+        {
+            var (rows, _) = MyAnimeListFile.Parse(SampleFiles.Read("Import", "mal-animelist.xml"));
+
+            var spiritedAway = rows[1].Entry;
+            spiritedAway.Type.Should().Be("Movie");
+            spiritedAway.CurrentEpisode.Should().BeNull();
+            spiritedAway.TotalEpisodes.Should().BeNull();
+            spiritedAway.StartedOn.Should().BeNull();   // 0000-00-00
+            spiritedAway.FinishedOn.Should().BeNull();  // 2019-07-00
+            spiritedAway.Notes.Should().BeNull();
+            spiritedAway.Tags.Should().BeNull();
+        }
+
+        [Fact]
+        public void AnimeExport_ZeroScoreAndZeroTotal_MeanUnknown()
+        {
+            var (rows, _) = MyAnimeListFile.Parse(SampleFiles.Read("Import", "mal-animelist.xml"));
+
+            var onePiece = rows[2].Entry;
+            onePiece.Rating.Should().BeNull();
+            onePiece.CurrentEpisode.Should().Be(1071);
+            onePiece.TotalEpisodes.Should().BeNull();
+        }
+
+        [Fact]
+        public void MangaExport_MapsToMangaSeries_WithChaptersAndVolumes()
+        {
+            var (rows, error) = MyAnimeListFile.Parse(SampleFiles.Read("Import", "mal-mangalist.xml"));
+
+            error.Should().BeNull();
+            rows.Should().HaveCount(3).And.OnlyContain(r => r.Errors.Count == 0);
+            rows.Should().OnlyContain(r => r.Entry.Type == "Series" && r.Entry.SubType == "Manga");
+            rows.Select(r => r.Entry.Status).Should().Equal("Watching", "Completed", "Planning");
+
+            var fma = rows[1].Entry;
+            fma.Title.Should().Be("Fullmetal Alchemist");
+            fma.CurrentChapter.Should().Be(116);
+            fma.TotalChapters.Should().Be(116);
+            fma.CurrentVolume.Should().Be(27);
+            fma.TotalVolumes.Should().Be(27);
+            fma.RewatchCount.Should().Be(2);
+            fma.CurrentEpisode.Should().BeNull();
+
+            rows[0].Entry.TotalChapters.Should().BeNull();
+            rows[0].Entry.Tags.Should().Equal("dark fantasy");
+        }
+
+        [Theory]
+        [InlineData("Plan to Watch", EntryStatus.Planning)]
+        [InlineData("Plan to Read", EntryStatus.Planning)]
+        [InlineData("On-Hold", EntryStatus.OnHold)]
+        [InlineData("Reading", EntryStatus.Watching)]
+        [InlineData("dropped", EntryStatus.Dropped)]
+        [InlineData("6", EntryStatus.Planning)]
+        [InlineData("2", EntryStatus.Completed)]
+        public void MapStatus_KnownValues(string raw, EntryStatus expected)
+        {
+            MyAnimeListFile.MapStatus(raw).Should().Be(expected);
+        }
+
+        [Fact]
+        public void UnknownStatusOrBadNumber_IsARowError()
+        {
+            const string xml = "<myanimelist><anime><series_title>X</series_title><series_type>TV</series_type>" +
+                "<my_status>Rewatching</my_status><my_watched_episodes>lots</my_watched_episodes></anime></myanimelist>";
+
+            var (rows, error) = MyAnimeListFile.Parse(xml);
+
+            error.Should().BeNull();
+            rows.Single().Errors.Should().BeEquivalentTo(
+                "'Rewatching' is not a MyAnimeList status.",
+                "'my_watched_episodes' value 'lots' is not a whole number.");
+        }
+
+        [Theory]
+        [InlineData("not xml")]
+        [InlineData("<library><anime/></library>")]
+        [InlineData("<!DOCTYPE myanimelist [<!ENTITY x \"y\">]><myanimelist/>")]
+        public void NotAMyAnimeListExport_IsAFileError(string content)
+        {
+            var (rows, error) = MyAnimeListFile.Parse(content);
+
+            rows.Should().BeEmpty();
+            error.Should().NotBeNull();
+        }
+    }
+}
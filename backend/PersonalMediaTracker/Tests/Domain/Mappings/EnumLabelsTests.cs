@@ -0,0 +1,37 @@
+﻿// Tests/Domain/Mappings/EnumLabelsTests.cs
+// Purpose:
+// - Verify the display labels served by GET api/metadata: PascalCase split, explicit overrides,
+//   and that Options lists every value in declaration order.
+
+using System;
+using System.Linq;
+using Domain.Enums;
+using FluentAssertions;
+using WebApi.Mapping;
+using Xunit;
+
+namespace Tests.Domain.Mappings
+{
+    public sealed class EnumLabelsTests
+    {
+        [Theory]
+        [InlineData(EntrySubType.LiveAction, "Live Action")]
+        [InlineData(EntrySubType.Other, "Other")]
+        [InlineData(EntryStatus.OnHold, "On Hold")]
+        [InlineData(EntryStatus.Planning, "Plan to Watch / Read")]
+        [InlineData(EntryStatus.Watching, "Watching / Reading")]
+        public void Label_SplitsNames_AndAppliesOverrides(Enum value, string expected)
+        {
+            EnumLabels.Label(value).Should().Be(expected);
+        }
+
+        [Fact]
+        public void Options_ListsEveryValue_InDeclarationOrder()
+        {
+            var options = EnumLabels.Options<EntrySubType>();
+
+            options.Select(o => o.Value).Should().Equal(Enum.GetNames<EntrySubType>());
+            options.Should().OnlyContain(o => !string.IsNullOrWhiteSpace(o.Label));
+        }
+    }
+}
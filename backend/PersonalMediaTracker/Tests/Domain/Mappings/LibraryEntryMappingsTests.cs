@@ -0,0 +1,82 @@
+﻿// Tests/Domain/Mappings/LibraryEntryMappingsTests.cs
+// Purpose:
+// - Verify import rows map onto the API write models: lenient enum names, defaults,
+//   and the overwrite vs. merge rules for duplicates.
+
+using System;
+using System.Collections.Generic;
+using Domain.Entities;
+using Domain.Enums;
+using FluentAssertions;
+using WebApi.Contracts;
+using WebApi.Mapping;
+using Xunit;
+
+namespace Tests.Domain.Mappings
+{
+    public sealed class LibraryEntryMappingsTests
+    {
+        [Theory]
+        [InlineData("On Hold", EntryStatus.OnHold)]
+        [InlineData("on-hold", EntryStatus.OnHold)]
+        [InlineData("ONHOLD", EntryStatus.OnHold)]
+        [InlineData(null, EntryStatus.Planning)]     // missing status imports as Planning
+        public void ToCreateDto_ParsesStatusLabels(string? status, EntryStatus expected)
+        {
+            var errors = new List<string>();
+            var row = new LibraryEntryDto { Title = " Dune ", Type = "movie", SubType = "live_action", Status = status };
+
+            var dto = row.ToCreateDto(errors);
+
+            errors.Should().BeEmpty();
+            dto!.Title.Should().Be("Dune");
+            dto.Type.Should().Be(EntryType.Movie);
+            dto.SubType.Should().Be(EntrySubType.LiveAction);
+            dto.Status.Should().Be(expected);
+        }
+
+        [Theory]
+        [InlineData(null, "Planning", "Type is required")]
+        [InlineData("Book", "Planning", "'Book' is not a valid EntryType")]
+        [InlineData("Movie", "1", "'1' is not a valid EntryStatus")]     // numbers aren't names
+        public void ToCreateDto_BadEnums_ReturnNull_WithErrors(string? type, string status, string expected)
+        {
+            var errors = new List<string>();
+
+            var dto = new LibraryEntryDto { Title = "Dune", Type = type, Status = status }.ToCreateDto(errors);
+
+            dto.Should().BeNull();
+            errors.Should().ContainSingle().Which.Should().Contain(expected);
+        }
+
+        [Fact]
+        public void ToUpdateDto_Merge_OnlyFillsMissingValues()
+        {
+            var existing = new MediaEntry { Id = Guid.NewGuid(), Title = "Dune", Type = EntryType.Movie, Status = EntryStatus.Watching, Rating = 7m, RewatchCount = 2 };
+            var row = new LibraryEntryDto { Title = "Dune", Type = "Movie", Status = "Completed", Rating = 9m, Notes = "Great", RewatchCount = 1 };
+            var incoming = row.ToCreateDto(new List<string>())!;
+
+            var update = incoming.ToUpdateDto(row, existing, DuplicateHandling.Merge);
+
+            update.Status.Should().BeNull();
+            update.Rating.Should().BeNull();
+            update.Notes.Should().Be("Great");
+            update.RewatchCount.Should().BeNull();
+        }
+
+        [Fact]
+        public void ToUpdateDto_Overwrite_TakesFileValues_AndKeepsStatusWhenFileHasNone()
+        {
+            var existing = new MediaEntry { Id = Guid.NewGuid(), Title = "Dune", Type = EntryType.Movie, Status = EntryStatus.Watching, Rating = 7m };
+            var row = new LibraryEntryDto { Title = "Dune", Type = "Movie", Rating = 9m };
+            var incoming = row.ToCreateDto(new List<string>())!;
+
+            var update = incoming.ToUpdateDto(row, existing, DuplicateHandling.Overwrite);
+
+            update.Id.Should().Be(existing.Id);
+            update.Rating.Should().Be(9m);
+            update.Status.Should().BeNull();
+            update.Notes.Should().BeNull();
+        }
+    }
+}
@@ -15,6 +15,7 @@
 //    - Tag joins are NOT created here (TagSyncService handles DB reconciliation).
 // 2) Update DTO -> Entity (ApplyTo)
 //    - Applies only provided fields; rejects whitespace Title; trims strings; normalizes notes.
+//    - Progress reaching its total moves the entry to Completed (only on the change that reaches it).
 // 3) Entity -> Read DTO (ToDto)
 //    - Copies scalars; materializes Tag names as provided on EntryTags (no re-normalization).
 //
@@ -144,6 +145,49 @@ public void ToEntity_NotesWhitespace_NormalizesToNull()
             entity.Notes.Should().BeNull();
         }
 
+        [Fact]
+        public void ToEntity_ProgressAtTotal_CreatesAsCompleted()
+        {
+            // Arrange
+            var dto = new CreateMediaEntryDto
+            {
+                Title = "Finished Manga",
+                Type = EntryType.Series,
+                SubType = EntrySubType.Manga,
+                Status = EntryStatus.Watching,
+                CurrentChapter = 120,
+                TotalChapters = 120
+            };
+
+            // Act
+            var (entity, error) = dto.ToEntity(Guid.NewGuid());
+
+            // Assert
+            error.Should().BeNull();
+            entity.CurrentChapter.Should().Be(120);
+            entity.TotalChapters.Should().Be(120);
+            entity.Status.Should().Be(EntryStatus.Completed);
+        }
+
+        [Fact]
+        public void ToEntity_SubTypeNotAllowedForType_ReturnsError()
+        {
+            // Arrange
+            var dto = new CreateMediaEntryDto
+            {
+                Title = "Berserk",
+                Type = EntryType.Movie,
+                SubType = EntrySubType.Manga,
+                Status = EntryStatus.Planning
+            };
+
+            // Act
+            var (_, error) = dto.ToEntity(Guid.NewGuid());
+
+            // Assert
+            error.Should().Contain("Manga");
+        }
+
         // ---------------------------------------------
         // 2) Update DTO -> Entity (ApplyTo)
         // ---------------------------------------------
@@ -256,6 +300,157 @@ public void ApplyTo_NotesWhitespace_NormalizesToNull()
             entity.Notes.Should().BeNull();
         }
 
+        [Fact]
+        public void ApplyTo_ProgressReachesTotal_MovesStatusToCompleted()
+        {
+            // Arrange
+            var entity = MakeEntity(Guid.NewGuid());
+            entity.Status = EntryStatus.Watching;
+            entity.CurrentEpisode = 10;
+            entity.TotalEpisodes = 12;
+
+            // Act: only the counter is sent; total comes from the entity
+            var err = new UpdateMediaEntryDto { CurrentEpisode = 12 }.ApplyTo(entity);
+
+            // Assert
+            err.Should().BeNull();
+            entity.CurrentEpisode.Should().Be(12);
+            entity.Status.Should().Be(EntryStatus.Completed);
+        }
+
+        [Fact]
+        public void ApplyTo_AlreadyFinished_DoesNotOverrideExplicitStatus()
+        {
+            // Arrange: a finished entry being re-opened for a rewatch
+            var entity = MakeEntity(Guid.NewGuid());
+            entity.Status = EntryStatus.Completed;
+            entity.CurrentEpisode = 12;
+            entity.TotalEpisodes = 12;
+
+            // Act
+            var err = new UpdateMediaEntryDto { Status = EntryStatus.Watching }.ApplyTo(entity);
+
+            // Assert
+            err.Should().BeNull();
+            entity.Status.Should().Be(EntryStatus.Watching);
+        }
+
+        [Fact]
+        public void ApplyTo_CurrentPastMergedTotal_ReturnsError()
+        {
+            // Arrange
+            var entity = MakeEntity(Guid.NewGuid());
+            entity.TotalChapters = 50;
+
+            // Act
+            var err = new UpdateMediaEntryDto { CurrentChapter = 51 }.ApplyTo(entity);
+
+            // Assert
+            err.Should().NotBeNullOrWhiteSpace();
+        }
+
+        [Fact]
+        public void ProgressIncrement_StepsCounter_ClampsAtTotal_AndCompletes()
+        {
+            // Arrange
+            var entity = MakeEntity(Guid.NewGuid());
+            entity.Status = EntryStatus.Watching;
+            entity.CurrentVolume = null; // not started yet
+            entity.TotalVolumes = 2;
+
+            var plusOne = new ProgressIncrementDto { Unit = ProgressUnit.Volume };
+
+            // Act + Assert: null counts as 0
+            plusOne.ApplyTo(entity).Should().BeNull();
+            entity.CurrentVolume.Should().Be(1);
+            entity.Status.Should().Be(EntryStatus.Watching);
+
+            plusOne.ApplyTo(entity).Should().BeNull();
+            plusOne.ApplyTo(entity).Should().BeNull();
+            entity.CurrentVolume.Should().Be(2);
+            entity.Status.Should().Be(EntryStatus.Completed);
+        }
+
+        [Fact]
+        public void ApplyTo_FinishBeforeMergedStart_ReturnsError()
+        {
+            // Arrange: start date already stored, only the finish date is sent
+            var entity = MakeEntity(Guid.NewGuid());
+            entity.StartedOn = new DateOnly(2025, 3, 10);
+
+            // Act
+            var err = new UpdateMediaEntryDto { FinishedOn = new DateOnly(2025, 3, 1) }.ApplyTo(entity);
+
+            // Assert
+            err.Should().NotBeNullOrWhiteSpace();
+        }
+
+        [Fact]
+        public void ApplyTo_TypeChangeWithoutSubType_ClearsSubTypeTheNewTypeCantHave()
+        {
+            // Arrange
+            var entity = MakeEntity(Guid.NewGuid());
+            entity.SubType = EntrySubType.Manga;
+
+            // Act
+            var err = new UpdateMediaEntryDto { Type = EntryType.Movie }.ApplyTo(entity);
+
+            // Assert
+            err.Should().BeNull();
+            entity.Type.Should().Be(EntryType.Movie);
+            entity.SubType.Should().BeNull();
+        }
+
+        [Fact]
+        public void ApplyTo_TypeChangeWithoutSubType_KeepsCompatibleSubType()
+        {
+            // Arrange: MakeEntity is a live-action series
+            var entity = MakeEntity(Guid.NewGuid());
+
+            // Act
+            var err = new UpdateMediaEntryDto { Type = EntryType.Movie }.ApplyTo(entity);
+
+            // Assert
+            err.Should().BeNull();
+            entity.SubType.Should().Be(EntrySubType.LiveAction);
+        }
+
+        [Fact]
+        public void ApplyTo_SubTypeNotAllowedForMergedType_ReturnsError_AndKeepsValues()
+        {
+            // Arrange: stored as a movie, only the subtype is sent
+            var entity = MakeEntity(Guid.NewGuid());
+            entity.Type = EntryType.Movie;
+
+            // Act
+            var err = new UpdateMediaEntryDto { SubType = EntrySubType.Manga }.ApplyTo(entity);
+
+            // Assert
+            err.Should().Contain("Manga");
+            entity.SubType.Should().Be(EntrySubType.LiveAction);
+        }
+
+        [Fact]
+        public void ApplyTo_DatesAndRewatchCount_AreApplied()
+        {
+            // Arrange
+            var entity = MakeEntity(Guid.NewGuid());
+
+            // Act
+            var err = new UpdateMediaEntryDto
+            {
+                StartedOn = new DateOnly(2025, 1, 5),
+                FinishedOn = new DateOnly(2025, 2, 20),
+                RewatchCount = 2
+            }.ApplyTo(entity);
+
+            // Assert
+            err.Should().BeNull();
+            entity.StartedOn.Should().Be(new DateOnly(2025, 1, 5));
+            entity.FinishedOn.Should().Be(new DateOnly(2025, 2, 20));
+            entity.RewatchCount.Should().Be(2);
+        }
+
         // ---------------------------------------------
         // 3) Entity -> Read DTO (ToDto)
         // ---------------------------------------------
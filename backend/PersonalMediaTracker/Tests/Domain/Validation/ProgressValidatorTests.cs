@@ -0,0 +1,49 @@
+﻿// Tests/Domain/Validation/ProgressValidatorTests.cs
+// Purpose:
+// - Pin the progress counter contract used by the mappers:
+//   nullable; never negative; current can't pass a known total.
+
+using FluentAssertions;
+using WebApi.Validation;
+using Xunit;
+
+namespace Tests.Domain.Validation
+{
+    public sealed class ProgressValidatorTests
+    {
+        [Theory]
+        [InlineData(null, null)]    // not tracked
+        [InlineData(5, null)]       // total unknown yet
+        [InlineData(null, 24)]      // not started
+        [InlineData(0, 24)]
+        [InlineData(24, 24)]        // inclusive upper bound
+        public void IsValid_ValidCounters_ReturnsTrue(int? current, int? total)
+        {
+            var ok = ProgressValidator.IsValid("Episode", current, total, out var error);
+            ok.Should().BeTrue();
+            error.Should().BeNull();
+        }
+
+        [Theory]
+        [InlineData(-1, null, "negative")]
+        [InlineData(null, -3, "negative")]
+        [InlineData(25, 24, "greater than the total")]
+        public void IsValid_InvalidCounters_ReturnsFalse_WithHelpfulMessage(int? current, int? total, string expectedPhrase)
+        {
+            var ok = ProgressValidator.IsValid("Episode", current, total, out var error);
+            ok.Should().BeFalse();
+            error.Should().NotBeNull();
+            error!.ToLowerInvariant().Should().Contain(expectedPhrase);
+        }
+
+        [Theory]
+        [InlineData(12, 12, true)]
+        [InlineData(11, 12, false)]
+        [InlineData(5, null, false)]    // no total = never finished
+        [InlineData(0, 0, false)]       // a zero total isn't a real total
+        public void IsFinished_OnlyWhenKnownTotalIsReached(int? current, int? total, bool expected)
+        {
+            ProgressValidator.IsFinished(current, total).Should().Be(expected);
+        }
+    }
+}
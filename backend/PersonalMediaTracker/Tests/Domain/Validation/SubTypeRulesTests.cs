@@ -0,0 +1,51 @@
+﻿// Tests/Domain/Validation/SubTypeRulesTests.cs
+// Purpose:
+// - Pin the type/subtype table: no subtype is always fine, Manga only exists as a series.
+
+using System;
+using System.Linq;
+using Domain.Enums;
+using FluentAssertions;
+using WebApi.Validation;
+using Xunit;
+
+namespace Tests.Domain.Validation
+{
+    public sealed class SubTypeRulesTests
+    {
+        [Theory]
+        [InlineData(EntryType.Movie, null)]
+        [InlineData(EntryType.Series, null)]
+        [InlineData(EntryType.Movie, EntrySubType.Anime)]
+        [InlineData(EntryType.Movie, EntrySubType.Documentary)]
+        [InlineData(EntryType.Series, EntrySubType.Manga)]
+        [InlineData(EntryType.Series, EntrySubType.LiveAction)]
+        public void IsValid_AllowedCombination_ReturnsTrue(EntryType type, EntrySubType? subType)
+        {
+            var ok = SubTypeRules.IsValid(type, subType, out var error);
+            ok.Should().BeTrue();
+            error.Should().BeNull();
+        }
+
+        [Fact]
+        public void IsValid_MangaMovie_ReturnsFalse_NamingTheAllowedSubtypes()
+        {
+            var ok = SubTypeRules.IsValid(EntryType.Movie, EntrySubType.Manga, out var error);
+            ok.Should().BeFalse();
+            error.Should().Contain("Manga").And.Contain("Movie").And.Contain("Live Action");
+        }
+
+        [Fact]
+        public void AllowedByType_CoversEveryType()
+        {
+            SubTypeRules.AllowedByType.Keys.Should().BeEquivalentTo(Enum.GetValues<EntryType>());
+        }
+
+        [Fact]
+        public void EverySubType_IsAllowedForSomeType()
+        {
+            var used = SubTypeRules.AllowedByType.Values.SelectMany(v => v).Distinct();
+            used.Should().BeEquivalentTo(Enum.GetValues<EntrySubType>());
+        }
+    }
+}
@@ -0,0 +1,37 @@
+﻿// Tests/Domain/Validation/WatchDatesValidatorTests.cs
+// Purpose:
+// - Pin the start/finish date contract: both optional, finish never before start.
+
+using System;
+using FluentAssertions;
+using WebApi.Validation;
+using Xunit;
+
+namespace Tests.Domain.Validation
+{
+    public sealed class WatchDatesValidatorTests
+    {
+        [Theory]
+        [InlineData(null, null)]
+        [InlineData("2025-01-01", null)]            // still watching
+        [InlineData(null, "2025-01-01")]            // start date unknown
+        [InlineData("2025-01-01", "2025-01-01")]    // same day
+        [InlineData("2025-01-01", "2025-02-01")]
+        public void IsValid_ValidDates_ReturnsTrue(string? started, string? finished)
+        {
+            var ok = WatchDatesValidator.IsValid(Parse(started), Parse(finished), out var error);
+            ok.Should().BeTrue();
+            error.Should().BeNull();
+        }
+
+        [Fact]
+        public void IsValid_FinishBeforeStart_ReturnsFalse_WithHelpfulMessage()
+        {
+            var ok = WatchDatesValidator.IsValid(new DateOnly(2025, 2, 1), new DateOnly(2025, 1, 31), out var error);
+            ok.Should().BeFalse();
+            error!.ToLowerInvariant().Should().Contain("before the start date");
+        }
+
+        private static DateOnly? Parse(string? s) => s is null ? null : DateOnly.Parse(s);
+    }
+}
@@ -3,7 +3,8 @@
 //   - Entity keys & indexes
 //   - Property config (precision, max length, concurrency tokens)
 //   - Global query filters for soft-deletes
-//   - Basic audit timestamps on add/update
+//   - Basic audit timestamps on add/update (tag changes included)
+//   - Append-only EntryHistory rows for status/rating changes
 
 using System;
 using System.Linq;
@@ -198,5 +199,104 @@ public async Task Audit_Timestamps_Set_OnAdd_And_Update()
 
             Assert.True(tag.UpdatedAtUtc > firstUpdated);
         }
-    }
+
+
+        [Fact]
+        public async Task TagOnlyChange_Bumps_Entry_UpdatedAtUtc()
+        {
+            _db.Reset();
+            using var ctx = _db.CreateContext();
+
+            var userId = Guid.NewGuid();
+            var entry = new MediaEntry { UserId = userId, Title = "T", Status = EntryStatus.Planning, Type = EntryType.Series };
+            var tag = new Tag { UserId = userId, Name = "retag" };
+            ctx.AddRange(entry, tag);
+            await ctx.SaveChangesAsync();
+            var before = entry.UpdatedAtUtc;
+
+            // Only a join row changes; the entry itself is untouched
+            ctx.EntryTags.Add(new EntryTag { MediaEntryId = entry.Id, TagId = tag.Id });
+            await ctx.SaveChangesAsync();
+
+            Assert.True(entry.UpdatedAtUtc > before);
+        }
+
+        [Fact]
+        public async Task CollectionEntryChanges_Bump_Collection_UpdatedAtUtc()
+        {
+            _db.Reset();
+            using var ctx = _db.CreateContext();
+
+            var userId = Guid.NewGuid();
+            var entry = new MediaEntry { UserId = userId, Title = "C", Status = EntryStatus.Planning, Type = EntryType.Movie };
+            var collection = new MediaCollection { UserId = userId, Name = "Top" };
+            ctx.AddRange(entry, collection);
+            await ctx.SaveChangesAsync();
+            var created = collection.UpdatedAtUtc;
+
+            // Adding an entry touches only the join table
+            var link = new CollectionEntry { CollectionId = collection.Id, MediaEntryId = entry.Id, Position = 0 };
+            ctx.CollectionEntries.Add(link);
+            await ctx.SaveChangesAsync();
+            var added = collection.UpdatedAtUtc;
+            Assert.True(added > created);
+
+            // So does moving it
+            link.Position = 3;
+            await ctx.SaveChangesAsync();
+            Assert.True(collection.UpdatedAtUtc > added);
+        }
+
+        [Fact]
+        public async Task StatusAndRatingChanges_AppendHistoryRows()
+        {
+            _db.Reset();
+            using var ctx = _db.CreateContext();
+
+            var entry = new MediaEntry { UserId = Guid.NewGuid(), Title = "H", Status = EntryStatus.Planning, Type = EntryType.Series };
+            ctx.MediaEntries.Add(entry);
+            await ctx.SaveChangesAsync();
+            Assert.Equal(0, await ctx.EntryHistory.CountAsync()); // creation isn't a change
+
+            entry.Status = EntryStatus.Watching;
+            entry.Rating = 7.5m;
+            await ctx.SaveChangesAsync();
+
+            // Unrelated edits and "changes" to the same value don't log anything
+            entry.Notes = "just notes";
+            entry.Status = EntryStatus.Watching;
+            await ctx.SaveChangesAsync();
+
+            var rows = await ctx.EntryHistory.AsNoTracking().OrderBy(h => h.Field).ToListAsync();
+            Assert.Equal(2, rows.Count);
+
+            Assert.Equal(EntryHistoryField.Status, rows[0].Field);
+            Assert.Equal("Planning", rows[0].OldValue);
+            Assert.Equal("Watching", rows[0].NewValue);
+            Assert.Equal(entry.UserId, rows[0].UserId);
+
+            Assert.Equal(EntryHistoryField.Rating, rows[1].Field);
+            Assert.Null(rows[1].OldValue);
+            Assert.Equal("7.5", rows[1].NewValue);
+        }
+
+        [Fact]
+        public async Task EntryHistory_IsAppendOnly()
+        {
+            _db.Reset();
+            using var ctx = _db.CreateContext();
+
+            var entry = new MediaEntry { UserId = Guid.NewGuid(), Title = "A", Status = EntryStatus.Planning, Type = EntryType.Movie };
+            ctx.MediaEntries.Add(entry);
+            await ctx.SaveChangesAsync();
+
+            entry.Status = EntryStatus.Completed;
+            await ctx.SaveChangesAsync();
+
+            var row = await ctx.EntryHistory.SingleAsync();
+            row.NewValue = "Dropped";
+
+            await Assert.ThrowsAsync<InvalidOperationException>(() => ctx.SaveChangesAsync());
+        }
+}
 }
@@ -4,6 +4,7 @@
 //   - Soft-deleted rows are hidden by global query filters by default.
 //   - EntryTag join rows remain physically present when a principal is soft-deleted,
 //      but they are hidden by EntryTag's query filter (which mirrors principals).
+//   - Loaded (tracked) joins survive the delete too, so restoring the principal brings them back.
 
 
 using System;
@@ -161,5 +162,48 @@ public async Task SoftDelete_Principal_Hides_EntryTag_Join_But_DoesNotPhysically
                 Assert.NotNull(await verify2.MediaEntries.SingleOrDefaultAsync(e => e.Id == entryId));
             }
         }
+
+        [Fact]
+        public async Task SoftDelete_TrackedJoins_AreKept_AndReturnOnRestore()
+        {
+            _db.Reset();
+
+            Guid entryId;
+
+            using (var ctx = _db.CreateContext())
+            {
+                var user = Guid.NewGuid();
+                var entry = NewEntry(user, "Tagged");
+                var tag = new Tag { UserId = user, Name = "drama" };
+                ctx.AddRange(entry, tag);
+                ctx.EntryTags.Add(new EntryTag { MediaEntry = entry, Tag = tag });
+                await ctx.SaveChangesAsync();
+                entryId = entry.Id;
+            }
+
+            // Delete with the joins loaded: EF cascades to them in the change tracker
+            using (var ctx = _db.CreateContext())
+            {
+                var entry = await ctx.MediaEntries.Include(e => e.EntryTags).SingleAsync(e => e.Id == entryId);
+                ctx.Remove(entry);
+                await ctx.SaveChangesAsync();
+            }
+
+            using (var verify = _db.CreateContext())
+            {
+                Assert.Equal(1, await verify.EntryTags.IgnoreQueryFilters().CountAsync());
+
+                // Restore
+                var raw = await verify.MediaEntries.IgnoreQueryFilters().SingleAsync(e => e.Id == entryId);
+                raw.IsDeleted = false;
+                raw.DeletedAtUtc = null;
+                await verify.SaveChangesAsync();
+            }
+
+            using (var verify = _db.CreateContext())
+            {
+                Assert.Equal(1, await verify.EntryTags.CountAsync(et => et.MediaEntryId == entryId));
+            }
+        }
     }
 }
@@ -0,0 +1,15 @@
+﻿// Purpose:
+// - Read the sample export files under Tests/Samples (copied next to the test assembly),
+//   so importer tests run against real-looking files without any network access.
+
+using System;
+using System.IO;
+
+namespace Tests.Shared.Fixtures
+{
+    public static class SampleFiles
+    {
+        public static string Read(params string[] path)
+            => File.ReadAllText(Path.Combine(AppContext.BaseDirectory, "Samples", Path.Combine(path)));
+    }
+}
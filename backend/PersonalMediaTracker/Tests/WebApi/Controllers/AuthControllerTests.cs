@@ -1,6 +1,6 @@
-﻿// Purpose: Unit tests for AuthController covering register/login/me.
+﻿// Purpose: Unit tests for AuthController covering register/login/refresh/logout/me.
 // Strategy:
-// - Mock Identity's UserManager/SignInManager and the IJwtTokenService.
+// - Mock Identity's UserManager/SignInManager, the IJwtTokenService and the IRefreshTokenService.
 // - Never hit the DB or real token generator.
 // - Verify success + failure branches and returned shapes.
 // Notes:
@@ -63,15 +63,25 @@ private static Mock<SignInManager<ApplicationUser>> MockSignInManager(UserManage
                 null!);                                                 // IUserConfirmation<ApplicationUser>
         }
 
+        // Refresh token service that issues "refresh-token" for anyone
+        private static Mock<IRefreshTokenService> MockRefreshTokens()
+        {
+            var refresh = new Mock<IRefreshTokenService>();
+            refresh.Setup(r => r.IssueAsync(It.IsAny<Guid>(), It.IsAny<CancellationToken>()))
+                .ReturnsAsync((Guid id, CancellationToken _) => new IssuedRefreshToken(id, "refresh-token", DateTime.UtcNow.AddDays(14)));
+            return refresh;
+        }
+
         // Creates the controller with injected mocks. Optionally injects an
         // HttpContext with a NameIdentifier claim for /me tests.
         private static AuthController CreateController(
             Mock<UserManager<ApplicationUser>> um,
             Mock<SignInManager<ApplicationUser>> sm,
             Mock<IJwtTokenService> jwt,
-            Guid? userIdForHttpContext = null)
+            Guid? userIdForHttpContext = null,
+            Mock<IRefreshTokenService>? refresh = null)
         {
-            var controller = new AuthController(um.Object, sm.Object, jwt.Object);
+            var controller = new AuthController(um.Object, sm.Object, jwt.Object, (refresh ?? MockRefreshTokens()).Object);
 
 
             var principal = userIdForHttpContext.HasValue
@@ -130,6 +140,7 @@ public async Task Register_Succeeds_ReturnsToken_And_UserInfo()
             Assert.Equal("jwt-token", payload.AccessToken);
             Assert.Equal(user.Email, payload.Email);
             Assert.Equal(user.Id.ToString(), payload.UserId);
+            Assert.Equal("refresh-token", payload.RefreshToken);
         }
 
         [Fact]
@@ -227,6 +238,77 @@ public async Task Login_WrongPassword_ReturnsUnauthorized()
             Assert.IsType<UnauthorizedResult>(result.Result);
         }
 
+        // -------
+        // Refresh / Logout
+        // -------
+
+        [Fact]
+        public async Task Refresh_ValidToken_ReturnsNewPair()
+        {
+            // Arrange
+            var user = new ApplicationUser { Id = Guid.NewGuid(), Email = "user@example.com", UserName = "user@example.com" };
+
+            var um = MockUserManager();
+            um.Setup(x => x.FindByIdAsync(user.Id.ToString())).ReturnsAsync(user);
+            um.Setup(x => x.GetRolesAsync(user)).ReturnsAsync(new List<string>());
+
+            var jwt = new Mock<IJwtTokenService>();
+            jwt.Setup(j => j.CreateAccessToken(user, It.IsAny<IEnumerable<string>>())).Returns("jwt-token-2");
+
+            var refresh = new Mock<IRefreshTokenService>(MockBehavior.Strict);
+            refresh.Setup(r => r.RotateAsync("old-refresh", It.IsAny<CancellationToken>()))
+                .ReturnsAsync(new IssuedRefreshToken(user.Id, "new-refresh", DateTime.UtcNow.AddDays(14)));
+
+            var controller = CreateController(um, MockSignInManager(um.Object), jwt, refresh: refresh);
+
+            // Act
+            var result = await controller.Refresh(new AuthController.RefreshDto("old-refresh"));
+
+            // Assert
+            var payload = Assert.IsType<AuthController.AuthResponse>(result.Value);
+            Assert.Equal("jwt-token-2", payload.AccessToken);
+            Assert.Equal("new-refresh", payload.RefreshToken);
+            Assert.Equal(user.Id.ToString(), payload.UserId);
+        }
+
+        [Fact]
+        public async Task Refresh_RejectedToken_ReturnsUnauthorized()
+        {
+            // Arrange
+            var um = MockUserManager();
+            var jwt = new Mock<IJwtTokenService>(MockBehavior.Strict);
+            var refresh = new Mock<IRefreshTokenService>(MockBehavior.Strict);
+            refresh.Setup(r => r.RotateAsync("stale", It.IsAny<CancellationToken>())).ReturnsAsync((IssuedRefreshToken?)null);
+
+            var controller = CreateController(um, MockSignInManager(um.Object), jwt, refresh: refresh);
+
+            // Act
+            var result = await controller.Refresh(new AuthController.RefreshDto("stale"));
+
+            // Assert
+            Assert.IsType<UnauthorizedResult>(result.Result);
+        }
+
+        [Theory]
+        [InlineData(true)]
+        [InlineData(false)]     // unknown/already revoked: same answer
+        public async Task Logout_RevokesToken_ReturnsNoContent(bool known)
+        {
+            // Arrange
+            var um = MockUserManager();
+            var refresh = new Mock<IRefreshTokenService>(MockBehavior.Strict);
+            refresh.Setup(r => r.RevokeAsync("refresh", It.IsAny<CancellationToken>())).ReturnsAsync(known);
+
+            var controller = CreateController(um, MockSignInManager(um.Object), new Mock<IJwtTokenService>(), refresh: refresh);
+
+            // Act
+            var result = await controller.Logout(new AuthController.RefreshDto("refresh"));
+
+            // Assert
+            Assert.IsType<NoContentResult>(result);
+            refresh.Verify(r => r.RevokeAsync("refresh", It.IsAny<CancellationToken>()), Times.Once);
+        }
+
         // -------
         // Me
         // -------
@@ -0,0 +1,346 @@
+﻿// Purpose: Unit tests for CollectionsController against EF InMemory.
+// Strategy:
+// - CRUD, adding/removing entries and reordering run against InMemory directly.
+// - Mock ICollectionService; delete uses ExecuteDelete, which InMemory can't run
+//   (covered by CollectionServiceTests and CollectionsIntegrationTests).
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Claims;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+using WebApi.Contracts;
+using WebApi.Controllers;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Controllers
+{
+    public class CollectionsControllerTests
+    {
+        // -----------------------
+        // Helpers / Test plumbing
+        // -----------------------
+
+        private static AppDbContext CreateInMemoryDb()
+        {
+            var opts = new DbContextOptionsBuilder<AppDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .EnableSensitiveDataLogging()
+                .Options;
+
+            return new AppDbContext(opts);
+        }
+
+        private static CollectionsController CreateController(AppDbContext db, Mock<ICollectionService> collectionsMock, Guid userId)
+        {
+            var controller = new CollectionsController(db, collectionsMock.Object);
+
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.NameIdentifier, userId.ToString())
+            }, "TestAuth");
+
+            controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+            };
+
+            return controller;
+        }
+
+        private static CollectionsController CreateController(AppDbContext db, Guid userId)
+            => CreateController(db, new Mock<ICollectionService>(MockBehavior.Strict), userId);
+
+        private static MediaEntry SeedEntry(AppDbContext db, Guid userId, string title)
+        {
+            var entry = new MediaEntry { UserId = userId, Title = title, Type = EntryType.Movie, Status = EntryStatus.Planning };
+            db.MediaEntries.Add(entry);
+            db.SaveChanges();
+            db.ChangeTracker.Clear();
+            return entry;
+        }
+
+        // Collection with the given entries at positions 0..n-1
+        private static MediaCollection SeedCollection(AppDbContext db, Guid userId, string name, params MediaEntry[] entries)
+        {
+            var collection = new MediaCollection { UserId = userId, Name = name };
+            db.Collections.Add(collection);
+            for (var i = 0; i < entries.Length; i++)
+            {
+                db.CollectionEntries.Add(new CollectionEntry { Collection = collection, MediaEntryId = entries[i].Id, Position = i });
+            }
+            db.SaveChanges();
+            db.ChangeTracker.Clear();
+            return collection;
+        }
+
+        private static async Task<List<string>> TitlesInOrderAsync(AppDbContext db, Guid collectionId)
+        {
+            return await db.CollectionEntries.IgnoreQueryFilters()
+                .Where(ce => ce.CollectionId == collectionId)
+                .OrderBy(ce => ce.Position)
+                .Select(ce => ce.MediaEntry.Title)
+                .ToListAsync();
+        }
+
+        // ------------
+        // List / Get
+        // ------------
+
+        [Fact]
+        public async Task List_ReturnsCallersCollections_ByName_WithCounts_AndMembership()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var heat = SeedEntry(db, userId, "Heat");
+            var alien = SeedEntry(db, userId, "Alien");
+            SeedCollection(db, userId, "Top 10", heat, alien);
+            SeedCollection(db, userId, "Family night", alien);
+            SeedCollection(db, Guid.NewGuid(), "Not mine");
+
+            var result = await CreateController(db, userId).List(heat.Id, default);
+
+            var list = Assert.IsAssignableFrom<IReadOnlyList<CollectionDto>>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal(new[] { "Family night", "Top 10" }, list.Select(c => c.Name));
+            Assert.Equal(new[] { 1, 2 }, list.Select(c => c.Count));
+            Assert.Equal(new bool?[] { false, true }, list.Select(c => c.ContainsEntry));
+        }
+
+        [Fact]
+        public async Task GetById_ReturnsEntriesInOrder_WithoutTrashed()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var a = SeedEntry(db, userId, "A");
+            var b = SeedEntry(db, userId, "B");
+            var c = SeedEntry(db, userId, "C");
+            var collection = SeedCollection(db, userId, "Mixed", c, a, b);
+            db.MediaEntries.Remove(db.MediaEntries.Single(e => e.Id == a.Id)); // soft delete
+            db.SaveChanges();
+            db.ChangeTracker.Clear();
+
+            var result = await CreateController(db, userId).GetById(collection.Id, default);
+
+            var dto = Assert.IsType<CollectionDetailDto>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal(new[] { "C", "B" }, dto.Entries.Select(e => e.Title));
+            Assert.Equal(2, dto.Count);
+        }
+
+        [Fact]
+        public async Task GetById_OtherUsersCollection_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var collection = SeedCollection(db, Guid.NewGuid(), "Theirs");
+
+            var result = await CreateController(db, Guid.NewGuid()).GetById(collection.Id, default);
+
+            Assert.IsType<NotFoundResult>(result);
+        }
+
+        // ------------
+        // Create / Update
+        // ------------
+
+        [Fact]
+        public async Task Create_TrimsName_BlankDescriptionIsNull_Returns201()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+
+            var result = await CreateController(db, userId).Create(new CollectionWriteDto { Name = "  Top 10 anime ", Description = "  " }, default);
+
+            var dto = Assert.IsType<CollectionDto>(Assert.IsType<CreatedAtActionResult>(result).Value);
+            Assert.Equal("Top 10 anime", dto.Name);
+            Assert.Null(dto.Description);
+            Assert.Equal(0, dto.Count);
+            Assert.True(await db.Collections.AnyAsync(c => c.UserId == userId && c.Name == "Top 10 anime"));
+        }
+
+        [Fact]
+        public async Task Create_ExistingName_IgnoringCase_Returns409()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedCollection(db, userId, "Favorites");
+
+            var result = await CreateController(db, userId).Create(new CollectionWriteDto { Name = "favorites" }, default);
+
+            var conflict = Assert.IsType<ConflictObjectResult>(result);
+            Assert.IsType<ProblemDetails>(conflict.Value);
+            Assert.Equal(1, await db.Collections.CountAsync());
+        }
+
+        [Fact]
+        public async Task Update_RenamesAndDescribes_KeepsEntries()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var collection = SeedCollection(db, userId, "Favs", SeedEntry(db, userId, "Heat"));
+
+            var result = await CreateController(db, userId).Update(collection.Id, new CollectionWriteDto { Name = "Favorites", Description = "All-time best" }, default);
+
+            var dto = Assert.IsType<CollectionDto>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal("Favorites", dto.Name);
+            Assert.Equal("All-time best", dto.Description);
+            Assert.Equal(1, dto.Count);
+        }
+
+        [Fact]
+        public async Task Update_ChangingOnlyCase_IsNotAConflict()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var collection = SeedCollection(db, userId, "favorites");
+
+            var result = await CreateController(db, userId).Update(collection.Id, new CollectionWriteDto { Name = "Favorites" }, default);
+
+            Assert.IsType<OkObjectResult>(result);
+        }
+
+        // ------------
+        // Delete
+        // ------------
+
+        [Fact]
+        public async Task Delete_DelegatesToService()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var id = Guid.NewGuid();
+            var mock = new Mock<ICollectionService>(MockBehavior.Strict);
+            mock.Setup(s => s.DeleteAsync(userId, id, It.IsAny<CancellationToken>())).ReturnsAsync(true);
+
+            var result = await CreateController(db, mock, userId).Delete(id, default);
+
+            Assert.IsType<NoContentResult>(result);
+            mock.VerifyAll();
+        }
+
+        [Fact]
+        public async Task Delete_Missing_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var mock = new Mock<ICollectionService>(MockBehavior.Strict);
+            mock.Setup(s => s.DeleteAsync(userId, It.IsAny<Guid>(), It.IsAny<CancellationToken>())).ReturnsAsync(false);
+
+            var result = await CreateController(db, mock, userId).Delete(Guid.NewGuid(), default);
+
+            Assert.IsType<NotFoundResult>(result);
+        }
+
+        // ------------
+        // Entries
+        // ------------
+
+        [Fact]
+        public async Task AddEntry_AppendsAtTheEnd_AndIsIdempotent()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var heat = SeedEntry(db, userId, "Heat");
+            var alien = SeedEntry(db, userId, "Alien");
+            var collection = SeedCollection(db, userId, "Top", heat);
+            var controller = CreateController(db, userId);
+
+            var first = await controller.AddEntry(collection.Id, new CollectionEntryDto { EntryId = alien.Id }, default);
+            var again = await controller.AddEntry(collection.Id, new CollectionEntryDto { EntryId = alien.Id }, default);
+
+            Assert.Equal(2, Assert.IsType<CollectionDto>(Assert.IsType<OkObjectResult>(first).Value).Count);
+            Assert.Equal(2, Assert.IsType<CollectionDto>(Assert.IsType<OkObjectResult>(again).Value).Count);
+            Assert.Equal(new[] { "Heat", "Alien" }, await TitlesInOrderAsync(db, collection.Id));
+        }
+
+        [Fact]
+        public async Task AddEntry_OtherUsersEntry_Returns404ProblemDetails()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var theirs = SeedEntry(db, Guid.NewGuid(), "Theirs");
+            var collection = SeedCollection(db, userId, "Top");
+
+            var result = await CreateController(db, userId).AddEntry(collection.Id, new CollectionEntryDto { EntryId = theirs.Id }, default);
+
+            var notFound = Assert.IsType<NotFoundObjectResult>(result);
+            Assert.IsType<ProblemDetails>(notFound.Value);
+            Assert.False(await db.CollectionEntries.AnyAsync());
+        }
+
+        [Fact]
+        public async Task RemoveEntry_KeepsTheEntryInTheLibrary()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var heat = SeedEntry(db, userId, "Heat");
+            var collection = SeedCollection(db, userId, "Top", heat);
+
+            var result = await CreateController(db, userId).RemoveEntry(collection.Id, heat.Id, default);
+
+            Assert.IsType<NoContentResult>(result);
+            Assert.Empty(await TitlesInOrderAsync(db, collection.Id));
+            Assert.True(await db.MediaEntries.AnyAsync(e => e.Id == heat.Id));
+        }
+
+        [Fact]
+        public async Task RemoveEntry_NotInCollection_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var collection = SeedCollection(db, userId, "Top");
+
+            var result = await CreateController(db, userId).RemoveEntry(collection.Id, Guid.NewGuid(), default);
+
+            Assert.IsType<NotFoundResult>(result);
+        }
+
+        // ------------
+        // Reorder
+        // ------------
+
+        [Fact]
+        public async Task Reorder_StoresNewOrder_TrashedEntriesGoLast()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var a = SeedEntry(db, userId, "A");
+            var b = SeedEntry(db, userId, "B");
+            var c = SeedEntry(db, userId, "C");
+            var collection = SeedCollection(db, userId, "Top", a, b, c);
+            db.MediaEntries.Remove(db.MediaEntries.Single(e => e.Id == a.Id)); // soft delete
+            db.SaveChanges();
+            db.ChangeTracker.Clear();
+
+            var result = await CreateController(db, userId).Reorder(collection.Id, new CollectionOrderDto { EntryIds = new List<Guid> { c.Id, b.Id } }, default);
+
+            Assert.IsType<NoContentResult>(result);
+            Assert.Equal(new[] { "C", "B", "A" }, await TitlesInOrderAsync(db, collection.Id));
+        }
+
+        [Fact]
+        public async Task Reorder_MissingOrDuplicateIds_Returns400_AndKeepsOrder()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var a = SeedEntry(db, userId, "A");
+            var b = SeedEntry(db, userId, "B");
+            var collection = SeedCollection(db, userId, "Top", a, b);
+            var controller = CreateController(db, userId);
+
+            var missing = await controller.Reorder(collection.Id, new CollectionOrderDto { EntryIds = new List<Guid> { b.Id } }, default);
+            var duplicate = await controller.Reorder(collection.Id, new CollectionOrderDto { EntryIds = new List<Guid> { b.Id, b.Id } }, default);
+
+            Assert.IsType<ProblemDetails>(Assert.IsType<BadRequestObjectResult>(missing).Value);
+            Assert.IsType<ProblemDetails>(Assert.IsType<BadRequestObjectResult>(duplicate).Value);
+            Assert.Equal(new[] { "A", "B" }, await TitlesInOrderAsync(db, collection.Id));
+        }
+    }
+}
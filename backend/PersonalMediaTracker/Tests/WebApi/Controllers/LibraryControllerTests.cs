@@ -0,0 +1,149 @@
+﻿// Purpose: Unit tests for LibraryController (export/import) against EF InMemory.
+// Strategy:
+// - Export writes to HttpContext.Response.Body, so tests give it a MemoryStream and read it back.
+// - ILibraryImportService is a strict mock: file-level rejections must never reach it.
+//   (Row validation and saving are covered by LibraryImportServiceTests.)
+
+using System;
+using System.IO;
+using System.Linq;
+using System.Security.Claims;
+using System.Text;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+using WebApi.Contracts;
+using WebApi.Controllers;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Controllers
+{
+    public class LibraryControllerTests
+    {
+        // -----------------------
+        // Helpers / Test plumbing
+        // -----------------------
+
+        private static AppDbContext CreateInMemoryDb()
+        {
+            var opts = new DbContextOptionsBuilder<AppDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .EnableSensitiveDataLogging()
+                .Options;
+
+            return new AppDbContext(opts);
+        }
+
+        private static LibraryController CreateController(AppDbContext db, Mock<ILibraryImportService> importMock, Guid userId)
+        {
+            var controller = new LibraryController(db, importMock.Object);
+
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.NameIdentifier, userId.ToString())
+            }, "TestAuth");
+
+            controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+            };
+            controller.HttpContext.Response.Body = new MemoryStream();
+
+            return controller;
+        }
+
+        private static void SeedEntry(AppDbContext db, Guid userId, string title)
+        {
+            db.MediaEntries.Add(new MediaEntry
+            {
+                Id = Guid.NewGuid(),
+                UserId = userId,
+                Title = title,
+                Type = EntryType.Movie,
+                Status = EntryStatus.Planning
+            });
+            db.SaveChanges();
+        }
+
+        private static string ReadBody(ControllerBase controller)
+        {
+            var body = (MemoryStream)controller.HttpContext.Response.Body;
+            return Encoding.UTF8.GetString(body.ToArray());
+        }
+
+        // ------------
+        // Export
+        // ------------
+
+        [Fact]
+        public async Task Export_Csv_WritesHeaderAndOnlyCallersEntries()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedEntry(db, userId, "Zodiac");
+            SeedEntry(db, userId, "Alien");
+            SeedEntry(db, Guid.NewGuid(), "Someone else's");
+
+            var controller = CreateController(db, new Mock<ILibraryImportService>(MockBehavior.Strict), userId);
+
+            var result = await controller.Export("csv", default);
+
+            Assert.IsType<EmptyResult>(result);
+            Assert.StartsWith("attachment;", controller.Response.Headers.ContentDisposition.ToString());
+
+            var lines = ReadBody(controller).Split("\r\n", StringSplitOptions.RemoveEmptyEntries);
+            Assert.Equal(3, lines.Length);
+            Assert.StartsWith("title,type,subType,status", lines[0]);
+            Assert.StartsWith("Alien,Movie,,Planning", lines[1]);
+            Assert.StartsWith("Zodiac,", lines[2]);
+        }
+
+        [Fact]
+        public async Task Export_UnknownFormat_Returns400()
+        {
+            using var db = CreateInMemoryDb();
+            var controller = CreateController(db, new Mock<ILibraryImportService>(MockBehavior.Strict), Guid.NewGuid());
+
+            var result = await controller.Export("xml", default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            Assert.IsType<ProblemDetails>(bad.Value);
+        }
+
+        // ------------
+        // Import
+        // ------------
+
+        [Fact]
+        public async Task Import_UnreadableFile_Returns400_WithoutCallingService()
+        {
+            using var db = CreateInMemoryDb();
+            var controller = CreateController(db, new Mock<ILibraryImportService>(MockBehavior.Strict), Guid.NewGuid());
+
+            var result = await controller.Import(new ImportRequestDto { Format = ImportFormat.Csv, Content = "type,status\nMovie,Planning" }, default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            var problem = Assert.IsType<ProblemDetails>(bad.Value);
+            Assert.Equal("Invalid import file", problem.Title);
+        }
+
+        [Fact]
+        public async Task Import_TooManyRows_Returns400_WithoutCallingService()
+        {
+            using var db = CreateInMemoryDb();
+            var controller = CreateController(db, new Mock<ILibraryImportService>(MockBehavior.Strict), Guid.NewGuid());
+            var csv = "title,type\n" + string.Concat(Enumerable.Range(1, LibraryController.MaxImportRows + 1).Select(i => $"Entry {i},Movie\n"));
+
+            var result = await controller.Import(new ImportRequestDto { Format = ImportFormat.Csv, Content = csv }, default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            Assert.Contains("at most", Assert.IsType<ProblemDetails>(bad.Value).Detail);
+        }
+    }
+}
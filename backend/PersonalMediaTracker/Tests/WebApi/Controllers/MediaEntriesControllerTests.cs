@@ -22,6 +22,7 @@
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.Diagnostics;
 using Moq;
 using WebApi.Contracts;
 using WebApi.Controllers;
@@ -42,6 +43,8 @@ private static AppDbContext CreateInMemoryDb()
             var opts = new DbContextOptionsBuilder<AppDbContext>()
                 .UseInMemoryDatabase(Guid.NewGuid().ToString())
                 .EnableSensitiveDataLogging()
+                // Bulk endpoints open a transaction; InMemory has none and would otherwise throw
+                .ConfigureWarnings(w => w.Ignore(InMemoryEventId.TransactionIgnoredWarning))
                 .Options;
 
             return new AppDbContext(opts);
@@ -100,8 +103,8 @@ public async Task List_InvalidTypeFilter_ReturnsBadRequest()
             var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict); // constructor requires AppDbContext
             var controller = CreateController(db, tagSync);
 
-            var result = await controller.List(q: null, type: "NOT_A_VALID_ENUM", subType: null, status: null,
-                                               tag: null, sort: "updated", dir: "desc", page: 1, pageSize: 20, ct: default);
+            var result = await controller.List(q: null, type: new[] { "NOT_A_VALID_ENUM" }, subType: null, status: null,
+                                               tag: null, tagMatch: "any", sort: "updated", dir: "desc", page: 1, pageSize: 20, ct: default);
 
             var bad = Assert.IsType<BadRequestObjectResult>(result);
             Assert.IsType<ProblemDetails>(bad.Value);
@@ -121,7 +124,7 @@ public async Task List_Defaults_ReturnsOkWithEnvelope()
 
             var controller = CreateController(db, tagSync, userId);
 
-            var result = await controller.List(null, null, null, null, null, "updated", "desc", 1, 20, default);
+            var result = await controller.List(null, null, null, null, null, "any", "updated", "desc", 1, 20, default);
             var ok = Assert.IsType<OkObjectResult>(result);
             var envelope = Assert.IsType<PagedResult<MediaEntryDto>>(ok.Value);
 
@@ -129,6 +132,109 @@ public async Task List_Defaults_ReturnsOkWithEnvelope()
             Assert.All(envelope.Items, dto => Assert.Equal(userId, dto.UserId));
         }
 
+        [Fact]
+        public async Task List_MultipleStatuses_RepeatedAndCommaSeparated_ReturnsUnion()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var userId = Guid.NewGuid();
+
+            SeedEntry(db, userId, "Planned");
+            var watching = SeedEntry(db, userId, "Watching");
+            watching.Status = EntryStatus.Watching;
+            var onHold = SeedEntry(db, userId, "OnHold");
+            onHold.Status = EntryStatus.OnHold;
+            db.SaveChanges();
+
+            var controller = CreateController(db, tagSync, userId);
+
+            // One repeated value plus one comma-separated pair (with a duplicate) behaves like three values
+            var result = await controller.List(null, null, null, new[] { "watching", "OnHold, watching" }, null, "any", "title", "asc", 1, 20, default);
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var envelope = Assert.IsType<PagedResult<MediaEntryDto>>(ok.Value);
+
+            Assert.Equal(2, envelope.Total);
+            Assert.Equal(new[] { "OnHold", "Watching" }, envelope.Items.Select(i => i.Title));
+        }
+
+        [Fact]
+        public async Task List_InvalidValueInMultiFilter_ReturnsBadRequest()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var controller = CreateController(db, tagSync);
+
+            var result = await controller.List(null, null, new[] { "Anime,NotASubType" }, null, null, "any", "updated", "desc", 1, 20, default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            var problem = Assert.IsType<ProblemDetails>(bad.Value);
+            Assert.Contains("NotASubType", problem.Detail);
+        }
+
+        [Fact]
+        public async Task List_InvalidTagMatch_ReturnsBadRequest()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var controller = CreateController(db, tagSync);
+
+            var result = await controller.List(null, null, null, null, new[] { "drama" }, "some", "updated", "desc", 1, 20, default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            Assert.IsType<ProblemDetails>(bad.Value);
+        }
+
+        [Fact]
+        public async Task List_SortByStatus_UsesWorkflowOrder_NotAlphabetical()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var userId = Guid.NewGuid();
+
+            foreach (var status in new[] { EntryStatus.Dropped, EntryStatus.Completed, EntryStatus.OnHold, EntryStatus.Watching, EntryStatus.Planning })
+            {
+                var e = SeedEntry(db, userId, status.ToString());
+                e.Status = status;
+            }
+            db.SaveChanges();
+
+            var controller = CreateController(db, tagSync, userId);
+
+            var result = await controller.List(null, null, null, null, null, "any", "status", "asc", 1, 20, default);
+            var envelope = Assert.IsType<PagedResult<MediaEntryDto>>(Assert.IsType<OkObjectResult>(result).Value);
+
+            Assert.Equal(
+                new[] { EntryStatus.Planning, EntryStatus.Watching, EntryStatus.OnHold, EntryStatus.Completed, EntryStatus.Dropped },
+                envelope.Items.Select(i => i.Status));
+        }
+
+        [Fact]
+        public async Task List_EqualSortKeys_TieBreakOnTitle_AcrossPages()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var userId = Guid.NewGuid();
+
+            // Same rating for every entry, seeded out of title order
+            foreach (var title in new[] { "Delta", "Alpha", "Charlie", "Bravo" })
+            {
+                var e = SeedEntry(db, userId, title);
+                e.Rating = 8m;
+            }
+            db.SaveChanges();
+
+            var controller = CreateController(db, tagSync, userId);
+
+            var page1 = await controller.List(null, null, null, null, null, "any", "rating", "desc", 1, 2, default);
+            var page2 = await controller.List(null, null, null, null, null, "any", "rating", "desc", 2, 2, default);
+
+            var titles = new[] { page1, page2 }
+                .SelectMany(r => Assert.IsType<PagedResult<MediaEntryDto>>(Assert.IsType<OkObjectResult>(r).Value).Items)
+                .Select(i => i.Title);
+
+            Assert.Equal(new[] { "Alpha", "Bravo", "Charlie", "Delta" }, titles);
+        }
+
         // ----------------
         // GetById endpoint
         // ----------------
@@ -300,6 +406,140 @@ public async Task Update_TitleWhitespace_ReturnsBadRequest()
             Assert.IsType<ProblemDetails>(bad.Value);
         }
 
+        [Fact]
+        public async Task Update_StaleIfMatch_Returns412WithCurrentEntry()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var userId = Guid.NewGuid();
+            var seeded = SeedEntry(db, userId, "Saved elsewhere");
+
+            var controller = CreateController(db, tagSync, userId);
+            controller.Request.Headers.IfMatch = "\"0\"";
+            var dto = new UpdateMediaEntryDto { Id = seeded.Id, Title = "Mine", Status = EntryStatus.Planning };
+
+            var result = await controller.Update(seeded.Id, dto, default);
+
+            var conflict = Assert.IsType<ObjectResult>(result);
+            Assert.Equal(StatusCodes.Status412PreconditionFailed, conflict.StatusCode);
+            var problem = Assert.IsType<ProblemDetails>(conflict.Value);
+            var current = Assert.IsType<MediaEntryDto>(problem.Extensions["current"]);
+            Assert.Equal("Saved elsewhere", current.Title);
+            Assert.Equal(seeded.UpdatedAtUtc.Ticks.ToString("x"), current.Version);
+            Assert.Equal("Saved elsewhere", db.MediaEntries.Single().Title);
+        }
+
+        [Fact]
+        public async Task Update_MatchingIfMatch_SavesAndReturnsNewETag()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>();
+            var userId = Guid.NewGuid();
+            var seeded = SeedEntry(db, userId, "Before");
+            var version = seeded.UpdatedAtUtc.Ticks.ToString("x");
+
+            var controller = CreateController(db, tagSync, userId);
+            controller.Request.Headers.IfMatch = $"\"{version}\"";
+            var dto = new UpdateMediaEntryDto { Id = seeded.Id, Title = "After", Status = EntryStatus.Planning };
+
+            var result = await controller.Update(seeded.Id, dto, default);
+
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var returned = Assert.IsType<MediaEntryDto>(ok.Value);
+            Assert.Equal("After", returned.Title);
+            Assert.NotEqual(version, returned.Version);
+            Assert.Equal($"\"{returned.Version}\"", controller.Response.Headers.ETag.ToString());
+        }
+
+        // ----------------------
+        // History (GET)
+        // ----------------------
+
+        [Fact]
+        public async Task GetHistory_OtherUsersEntry_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var seeded = SeedEntry(db, Guid.NewGuid(), "Not mine");
+
+            var controller = CreateController(db, tagSync, Guid.NewGuid());
+
+            var result = await controller.GetHistory(seeded.Id, default);
+            Assert.IsType<NotFoundResult>(result);
+        }
+
+        [Fact]
+        public async Task GetHistory_AfterUpdate_ReturnsStatusAndRatingChanges()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>();
+            tagSync
+                .Setup(s => s.SyncAsync(It.IsAny<MediaEntry>(), It.IsAny<IEnumerable<string>>(), It.IsAny<Guid>(), It.IsAny<CancellationToken>()))
+                .Returns(Task.CompletedTask);
+
+            var userId = Guid.NewGuid();
+            var seeded = SeedEntry(db, userId, "Tracked");
+            var controller = CreateController(db, tagSync, userId);
+
+            await controller.Update(seeded.Id, new UpdateMediaEntryDto { Id = seeded.Id, Status = EntryStatus.Completed, Rating = 9.0m }, default);
+
+            var result = await controller.GetHistory(seeded.Id, default);
+
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var rows = Assert.IsAssignableFrom<IReadOnlyList<EntryHistoryDto>>(ok.Value);
+            Assert.Equal(2, rows.Count);
+
+            var status = rows.Single(r => r.Field == EntryHistoryField.Status);
+            Assert.Equal("Planning", status.OldValue);
+            Assert.Equal("Completed", status.NewValue);
+
+            var rating = rows.Single(r => r.Field == EntryHistoryField.Rating);
+            Assert.Null(rating.OldValue);
+            Assert.Equal("9.0", rating.NewValue);
+        }
+
+        // ----------------------
+        // Progress (POST +1)
+        // ----------------------
+
+        [Fact]
+        public async Task IncrementProgress_NotFound_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var controller = CreateController(db, tagSync);
+
+            var result = await controller.IncrementProgress(Guid.NewGuid(), new ProgressIncrementDto { Unit = ProgressUnit.Episode }, default);
+            Assert.IsType<NotFoundResult>(result);
+        }
+
+        [Fact]
+        public async Task IncrementProgress_ReachingTotal_CompletesEntry_AndLeavesTagsAlone()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict); // "+1" must not reconcile tags
+            var userId = Guid.NewGuid();
+            var seeded = SeedEntry(db, userId, "Show");
+            seeded.Status = EntryStatus.Watching;
+            seeded.CurrentEpisode = 11;
+            seeded.TotalEpisodes = 12;
+            db.SaveChanges();
+
+            var controller = CreateController(db, tagSync, userId);
+
+            var result = await controller.IncrementProgress(seeded.Id, new ProgressIncrementDto { Unit = ProgressUnit.Episode }, default);
+
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var returned = Assert.IsType<MediaEntryDto>(ok.Value);
+            Assert.Equal(12, returned.CurrentEpisode);
+            Assert.Equal(EntryStatus.Completed, returned.Status);
+
+            // Clamped at the total on further clicks
+            result = await controller.IncrementProgress(seeded.Id, new ProgressIncrementDto { Unit = ProgressUnit.Episode }, default);
+            returned = Assert.IsType<MediaEntryDto>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal(12, returned.CurrentEpisode);
+        }
+
         // ------------
         // Delete (DEL)
         // ------------
@@ -332,5 +572,73 @@ public async Task Delete_Found_ReturnsNoContent()
             // but with InMemory provider we can at least assert it no longer exists in the set.
             Assert.False(db.MediaEntries.Any(e => e.Id == seeded.Id));
         }
-    }
+    
+        // ------------
+        // Bulk actions
+        // ------------
+
+        [Fact]
+        public async Task BulkStatus_MixedIds_ReportsPerItem_AndUpdatesFound()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var userId = Guid.NewGuid();
+            var a = SeedEntry(db, userId, "A");
+            var b = SeedEntry(db, userId, "B");
+            var missing = Guid.NewGuid();
+
+            var controller = CreateController(db, tagSync, userId);
+
+            var result = await controller.BulkStatus(new BulkStatusDto
+            {
+                Ids = new List<Guid> { a.Id, missing, b.Id, a.Id },   // duplicate collapses
+                Status = EntryStatus.OnHold
+            }, default);
+
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var bulk = Assert.IsType<BulkResultDto>(ok.Value);
+            Assert.Equal(new[] { a.Id, missing, b.Id }, bulk.Items.Select(i => i.Id));
+            Assert.Equal(2, bulk.Succeeded);
+            Assert.Equal(1, bulk.Failed);
+            Assert.Equal("Entry not found.", bulk.Items[1].Error);
+
+            Assert.All(db.MediaEntries.AsNoTracking().ToList(), e => Assert.Equal(EntryStatus.OnHold, e.Status));
+        }
+
+        [Fact]
+        public async Task BulkDelete_RemovesOnlyCallersEntries()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var userId = Guid.NewGuid();
+            var mine = SeedEntry(db, userId, "Mine");
+            var theirs = SeedEntry(db, Guid.NewGuid(), "Theirs");
+
+            var controller = CreateController(db, tagSync, userId);
+
+            var result = await controller.BulkDelete(new BulkEntryIdsDto { Ids = new List<Guid> { mine.Id, theirs.Id } }, default);
+
+            var bulk = Assert.IsType<BulkResultDto>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.True(bulk.Items[0].Ok);
+            Assert.False(bulk.Items[1].Ok);
+            Assert.False(db.MediaEntries.Any(e => e.Id == mine.Id));
+            Assert.True(db.MediaEntries.Any(e => e.Id == theirs.Id));
+        }
+
+        [Fact]
+        public async Task BulkTags_NothingToAddOrRemove_ReturnsBadRequest()
+        {
+            using var db = CreateInMemoryDb();
+            var tagSync = new Mock<ITagSyncService>(MockBehavior.Strict);
+            var userId = Guid.NewGuid();
+            var seeded = SeedEntry(db, userId);
+
+            var controller = CreateController(db, tagSync, userId);
+
+            var result = await controller.BulkTags(new BulkTagsDto { Ids = new List<Guid> { seeded.Id }, Add = new[] { "  " } }, default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            Assert.Equal("Validation error", Assert.IsType<ProblemDetails>(bad.Value).Title);
+        }
+}
 }
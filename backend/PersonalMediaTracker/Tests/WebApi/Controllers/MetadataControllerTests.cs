@@ -0,0 +1,165 @@
+﻿// Purpose: Unit tests for MetadataController against EF InMemory.
+// Covers:
+// - Every enum value is listed with a label (including ones the old hard-coded UI lacked, e.g. SubType Other)
+// - Tag catalog: the caller's tags with usage counts, merged with the suggested genres
+// - Other users' tags and trashed entries don't count
+
+using System;
+using System.Linq;
+using System.Security.Claims;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Controllers;
+using Xunit;
+
+namespace Tests.WebApi.Controllers
+{
+    public class MetadataControllerTests
+    {
+        // -----------------------
+        // Helpers / Test plumbing
+        // -----------------------
+
+        private static AppDbContext CreateInMemoryDb()
+        {
+            var opts = new DbContextOptionsBuilder<AppDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .EnableSensitiveDataLogging()
+                .Options;
+
+            return new AppDbContext(opts);
+        }
+
+        private static MetadataController CreateController(AppDbContext db, Guid userId)
+        {
+            var controller = new MetadataController(db);
+
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.NameIdentifier, userId.ToString())
+            }, "TestAuth");
+
+            controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+            };
+
+            return controller;
+        }
+
+        private static MediaEntry SeedEntry(AppDbContext db, Guid userId, string title, params Tag[] tags)
+        {
+            var entry = new MediaEntry { Id = Guid.NewGuid(), UserId = userId, Title = title, Type = EntryType.Movie, Status = EntryStatus.Planning };
+            foreach (var tag in tags)
+            {
+                entry.EntryTags.Add(new EntryTag { MediaEntry = entry, Tag = tag });
+            }
+            db.MediaEntries.Add(entry);
+            db.SaveChanges();
+            return entry;
+        }
+
+        private static async Task<MetadataDto> GetAsync(AppDbContext db, Guid userId)
+        {
+            var result = await CreateController(db, userId).Get(CancellationToken.None);
+            var ok = Assert.IsType<OkObjectResult>(result);
+            return Assert.IsType<MetadataDto>(ok.Value);
+        }
+
+        // -----------------------
+        // Tests
+        // -----------------------
+
+        [Fact]
+        public async Task Get_ListsEveryEnumValue_WithLabels()
+        {
+            using var db = CreateInMemoryDb();
+
+            var dto = await GetAsync(db, Guid.NewGuid());
+
+            Assert.Equal(Enum.GetNames<EntryType>(), dto.Types.Select(o => o.Value));
+            Assert.Equal(Enum.GetNames<EntrySubType>(), dto.SubTypes.Select(o => o.Value));
+            Assert.Equal(Enum.GetNames<EntryStatus>(), dto.Statuses.Select(o => o.Value));
+
+            Assert.Equal("Live Action", dto.SubTypes.Single(o => o.Value == "LiveAction").Label);
+            Assert.Equal("Other", dto.SubTypes.Single(o => o.Value == "Other").Label);
+            Assert.Equal("On Hold", dto.Statuses.Single(o => o.Value == "OnHold").Label);
+            Assert.Equal("Plan to Watch / Read", dto.Statuses.Single(o => o.Value == "Planning").Label);
+        }
+
+        [Fact]
+        public async Task Get_ListsAllowedSubTypesPerType()
+        {
+            using var db = CreateInMemoryDb();
+
+            var dto = await GetAsync(db, Guid.NewGuid());
+
+            Assert.Equal(Enum.GetNames<EntryType>().OrderBy(n => n), dto.SubTypesByType.Keys.OrderBy(n => n));
+            Assert.DoesNotContain("Manga", dto.SubTypesByType["Movie"]);
+            Assert.Contains("Manga", dto.SubTypesByType["Series"]);
+        }
+
+        [Fact]
+        public async Task Get_NewUser_GetsSuggestedGenres()
+        {
+            using var db = CreateInMemoryDb();
+
+            var dto = await GetAsync(db, Guid.NewGuid());
+
+            Assert.Equal(MetadataController.SuggestedGenres.OrderBy(g => g), dto.Tags.Select(t => t.Name));
+            Assert.All(dto.Tags, t => Assert.Equal(0, t.Count));
+        }
+
+        [Fact]
+        public async Task Get_Tags_CountCallersEntries_AndMergeSuggestions()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var otherUser = Guid.NewGuid();
+
+            var drama = new Tag { UserId = userId, Name = "drama" };
+            var noir = new Tag { UserId = userId, Name = "noir" };
+            SeedEntry(db, userId, "Heat", drama, noir);
+            SeedEntry(db, userId, "Arrival", drama);
+            var trashed = SeedEntry(db, userId, "Trashed", noir);
+            SeedEntry(db, otherUser, "Theirs", new Tag { UserId = otherUser, Name = "western" });
+
+            trashed.IsDeleted = true;
+            trashed.DeletedAtUtc = DateTime.UtcNow;
+            db.SaveChanges();
+
+            var dto = await GetAsync(db, userId);
+
+            Assert.Equal(2, dto.Tags.Single(t => t.Name == "drama").Count);
+            Assert.Equal(1, dto.Tags.Single(t => t.Name == "noir").Count);
+            Assert.Equal(0, dto.Tags.Single(t => t.Name == "action").Count);
+            Assert.DoesNotContain(dto.Tags, t => t.Name == "western");
+            Assert.Single(dto.Tags, t => t.Name == "drama");
+            Assert.Equal(dto.Tags.Select(t => t.Name).OrderBy(n => n, StringComparer.OrdinalIgnoreCase), dto.Tags.Select(t => t.Name));
+        }
+
+        [Fact]
+        public async Task Get_Collections_CallersOnly_ByName_WithCounts()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var heat = SeedEntry(db, userId, "Heat");
+            var favorites = new MediaCollection { UserId = userId, Name = "Favorites" };
+            db.Collections.AddRange(favorites, new MediaCollection { UserId = userId, Name = "Crime" }, new MediaCollection { UserId = Guid.NewGuid(), Name = "Theirs" });
+            db.CollectionEntries.Add(new CollectionEntry { Collection = favorites, MediaEntryId = heat.Id, Position = 0 });
+            db.SaveChanges();
+
+            var dto = await GetAsync(db, userId);
+
+            Assert.Equal(new[] { "Crime", "Favorites" }, dto.Collections.Select(c => c.Name));
+            Assert.Equal(new[] { 0, 1 }, dto.Collections.Select(c => c.Count));
+        }
+    }
+}
@@ -0,0 +1,149 @@
+﻿// Purpose: Unit tests for SharedController (the public share view) against EF InMemory.
+// Strategy:
+// - No user on the HttpContext: the token alone decides what is shown.
+// - Checks anonymization (no notes unless included), the stored filter and the 404 cases.
+
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Controllers;
+using WebApi.Mapping;
+using Xunit;
+
+namespace Tests.WebApi.Controllers
+{
+    public class SharedControllerTests
+    {
+        // -----------------------
+        // Helpers / Test plumbing
+        // -----------------------
+
+        private static AppDbContext CreateInMemoryDb()
+        {
+            var opts = new DbContextOptionsBuilder<AppDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .EnableSensitiveDataLogging()
+                .Options;
+
+            return new AppDbContext(opts);
+        }
+
+        private static SharedController CreateController(AppDbContext db)
+        {
+            return new SharedController(db)
+            {
+                ControllerContext = new ControllerContext { HttpContext = new DefaultHttpContext() }
+            };
+        }
+
+        private static void SeedEntry(AppDbContext db, Guid userId, string title, EntryStatus status, string? notes = null)
+        {
+            db.MediaEntries.Add(new MediaEntry { UserId = userId, Title = title, Type = EntryType.Movie, Status = status, Notes = notes });
+            db.SaveChanges();
+        }
+
+        private static ShareLink SeedLink(AppDbContext db, Guid userId, EntryFilterDto? filter = null, bool includeNotes = false, DateTime? expiresAtUtc = null)
+        {
+            var link = new ShareLink
+            {
+                UserId = userId,
+                Token = Guid.NewGuid().ToString("N").ToUpperInvariant(),
+                Filter = ShareLinkMappings.WriteFilter(filter),
+                IncludeNotes = includeNotes,
+                ExpiresAtUtc = expiresAtUtc
+            };
+            db.ShareLinks.Add(link);
+            db.SaveChanges();
+            db.ChangeTracker.Clear();
+            return link;
+        }
+
+        // ------------
+        // Get
+        // ------------
+
+        [Fact]
+        public async Task Get_ReturnsOwnersEntries_WithoutNotes()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedEntry(db, userId, "Heat", EntryStatus.Completed, notes: "private thoughts");
+            SeedEntry(db, userId, "Alien", EntryStatus.Planning);
+            SeedEntry(db, Guid.NewGuid(), "Someone else's", EntryStatus.Completed);
+            var link = SeedLink(db, userId);
+
+            var result = await CreateController(db).Get(link.Token, sort: "title", dir: "asc");
+
+            var dto = Assert.IsType<SharedListDto>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal(new[] { "Alien", "Heat" }, dto.Items.Select(e => e.Title));
+            Assert.All(dto.Items, e => Assert.Null(e.Notes));
+            Assert.False(dto.IncludesNotes);
+            Assert.Null(dto.Filter);
+            Assert.Equal(2, dto.Total);
+        }
+
+        [Fact]
+        public async Task Get_AppliesStoredFilter_AndIncludesNotesWhenOptedIn()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedEntry(db, userId, "Heat", EntryStatus.Completed, notes: "great");
+            SeedEntry(db, userId, "Alien", EntryStatus.Planning);
+            var link = SeedLink(db, userId, new EntryFilterDto { Status = new[] { "Completed" } }, includeNotes: true);
+
+            var result = await CreateController(db).Get(link.Token);
+
+            var dto = Assert.IsType<SharedListDto>(Assert.IsType<OkObjectResult>(result).Value);
+            var only = Assert.Single(dto.Items);
+            Assert.Equal("Heat", only.Title);
+            Assert.Equal("great", only.Notes);
+            Assert.Equal(new[] { "Completed" }, dto.Filter!.Status);
+        }
+
+        [Fact]
+        public async Task Get_CollectionFilter_ReportsCollectionName()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedEntry(db, userId, "Heat", EntryStatus.Completed);
+            SeedEntry(db, userId, "Alien", EntryStatus.Completed);
+            var collection = new MediaCollection { UserId = userId, Name = "Crime" };
+            db.Collections.Add(collection);
+            db.CollectionEntries.Add(new CollectionEntry { Collection = collection, MediaEntryId = db.MediaEntries.Single(e => e.Title == "Heat").Id, Position = 0 });
+            db.SaveChanges();
+            var link = SeedLink(db, userId, new EntryFilterDto { Collection = collection.Id });
+
+            var result = await CreateController(db).Get(link.Token);
+
+            var dto = Assert.IsType<SharedListDto>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal("Heat", Assert.Single(dto.Items).Title);
+            Assert.Equal("Crime", dto.CollectionName);
+        }
+
+        [Fact]
+        public async Task Get_UnknownRevokedOrExpired_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var expired = SeedLink(db, userId, expiresAtUtc: DateTime.UtcNow.AddMinutes(-1));
+            var revoked = SeedLink(db, userId);
+            db.ShareLinks.Remove(db.ShareLinks.Single(s => s.Id == revoked.Id)); // soft delete
+            db.SaveChanges();
+
+            foreach (var token in new[] { "NOPE", expired.Token, revoked.Token })
+            {
+                var result = await CreateController(db).Get(token);
+
+                var notFound = Assert.IsType<NotFoundObjectResult>(result);
+                Assert.IsType<ProblemDetails>(notFound.Value);
+            }
+        }
+    }
+}
@@ -0,0 +1,209 @@
+﻿// Purpose: Unit tests for SharesController (the owner's share links) against EF InMemory.
+// Strategy:
+// - Create validates expiry and filter, stores the filter as JSON and issues a random token.
+// - Listing and revoking are scoped to the caller.
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Claims;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Controllers;
+using WebApi.Mapping;
+using Xunit;
+
+namespace Tests.WebApi.Controllers
+{
+    public class SharesControllerTests
+    {
+        // -----------------------
+        // Helpers / Test plumbing
+        // -----------------------
+
+        private static AppDbContext CreateInMemoryDb()
+        {
+            var opts = new DbContextOptionsBuilder<AppDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .EnableSensitiveDataLogging()
+                .Options;
+
+            return new AppDbContext(opts);
+        }
+
+        private static SharesController CreateController(AppDbContext db, Guid userId)
+        {
+            var controller = new SharesController(db);
+
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.NameIdentifier, userId.ToString())
+            }, "TestAuth");
+
+            controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+            };
+
+            return controller;
+        }
+
+        private static ShareLink SeedLink(AppDbContext db, Guid userId, string token, DateTime? expiresAtUtc = null)
+        {
+            var link = new ShareLink { UserId = userId, Token = token, ExpiresAtUtc = expiresAtUtc };
+            db.ShareLinks.Add(link);
+            db.SaveChanges();
+            db.ChangeTracker.Clear();
+            return link;
+        }
+
+        // ------------
+        // Create
+        // ------------
+
+        [Fact]
+        public async Task Create_StoresNormalizedFilter_AndIssuesToken()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var dto = new CreateShareLinkDto
+            {
+                Name = "  For Sam ",
+                Filter = new EntryFilterDto { Q = "  ", Status = new[] { "Completed", "" }, TagMatch = "all" },
+                IncludeNotes = true,
+                ExpiresAtUtc = DateTime.UtcNow.AddDays(7)
+            };
+
+            var result = await CreateController(db, userId).Create(dto, default);
+
+            var created = Assert.IsType<CreatedAtActionResult>(result);
+            var link = Assert.IsType<ShareLinkDto>(created.Value);
+            Assert.Equal("For Sam", link.Name);
+            Assert.Matches("^[0-9A-F]{32}$", link.Token);
+            Assert.True(link.IncludeNotes);
+            Assert.False(link.IsExpired);
+            Assert.NotNull(link.Filter);
+            Assert.Null(link.Filter!.Q);
+            Assert.Equal(new[] { "Completed" }, link.Filter.Status);
+            Assert.Null(link.Filter.TagMatch); // no tags, so the match mode is dropped
+
+            var stored = await db.ShareLinks.SingleAsync();
+            Assert.Equal(userId, stored.UserId);
+            Assert.Equal(link.Token, stored.Token);
+        }
+
+        [Fact]
+        public async Task Create_EmptyFilter_SharesWholeLibrary()
+        {
+            using var db = CreateInMemoryDb();
+
+            var result = await CreateController(db, Guid.NewGuid()).Create(new CreateShareLinkDto { Filter = new EntryFilterDto { Type = new[] { " " } } }, default);
+
+            var link = Assert.IsType<ShareLinkDto>(Assert.IsType<CreatedAtActionResult>(result).Value);
+            Assert.Null(link.Filter);
+            Assert.Null((await db.ShareLinks.SingleAsync()).Filter);
+        }
+
+        [Fact]
+        public async Task Create_FilterTooLongToStore_Returns400()
+        {
+            using var db = CreateInMemoryDb();
+            var dto = new CreateShareLinkDto { Filter = new EntryFilterDto { Q = new string('a', ShareLinkMappings.MaxFilterLength) } };
+
+            var result = await CreateController(db, Guid.NewGuid()).Create(dto, default);
+
+            var problem = Assert.IsType<ValidationProblemDetails>(Assert.IsType<BadRequestObjectResult>(result).Value);
+            Assert.True(problem.Errors.ContainsKey("filter"));
+            Assert.Empty(db.ShareLinks);
+        }
+
+        [Fact]
+        public async Task Create_ExpiryInThePast_Returns400()
+        {
+            using var db = CreateInMemoryDb();
+
+            var result = await CreateController(db, Guid.NewGuid()).Create(new CreateShareLinkDto { ExpiresAtUtc = DateTime.UtcNow.AddMinutes(-1) }, default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            Assert.IsType<ProblemDetails>(bad.Value);
+            Assert.False(await db.ShareLinks.AnyAsync());
+        }
+
+        [Fact]
+        public async Task Create_InvalidFilterValue_Returns400()
+        {
+            using var db = CreateInMemoryDb();
+
+            var result = await CreateController(db, Guid.NewGuid()).Create(new CreateShareLinkDto { Filter = new EntryFilterDto { Status = new[] { "Binging" } } }, default);
+
+            var problem = Assert.IsType<ProblemDetails>(Assert.IsType<BadRequestObjectResult>(result).Value);
+            Assert.Equal("Invalid 'status' filter", problem.Title);
+        }
+
+        [Fact]
+        public async Task Create_OtherUsersCollection_Returns400()
+        {
+            using var db = CreateInMemoryDb();
+            var theirs = new MediaCollection { UserId = Guid.NewGuid(), Name = "Theirs" };
+            db.Collections.Add(theirs);
+            db.SaveChanges();
+
+            var result = await CreateController(db, Guid.NewGuid()).Create(new CreateShareLinkDto { Filter = new EntryFilterDto { Collection = theirs.Id } }, default);
+
+            var problem = Assert.IsType<ProblemDetails>(Assert.IsType<BadRequestObjectResult>(result).Value);
+            Assert.Equal("Invalid 'collection' filter", problem.Title);
+        }
+
+        // ------------
+        // List / Revoke
+        // ------------
+
+        [Fact]
+        public async Task List_ReturnsCallersLinks_FlagsExpired()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedLink(db, userId, "AAAA", DateTime.UtcNow.AddDays(-1));
+            SeedLink(db, userId, "BBBB");
+            SeedLink(db, Guid.NewGuid(), "CCCC");
+
+            var result = await CreateController(db, userId).List(default);
+
+            var list = Assert.IsAssignableFrom<IReadOnlyList<ShareLinkDto>>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal(new[] { "AAAA", "BBBB" }, list.Select(l => l.Token).OrderBy(t => t));
+            Assert.True(list.Single(l => l.Token == "AAAA").IsExpired);
+            Assert.False(list.Single(l => l.Token == "BBBB").IsExpired);
+        }
+
+        [Fact]
+        public async Task Revoke_SoftDeletesLink()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var link = SeedLink(db, userId, "AAAA");
+
+            var result = await CreateController(db, userId).Revoke(link.Id, default);
+
+            Assert.IsType<NoContentResult>(result);
+            Assert.False(await db.ShareLinks.AnyAsync());
+            Assert.True((await db.ShareLinks.IgnoreQueryFilters().SingleAsync()).IsDeleted);
+        }
+
+        [Fact]
+        public async Task Revoke_OtherUsersLink_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var link = SeedLink(db, Guid.NewGuid(), "AAAA");
+
+            var result = await CreateController(db, Guid.NewGuid()).Revoke(link.Id, default);
+
+            Assert.IsType<NotFoundResult>(result);
+            Assert.True(await db.ShareLinks.AnyAsync());
+        }
+    }
+}
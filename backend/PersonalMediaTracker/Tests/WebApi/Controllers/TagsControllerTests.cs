@@ -0,0 +1,224 @@
+﻿// Purpose: Unit tests for TagsController against EF InMemory.
+// Strategy:
+// - List/create/rename run against InMemory directly.
+// - Mock ITagService; merge/delete use ExecuteDelete, which InMemory can't run
+//   (covered by TagServiceTests and TagsIntegrationTests).
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Claims;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Moq;
+using WebApi.Contracts;
+using WebApi.Controllers;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Controllers
+{
+    public class TagsControllerTests
+    {
+        // -----------------------
+        // Helpers / Test plumbing
+        // -----------------------
+
+        private static AppDbContext CreateInMemoryDb()
+        {
+            var opts = new DbContextOptionsBuilder<AppDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .EnableSensitiveDataLogging()
+                .Options;
+
+            return new AppDbContext(opts);
+        }
+
+        private static TagsController CreateController(AppDbContext db, Mock<ITagService> tagsMock, Guid userId)
+        {
+            var controller = new TagsController(db, tagsMock.Object);
+
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.NameIdentifier, userId.ToString())
+            }, "TestAuth");
+
+            controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+            };
+
+            return controller;
+        }
+
+        private static Tag SeedTag(AppDbContext db, Guid userId, string name, int entries = 0)
+        {
+            var tag = new Tag { UserId = userId, Name = name };
+            db.Tags.Add(tag);
+            for (var i = 0; i < entries; i++)
+            {
+                var entry = new MediaEntry { UserId = userId, Title = $"{name} {i}", Type = EntryType.Movie, Status = EntryStatus.Planning };
+                entry.EntryTags.Add(new EntryTag { MediaEntry = entry, Tag = tag });
+                db.MediaEntries.Add(entry);
+            }
+            db.SaveChanges();
+            db.ChangeTracker.Clear();
+            return tag;
+        }
+
+        private static Mock<ITagService> StrictTags() => new(MockBehavior.Strict);
+
+        // ------------
+        // List
+        // ------------
+
+        [Fact]
+        public async Task List_ReturnsCallersTags_ByName_WithCounts()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedTag(db, userId, "noir", entries: 2);
+            SeedTag(db, userId, "drama", entries: 1);
+            SeedTag(db, Guid.NewGuid(), "western", entries: 1);
+
+            var result = await CreateController(db, StrictTags(), userId).List(default);
+
+            var tags = Assert.IsAssignableFrom<IReadOnlyList<TagDto>>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal(new[] { "drama", "noir" }, tags.Select(t => t.Name));
+            Assert.Equal(new[] { 1, 2 }, tags.Select(t => t.Count));
+        }
+
+        // ------------
+        // Create
+        // ------------
+
+        [Fact]
+        public async Task Create_NormalizesName_Returns201()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+
+            var result = await CreateController(db, StrictTags(), userId).Create(new TagNameDto { Name = "  Slice of Life " }, default);
+
+            var created = Assert.IsType<CreatedAtActionResult>(result);
+            var dto = Assert.IsType<TagDto>(created.Value);
+            Assert.Equal("slice of life", dto.Name);
+            Assert.Equal(0, dto.Count);
+            Assert.True(await db.Tags.AnyAsync(t => t.UserId == userId && t.Name == "slice of life"));
+        }
+
+        [Fact]
+        public async Task Create_ExistingName_Returns409()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            SeedTag(db, userId, "drama");
+
+            var result = await CreateController(db, StrictTags(), userId).Create(new TagNameDto { Name = "Drama" }, default);
+
+            var conflict = Assert.IsType<ConflictObjectResult>(result);
+            Assert.IsType<ProblemDetails>(conflict.Value);
+            Assert.Equal(1, await db.Tags.CountAsync());
+        }
+
+        // ------------
+        // Rename
+        // ------------
+
+        [Fact]
+        public async Task Rename_UpdatesName_KeepsLinks()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var tag = SeedTag(db, userId, "scifi", entries: 2);
+
+            var result = await CreateController(db, StrictTags(), userId).Rename(tag.Id, new TagNameDto { Name = "Sci-Fi" }, default);
+
+            var dto = Assert.IsType<TagDto>(Assert.IsType<OkObjectResult>(result).Value);
+            Assert.Equal("sci-fi", dto.Name);
+            Assert.Equal(2, dto.Count);
+            var entryTagNames = await db.EntryTags.Include(et => et.Tag).Select(et => et.Tag.Name).ToListAsync();
+            Assert.All(entryTagNames, n => Assert.Equal("sci-fi", n));
+        }
+
+        [Fact]
+        public async Task Rename_OntoAnotherTagsName_Returns409()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var tag = SeedTag(db, userId, "scifi");
+            SeedTag(db, userId, "sci-fi");
+
+            var result = await CreateController(db, StrictTags(), userId).Rename(tag.Id, new TagNameDto { Name = "sci-fi" }, default);
+
+            Assert.IsType<ConflictObjectResult>(result);
+        }
+
+        [Fact]
+        public async Task Rename_OtherUsersTag_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var tag = SeedTag(db, Guid.NewGuid(), "drama");
+
+            var result = await CreateController(db, StrictTags(), Guid.NewGuid()).Rename(tag.Id, new TagNameDto { Name = "mine" }, default);
+
+            Assert.IsType<NotFoundResult>(result);
+        }
+
+        // ------------
+        // Merge / Delete
+        // ------------
+
+        [Fact]
+        public async Task Merge_IntoItself_Returns400_WithoutCallingService()
+        {
+            using var db = CreateInMemoryDb();
+            var id = Guid.NewGuid();
+
+            var result = await CreateController(db, StrictTags(), Guid.NewGuid()).Merge(id, new TagMergeDto { TargetId = id }, default);
+
+            var bad = Assert.IsType<BadRequestObjectResult>(result);
+            Assert.IsType<ProblemDetails>(bad.Value);
+        }
+
+        [Fact]
+        public async Task Merge_ServiceFindsNothing_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var (source, target) = (Guid.NewGuid(), Guid.NewGuid());
+
+            var tags = StrictTags();
+            tags.Setup(t => t.MergeAsync(userId, source, target, It.IsAny<CancellationToken>())).ReturnsAsync(false);
+
+            var result = await CreateController(db, tags, userId).Merge(source, new TagMergeDto { TargetId = target }, default);
+
+            Assert.IsType<NotFoundResult>(result);
+            tags.VerifyAll();
+        }
+
+        [Theory]
+        [InlineData(true, typeof(NoContentResult))]
+        [InlineData(false, typeof(NotFoundResult))]
+        public async Task Delete_MapsServiceResult(bool deleted, Type expected)
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var id = Guid.NewGuid();
+
+            var tags = StrictTags();
+            tags.Setup(t => t.DeleteAsync(userId, id, It.IsAny<CancellationToken>())).ReturnsAsync(deleted);
+
+            var result = await CreateController(db, tags, userId).Delete(id, default);
+
+            Assert.IsType(expected, result);
+            tags.VerifyAll();
+        }
+    }
+}
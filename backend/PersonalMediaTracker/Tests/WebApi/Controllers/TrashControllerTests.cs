@@ -0,0 +1,194 @@
+﻿// Purpose: Unit tests for TrashController against EF InMemory.
+// Strategy:
+// - Seed soft-deleted entries directly (IsDeleted/DeletedAtUtc) rather than going through Delete.
+// - Mock ITrashService; purge itself uses ExecuteDelete, which InMemory can't run
+//   (the real purge is covered by TrashIntegrationTests).
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Security.Claims;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using Moq;
+using WebApi.Contracts;
+using WebApi.Controllers;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Controllers
+{
+    public class TrashControllerTests
+    {
+        // -----------------------
+        // Helpers / Test plumbing
+        // -----------------------
+
+        private static AppDbContext CreateInMemoryDb()
+        {
+            var opts = new DbContextOptionsBuilder<AppDbContext>()
+                .UseInMemoryDatabase(Guid.NewGuid().ToString())
+                .EnableSensitiveDataLogging()
+                .Options;
+
+            return new AppDbContext(opts);
+        }
+
+        private static TrashController CreateController(AppDbContext db, Mock<ITrashService> trashMock, Guid userId, int retentionDays = 30)
+        {
+            var options = Options.Create(new TrashOptions { RetentionDays = retentionDays });
+            var controller = new TrashController(db, trashMock.Object, options);
+
+            var identity = new ClaimsIdentity(new[]
+            {
+                new Claim(ClaimTypes.NameIdentifier, userId.ToString())
+            }, "TestAuth");
+
+            controller.ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext { User = new ClaimsPrincipal(identity) }
+            };
+
+            return controller;
+        }
+
+        // Seeds an entry and, optionally, soft-deletes it at the given time
+        private static MediaEntry SeedEntry(AppDbContext db, Guid userId, string title, DateTime? deletedAtUtc = null)
+        {
+            var entity = new MediaEntry
+            {
+                Id = Guid.NewGuid(),
+                UserId = userId,
+                Title = title,
+                Type = EntryType.Movie,
+                Status = EntryStatus.Planning
+            };
+            db.MediaEntries.Add(entity);
+            db.SaveChanges();
+
+            if (deletedAtUtc.HasValue)
+            {
+                // Set after the first save: ApplyAuditRules resets the flags on Added rows
+                entity.IsDeleted = true;
+                entity.DeletedAtUtc = deletedAtUtc;
+                db.SaveChanges();
+            }
+
+            db.ChangeTracker.Clear();
+            return entity;
+        }
+
+        // ------------
+        // List
+        // ------------
+
+        [Fact]
+        public async Task List_ReturnsOnlyCallersTrashedEntries_NewestFirst_WithPurgeDate()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var older = new DateTime(2025, 10, 1, 12, 0, 0, DateTimeKind.Utc);
+            var newer = older.AddDays(2);
+
+            SeedEntry(db, userId, "Alive");
+            SeedEntry(db, userId, "Older", older);
+            SeedEntry(db, userId, "Newer", newer);
+            SeedEntry(db, Guid.NewGuid(), "Someone else's", newer);
+
+            var controller = CreateController(db, new Mock<ITrashService>(MockBehavior.Strict), userId, retentionDays: 30);
+
+            var result = await controller.List(ct: default);
+
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var page = Assert.IsType<PagedResult<TrashedEntryDto>>(ok.Value);
+            Assert.Equal(2, page.Total);
+            Assert.Equal(new[] { "Newer", "Older" }, page.Items.Select(i => i.Title).ToArray());
+            Assert.Equal(older.AddDays(30), page.Items[1].PurgeAtUtc);
+        }
+
+        // ------------
+        // Restore
+        // ------------
+
+        [Fact]
+        public async Task Restore_TrashedEntry_BringsItBack()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var seeded = SeedEntry(db, userId, "Oops", DateTime.UtcNow);
+
+            var controller = CreateController(db, new Mock<ITrashService>(MockBehavior.Strict), userId);
+
+            var result = await controller.Restore(seeded.Id, default);
+
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var dto = Assert.IsType<MediaEntryDto>(ok.Value);
+            Assert.Equal("Oops", dto.Title);
+
+            var restored = await db.MediaEntries.AsNoTracking().SingleAsync(e => e.Id == seeded.Id);
+            Assert.False(restored.IsDeleted);
+            Assert.Null(restored.DeletedAtUtc);
+        }
+
+        [Fact]
+        public async Task Restore_OtherUsersOrLiveEntry_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var theirs = SeedEntry(db, Guid.NewGuid(), "Theirs", DateTime.UtcNow);
+            var alive = SeedEntry(db, userId, "Alive");
+
+            var controller = CreateController(db, new Mock<ITrashService>(MockBehavior.Strict), userId);
+
+            Assert.IsType<NotFoundResult>(await controller.Restore(theirs.Id, default));
+            Assert.IsType<NotFoundResult>(await controller.Restore(alive.Id, default));
+        }
+
+        [Fact]
+        public async Task RestoreMany_ReportsPerItemResults()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var mine = SeedEntry(db, userId, "Mine", DateTime.UtcNow);
+            var unknown = Guid.NewGuid();
+
+            var controller = CreateController(db, new Mock<ITrashService>(MockBehavior.Strict), userId);
+
+            var result = await controller.RestoreMany(new BulkEntryIdsDto { Ids = new List<Guid> { mine.Id, unknown } }, default);
+
+            var ok = Assert.IsType<OkObjectResult>(result);
+            var bulk = Assert.IsType<BulkResultDto>(ok.Value);
+            Assert.Equal(1, bulk.Succeeded);
+            Assert.Equal(1, bulk.Failed);
+            Assert.False(bulk.Items.Single(i => i.Id == unknown).Ok);
+            Assert.True(await db.MediaEntries.AnyAsync(e => e.Id == mine.Id));
+        }
+
+        // ------------
+        // Purge
+        // ------------
+
+        [Fact]
+        public async Task Purge_NothingPurged_Returns404()
+        {
+            using var db = CreateInMemoryDb();
+            var userId = Guid.NewGuid();
+            var id = Guid.NewGuid();
+
+            var trash = new Mock<ITrashService>(MockBehavior.Strict);
+            trash.Setup(t => t.PurgeAsync(userId, id, It.IsAny<CancellationToken>())).ReturnsAsync(0);
+
+            var controller = CreateController(db, trash, userId);
+
+            Assert.IsType<NotFoundResult>(await controller.Purge(id, default));
+            trash.VerifyAll();
+        }
+    }
+}
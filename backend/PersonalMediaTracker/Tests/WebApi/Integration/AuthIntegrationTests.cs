@@ -3,6 +3,7 @@
 // - Register -> Login -> Me happy path
 // - Duplicate registration returns 400
 // - Wrong password returns 401
+// - Refresh rotates the refresh token; logout revokes it
 
 using System;
 using System.Net;
@@ -87,5 +88,57 @@ public async Task Login_WrongPassword_ReturnsUnauthorized()
             // Assert
             Assert.Equal(HttpStatusCode.Unauthorized, login.StatusCode);
         }
+
+        private sealed record AuthResponse(string AccessToken, string UserId, string Email, string RefreshToken);
+
+        private async Task<AuthResponse> RegisterAsync(HttpClient client)
+        {
+            var email = $"refresh_{Guid.NewGuid():N}@example.com";
+            var reg = await client.PostAsJsonAsync("/api/auth/register", new { email, password = "Passw0rd!" });
+            reg.EnsureSuccessStatusCode();
+            return (await reg.Content.ReadFromJsonAsync<AuthResponse>())!;
+        }
+
+        [Fact]
+        public async Task Refresh_ReturnsWorkingTokens_AndUsesUpTheOldRefreshToken()
+        {
+            // Arrange
+            var client = _factory.CreateClientPlain();
+            var auth = await RegisterAsync(client);
+            Assert.False(string.IsNullOrWhiteSpace(auth.RefreshToken));
+
+            // Act
+            var refresh = await client.PostAsJsonAsync("/api/auth/refresh", new { refreshToken = auth.RefreshToken });
+
+            // Assert: a new pair that works for authenticated calls
+            Assert.Equal(HttpStatusCode.OK, refresh.StatusCode);
+            var renewed = (await refresh.Content.ReadFromJsonAsync<AuthResponse>())!;
+            Assert.NotEqual(auth.RefreshToken, renewed.RefreshToken);
+            Assert.Equal(auth.UserId, renewed.UserId);
+
+            var me = new HttpRequestMessage(HttpMethod.Get, "/api/auth/me");
+            me.Headers.Authorization = new System.Net.Http.Headers.AuthenticationHeaderValue("Bearer", renewed.AccessToken);
+            Assert.Equal(HttpStatusCode.OK, (await client.SendAsync(me)).StatusCode);
+
+            // The old refresh token is used up
+            var again = await client.PostAsJsonAsync("/api/auth/refresh", new { refreshToken = auth.RefreshToken });
+            Assert.Equal(HttpStatusCode.Unauthorized, again.StatusCode);
+        }
+
+        [Fact]
+        public async Task Logout_RevokesRefreshToken()
+        {
+            // Arrange
+            var client = _factory.CreateClientPlain();
+            var auth = await RegisterAsync(client);
+
+            // Act
+            var logout = await client.PostAsJsonAsync("/api/auth/logout", new { refreshToken = auth.RefreshToken });
+
+            // Assert
+            Assert.Equal(HttpStatusCode.NoContent, logout.StatusCode);
+            var refresh = await client.PostAsJsonAsync("/api/auth/refresh", new { refreshToken = auth.RefreshToken });
+            Assert.Equal(HttpStatusCode.Unauthorized, refresh.StatusCode);
+        }
     }
 }
@@ -0,0 +1,95 @@
+﻿// Purpose: End-to-end tests for the /api/collections endpoints using the in-memory host.
+// Notes:
+//  - Uses WebAppFactoryFixture (SQLite) and local DTO shapes for deserialization
+//  - Checks the collection filter of GET /api/mediaentries too
+
+using System.Net;
+using System.Net.Http.Json;
+using Tests.Shared.Fixtures;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class CollectionsIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public CollectionsIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record CollectionDto(Guid Id, string Name, string? Description, int Count, bool? ContainsEntry);
+        private sealed record EntryDto(Guid Id, string Title);
+        private sealed record DetailDto(Guid Id, string Name, int Count, List<EntryDto> Entries);
+        private sealed record PagedDto(List<EntryDto> Items, int Total);
+
+        private static async Task<EntryDto> CreateEntryAsync(HttpClient client, string title)
+        {
+            var resp = await client.PostAsJsonAsync("/api/mediaentries", new { title, type = "Movie", status = "Planning" });
+            resp.EnsureSuccessStatusCode();
+            return (await resp.Content.ReadFromJsonAsync<EntryDto>())!;
+        }
+
+        [Fact]
+        public async Task Create_Add_Reorder_Filter_Delete()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"collections-{Guid.NewGuid():N}@mailtest.com");
+            var heat = await CreateEntryAsync(client, "Heat");
+            var alien = await CreateEntryAsync(client, "Alien");
+            await CreateEntryAsync(client, "Dune");
+
+            var created = await client.PostAsJsonAsync("/api/collections", new { name = "Top 10", description = "Best ever" });
+            Assert.Equal(HttpStatusCode.Created, created.StatusCode);
+            var collection = (await created.Content.ReadFromJsonAsync<CollectionDto>())!;
+
+            // Add two entries, then swap them
+            Assert.Equal(HttpStatusCode.OK, (await client.PostAsJsonAsync($"/api/collections/{collection.Id}/entries", new { entryId = heat.Id })).StatusCode);
+            Assert.Equal(HttpStatusCode.OK, (await client.PostAsJsonAsync($"/api/collections/{collection.Id}/entries", new { entryId = alien.Id })).StatusCode);
+            var reorder = await client.PutAsJsonAsync($"/api/collections/{collection.Id}/order", new { entryIds = new[] { alien.Id, heat.Id } });
+            Assert.Equal(HttpStatusCode.NoContent, reorder.StatusCode);
+
+            var detail = (await client.GetFromJsonAsync<DetailDto>($"/api/collections/{collection.Id}"))!;
+            Assert.Equal(new[] { "Alien", "Heat" }, detail.Entries.Select(e => e.Title));
+
+            // Membership for the add menu, and the list filter
+            var forHeat = (await client.GetFromJsonAsync<List<CollectionDto>>($"/api/collections?entryId={heat.Id}"))!;
+            Assert.True(forHeat.Single().ContainsEntry);
+            var filtered = (await client.GetFromJsonAsync<PagedDto>($"/api/mediaentries?collection={collection.Id}&sort=title&dir=asc"))!;
+            Assert.Equal(new[] { "Alien", "Heat" }, filtered.Items.Select(e => e.Title));
+
+            // Deleting the collection keeps its entries
+            Assert.Equal(HttpStatusCode.NoContent, (await client.DeleteAsync($"/api/collections/{collection.Id}")).StatusCode);
+            Assert.Equal(HttpStatusCode.NotFound, (await client.GetAsync($"/api/collections/{collection.Id}")).StatusCode);
+            Assert.Equal(HttpStatusCode.OK, (await client.GetAsync($"/api/mediaentries/{heat.Id}")).StatusCode);
+        }
+
+        [Fact]
+        public async Task Purge_RemovesTheEntryFromItsCollections()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"collections-{Guid.NewGuid():N}@mailtest.com");
+            var heat = await CreateEntryAsync(client, "Heat");
+            var created = await client.PostAsJsonAsync("/api/collections", new { name = "Crime" });
+            var collection = (await created.Content.ReadFromJsonAsync<CollectionDto>())!;
+            await client.PostAsJsonAsync($"/api/collections/{collection.Id}/entries", new { entryId = heat.Id });
+
+            Assert.Equal(HttpStatusCode.NoContent, (await client.DeleteAsync($"/api/mediaentries/{heat.Id}")).StatusCode);
+            Assert.Equal(0, (await client.GetFromJsonAsync<DetailDto>($"/api/collections/{collection.Id}"))!.Count);
+            Assert.True((await client.DeleteAsync($"/api/trash/{heat.Id}")).IsSuccessStatusCode);
+
+            var after = (await client.GetFromJsonAsync<List<CollectionDto>>("/api/collections"))!;
+            Assert.Equal(0, after.Single().Count);
+        }
+
+        [Fact]
+        public async Task Collections_AreScopedToUser_AndRequireAuth()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"collections-{Guid.NewGuid():N}@mailtest.com");
+            var other = await _factory.CreateAuthenticatedClientAsync($"collections-{Guid.NewGuid():N}@mailtest.com");
+
+            var created = await client.PostAsJsonAsync("/api/collections", new { name = "Mine" });
+            var collection = (await created.Content.ReadFromJsonAsync<CollectionDto>())!;
+
+            Assert.Empty((await other.GetFromJsonAsync<List<CollectionDto>>("/api/collections"))!);
+            Assert.Equal(HttpStatusCode.NotFound, (await other.DeleteAsync($"/api/collections/{collection.Id}")).StatusCode);
+            Assert.Equal(HttpStatusCode.Unauthorized, (await _factory.CreateClientPlain().GetAsync("/api/collections")).StatusCode);
+        }
+    }
+}
@@ -0,0 +1,123 @@
+﻿// Purpose: End-to-end tests for library export/import using the in-memory host.
+// Covers:
+//  - CSV export streams every entry with tags as a download
+//  - An export imported into another account recreates the library (preview first, then commit)
+//  - Re-importing into the same account finds every row as a duplicate
+//  - MyAnimeList / Letterboxd sample exports import with their statuses mapped
+// Notes:
+//  - Uses WebAppFactoryFixture to host the real pipeline + SQLite
+//  - Uses local DTO shapes for deserialization to keep tests decoupled
+
+using System.Net;
+using System.Net.Http.Json;
+using Tests.Shared.Fixtures;
+using WebApi.Controllers;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class LibraryIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public LibraryIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record MediaEntryDto(Guid Id, string Title, string Type, string Status, decimal? Rating, IReadOnlyList<string> Tags);
+        private sealed record ImportRow(int Row, string? Title, string? Status, string Action, Guid? ExistingId, IReadOnlyList<string> Errors);
+        private sealed record ImportResult(bool DryRun, IReadOnlyList<ImportRow> Rows, int Created, int Overwritten, int Merged, int Skipped, int Invalid);
+
+        private static async Task SeedAsync(HttpClient client)
+        {
+            (await client.PostAsJsonAsync("/api/mediaentries", new { title = "Arrival, Extended", type = "Movie", status = "Completed", rating = 9.5, tags = new[] { "scifi" } })).EnsureSuccessStatusCode();
+            (await client.PostAsJsonAsync("/api/mediaentries", new { title = "Frieren", type = "Series", subType = "Anime", status = "Watching", currentEpisode = 3, totalEpisodes = 28 })).EnsureSuccessStatusCode();
+        }
+
+        [Fact]
+        public async Task ExportCsv_ThenImportIntoAnotherAccount_RecreatesLibrary()
+        {
+            var source = await _factory.CreateAuthenticatedClientAsync($"export-{Guid.NewGuid():N}@mailtest.com");
+            var target = await _factory.CreateAuthenticatedClientAsync($"import-{Guid.NewGuid():N}@mailtest.com");
+            await SeedAsync(source);
+
+            var export = await source.GetAsync("/api/mediaentries/export?format=csv");
+            Assert.Equal(HttpStatusCode.OK, export.StatusCode);
+            Assert.Equal("text/csv", export.Content.Headers.ContentType!.MediaType);
+            Assert.Equal("attachment", export.Content.Headers.ContentDisposition?.DispositionType);
+            var csv = await export.Content.ReadAsStringAsync();
+            Assert.Contains("\"Arrival, Extended\"", csv);
+
+            // Preview: nothing saved yet
+            var preview = await target.PostAsJsonAsync("/api/mediaentries/import", new { format = "csv", content = csv, dryRun = true });
+            var plan = await preview.Content.ReadFromJsonAsync<ImportResult>();
+            Assert.True(plan!.DryRun);
+            Assert.Equal(2, plan.Created);
+            var empty = await target.GetFromJsonAsync<PagedResult<MediaEntryDto>>("/api/mediaentries");
+            Assert.Equal(0, empty!.Total);
+
+            // Commit
+            var commit = await target.PostAsJsonAsync("/api/mediaentries/import", new { format = "csv", content = csv });
+            var done = await commit.Content.ReadFromJsonAsync<ImportResult>();
+            Assert.Equal(2, done!.Created);
+
+            var list = await target.GetFromJsonAsync<PagedResult<MediaEntryDto>>("/api/mediaentries?sort=title&dir=asc");
+            Assert.Equal(new[] { "Arrival, Extended", "Frieren" }, list!.Items.Select(i => i.Title).ToArray());
+            Assert.Equal(9.5m, list.Items[0].Rating);
+            Assert.Equal(new[] { "scifi" }, list.Items[0].Tags);
+        }
+
+        [Fact]
+        public async Task ExportJson_ReimportedIntoSameAccount_FindsDuplicates()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"reimport-{Guid.NewGuid():N}@mailtest.com");
+            await SeedAsync(client);
+
+            var json = await client.GetStringAsync("/api/mediaentries/export?format=json");
+
+            var resp = await client.PostAsJsonAsync("/api/mediaentries/import", new { format = "json", content = json, onDuplicate = "skip", dryRun = true });
+            var plan = await resp.Content.ReadFromJsonAsync<ImportResult>();
+
+            Assert.Equal(2, plan!.Skipped);
+            Assert.All(plan.Rows, r => Assert.NotNull(r.ExistingId));
+        }
+
+        [Fact]
+        public async Task ImportMyAnimeListSample_CreatesEntries()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"malimport-{Guid.NewGuid():N}@mailtest.com");
+            var xml = SampleFiles.Read("Import", "mal-animelist.xml");
+
+            var resp = await client.PostAsJsonAsync("/api/mediaentries/import", new { format = "myAnimeList", content = xml });
+            var done = await resp.Content.ReadFromJsonAsync<ImportResult>();
+
+            Assert.Equal(HttpStatusCode.OK, resp.StatusCode);
+            Assert.Equal(5, done!.Created);
+            var list = await client.GetFromJsonAsync<PagedResult<MediaEntryDto>>("/api/mediaentries?sort=title&dir=asc");
+            Assert.Equal(5, list!.Total);
+            Assert.Equal("OnHold", list.Items.Single(i => i.Title == "Shinseiki Evangelion").Status);
+            Assert.Equal("Movie", list.Items.Single(i => i.Title == "Sen to Chihiro no Kamikakushi").Type);
+        }
+
+        [Fact]
+        public async Task ImportLetterboxdWatchlist_UsesDefaultStatus()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"lbimport-{Guid.NewGuid():N}@mailtest.com");
+            var csv = SampleFiles.Read("Import", "letterboxd-watchlist.csv");
+
+            var resp = await client.PostAsJsonAsync("/api/mediaentries/import", new { format = "letterboxd", content = csv, defaultStatus = "Planning", dryRun = true });
+            var plan = await resp.Content.ReadFromJsonAsync<ImportResult>();
+
+            Assert.Equal(3, plan!.Created);
+            Assert.All(plan.Rows, r => Assert.Equal("Planning", r.Status));
+        }
+
+        [Fact]
+        public async Task Import_MalformedFile_Returns400()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"badimport-{Guid.NewGuid():N}@mailtest.com");
+
+            var resp = await client.PostAsJsonAsync("/api/mediaentries/import", new { format = "json", content = "{ not json" });
+
+            Assert.Equal(HttpStatusCode.BadRequest, resp.StatusCode);
+        }
+    }
+}
@@ -3,6 +3,8 @@
 //  - Create -> List -> Get -> Update -> Delete (soft-delete)
 //  - Tag reconciliation (create/remove, case insensitive)
 //  - JSON contract sanity (enums as strings, tags materialized)
+//  - Bulk tag/status changes with per-item results
+//  - Optimistic concurrency: ETag/version on reads, If-Match on PUT (412 on a stale version)
 // Notes:
 //  - Uses WebAppFactoryFixture to host the real pipline + SQLite
 //  - Uses local DTO shapes for deserialization to keep tests decoupled
@@ -23,7 +25,9 @@ public class MediaEntriesIntegrationTests
         public MediaEntriesIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
 
         // Minimal read model used for test deserialization
-        private sealed record MediaEntryDto(Guid Id, Guid UserId, string Title, string Type, string? SubType, string Status, decimal? Rating, string? Notes, IReadOnlyList<string> Tags);
+        private sealed record MediaEntryDto(Guid Id, Guid UserId, string Title, string Type, string? SubType, string Status, decimal? Rating, string? Notes, IReadOnlyList<string> Tags, string Version);
+        private sealed record BulkItem(Guid Id, bool Ok, string? Error);
+        private sealed record BulkResult(IReadOnlyList<BulkItem> Items, int Succeeded, int Failed);
 
         [Fact]
         public async Task CrudAndSoftDelete_FullHappyPath_Works()
@@ -149,6 +153,131 @@ public async Task List_WithFilters_ParsesEnumsAndTagCaseInsensitively()
             Assert.DoesNotContain(withAnime.Items, i => i.Title == "Planet Earth");
         }
 
+        [Fact]
+        public async Task List_WithSearchTerm_MatchesTitleAndNotes_AndCombinesWithFilters()
+        {
+            // Fresh user so entries from other tests don't leak into the results
+            var client = await _factory.CreateAuthenticatedClientAsync($"search_{Guid.NewGuid():N}@example.com");
+
+            foreach (var payload in new object[]
+            {
+                new { title = "Cowboy Bebop", type = "Series", status = "Completed" },
+                new { title = "Bebop Movie", type = "Movie", status = "Planning" },
+                new { title = "Trigun", type = "Series", status = "Planning", notes = "Feels like bebop" },
+                new { title = "Akira", type = "Movie", status = "Completed" }
+            })
+            {
+                (await client.PostAsJsonAsync("/api/mediaentries", payload)).EnsureSuccessStatusCode();
+            }
+
+            // Title or notes match, case-insensitive
+            var bebop = await client.GetFromJsonAsync<PagedResult<MediaEntryDto>>("/api/mediaentries?q=BEBOP");
+            Assert.NotNull(bebop);
+            Assert.Equal(3, bebop!.Total);
+            Assert.DoesNotContain(bebop.Items, i => i.Title == "Akira");
+
+            // Search narrows further when combined with a type filter
+            var bebopSeries = await client.GetFromJsonAsync<PagedResult<MediaEntryDto>>("/api/mediaentries?q=bebop&type=series");
+            Assert.NotNull(bebopSeries);
+            Assert.Equal(2, bebopSeries!.Total);
+            Assert.All(bebopSeries.Items, i => Assert.Equal("Series", i.Type));
+        }
+
+        [Fact]
+        public async Task List_WithMultipleTags_SupportsAnyAndAllMatching()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"tags_{Guid.NewGuid():N}@example.com");
+
+            foreach (var payload in new object[]
+            {
+                new { title = "Both",       type = "Movie", status = "Planning", tags = new[] { "Action", "Comedy" } },
+                new { title = "ActionOnly", type = "Movie", status = "Planning", tags = new[] { "Action" } },
+                new { title = "ComedyOnly", type = "Movie", status = "Planning", tags = new[] { "Comedy" } },
+                new { title = "Neither",    type = "Movie", status = "Planning", tags = new[] { "Drama" } }
+            })
+            {
+                (await client.PostAsJsonAsync("/api/mediaentries", payload)).EnsureSuccessStatusCode();
+            }
+
+            // Default is "any of"
+            var any = await client.GetFromJsonAsync<PagedResult<MediaEntryDto>>("/api/mediaentries?tag=action&tag=COMEDY");
+            Assert.NotNull(any);
+            Assert.Equal(3, any!.Total);
+            Assert.DoesNotContain(any.Items, i => i.Title == "Neither");
+
+            // "all of" needs every tag on the entry
+            var all = await client.GetFromJsonAsync<PagedResult<MediaEntryDto>>("/api/mediaentries?tag=action,comedy&tagMatch=all");
+            Assert.NotNull(all);
+            Assert.Equal("Both", Assert.Single(all!.Items).Title);
+        }
+
+        [Fact]
+        public async Task BulkTags_AddAndRemove_AcrossEntries_ReportsUnknownIds()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"bulk_{Guid.NewGuid():N}@example.com");
+
+            var ids = new List<Guid>();
+            foreach (var payload in new object[]
+            {
+                new { title = "One", type = "Movie", status = "Planning", tags = new[] { "Drama" } },
+                new { title = "Two", type = "Movie", status = "Planning", tags = new[] { "Drama", "Comedy" } }
+            })
+            {
+                var res = await client.PostAsJsonAsync("/api/mediaentries", payload);
+                res.EnsureSuccessStatusCode();
+                ids.Add((await res.Content.ReadFromJsonAsync<MediaEntryDto>())!.Id);
+            }
+            var unknown = Guid.NewGuid();
+
+            // "horror" doesn't exist yet: it must be created once and shared by both entries
+            var bulk = await client.PostAsJsonAsync("/api/mediaentries/bulk/tags", new
+            {
+                ids = new[] { ids[0], unknown, ids[1] },
+                add = new[] { "Horror" },
+                remove = new[] { "drama" }
+            });
+            bulk.EnsureSuccessStatusCode();
+
+            var result = await bulk.Content.ReadFromJsonAsync<BulkResult>();
+            Assert.NotNull(result);
+            Assert.Equal(2, result!.Succeeded);
+            Assert.Equal(1, result.Failed);
+            Assert.Equal(new[] { ids[0], unknown, ids[1] }, result.Items.Select(i => i.Id));
+            Assert.False(result.Items[1].Ok);
+            Assert.False(string.IsNullOrWhiteSpace(result.Items[1].Error));
+
+            var one = await client.GetFromJsonAsync<MediaEntryDto>($"/api/mediaentries/{ids[0]}");
+            var two = await client.GetFromJsonAsync<MediaEntryDto>($"/api/mediaentries/{ids[1]}");
+            Assert.Equal(new[] { "horror" }, one!.Tags);
+            Assert.Equal(new[] { "comedy", "horror" }, two!.Tags.OrderBy(t => t));
+        }
+
+        [Fact]
+        public async Task BulkStatus_UpdatesOnlyOwnEntries()
+        {
+            var owner = await _factory.CreateAuthenticatedClientAsync($"bulk_owner_{Guid.NewGuid():N}@example.com");
+            var other = await _factory.CreateAuthenticatedClientAsync($"bulk_other_{Guid.NewGuid():N}@example.com");
+
+            var mine = await (await owner.PostAsJsonAsync("/api/mediaentries", new { title = "Mine", type = "Series", status = "Watching" }))
+                .Content.ReadFromJsonAsync<MediaEntryDto>();
+            var theirs = await (await other.PostAsJsonAsync("/api/mediaentries", new { title = "Theirs", type = "Series", status = "Watching" }))
+                .Content.ReadFromJsonAsync<MediaEntryDto>();
+
+            var bulk = await owner.PostAsJsonAsync("/api/mediaentries/bulk/status", new
+            {
+                ids = new[] { mine!.Id, theirs!.Id },
+                status = "Completed"
+            });
+            bulk.EnsureSuccessStatusCode();
+
+            var result = await bulk.Content.ReadFromJsonAsync<BulkResult>();
+            Assert.Equal(1, result!.Succeeded);
+            Assert.False(result.Items.Single(i => i.Id == theirs.Id).Ok);
+
+            Assert.Equal("Completed", (await owner.GetFromJsonAsync<MediaEntryDto>($"/api/mediaentries/{mine.Id}"))!.Status);
+            Assert.Equal("Watching", (await other.GetFromJsonAsync<MediaEntryDto>($"/api/mediaentries/{theirs.Id}"))!.Status);
+        }
+
         [Fact]
         public async Task Update_WithMismatchedRouteAndBodyId_ReturnsBadRequest()
         {
@@ -177,6 +306,47 @@ public async Task Update_WithMismatchedRouteAndBodyId_ReturnsBadRequest()
             Assert.Equal("Validation error", prob.GetProperty("title").GetString());
         }
 
+        [Fact]
+        public async Task Update_WithStaleIfMatch_Returns412AndKeepsOtherSave()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync();
+
+            var created = await client.PostAsJsonAsync("/api/mediaentries", new { title = "Versioned", type = "Series", status = "Planning" });
+            created.EnsureSuccessStatusCode();
+            var original = (await created.Content.ReadFromJsonAsync<MediaEntryDto>())!;
+            Assert.Equal($"\"{original.Version}\"", created.Headers.ETag?.ToString());
+
+            // Tab A saves a tag-only change with the version it loaded
+            var first = new HttpRequestMessage(HttpMethod.Put, $"/api/mediaentries/{original.Id}")
+            {
+                Content = JsonContent.Create(new { title = "Versioned", type = "Series", status = "Planning", tags = new[] { "new" } })
+            };
+            first.Headers.IfMatch.ParseAdd($"\"{original.Version}\"");
+            var firstResp = await client.SendAsync(first);
+            firstResp.EnsureSuccessStatusCode();
+            var afterFirst = (await firstResp.Content.ReadFromJsonAsync<MediaEntryDto>())!;
+            Assert.NotEqual(original.Version, afterFirst.Version);
+
+            // Tab B still holds the original version
+            var stale = new HttpRequestMessage(HttpMethod.Put, $"/api/mediaentries/{original.Id}")
+            {
+                Content = JsonContent.Create(new { title = "Overwrite", type = "Series", status = "Planning" })
+            };
+            stale.Headers.IfMatch.ParseAdd($"\"{original.Version}\"");
+            var conflict = await client.SendAsync(stale);
+
+            Assert.Equal(HttpStatusCode.PreconditionFailed, conflict.StatusCode);
+            var prob = await conflict.Content.ReadFromJsonAsync<JsonElement>();
+            Assert.Equal("Edit conflict", prob.GetProperty("title").GetString());
+            var current = prob.GetProperty("current");
+            Assert.Equal("Versioned", current.GetProperty("title").GetString());
+            Assert.Equal(afterFirst.Version, current.GetProperty("version").GetString());
+
+            var get = await client.GetAsync($"/api/mediaentries/{original.Id}");
+            Assert.Equal($"\"{afterFirst.Version}\"", get.Headers.ETag?.ToString());
+            Assert.Equal(new[] { "new" }, (await get.Content.ReadFromJsonAsync<MediaEntryDto>())!.Tags);
+        }
+
         [Fact]
         public async Task Create_WithEmptyTitle_ReturnsBadRequest()
         {
@@ -191,5 +361,24 @@ public async Task Create_WithEmptyTitle_ReturnsBadRequest()
 
             Assert.Equal(HttpStatusCode.BadRequest, bad.StatusCode);
         }
+
+        [Fact]
+        public async Task Create_WithSubTypeTheTypeCantHave_ReturnsValidationProblem()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync();
+
+            var bad = await client.PostAsJsonAsync("/api/mediaentries", new
+            {
+                title   = "Berserk",
+                type    = "Movie",
+                subType = "Manga",
+                status  = "Planning"
+            });
+
+            Assert.Equal(HttpStatusCode.BadRequest, bad.StatusCode);
+            var prob = await bad.Content.ReadFromJsonAsync<JsonElement>();
+            Assert.Equal("Validation error", prob.GetProperty("title").GetString());
+            Assert.Contains("Manga", prob.GetProperty("detail").GetString());
+        }
     }
 }
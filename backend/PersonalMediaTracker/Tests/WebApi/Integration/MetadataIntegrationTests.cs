@@ -0,0 +1,52 @@
+﻿// Purpose: End-to-end test for GET /api/metadata using the in-memory host.
+// Notes:
+//  - Uses WebAppFactoryFixture (SQLite) and local DTO shapes for deserialization
+
+using System.Net;
+using System.Net.Http.Json;
+using Tests.Shared.Fixtures;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class MetadataIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public MetadataIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record OptionDto(string Value, string Label);
+        private sealed record TagDto(string Name, int Count);
+        private sealed record MetadataDto(IReadOnlyList<OptionDto> Types, IReadOnlyList<OptionDto> SubTypes, IReadOnlyList<OptionDto> Statuses, IReadOnlyDictionary<string, string[]> SubTypesByType, IReadOnlyList<TagDto> Tags);
+
+        [Fact]
+        public async Task Metadata_ListsEnums_AndCallersTagsWithCounts()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"meta-{Guid.NewGuid():N}@mailtest.com");
+            (await client.PostAsJsonAsync("/api/mediaentries", new { title = "Heat", type = "Movie", status = "Completed", tags = new[] { "noir", "drama" } })).EnsureSuccessStatusCode();
+            (await client.PostAsJsonAsync("/api/mediaentries", new { title = "Zodiac", type = "Movie", status = "Planning", tags = new[] { "noir" } })).EnsureSuccessStatusCode();
+
+            var resp = await client.GetAsync("/api/metadata");
+            Assert.Equal(HttpStatusCode.OK, resp.StatusCode);
+            var meta = await resp.Content.ReadFromJsonAsync<MetadataDto>();
+
+            Assert.Contains(meta!.SubTypes, o => o.Value == "Other" && o.Label == "Other");
+            Assert.Contains(meta.Statuses, o => o.Value == "OnHold" && o.Label == "On Hold");
+            Assert.DoesNotContain("Manga", meta.SubTypesByType["Movie"]);
+            Assert.Contains("Manga", meta.SubTypesByType["Series"]);
+            Assert.Contains(meta.Tags, t => t.Name == "noir" && t.Count == 2);
+            Assert.Contains(meta.Tags, t => t.Name == "drama" && t.Count == 1);
+            Assert.Contains(meta.Tags, t => t.Name == "action" && t.Count == 0);
+        }
+
+        [Fact]
+        public async Task Metadata_RequiresAuth()
+        {
+            var client = _factory.CreateClientPlain();
+
+            var resp = await client.GetAsync("/api/metadata");
+
+            Assert.Equal(HttpStatusCode.Unauthorized, resp.StatusCode);
+        }
+    }
+}
@@ -0,0 +1,86 @@
+﻿// Purpose: End-to-end tests for share links (/api/shares and the public /api/shared/{token}).
+// Notes:
+//  - Uses WebAppFactoryFixture (SQLite) and local DTO shapes for deserialization
+//  - The viewer is an anonymous client: no token, no cookies
+
+using System.Net;
+using System.Net.Http.Json;
+using System.Text.Json;
+using Tests.Shared.Fixtures;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class SharesIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public SharesIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record ShareLinkDto(Guid Id, string Token, string? Name, bool IncludeNotes, DateTime? ExpiresAtUtc, bool IsExpired);
+        private sealed record SharedEntryDto(string Title, string Status, string? Notes);
+        private sealed record SharedListDto(List<SharedEntryDto> Items, int Total, bool IncludesNotes);
+
+        [Fact]
+        public async Task Create_View_Revoke()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"shares-{Guid.NewGuid():N}@mailtest.com");
+            await client.PostAsJsonAsync("/api/mediaentries", new { title = "Heat", type = "Movie", status = "Completed", notes = "my notes" });
+            await client.PostAsJsonAsync("/api/mediaentries", new { title = "Alien", type = "Movie", status = "Planning" });
+
+            var created = await client.PostAsJsonAsync("/api/shares", new { name = "Finished", filter = new { status = new[] { "Completed" } } });
+            Assert.Equal(HttpStatusCode.Created, created.StatusCode);
+            var link = (await created.Content.ReadFromJsonAsync<ShareLinkDto>())!;
+
+            // Anonymous viewer: filtered, no notes, nothing that identifies entries or the owner
+            var viewer = _factory.CreateClientPlain();
+            var resp = await viewer.GetAsync($"/api/shared/{link.Token}");
+            Assert.Equal(HttpStatusCode.OK, resp.StatusCode);
+            var shared = (await resp.Content.ReadFromJsonAsync<SharedListDto>())!;
+            Assert.Equal("Heat", Assert.Single(shared.Items).Title);
+            Assert.Null(shared.Items[0].Notes);
+            using (var json = JsonDocument.Parse(await resp.Content.ReadAsStringAsync()))
+            {
+                var item = json.RootElement.GetProperty("items")[0];
+                Assert.False(item.TryGetProperty("id", out _));
+                Assert.False(item.TryGetProperty("userId", out _));
+            }
+
+            Assert.Single((await client.GetFromJsonAsync<List<ShareLinkDto>>("/api/shares"))!);
+
+            // Revoked links are gone for good
+            Assert.Equal(HttpStatusCode.NoContent, (await client.DeleteAsync($"/api/shares/{link.Id}")).StatusCode);
+            Assert.Equal(HttpStatusCode.NotFound, (await viewer.GetAsync($"/api/shared/{link.Token}")).StatusCode);
+            Assert.Empty((await client.GetFromJsonAsync<List<ShareLinkDto>>("/api/shares"))!);
+        }
+
+        [Fact]
+        public async Task IncludeNotes_ShowsNotes()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"shares-{Guid.NewGuid():N}@mailtest.com");
+            await client.PostAsJsonAsync("/api/mediaentries", new { title = "Heat", type = "Movie", status = "Completed", notes = "my notes" });
+
+            var created = await client.PostAsJsonAsync("/api/shares", new { includeNotes = true, expiresAtUtc = DateTime.UtcNow.AddDays(1) });
+            var link = (await created.Content.ReadFromJsonAsync<ShareLinkDto>())!;
+
+            var shared = (await _factory.CreateClientPlain().GetFromJsonAsync<SharedListDto>($"/api/shared/{link.Token}"))!;
+            Assert.True(shared.IncludesNotes);
+            Assert.Equal("my notes", Assert.Single(shared.Items).Notes);
+        }
+
+        [Fact]
+        public async Task Shares_AreScopedToUser_AndRequireAuth()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"shares-{Guid.NewGuid():N}@mailtest.com");
+            var other = await _factory.CreateAuthenticatedClientAsync($"shares-{Guid.NewGuid():N}@mailtest.com");
+
+            var created = await client.PostAsJsonAsync("/api/shares", new { });
+            var link = (await created.Content.ReadFromJsonAsync<ShareLinkDto>())!;
+
+            Assert.Empty((await other.GetFromJsonAsync<List<ShareLinkDto>>("/api/shares"))!);
+            Assert.Equal(HttpStatusCode.NotFound, (await other.DeleteAsync($"/api/shares/{link.Id}")).StatusCode);
+            Assert.Equal(HttpStatusCode.Unauthorized, (await _factory.CreateClientPlain().GetAsync("/api/shares")).StatusCode);
+            Assert.Equal(HttpStatusCode.BadRequest, (await client.PostAsJsonAsync("/api/shares", new { expiresAtUtc = DateTime.UtcNow.AddDays(-1) })).StatusCode);
+        }
+    }
+}
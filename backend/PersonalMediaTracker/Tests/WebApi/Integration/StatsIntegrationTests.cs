@@ -0,0 +1,51 @@
+﻿// Purpose: End-to-end test for GET /api/mediaentries/stats using the in-memory host.
+// Notes:
+//  - Uses WebAppFactoryFixture (SQLite) and local DTO shapes for deserialization
+
+using System.Net;
+using System.Net.Http.Json;
+using Tests.Shared.Fixtures;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class StatsIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public StatsIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record CountDto(string? Key, int Count);
+        private sealed record MonthDto(string Month, int Count);
+        private sealed record StatsDto(int Total, decimal? AverageRating, IReadOnlyList<CountDto> ByStatus, IReadOnlyList<CountDto> BySubType, IReadOnlyList<MonthDto> CompletedByMonth);
+
+        [Fact]
+        public async Task Stats_SummarizesCallersLibrary()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"stats-{Guid.NewGuid():N}@mailtest.com");
+            (await client.PostAsJsonAsync("/api/mediaentries", new { title = "Arrival", type = "Movie", status = "Completed", rating = 9 })).EnsureSuccessStatusCode();
+            (await client.PostAsJsonAsync("/api/mediaentries", new { title = "Frieren", type = "Series", subType = "Anime", status = "Watching", rating = 8 })).EnsureSuccessStatusCode();
+
+            var resp = await client.GetAsync("/api/mediaentries/stats?months=6");
+            Assert.Equal(HttpStatusCode.OK, resp.StatusCode);
+            var stats = await resp.Content.ReadFromJsonAsync<StatsDto>();
+
+            Assert.Equal(2, stats!.Total);
+            Assert.Equal(8.5m, stats.AverageRating);
+            Assert.Equal(1, stats.ByStatus.Single(s => s.Key == "Completed").Count);
+            Assert.Equal(1, stats.BySubType.Single(s => s.Key == "Anime").Count);
+            Assert.Equal(6, stats.CompletedByMonth.Count);
+            Assert.Equal(1, stats.CompletedByMonth[^1].Count);
+        }
+
+        [Fact]
+        public async Task Stats_RequiresAuth()
+        {
+            var client = _factory.CreateClientPlain();
+
+            var resp = await client.GetAsync("/api/mediaentries/stats");
+
+            Assert.Equal(HttpStatusCode.Unauthorized, resp.StatusCode);
+        }
+    }
+}
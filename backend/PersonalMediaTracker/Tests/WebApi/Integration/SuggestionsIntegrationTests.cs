@@ -0,0 +1,87 @@
+﻿// Purpose: End-to-end tests for GET /api/mediaentries/duplicates and /next-up using the in-memory host.
+// Notes:
+//  - Uses WebAppFactoryFixture (SQLite) and local DTO shapes for deserialization
+
+using System.Net;
+using System.Net.Http.Json;
+using Tests.Shared.Fixtures;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class SuggestionsIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public SuggestionsIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record IdDto(Guid Id);
+        private sealed record DuplicateDto(Guid Id, string Title, string Status, double Similarity);
+        private sealed record ReferenceDto(Guid Id, string Title, decimal? Rating);
+        private sealed record NextUpItemDto(Guid Id, string Title, string Status, IReadOnlyList<string> MatchedTags, IReadOnlyList<ReferenceDto> SimilarTo);
+        private sealed record NextUpDto(IReadOnlyList<ReferenceDto> BasedOn, IReadOnlyList<NextUpItemDto> Items);
+
+        private static async Task<Guid> CreateAsync(HttpClient client, object body)
+        {
+            var resp = await client.PostAsJsonAsync("/api/mediaentries", body);
+            resp.EnsureSuccessStatusCode();
+            return (await resp.Content.ReadFromJsonAsync<IdDto>())!.Id;
+        }
+
+        [Fact]
+        public async Task Duplicates_FindsSimilarTitles_ExceptTheEditedEntry()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"dupes-{Guid.NewGuid():N}@mailtest.com");
+            var witcher = await CreateAsync(client, new { title = "The Witcher", type = "Series", status = "Watching" });
+            await CreateAsync(client, new { title = "Dune", type = "Movie", status = "Planning" });
+
+            var matches = await client.GetFromJsonAsync<List<DuplicateDto>>("/api/mediaentries/duplicates?title=witcher");
+            var match = Assert.Single(matches!);
+            Assert.Equal(witcher, match.Id);
+            Assert.Equal("Watching", match.Status);
+            Assert.Equal(1d, match.Similarity);
+
+            var editing = await client.GetFromJsonAsync<List<DuplicateDto>>($"/api/mediaentries/duplicates?title=witcher&excludeId={witcher}");
+            Assert.Empty(editing!);
+        }
+
+        [Fact]
+        public async Task Duplicates_WithoutTitle_Returns400()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"dupes-{Guid.NewGuid():N}@mailtest.com");
+
+            var resp = await client.GetAsync("/api/mediaentries/duplicates?title=%20");
+
+            Assert.Equal(HttpStatusCode.BadRequest, resp.StatusCode);
+        }
+
+        [Fact]
+        public async Task NextUp_SuggestsBacklogMatchingFavorites()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"nextup-{Guid.NewGuid():N}@mailtest.com");
+            var arrival = await CreateAsync(client, new { title = "Arrival", type = "Movie", status = "Completed", rating = 9, tags = new[] { "scifi", "drama" } });
+            var solaris = await CreateAsync(client, new { title = "Solaris", type = "Movie", status = "Planning", tags = new[] { "scifi" } });
+            await CreateAsync(client, new { title = "Cats", type = "Movie", status = "Planning", tags = new[] { "musical" } });
+
+            var resp = await client.GetAsync("/api/mediaentries/next-up?limit=3");
+            Assert.Equal(HttpStatusCode.OK, resp.StatusCode);
+            var nextUp = await resp.Content.ReadFromJsonAsync<NextUpDto>();
+
+            Assert.Equal(arrival, Assert.Single(nextUp!.BasedOn).Id);
+            var item = Assert.Single(nextUp.Items);
+            Assert.Equal(solaris, item.Id);
+            Assert.Equal("Planning", item.Status);
+            Assert.Equal(new[] { "scifi" }, item.MatchedTags);
+            Assert.Equal("Arrival", Assert.Single(item.SimilarTo).Title);
+        }
+
+        [Fact]
+        public async Task Suggestions_RequireAuth()
+        {
+            var client = _factory.CreateClientPlain();
+
+            Assert.Equal(HttpStatusCode.Unauthorized, (await client.GetAsync("/api/mediaentries/duplicates?title=Dune")).StatusCode);
+            Assert.Equal(HttpStatusCode.Unauthorized, (await client.GetAsync("/api/mediaentries/next-up")).StatusCode);
+        }
+    }
+}
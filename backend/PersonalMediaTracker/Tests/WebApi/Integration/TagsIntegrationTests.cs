@@ -0,0 +1,89 @@
+﻿// Purpose: End-to-end tests for the /api/tags endpoints using the in-memory host.
+// Notes:
+//  - Uses WebAppFactoryFixture (SQLite) and local DTO shapes for deserialization
+//  - Checks the effect on entries through GET /api/mediaentries/{id}
+
+using System.Net;
+using System.Net.Http.Json;
+using Tests.Shared.Fixtures;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class TagsIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public TagsIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record TagDto(Guid Id, string Name, int Count);
+        private sealed record EntryDto(Guid Id, string Title, List<string> Tags);
+
+        private static async Task<EntryDto> CreateEntryAsync(HttpClient client, string title, params string[] tags)
+        {
+            var resp = await client.PostAsJsonAsync("/api/mediaentries", new { title, type = "Movie", status = "Planning", tags });
+            resp.EnsureSuccessStatusCode();
+            return (await resp.Content.ReadFromJsonAsync<EntryDto>())!;
+        }
+
+        private static async Task<List<TagDto>> ListAsync(HttpClient client)
+            => (await client.GetFromJsonAsync<List<TagDto>>("/api/tags"))!;
+
+        [Fact]
+        public async Task Rename_Merge_Delete_UpdateLinkedEntries()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"tags-{Guid.NewGuid():N}@mailtest.com");
+            var heat = await CreateEntryAsync(client, "Heat", "noir", "crime");
+            var zodiac = await CreateEntryAsync(client, "Zodiac", "crime-drama");
+
+            var tags = await ListAsync(client);
+            Assert.Equal(new[] { "crime", "crime-drama", "noir" }, tags.Select(t => t.Name));
+
+            // Rename
+            var noir = tags.Single(t => t.Name == "noir");
+            var renamed = await client.PutAsJsonAsync($"/api/tags/{noir.Id}", new { name = "Neo-Noir" });
+            Assert.Equal(HttpStatusCode.OK, renamed.StatusCode);
+            Assert.Contains("neo-noir", (await client.GetFromJsonAsync<EntryDto>($"/api/mediaentries/{heat.Id}"))!.Tags);
+
+            // Merge crime-drama into crime
+            var crime = tags.Single(t => t.Name == "crime");
+            var merge = await client.PostAsJsonAsync($"/api/tags/{tags.Single(t => t.Name == "crime-drama").Id}/merge", new { targetId = crime.Id });
+            Assert.Equal(HttpStatusCode.OK, merge.StatusCode);
+            Assert.Equal(2, (await merge.Content.ReadFromJsonAsync<TagDto>())!.Count);
+            Assert.Equal(new[] { "crime" }, (await client.GetFromJsonAsync<EntryDto>($"/api/mediaentries/{zodiac.Id}"))!.Tags);
+
+            // Delete
+            var delete = await client.DeleteAsync($"/api/tags/{crime.Id}");
+            Assert.Equal(HttpStatusCode.NoContent, delete.StatusCode);
+            Assert.Equal(new[] { "neo-noir" }, (await client.GetFromJsonAsync<EntryDto>($"/api/mediaentries/{heat.Id}"))!.Tags);
+            Assert.Equal(new[] { "neo-noir" }, (await ListAsync(client)).Select(t => t.Name));
+        }
+
+        [Fact]
+        public async Task Create_Duplicate_Returns409_AndTagsAreScopedToUser()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"tags-{Guid.NewGuid():N}@mailtest.com");
+            var other = await _factory.CreateAuthenticatedClientAsync($"tags-{Guid.NewGuid():N}@mailtest.com");
+
+            var created = await client.PostAsJsonAsync("/api/tags", new { name = "Cozy" });
+            Assert.Equal(HttpStatusCode.Created, created.StatusCode);
+            var tag = (await created.Content.ReadFromJsonAsync<TagDto>())!;
+
+            var duplicate = await client.PostAsJsonAsync("/api/tags", new { name = " cozy " });
+            Assert.Equal(HttpStatusCode.Conflict, duplicate.StatusCode);
+
+            Assert.Empty(await ListAsync(other));
+            Assert.Equal(HttpStatusCode.NotFound, (await other.DeleteAsync($"/api/tags/{tag.Id}")).StatusCode);
+        }
+
+        [Fact]
+        public async Task Tags_RequireAuth()
+        {
+            var client = _factory.CreateClientPlain();
+
+            var resp = await client.GetAsync("/api/tags");
+
+            Assert.Equal(HttpStatusCode.Unauthorized, resp.StatusCode);
+        }
+    }
+}
@@ -0,0 +1,76 @@
+﻿// Purpose: End-to-end tests for /api/trash using the in-memory host.
+// Covers:
+//  - Delete -> shows in trash -> restore brings the entry back with its tags
+//  - Purge removes the entry for good (and only from the caller's trash)
+// Notes:
+//  - Uses WebAppFactoryFixture (SQLite), so ExecuteDelete in TrashService runs for real
+
+using System.Net;
+using System.Net.Http.Json;
+using Tests.Shared.Fixtures;
+using WebApi.Controllers;
+using Xunit;
+
+namespace Tests.WebApi.Integration
+{
+    [Collection(WebAppFactoryCollection.Name)]
+    public class TrashIntegrationTests
+    {
+        private readonly WebAppFactoryFixture _factory;
+        public TrashIntegrationTests(WebAppFactoryFixture factory) => _factory = factory;
+
+        private sealed record MediaEntryDto(Guid Id, string Title, IReadOnlyList<string> Tags);
+        private sealed record TrashedEntryDto(Guid Id, string Title, DateTime DeletedAtUtc, DateTime? PurgeAtUtc);
+
+        private static async Task<Guid> CreateEntryAsync(HttpClient client, string title, params string[] tags)
+        {
+            var resp = await client.PostAsJsonAsync("/api/mediaentries", new { title, type = "Movie", status = "Planning", tags });
+            resp.EnsureSuccessStatusCode();
+            var created = await resp.Content.ReadFromJsonAsync<MediaEntryDto>();
+            return created!.Id;
+        }
+
+        [Fact]
+        public async Task Delete_ThenRestore_KeepsTags()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"trash-restore-{Guid.NewGuid():N}@mailtest.com");
+            var id = await CreateEntryAsync(client, "Arrival", "scifi", "favorite");
+
+            (await client.DeleteAsync($"/api/mediaentries/{id}")).EnsureSuccessStatusCode();
+
+            var trash = await client.GetFromJsonAsync<PagedResult<TrashedEntryDto>>("/api/trash");
+            var trashed = Assert.Single(trash!.Items);
+            Assert.Equal(id, trashed.Id);
+            Assert.NotNull(trashed.PurgeAtUtc);
+
+            var restore = await client.PostAsync($"/api/trash/{id}/restore", null);
+            Assert.Equal(HttpStatusCode.OK, restore.StatusCode);
+
+            var entry = await client.GetFromJsonAsync<MediaEntryDto>($"/api/mediaentries/{id}");
+            Assert.Equal(new[] { "favorite", "scifi" }, entry!.Tags.OrderBy(t => t).ToArray());
+
+            var after = await client.GetFromJsonAsync<PagedResult<TrashedEntryDto>>("/api/trash");
+            Assert.Empty(after!.Items);
+        }
+
+        [Fact]
+        public async Task Purge_RemovesEntryForGood_OnlyForCaller()
+        {
+            var client = await _factory.CreateAuthenticatedClientAsync($"trash-purge-{Guid.NewGuid():N}@mailtest.com");
+            var other = await _factory.CreateAuthenticatedClientAsync($"trash-other-{Guid.NewGuid():N}@mailtest.com");
+            var id = await CreateEntryAsync(client, "Dune", "scifi");
+
+            (await client.DeleteAsync($"/api/mediaentries/{id}")).EnsureSuccessStatusCode();
+
+            // Someone else can't purge it
+            Assert.Equal(HttpStatusCode.NotFound, (await other.DeleteAsync($"/api/trash/{id}")).StatusCode);
+
+            Assert.Equal(HttpStatusCode.NoContent, (await client.DeleteAsync($"/api/trash/{id}")).StatusCode);
+
+            // Gone from the trash and can't be restored anymore
+            var trash = await client.GetFromJsonAsync<PagedResult<TrashedEntryDto>>("/api/trash");
+            Assert.Empty(trash!.Items);
+            Assert.Equal(HttpStatusCode.NotFound, (await client.PostAsync($"/api/trash/{id}/restore", null)).StatusCode);
+        }
+    }
+}
@@ -0,0 +1,86 @@
+﻿// Purpose:
+// - Prove CollectionService against a real relational DB (SQLite in-memory via DatabaseFixture),
+//   since delete uses ExecuteDelete and a transaction:
+//   - Delete removes the collection and every link (trashed entries included) but keeps the entries
+//   - The name can be reused afterwards
+//   - Collections of other users are never touched
+
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Microsoft.EntityFrameworkCore;
+using Tests.Shared.Fixtures;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Services
+{
+    [Collection(DatabaseCollection.Name)]
+    public class CollectionServiceTests
+    {
+        private readonly DatabaseFixture _db;
+        public CollectionServiceTests(DatabaseFixture db) => _db = db;
+
+        // Collection holding one new entry per title
+        private async Task<MediaCollection> AddAsync(Guid userId, string name, params string[] titles)
+        {
+            using var ctx = _db.CreateContext();
+            var collection = new MediaCollection { UserId = userId, Name = name };
+            ctx.Collections.Add(collection);
+            for (var i = 0; i < titles.Length; i++)
+            {
+                var entry = new MediaEntry { UserId = userId, Title = titles[i], Type = EntryType.Movie, Status = EntryStatus.Planning };
+                ctx.MediaEntries.Add(entry);
+                ctx.CollectionEntries.Add(new CollectionEntry { Collection = collection, MediaEntry = entry, Position = i });
+            }
+            await ctx.SaveChangesAsync();
+            return collection;
+        }
+
+        [Fact]
+        public async Task Delete_RemovesCollectionAndLinks_KeepsEntries_AndNameCanBeReused()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var collection = await AddAsync(userId, "Top 10", "Heat", "Trashed");
+            using (var ctx = _db.CreateContext())
+            {
+                ctx.MediaEntries.Remove(ctx.MediaEntries.Single(e => e.Title == "Trashed"));   // soft delete
+                await ctx.SaveChangesAsync();
+            }
+
+            using (var ctx = _db.CreateContext())
+            {
+                Assert.True(await new CollectionService(ctx).DeleteAsync(userId, collection.Id, CancellationToken.None));
+            }
+
+            using (var ctx = _db.CreateContext())
+            {
+                Assert.False(await ctx.Collections.IgnoreQueryFilters().AnyAsync());
+                Assert.False(await ctx.CollectionEntries.IgnoreQueryFilters().AnyAsync());
+                Assert.Equal(2, await ctx.MediaEntries.IgnoreQueryFilters().CountAsync(e => e.UserId == userId));
+            }
+
+            // The unique (UserId, Name) index would reject this if the collection were only soft-deleted
+            await AddAsync(userId, "Top 10");
+        }
+
+        [Fact]
+        public async Task Delete_OtherUsersCollection_ReturnsFalse_AndChangesNothing()
+        {
+            _db.Reset();
+            var collection = await AddAsync(Guid.NewGuid(), "Theirs", "Heat");
+
+            using (var ctx = _db.CreateContext())
+            {
+                Assert.False(await new CollectionService(ctx).DeleteAsync(Guid.NewGuid(), collection.Id, CancellationToken.None));
+            }
+
+            using var check = _db.CreateContext();
+            Assert.Equal(1, await check.CollectionEntries.CountAsync(ce => ce.CollectionId == collection.Id));
+        }
+    }
+}
@@ -0,0 +1,179 @@
+﻿// Purpose:
+// - Prove LibraryImportService against a real relational DB (SQLite in-memory via DatabaseFixture):
+//   - Dry run reports the plan without saving anything
+//   - Invalid rows are reported and left out while valid rows still import
+//   - Duplicates (title + type) follow skip / overwrite / merge, including tags
+//   - The same title + type twice in one file is flagged
+
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+using Tests.Shared.Fixtures;
+using WebApi.Contracts;
+using WebApi.Import;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Services
+{
+    [Collection(DatabaseCollection.Name)]
+    public class LibraryImportServiceTests
+    {
+        private readonly DatabaseFixture _db;
+        public LibraryImportServiceTests(DatabaseFixture db) => _db = db;
+
+        private static LibraryImportService CreateService(AppDbContext ctx) => new(ctx, new TagSyncService(ctx));
+
+        private static List<ParsedImportRow> Rows(params LibraryEntryDto[] entries)
+            => entries.Select((e, i) => new ParsedImportRow(i + 1, e, Array.Empty<string>())).ToList();
+
+        // Seeds "Dune" (Movie, Watching, rated 7, tagged scifi) for the user
+        private async Task<Guid> SeedDuneAsync(Guid userId)
+        {
+            using var ctx = _db.CreateContext();
+            var entry = new MediaEntry { UserId = userId, Title = "Dune", Type = EntryType.Movie, Status = EntryStatus.Watching, Rating = 7m };
+            ctx.MediaEntries.Add(entry);
+            await ctx.SaveChangesAsync();
+            await new TagSyncService(ctx).SyncAsync(entry, new[] { "scifi" }, userId, CancellationToken.None);
+            await ctx.SaveChangesAsync();
+            return entry.Id;
+        }
+
+        [Fact]
+        public async Task DryRun_ReportsPlan_WithoutSaving()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+
+            using var ctx = _db.CreateContext();
+            var result = await CreateService(ctx).ImportAsync(userId, Rows(
+                new LibraryEntryDto { Title = "Arrival", Type = "Movie" },
+                new LibraryEntryDto { Title = "Heat", Type = "Movie", Rating = 7.3m }),
+                DuplicateHandling.Skip, dryRun: true, CancellationToken.None);
+
+            Assert.True(result.DryRun);
+            Assert.Equal(1, result.Created);
+            Assert.Equal(1, result.Invalid);
+            Assert.Equal(ImportRowAction.Invalid, result.Rows[1].Action);
+            Assert.Contains(result.Rows[1].Errors, e => e.Contains("0.5"));
+
+            using var verify = _db.CreateContext();
+            Assert.Equal(0, await verify.MediaEntries.CountAsync());
+        }
+
+        [Fact]
+        public async Task Import_SavesValidRows_WithTags_AndSkipsInvalidOnes()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+
+            using (var ctx = _db.CreateContext())
+            {
+                var result = await CreateService(ctx).ImportAsync(userId, Rows(
+                    new LibraryEntryDto { Title = "Arrival", Type = "Movie", Status = "Completed", Tags = new[] { "SciFi", "drama" } },
+                    new LibraryEntryDto { Title = "Blade Runner", Type = "Movie", Tags = new[] { "scifi" } },
+                    new LibraryEntryDto { Title = "", Type = "Movie" }),
+                    DuplicateHandling.Skip, dryRun: false, CancellationToken.None);
+
+                Assert.Equal(2, result.Created);
+                Assert.Equal(1, result.Invalid);
+            }
+
+            using var verify = _db.CreateContext();
+            Assert.Equal(2, await verify.MediaEntries.CountAsync(e => e.UserId == userId));
+            // "scifi" used by both rows but created once
+            Assert.Equal(2, await verify.Tags.CountAsync(t => t.UserId == userId));
+        }
+
+        [Fact]
+        public async Task Duplicates_Skip_LeavesExistingAlone()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var existingId = await SeedDuneAsync(userId);
+
+            using var ctx = _db.CreateContext();
+            var result = await CreateService(ctx).ImportAsync(userId, Rows(
+                new LibraryEntryDto { Title = " dune ", Type = "Movie", Rating = 9m }),
+                DuplicateHandling.Skip, dryRun: false, CancellationToken.None);
+
+            Assert.Equal(1, result.Skipped);
+            Assert.Equal(existingId, result.Rows[0].ExistingId);
+
+            using var verify = _db.CreateContext();
+            Assert.Equal(7m, (await verify.MediaEntries.SingleAsync()).Rating);
+        }
+
+        [Fact]
+        public async Task Duplicates_Overwrite_ReplacesValuesAndTags()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var existingId = await SeedDuneAsync(userId);
+
+            using (var ctx = _db.CreateContext())
+            {
+                var result = await CreateService(ctx).ImportAsync(userId, Rows(
+                    new LibraryEntryDto { Title = "Dune", Type = "Movie", Status = "Completed", Rating = 9m, Tags = new[] { "epic" } }),
+                    DuplicateHandling.Overwrite, dryRun: false, CancellationToken.None);
+
+                Assert.Equal(1, result.Overwritten);
+            }
+
+            using var verify = _db.CreateContext();
+            var entry = await verify.MediaEntries.Include(e => e.EntryTags).ThenInclude(et => et.Tag).SingleAsync(e => e.Id == existingId);
+            Assert.Equal(EntryStatus.Completed, entry.Status);
+            Assert.Equal(9m, entry.Rating);
+            Assert.Equal(new[] { "epic" }, entry.EntryTags.Select(et => et.Tag.Name).ToArray());
+        }
+
+        [Fact]
+        public async Task Duplicates_Merge_FillsGapsAndCombinesTags()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var existingId = await SeedDuneAsync(userId);
+
+            using (var ctx = _db.CreateContext())
+            {
+                var result = await CreateService(ctx).ImportAsync(userId, Rows(
+                    new LibraryEntryDto { Title = "Dune", Type = "Movie", Status = "Completed", Rating = 9m, Notes = "Loud", Tags = new[] { "epic" } }),
+                    DuplicateHandling.Merge, dryRun: false, CancellationToken.None);
+
+                Assert.Equal(1, result.Merged);
+            }
+
+            using var verify = _db.CreateContext();
+            var entry = await verify.MediaEntries.Include(e => e.EntryTags).ThenInclude(et => et.Tag).SingleAsync(e => e.Id == existingId);
+            Assert.Equal(EntryStatus.Watching, entry.Status);
+            Assert.Equal(7m, entry.Rating);
+            Assert.Equal("Loud", entry.Notes);
+            Assert.Equal(new[] { "epic", "scifi" }, entry.EntryTags.Select(et => et.Tag.Name).OrderBy(n => n).ToArray());
+        }
+
+        [Fact]
+        public async Task SameTitleAndTypeTwiceInFile_SecondRowIsInvalid()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+
+            using var ctx = _db.CreateContext();
+            var result = await CreateService(ctx).ImportAsync(userId, Rows(
+                new LibraryEntryDto { Title = "Dune", Type = "Movie" },
+                new LibraryEntryDto { Title = "DUNE", Type = "Movie" },
+                new LibraryEntryDto { Title = "Dune", Type = "Series" }),
+                DuplicateHandling.Skip, dryRun: true, CancellationToken.None);
+
+            Assert.Equal(ImportRowAction.Create, result.Rows[0].Action);
+            Assert.Equal(ImportRowAction.Invalid, result.Rows[1].Action);
+            Assert.Contains("row 1", result.Rows[1].Errors.Single());
+            Assert.Equal(ImportRowAction.Create, result.Rows[2].Action);
+        }
+    }
+}
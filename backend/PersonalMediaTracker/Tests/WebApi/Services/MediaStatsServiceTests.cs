@@ -0,0 +1,149 @@
+﻿// Purpose:
+// - Prove MediaStatsService against a real relational DB (SQLite in-memory via DatabaseFixture):
+//   - Counts by status/type/subtype list every value, rating buckets use whole numbers
+//   - Average rating per tag, highest first, unrated tags last
+//   - Completed per month uses FinishedOn, then the status history, then the creation date
+//   - Other users' entries and trashed entries are left out
+
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Tests.Shared.Fixtures;
+using WebApi.Contracts;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Services
+{
+    [Collection(DatabaseCollection.Name)]
+    public class MediaStatsServiceTests
+    {
+        private readonly DatabaseFixture _db;
+        public MediaStatsServiceTests(DatabaseFixture db) => _db = db;
+
+        private static readonly DateOnly Today = DateOnly.FromDateTime(DateTime.UtcNow);
+
+        private async Task<MediaEntry> AddAsync(Guid userId, string title, EntryType type, EntrySubType? subType, EntryStatus status,
+            decimal? rating = null, DateOnly? finishedOn = null, params string[] tags)
+        {
+            using var ctx = _db.CreateContext();
+            var entry = new MediaEntry { UserId = userId, Title = title, Type = type, SubType = subType, Status = status, Rating = rating, FinishedOn = finishedOn };
+            ctx.MediaEntries.Add(entry);
+            await ctx.SaveChangesAsync();
+            if (tags.Length > 0)
+            {
+                await new TagSyncService(ctx).SyncAsync(entry, tags, userId, CancellationToken.None);
+                await ctx.SaveChangesAsync();
+            }
+            return entry;
+        }
+
+        private async Task<MediaStatsDto> GetAsync(Guid userId, int months = 12)
+        {
+            using var ctx = _db.CreateContext();
+            return await new MediaStatsService(ctx).GetAsync(userId, months, Today, CancellationToken.None);
+        }
+
+        [Fact]
+        public async Task Counts_ListEveryValue_AndBucketRatings()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "Arrival", EntryType.Movie, EntrySubType.LiveAction, EntryStatus.Completed, 7m);
+            await AddAsync(userId, "Frieren", EntryType.Series, EntrySubType.Anime, EntryStatus.Watching, 7.5m);
+            await AddAsync(userId, "Berserk", EntryType.Series, EntrySubType.Manga, EntryStatus.Watching, 10m);
+            await AddAsync(userId, "Heat", EntryType.Movie, null, EntryStatus.Planning);
+
+            var stats = await GetAsync(userId);
+
+            Assert.Equal(4, stats.Total);
+            Assert.Equal(3, stats.Rated);
+            Assert.Equal(8.17m, stats.AverageRating);
+
+            Assert.Equal(Enum.GetValues<EntryStatus>(), stats.ByStatus.Select(s => s.Key));
+            Assert.Equal(new[] { 1, 2, 1, 0, 0 }, stats.ByStatus.Select(s => s.Count));
+            Assert.Equal(new[] { 2, 2 }, stats.ByType.Select(s => s.Count));
+            Assert.Equal(1, stats.BySubType.Single(s => s.Key == null).Count);
+            Assert.Equal(0, stats.BySubType.Single(s => s.Key == EntrySubType.Documentary).Count);
+
+            Assert.Equal(Enumerable.Range(0, 11), stats.RatingHistogram.Select(b => b.Rating));
+            Assert.Equal(2, stats.RatingHistogram.Single(b => b.Rating == 7).Count);
+            Assert.Equal(1, stats.RatingHistogram.Single(b => b.Rating == 10).Count);
+            Assert.Equal(3, stats.RatingHistogram.Sum(b => b.Count));
+        }
+
+        [Fact]
+        public async Task TagRatings_AverageRatedEntries_HighestFirst_UnratedLast()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "Arrival", EntryType.Movie, null, EntryStatus.Completed, 9m, null, "scifi", "drama");
+            await AddAsync(userId, "Dune", EntryType.Movie, null, EntryStatus.Completed, 6m, null, "scifi");
+            await AddAsync(userId, "Solaris", EntryType.Movie, null, EntryStatus.Planning, null, null, "scifi", "slow");
+
+            var stats = await GetAsync(userId);
+
+            Assert.Equal(new[] { "drama", "scifi", "slow" }, stats.TagRatings.Select(t => t.Tag));
+            var scifi = stats.TagRatings.Single(t => t.Tag == "scifi");
+            Assert.Equal(3, scifi.Entries);
+            Assert.Equal(2, scifi.Rated);
+            Assert.Equal(7.5m, scifi.AverageRating);
+            Assert.Null(stats.TagRatings.Single(t => t.Tag == "slow").AverageRating);
+        }
+
+        [Fact]
+        public async Task CompletedByMonth_UsesFinishedOn_ThenHistory_ThenCreated()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var thisMonth = new DateOnly(Today.Year, Today.Month, 1);
+
+            await AddAsync(userId, "Last month", EntryType.Movie, null, EntryStatus.Completed, finishedOn: thisMonth.AddMonths(-1));
+            await AddAsync(userId, "Too old", EntryType.Movie, null, EntryStatus.Completed, finishedOn: thisMonth.AddMonths(-3));
+            await AddAsync(userId, "Added as completed", EntryType.Movie, null, EntryStatus.Completed);
+            await AddAsync(userId, "Still watching", EntryType.Series, null, EntryStatus.Watching, finishedOn: thisMonth);
+
+            // Finished later through a status change (history row written on save)
+            var changed = await AddAsync(userId, "Changed", EntryType.Series, null, EntryStatus.Watching);
+            using (var ctx = _db.CreateContext())
+            {
+                var entry = await ctx.MediaEntries.FindAsync(changed.Id);
+                entry!.Status = EntryStatus.Completed;
+                await ctx.SaveChangesAsync();
+            }
+
+            var stats = await GetAsync(userId, months: 3);
+
+            Assert.Equal(new[]
+            {
+                $"{thisMonth.AddMonths(-2):yyyy-MM}", $"{thisMonth.AddMonths(-1):yyyy-MM}", $"{thisMonth:yyyy-MM}"
+            }, stats.CompletedByMonth.Select(m => m.Month));
+            Assert.Equal(new[] { 0, 1, 2 }, stats.CompletedByMonth.Select(m => m.Count));
+        }
+
+        [Fact]
+        public async Task OtherUsersAndTrashedEntries_AreLeftOut()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "Mine", EntryType.Movie, null, EntryStatus.Completed, 8m, null, "scifi");
+            await AddAsync(Guid.NewGuid(), "Theirs", EntryType.Movie, null, EntryStatus.Completed, 2m, null, "scifi");
+            var trashed = await AddAsync(userId, "Trashed", EntryType.Movie, null, EntryStatus.Completed, 1m, null, "scifi");
+            using (var ctx = _db.CreateContext())
+            {
+                ctx.MediaEntries.Remove((await ctx.MediaEntries.FindAsync(trashed.Id))!);
+                await ctx.SaveChangesAsync();
+            }
+
+            var stats = await GetAsync(userId);
+
+            Assert.Equal(1, stats.Total);
+            Assert.Equal(8m, stats.AverageRating);
+            Assert.Equal(8m, stats.TagRatings.Single().AverageRating);
+        }
+    }
+}
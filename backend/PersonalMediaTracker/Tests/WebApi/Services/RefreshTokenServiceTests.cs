@@ -0,0 +1,159 @@
+﻿// Purpose:
+// - Prove RefreshTokenService against a real relational DB (SQLite in-memory via DatabaseFixture),
+//   since rotation and revocation use ExecuteUpdate and a transaction:
+//   - A token works once: rotating it returns a new token and the old one stops working
+//   - Replaying a rotated token (after the grace period) revokes the whole family
+//   - Expired and logged-out tokens are rejected; only hashes are stored
+
+using System;
+using System.Linq;
+using System.Threading.Tasks;
+using Infrastructure.Identity;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Tests.Shared.Fixtures;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Services
+{
+    [Collection(DatabaseCollection.Name)]
+    public class RefreshTokenServiceTests
+    {
+        private readonly DatabaseFixture _db;
+        public RefreshTokenServiceTests(DatabaseFixture db) => _db = db;
+
+        private static readonly IConfiguration Config = new ConfigurationBuilder()
+            .AddInMemoryCollection(new[] { new KeyValuePair<string, string?>("Jwt:RefreshTokenDays", "7") })
+            .Build();
+
+        // Tokens reference AspNetUsers, so the user has to exist
+        private async Task<Guid> AddUserAsync()
+        {
+            using var ctx = _db.CreateContext();
+            var user = new ApplicationUser { Id = Guid.NewGuid(), UserName = $"{Guid.NewGuid():N}@example.com" };
+            ctx.Users.Add(user);
+            await ctx.SaveChangesAsync();
+            return user.Id;
+        }
+
+        // Pretend every token of the user was revoked/rotated long enough ago to be past the grace period
+        private async Task BackdateRevocationsAsync(Guid userId)
+        {
+            using var ctx = _db.CreateContext();
+            await ctx.RefreshTokens
+                .Where(r => r.UserId == userId && r.RevokedAtUtc != null)
+                .ExecuteUpdateAsync(s => s.SetProperty(r => r.RevokedAtUtc, DateTime.UtcNow.AddMinutes(-5)));
+        }
+
+        [Fact]
+        public async Task Issue_StoresHashOnly_WithConfiguredLifetime()
+        {
+            _db.Reset();
+            var userId = await AddUserAsync();
+
+            using var ctx = _db.CreateContext();
+            var issued = await new RefreshTokenService(ctx, Config).IssueAsync(userId);
+
+            var row = await ctx.RefreshTokens.AsNoTracking().SingleAsync();
+            Assert.Equal(userId, issued.UserId);
+            Assert.NotEqual(issued.Token, row.TokenHash);
+            Assert.DoesNotContain(ctx.RefreshTokens, r => r.TokenHash == issued.Token);
+            Assert.InRange(issued.ExpiresAtUtc, DateTime.UtcNow.AddDays(7).AddMinutes(-1), DateTime.UtcNow.AddDays(7).AddMinutes(1));
+        }
+
+        [Fact]
+        public async Task Rotate_ReturnsNewToken_AndOldOneStopsWorking()
+        {
+            _db.Reset();
+            var userId = await AddUserAsync();
+            using var ctx = _db.CreateContext();
+            var svc = new RefreshTokenService(ctx, Config);
+            var first = await svc.IssueAsync(userId);
+
+            var second = await svc.RotateAsync(first.Token);
+
+            Assert.NotNull(second);
+            Assert.Equal(userId, second!.UserId);
+            Assert.NotEqual(first.Token, second.Token);
+            Assert.Null(await svc.RotateAsync(first.Token));     // within the grace period: just rejected
+            Assert.NotNull(await svc.RotateAsync(second.Token)); // ...and the family still works
+        }
+
+        [Fact]
+        public async Task Rotate_ReplayedTokenAfterGrace_RevokesFamily()
+        {
+            _db.Reset();
+            var userId = await AddUserAsync();
+            using var ctx = _db.CreateContext();
+            var svc = new RefreshTokenService(ctx, Config);
+            var first = await svc.IssueAsync(userId);
+            var second = await svc.RotateAsync(first.Token);
+            await BackdateRevocationsAsync(userId);
+
+            Assert.Null(await svc.RotateAsync(first.Token));
+            Assert.Null(await svc.RotateAsync(second!.Token));
+        }
+
+        [Fact]
+        public async Task Rotate_OtherLoginsFamily_IsUntouchedByReplay()
+        {
+            _db.Reset();
+            var userId = await AddUserAsync();
+            using var ctx = _db.CreateContext();
+            var svc = new RefreshTokenService(ctx, Config);
+            var laptop = await svc.IssueAsync(userId);
+            var phone = await svc.IssueAsync(userId);
+            await svc.RotateAsync(laptop.Token);
+            await BackdateRevocationsAsync(userId);
+
+            await svc.RotateAsync(laptop.Token);
+
+            Assert.NotNull(await svc.RotateAsync(phone.Token));
+        }
+
+        [Fact]
+        public async Task Rotate_ExpiredOrUnknown_ReturnsNull()
+        {
+            _db.Reset();
+            var userId = await AddUserAsync();
+            using var ctx = _db.CreateContext();
+            var svc = new RefreshTokenService(ctx, Config);
+            var issued = await svc.IssueAsync(userId);
+            await ctx.RefreshTokens.ExecuteUpdateAsync(s => s.SetProperty(r => r.ExpiresAtUtc, DateTime.UtcNow.AddMinutes(-1)));
+
+            Assert.Null(await svc.RotateAsync(issued.Token));
+            Assert.Null(await svc.RotateAsync("not-a-token"));
+            Assert.Null(await svc.RotateAsync(""));
+        }
+
+        [Fact]
+        public async Task Revoke_LogsOut_OnlyOnce()
+        {
+            _db.Reset();
+            var userId = await AddUserAsync();
+            using var ctx = _db.CreateContext();
+            var svc = new RefreshTokenService(ctx, Config);
+            var issued = await svc.IssueAsync(userId);
+
+            Assert.True(await svc.RevokeAsync(issued.Token));
+            Assert.False(await svc.RevokeAsync(issued.Token));
+            Assert.Null(await svc.RotateAsync(issued.Token));
+        }
+
+        [Fact]
+        public async Task Issue_RemovesTheUsersExpiredTokens()
+        {
+            _db.Reset();
+            var userId = await AddUserAsync();
+            using var ctx = _db.CreateContext();
+            var svc = new RefreshTokenService(ctx, Config);
+            await svc.IssueAsync(userId);
+            await ctx.RefreshTokens.ExecuteUpdateAsync(s => s.SetProperty(r => r.ExpiresAtUtc, DateTime.UtcNow.AddMinutes(-1)));
+
+            await svc.IssueAsync(userId);
+
+            Assert.Equal(1, await ctx.RefreshTokens.CountAsync());
+        }
+    }
+}
@@ -0,0 +1,148 @@
+﻿// Purpose:
+// - Prove SuggestionService against a real relational DB (SQLite in-memory via DatabaseFixture):
+//   - Duplicates: fuzzy title matches in the caller's library, most similar first, edited entry left out
+//   - Next up: Planning/OnHold entries ranked by tag overlap with the highest-rated completed entries,
+//     with the matched tags and favorites as the reason
+//   - Other users' entries and trashed entries are left out
+
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Tests.Shared.Fixtures;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Services
+{
+    [Collection(DatabaseCollection.Name)]
+    public class SuggestionServiceTests
+    {
+        private readonly DatabaseFixture _db;
+        public SuggestionServiceTests(DatabaseFixture db) => _db = db;
+
+        private async Task<MediaEntry> AddAsync(Guid userId, string title, EntryStatus status, decimal? rating = null, params string[] tags)
+        {
+            using var ctx = _db.CreateContext();
+            var entry = new MediaEntry { UserId = userId, Title = title, Type = EntryType.Movie, Status = status, Rating = rating };
+            ctx.MediaEntries.Add(entry);
+            await ctx.SaveChangesAsync();
+            if (tags.Length > 0)
+            {
+                await new TagSyncService(ctx).SyncAsync(entry, tags, userId, CancellationToken.None);
+                await ctx.SaveChangesAsync();
+            }
+            return entry;
+        }
+
+        private async Task TrashAsync(Guid entryId)
+        {
+            using var ctx = _db.CreateContext();
+            ctx.MediaEntries.Remove((await ctx.MediaEntries.FindAsync(entryId))!);
+            await ctx.SaveChangesAsync();
+        }
+
+        [Fact]
+        public async Task FindDuplicates_MatchesNormalizedTitles_MostSimilarFirst()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "The Witcher", EntryStatus.Watching);
+            await AddAsync(userId, "Witcher", EntryStatus.Planning);
+            await AddAsync(userId, "Witchers", EntryStatus.Planning);
+            await AddAsync(userId, "Toy Story 2", EntryStatus.Completed);
+            var edited = await AddAsync(userId, "witcher!", EntryStatus.Planning);
+
+            using var ctx = _db.CreateContext();
+            var service = new SuggestionService(ctx);
+            var matches = await service.FindDuplicatesAsync(userId, "  the WITCHER ", edited.Id, 5, CancellationToken.None);
+
+            Assert.Equal(new[] { "The Witcher", "Witcher", "Witchers" }, matches.Select(m => m.Title));
+            Assert.Equal(new[] { 1d, 1d, 0.88 }, matches.Select(m => m.Similarity));
+            Assert.Equal(EntryStatus.Watching, matches[0].Status);
+
+            Assert.Empty(await service.FindDuplicatesAsync(userId, "Toy Story 3", null, 5, CancellationToken.None));
+            Assert.Single(await service.FindDuplicatesAsync(userId, "Witcher", null, 1, CancellationToken.None));
+        }
+
+        [Fact]
+        public async Task FindDuplicates_LeavesOutOtherUsersAndTrash()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(Guid.NewGuid(), "Dune", EntryStatus.Planning);
+            var trashed = await AddAsync(userId, "Dune", EntryStatus.Planning);
+            await TrashAsync(trashed.Id);
+
+            using var ctx = _db.CreateContext();
+            var matches = await new SuggestionService(ctx).FindDuplicatesAsync(userId, "Dune", null, 5, CancellationToken.None);
+
+            Assert.Empty(matches);
+        }
+
+        [Fact]
+        public async Task NextUp_RanksBacklogByTagOverlapWithFavorites()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var arrival = await AddAsync(userId, "Arrival", EntryStatus.Completed, 9m, "scifi", "drama");
+            var dune = await AddAsync(userId, "Dune", EntryStatus.Completed, 8m, "scifi", "epic");
+            await AddAsync(userId, "Heat", EntryStatus.Completed, 4m, "crime");
+            await AddAsync(userId, "Unrated", EntryStatus.Completed, null, "scifi");
+            await AddAsync(userId, "Solaris", EntryStatus.Planning, null, "scifi", "slow");
+            await AddAsync(userId, "Interstellar", EntryStatus.OnHold, null, "scifi", "drama");
+            await AddAsync(userId, "Cats", EntryStatus.Planning, null, "musical");
+            await AddAsync(userId, "Contact", EntryStatus.Watching, null, "scifi", "drama");
+
+            using var ctx = _db.CreateContext();
+            var nextUp = await new SuggestionService(ctx).GetNextUpAsync(userId, 5, CancellationToken.None);
+
+            Assert.Equal(new[] { "Arrival", "Dune", "Heat" }, nextUp.BasedOn.Select(f => f.Title));
+            Assert.Equal(new[] { "Interstellar", "Solaris" }, nextUp.Items.Select(i => i.Title));
+
+            var first = nextUp.Items[0];
+            Assert.Equal(0.56, first.Score);
+            Assert.Equal(new[] { "scifi", "drama" }, first.MatchedTags);
+            Assert.Equal(new[] { arrival.Id, dune.Id }, first.SimilarTo.Select(f => f.Id));
+            Assert.Equal(9m, first.SimilarTo[0].Rating);
+
+            var second = nextUp.Items[1];
+            Assert.Equal(0.27, second.Score);
+            Assert.Equal(new[] { "scifi" }, second.MatchedTags);
+            Assert.Equal(new[] { "scifi", "slow" }, second.Tags);
+        }
+
+        [Fact]
+        public async Task NextUp_WithoutRatedCompletedEntries_IsEmpty()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "Solaris", EntryStatus.Planning, null, "scifi");
+            await AddAsync(userId, "Unrated", EntryStatus.Completed, null, "scifi");
+            await AddAsync(Guid.NewGuid(), "Theirs", EntryStatus.Completed, 10m, "scifi");
+
+            using var ctx = _db.CreateContext();
+            var nextUp = await new SuggestionService(ctx).GetNextUpAsync(userId, 5, CancellationToken.None);
+
+            Assert.Empty(nextUp.BasedOn);
+            Assert.Empty(nextUp.Items);
+        }
+
+        [Fact]
+        public async Task NextUp_LeavesOutTrashedEntries()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "Arrival", EntryStatus.Completed, 9m, "scifi");
+            var trashed = await AddAsync(userId, "Solaris", EntryStatus.Planning, null, "scifi");
+            await TrashAsync(trashed.Id);
+
+            using var ctx = _db.CreateContext();
+            var nextUp = await new SuggestionService(ctx).GetNextUpAsync(userId, 5, CancellationToken.None);
+
+            Assert.Empty(nextUp.Items);
+        }
+    }
+}
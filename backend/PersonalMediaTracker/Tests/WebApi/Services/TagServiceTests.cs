@@ -0,0 +1,173 @@
+﻿// Purpose:
+// - Prove TagService against a real relational DB (SQLite in-memory via DatabaseFixture),
+//   since merge/delete use ExecuteDelete and a transaction:
+//   - Merge moves every link to the target (no duplicate links), trashed entries included
+//   - Delete detaches the tag everywhere but keeps the entries, and the name can be reused
+//   - Entries whose tags change get a new UpdatedAtUtc (their version/ETag), others keep theirs
+//   - Tags of other users are never touched
+
+using System;
+using System.Linq;
+using System.Threading;
+using System.Threading.Tasks;
+using Domain.Entities;
+using Domain.Enums;
+using Microsoft.EntityFrameworkCore;
+using Tests.Shared.Fixtures;
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Services
+{
+    [Collection(DatabaseCollection.Name)]
+    public class TagServiceTests
+    {
+        private readonly DatabaseFixture _db;
+        public TagServiceTests(DatabaseFixture db) => _db = db;
+
+        private async Task<MediaEntry> AddAsync(Guid userId, string title, params string[] tags)
+        {
+            using var ctx = _db.CreateContext();
+            var entry = new MediaEntry { UserId = userId, Title = title, Type = EntryType.Movie, Status = EntryStatus.Planning };
+            ctx.MediaEntries.Add(entry);
+            await ctx.SaveChangesAsync();
+            await new TagSyncService(ctx).SyncAsync(entry, tags, userId, CancellationToken.None);
+            await ctx.SaveChangesAsync();
+            return entry;
+        }
+
+        private Guid TagId(Guid userId, string name)
+        {
+            using var ctx = _db.CreateContext();
+            return ctx.Tags.Single(t => t.UserId == userId && t.Name == name).Id;
+        }
+
+        // Tag names per entry title, read past the soft-delete filters
+        private ILookup<string, string> TagsByTitle(Guid userId)
+        {
+            using var ctx = _db.CreateContext();
+            return ctx.EntryTags.IgnoreQueryFilters()
+                .Where(et => et.MediaEntry.UserId == userId)
+                .Select(et => new { et.MediaEntry.Title, et.Tag.Name })
+                .ToList()
+                .ToLookup(x => x.Title, x => x.Name);
+        }
+
+        private DateTime UpdatedAt(Guid entryId)
+        {
+            using var ctx = _db.CreateContext();
+            return ctx.MediaEntries.IgnoreQueryFilters().Single(e => e.Id == entryId).UpdatedAtUtc;
+        }
+
+        [Fact]
+        public async Task Merge_MovesLinksToTarget_AndRemovesSource()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "Alien", "scifi");
+            await AddAsync(userId, "Arrival", "scifi", "sci-fi");
+            await AddAsync(userId, "Dune", "sci-fi");
+            var trashed = await AddAsync(userId, "Trashed", "scifi");
+            using (var ctx = _db.CreateContext())
+            {
+                var e = ctx.MediaEntries.Single(x => x.Id == trashed.Id);
+                ctx.MediaEntries.Remove(e);     // soft delete
+                await ctx.SaveChangesAsync();
+            }
+
+            using (var ctx = _db.CreateContext())
+            {
+                var merged = await new TagService(ctx).MergeAsync(userId, TagId(userId, "scifi"), TagId(userId, "sci-fi"), CancellationToken.None);
+                Assert.True(merged);
+            }
+
+            var tags = TagsByTitle(userId);
+            Assert.Equal(new[] { "sci-fi" }, tags["Alien"]);
+            Assert.Equal(new[] { "sci-fi" }, tags["Arrival"]);
+            Assert.Equal(new[] { "sci-fi" }, tags["Dune"]);
+            Assert.Equal(new[] { "sci-fi" }, tags["Trashed"]);
+            using var check = _db.CreateContext();
+            Assert.False(await check.Tags.IgnoreQueryFilters().AnyAsync(t => t.Name == "scifi"));
+        }
+
+        [Fact]
+        public async Task MergeAndDelete_BumpUpdatedAt_OfEntriesWhoseTagsChange()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var alien = await AddAsync(userId, "Alien", "scifi");
+            var dune = await AddAsync(userId, "Dune", "sci-fi");
+            var heat = await AddAsync(userId, "Heat", "noir");
+            var before = new[] { alien, dune, heat }.ToDictionary(e => e.Id, e => UpdatedAt(e.Id));
+
+            using (var ctx = _db.CreateContext())
+            {
+                Assert.True(await new TagService(ctx).MergeAsync(userId, TagId(userId, "scifi"), TagId(userId, "sci-fi"), CancellationToken.None));
+            }
+            Assert.True(UpdatedAt(alien.Id) > before[alien.Id]);
+            Assert.Equal(before[dune.Id], UpdatedAt(dune.Id));      // already had the target tag only
+            Assert.Equal(before[heat.Id], UpdatedAt(heat.Id));
+
+            using (var ctx = _db.CreateContext())
+            {
+                Assert.True(await new TagService(ctx).DeleteAsync(userId, TagId(userId, "noir"), CancellationToken.None));
+            }
+            Assert.True(UpdatedAt(heat.Id) > before[heat.Id]);
+            Assert.Equal(before[dune.Id], UpdatedAt(dune.Id));
+        }
+
+        [Fact]
+        public async Task Merge_OtherUsersTag_ReturnsFalse_AndChangesNothing()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            var otherUser = Guid.NewGuid();
+            await AddAsync(userId, "Mine", "drama");
+            await AddAsync(otherUser, "Theirs", "noir");
+
+            using (var ctx = _db.CreateContext())
+            {
+                var merged = await new TagService(ctx).MergeAsync(userId, TagId(userId, "drama"), TagId(otherUser, "noir"), CancellationToken.None);
+                Assert.False(merged);
+            }
+
+            Assert.Equal(new[] { "drama" }, TagsByTitle(userId)["Mine"]);
+            Assert.Equal(new[] { "noir" }, TagsByTitle(otherUser)["Theirs"]);
+        }
+
+        [Fact]
+        public async Task Delete_DetachesEverywhere_KeepsEntries_AndNameCanBeReused()
+        {
+            _db.Reset();
+            var userId = Guid.NewGuid();
+            await AddAsync(userId, "Heat", "noir", "drama");
+            await AddAsync(userId, "Zodiac", "noir");
+
+            using (var ctx = _db.CreateContext())
+            {
+                Assert.True(await new TagService(ctx).DeleteAsync(userId, TagId(userId, "noir"), CancellationToken.None));
+            }
+
+            var tags = TagsByTitle(userId);
+            Assert.Equal(new[] { "drama" }, tags["Heat"]);
+            Assert.Empty(tags["Zodiac"]);
+            using (var ctx = _db.CreateContext())
+            {
+                Assert.Equal(2, await ctx.MediaEntries.CountAsync(e => e.UserId == userId));
+            }
+
+            // The unique (UserId, Name) index would reject this if the tag were only soft-deleted
+            await AddAsync(userId, "Chinatown", "noir");
+            Assert.Equal(new[] { "noir" }, TagsByTitle(userId)["Chinatown"]);
+        }
+
+        [Fact]
+        public async Task Delete_Missing_ReturnsFalse()
+        {
+            _db.Reset();
+            using var ctx = _db.CreateContext();
+
+            Assert.False(await new TagService(ctx).DeleteAsync(Guid.NewGuid(), Guid.NewGuid(), CancellationToken.None));
+        }
+    }
+}
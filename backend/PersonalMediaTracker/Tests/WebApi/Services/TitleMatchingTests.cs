@@ -0,0 +1,55 @@
+﻿// Purpose:
+// - Pin the title normalization and similarity behind the duplicate warning:
+//   - Case, accents, punctuation, "&" and a leading article don't matter
+//   - A typo still matches, different sequel/season numbers never do
+
+using WebApi.Services;
+using Xunit;
+
+namespace Tests.WebApi.Services
+{
+    public sealed class TitleMatchingTests
+    {
+        [Theory]
+        [InlineData("The Witcher", "witcher")]
+        [InlineData("  Pokémon: The Movie!  ", "pokemon the movie")]
+        [InlineData("Steins;Gate", "steins gate")]
+        [InlineData("Fast & Furious", "fast and furious")]
+        [InlineData("A", "a")]             // a lone article is the title
+        [InlineData("   ", "")]
+        public void Normalize_IgnoresCaseAccentsPunctuationAndLeadingArticle(string title, string expected)
+        {
+            Assert.Equal(expected, TitleMatching.Normalize(title));
+        }
+
+        [Theory]
+        [InlineData("The Witcher", "Witcher")]
+        [InlineData("Pokemon", "Pokémon")]
+        [InlineData("Spirited Away", "Spirited Awya")]      // transposed letters
+        [InlineData("Frieren", "Freiren")]
+        public void Similarity_SimilarTitles_ReachTheThreshold(string a, string b)
+        {
+            var similarity = TitleMatching.Similarity(TitleMatching.Normalize(a), TitleMatching.Normalize(b));
+
+            Assert.True(similarity >= TitleMatching.DuplicateThreshold, $"{a} / {b}: {similarity}");
+        }
+
+        [Theory]
+        [InlineData("Toy Story 2", "Toy Story 3")]          // sequels
+        [InlineData("Toy Story", "Toy Story 2")]
+        [InlineData("Dune", "Dark")]
+        [InlineData("Heat", "")]
+        public void Similarity_DifferentTitles_StayBelowTheThreshold(string a, string b)
+        {
+            var similarity = TitleMatching.Similarity(TitleMatching.Normalize(a), TitleMatching.Normalize(b));
+
+            Assert.True(similarity < TitleMatching.DuplicateThreshold, $"{a} / {b}: {similarity}");
+        }
+
+        [Fact]
+        public void Similarity_SameNormalizedTitle_IsOne()
+        {
+            Assert.Equal(1, TitleMatching.Similarity("witcher", "witcher"));
+        }
+    }
+}
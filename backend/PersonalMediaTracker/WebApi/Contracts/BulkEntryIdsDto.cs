@@ -0,0 +1,13 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/mediaentries/bulk/delete (and the base of the other bulk requests).
+    public class BulkEntryIdsDto
+    {
+        public const int MaxBatchSize = 500;
+
+        [Required, MinLength(1, ErrorMessage = "Select at least one entry"), MaxLength(MaxBatchSize, ErrorMessage = "At most 500 entries per batch")]
+        public List<Guid> Ids { get; set; } = new();
+    }
+}
@@ -0,0 +1,17 @@
+﻿namespace WebApi.Contracts
+{
+    // Per-item outcome of a bulk request, in the order the ids were sent.
+    public class BulkResultDto
+    {
+        public IReadOnlyList<BulkItemResultDto> Items { get; set; } = Array.Empty<BulkItemResultDto>();
+        public int Succeeded { get; set; }
+        public int Failed { get; set; }
+    }
+
+    public class BulkItemResultDto
+    {
+        public Guid Id { get; set; }
+        public bool Ok { get; set; }
+        public string? Error { get; set; }
+    }
+}
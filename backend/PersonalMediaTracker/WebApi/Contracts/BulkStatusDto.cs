@@ -0,0 +1,12 @@
+﻿using System.ComponentModel.DataAnnotations;
+using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/mediaentries/bulk/status.
+    public class BulkStatusDto : BulkEntryIdsDto
+    {
+        [Required]
+        public EntryStatus? Status { get; set; }
+    }
+}
@@ -0,0 +1,11 @@
+﻿namespace WebApi.Contracts
+{
+    // Write model for POST api/mediaentries/bulk/tags.
+    // Tags in Remove win over the same name in Add.
+    public class BulkTagsDto : BulkEntryIdsDto
+    {
+        public IEnumerable<string>? Add { get; set; }
+
+        public IEnumerable<string>? Remove { get; set; }
+    }
+}
@@ -0,0 +1,21 @@
+﻿namespace WebApi.Contracts
+{
+    // Read model for the collections list (GET api/collections) and the metadata.
+    public class CollectionDto
+    {
+        public Guid Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string? Description { get; set; }
+        public int Count { get; set; }              // entries in the collection, trashed entries not counted
+        public DateTime UpdatedAtUtc { get; set; }
+
+        // Whether the entry asked about (?entryId=) is in the collection; null when nobody asked
+        public bool? ContainsEntry { get; set; }
+    }
+
+    // Read model for one collection page (GET api/collections/{id}): its entries in the user's order.
+    public class CollectionDetailDto : CollectionDto
+    {
+        public IReadOnlyList<MediaEntryDto> Entries { get; set; } = Array.Empty<MediaEntryDto>();
+    }
+}
@@ -0,0 +1,11 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/collections/{id}/entries: the entry goes to the end of the collection.
+    public class CollectionEntryDto
+    {
+        [Required]
+        public Guid EntryId { get; set; }
+    }
+}
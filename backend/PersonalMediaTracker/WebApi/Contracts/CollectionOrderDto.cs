@@ -0,0 +1,11 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace WebApi.Contracts
+{
+    // Write model for PUT api/collections/{id}/order: every entry of the collection, in the new order.
+    public class CollectionOrderDto
+    {
+        [Required]
+        public List<Guid> EntryIds { get; set; } = new();
+    }
+}
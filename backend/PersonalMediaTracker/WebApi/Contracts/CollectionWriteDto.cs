@@ -0,0 +1,14 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/collections and PUT api/collections/{id} (create / rename + describe).
+    public class CollectionWriteDto
+    {
+        [Required(ErrorMessage = "Name is required"), StringLength(100, ErrorMessage = "Name can be at most 100 characters")]
+        public string Name { get; set; } = string.Empty;
+
+        [StringLength(1000, ErrorMessage = "Description can be at most 1000 characters")]
+        public string? Description { get; set; }
+    }
+}
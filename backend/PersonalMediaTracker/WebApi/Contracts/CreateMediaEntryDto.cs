@@ -22,6 +22,31 @@ public class CreateMediaEntryDto
         [StringLength(2000)]
         public string? Notes { get; set; }
 
+        [Range(0, 100000, ErrorMessage = "Current episode must be between 0 and 100000")]
+        public int? CurrentEpisode { get; set; }
+
+        [Range(0, 100000, ErrorMessage = "Total episodes must be between 0 and 100000")]
+        public int? TotalEpisodes { get; set; }
+
+        [Range(0, 100000, ErrorMessage = "Current chapter must be between 0 and 100000")]
+        public int? CurrentChapter { get; set; }
+
+        [Range(0, 100000, ErrorMessage = "Total chapters must be between 0 and 100000")]
+        public int? TotalChapters { get; set; }
+
+        [Range(0, 100000, ErrorMessage = "Current volume must be between 0 and 100000")]
+        public int? CurrentVolume { get; set; }
+
+        [Range(0, 100000, ErrorMessage = "Total volumes must be between 0 and 100000")]
+        public int? TotalVolumes { get; set; }
+
+        public DateOnly? StartedOn { get; set; }
+
+        public DateOnly? FinishedOn { get; set; }
+
+        [Range(0, 1000, ErrorMessage = "Rewatch count must be between 0 and 1000")]
+        public int RewatchCount { get; set; }
+
         public IEnumerable<string>? Tags { get; set; }
     }
 }
@@ -0,0 +1,19 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/shares.
+    public class CreateShareLinkDto
+    {
+        [StringLength(100, ErrorMessage = "Name can be at most 100 characters")]
+        public string? Name { get; set; }
+
+        // null (or no filter values) shares the whole library
+        public EntryFilterDto? Filter { get; set; }
+
+        public bool IncludeNotes { get; set; }
+
+        // Must be in the future; null = the link works until revoked
+        public DateTime? ExpiresAtUtc { get; set; }
+    }
+}
@@ -0,0 +1,16 @@
+﻿using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // An entry in the caller's library whose title looks like the one being added
+    // (GET api/mediaentries/duplicates). Most similar first.
+    public class DuplicateCandidateDto
+    {
+        public Guid Id { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public EntryType Type { get; set; }
+        public EntrySubType? SubType { get; set; }
+        public EntryStatus Status { get; set; }
+        public double Similarity { get; set; }      // 0-1, 1 = same title once normalized
+    }
+}
@@ -0,0 +1,11 @@
+﻿namespace WebApi.Contracts
+{
+    // What an import does with a row whose title + type already exists in the library.
+    // - Skip: leave the existing entry alone
+    // - Overwrite: values from the file replace the existing ones (empty cells keep them)
+    // - Merge: the file only fills fields the existing entry doesn't have; tags are combined
+    public enum DuplicateHandling
+    {
+        Skip, Overwrite, Merge
+    }
+}
@@ -0,0 +1,16 @@
+﻿namespace WebApi.Contracts
+{
+    // The list filters of GET api/mediaentries as one object. Share links store one (as JSON),
+    // so a shared view shows what the owner's filtered list showed.
+    // type/subType/status/tag entries may be comma-separated, like the query string values.
+    public class EntryFilterDto
+    {
+        public string? Q { get; set; }
+        public string[]? Type { get; set; }
+        public string[]? SubType { get; set; }
+        public string[]? Status { get; set; }
+        public string[]? Tag { get; set; }
+        public string? TagMatch { get; set; }        // "any" (default) | "all"
+        public Guid? Collection { get; set; }
+    }
+}
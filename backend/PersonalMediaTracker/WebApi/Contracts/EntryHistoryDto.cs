@@ -0,0 +1,14 @@
+﻿using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // One timeline item from GET api/mediaentries/{id}/history.
+    public class EntryHistoryDto
+    {
+        public Guid Id { get; set; }
+        public EntryHistoryField Field { get; set; }
+        public string? OldValue { get; set; }
+        public string? NewValue { get; set; }
+        public DateTime ChangedAtUtc { get; set; }
+    }
+}
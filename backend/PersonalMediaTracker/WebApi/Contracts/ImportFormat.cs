@@ -0,0 +1,10 @@
+﻿namespace WebApi.Contracts
+{
+    // File formats accepted by POST api/mediaentries/import.
+    // Csv/Json are this app's own export; MyAnimeList is its XML list export,
+    // Letterboxd one of the CSV files from its export zip (diary, watched, ratings, reviews, watchlist).
+    public enum ImportFormat
+    {
+        Csv, Json, MyAnimeList, Letterboxd
+    }
+}
@@ -0,0 +1,26 @@
+﻿using System.ComponentModel.DataAnnotations;
+using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/mediaentries/import.
+    public class ImportRequestDto
+    {
+        public const int MaxContentLength = 5_000_000;
+
+        [Required]
+        public ImportFormat? Format { get; set; }
+
+        // Raw file text (the frontend reads the uploaded file and sends it as-is)
+        [Required, StringLength(MaxContentLength, ErrorMessage = "Import files can be at most 5 MB")]
+        public string Content { get; set; } = string.Empty;
+
+        // Status for rows the file doesn't give one (e.g. a Letterboxd watchlist); Planning when not set
+        public EntryStatus? DefaultStatus { get; set; }
+
+        public DuplicateHandling OnDuplicate { get; set; } = DuplicateHandling.Skip;
+
+        // true = validate and report what would happen without saving anything (the preview)
+        public bool DryRun { get; set; }
+    }
+}
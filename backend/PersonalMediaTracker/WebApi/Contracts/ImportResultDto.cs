@@ -0,0 +1,38 @@
+﻿namespace WebApi.Contracts
+{
+    // Outcome of an import (or its dry-run preview), one row result per file row in file order.
+    public class ImportResultDto
+    {
+        public bool DryRun { get; set; }
+        public IReadOnlyList<ImportRowResultDto> Rows { get; set; } = Array.Empty<ImportRowResultDto>();
+        public int Created { get; set; }
+        public int Overwritten { get; set; }
+        public int Merged { get; set; }
+        public int Skipped { get; set; }
+        public int Invalid { get; set; }
+    }
+
+    public class ImportRowResultDto
+    {
+        // 1-based position in the file, not counting a CSV header
+        public int Row { get; set; }
+        public string? Title { get; set; }
+        public string? Type { get; set; }
+
+        // Values as they will be saved, so the preview shows how another app's fields were mapped
+        public string? SubType { get; set; }
+        public string? Status { get; set; }
+        public decimal? Rating { get; set; }
+
+        public ImportRowAction Action { get; set; }
+
+        // Set when the row matches an entry already in the library (same title + type)
+        public Guid? ExistingId { get; set; }
+        public IReadOnlyList<string> Errors { get; set; } = Array.Empty<string>();
+    }
+
+    public enum ImportRowAction
+    {
+        Create, Skip, Overwrite, Merge, Invalid
+    }
+}
@@ -0,0 +1,24 @@
+﻿namespace WebApi.Contracts
+{
+    // One entry in an export/import file (a CSV row or a JSON array item).
+    // Enums are plain strings so a bad value fails only its own row on import.
+    public class LibraryEntryDto
+    {
+        public string? Title { get; set; }
+        public string? Type { get; set; }
+        public string? SubType { get; set; }
+        public string? Status { get; set; }
+        public decimal? Rating { get; set; }
+        public string? Notes { get; set; }
+        public int? CurrentEpisode { get; set; }
+        public int? TotalEpisodes { get; set; }
+        public int? CurrentChapter { get; set; }
+        public int? TotalChapters { get; set; }
+        public int? CurrentVolume { get; set; }
+        public int? TotalVolumes { get; set; }
+        public DateOnly? StartedOn { get; set; }
+        public DateOnly? FinishedOn { get; set; }
+        public int? RewatchCount { get; set; }
+        public IReadOnlyList<string>? Tags { get; set; }
+    }
+}
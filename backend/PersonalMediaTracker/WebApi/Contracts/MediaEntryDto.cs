@@ -13,6 +13,18 @@ public class MediaEntryDto
         public EntryStatus Status { get; set; }
         public decimal? Rating { get; set; }
         public string? Notes { get; set; }
+        public int? CurrentEpisode { get; set; }
+        public int? TotalEpisodes { get; set; }
+        public int? CurrentChapter { get; set; }
+        public int? TotalChapters { get; set; }
+        public int? CurrentVolume { get; set; }
+        public int? TotalVolumes { get; set; }
+        public DateOnly? StartedOn { get; set; }
+        public DateOnly? FinishedOn { get; set; }
+        public int RewatchCount { get; set; }
         public IReadOnlyList<string> Tags { get; set; } = Array.Empty<string>();
+
+        // Changes with every save (also sent as the ETag); PUT it back in If-Match to detect edit conflicts
+        public string Version { get; set; } = string.Empty;
     }
 }
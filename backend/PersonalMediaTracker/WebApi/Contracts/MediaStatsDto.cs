@@ -0,0 +1,52 @@
+﻿using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // Read model for GET api/mediaentries/stats (the stats page). Covers the caller's whole library.
+    public class MediaStatsDto
+    {
+        public int Total { get; set; }
+        public int Rated { get; set; }
+        public decimal? AverageRating { get; set; }     // null when nothing is rated
+
+        // Every enum value is listed (0 when unused); SubType null = entries without a subtype
+        public IReadOnlyList<StatsCountDto<EntryStatus>> ByStatus { get; set; } = Array.Empty<StatsCountDto<EntryStatus>>();
+        public IReadOnlyList<StatsCountDto<EntryType>> ByType { get; set; } = Array.Empty<StatsCountDto<EntryType>>();
+        public IReadOnlyList<StatsCountDto<EntrySubType?>> BySubType { get; set; } = Array.Empty<StatsCountDto<EntrySubType?>>();
+
+        // Whole-number buckets 0-10 (7 and 7.5 both count under 7); unrated entries aren't included
+        public IReadOnlyList<RatingBucketDto> RatingHistogram { get; set; } = Array.Empty<RatingBucketDto>();
+
+        // Highest average first; tags without rated entries come last (AverageRating null)
+        public IReadOnlyList<TagRatingDto> TagRatings { get; set; } = Array.Empty<TagRatingDto>();
+
+        // Oldest month first, one item per month in the window (0 when nothing was completed)
+        public IReadOnlyList<MonthCountDto> CompletedByMonth { get; set; } = Array.Empty<MonthCountDto>();
+    }
+
+    public class StatsCountDto<TKey>
+    {
+        public TKey Key { get; set; } = default!;
+        public int Count { get; set; }
+    }
+
+    public class RatingBucketDto
+    {
+        public int Rating { get; set; }
+        public int Count { get; set; }
+    }
+
+    public class TagRatingDto
+    {
+        public string Tag { get; set; } = string.Empty;
+        public int Entries { get; set; }
+        public int Rated { get; set; }
+        public decimal? AverageRating { get; set; }
+    }
+
+    public class MonthCountDto
+    {
+        public string Month { get; set; } = string.Empty;   // "yyyy-MM"
+        public int Count { get; set; }
+    }
+}
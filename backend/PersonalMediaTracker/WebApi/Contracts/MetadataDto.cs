@@ -0,0 +1,34 @@
+﻿namespace WebApi.Contracts
+{
+    // Read model for GET api/metadata: everything the frontend needs to build its selects,
+    // filters and labels, so new enum values or genres show up without frontend edits.
+    public class MetadataDto
+    {
+        // Enum values in declaration order (Value = the name the API accepts and returns)
+        public IReadOnlyList<EnumOptionDto> Types { get; set; } = Array.Empty<EnumOptionDto>();
+        public IReadOnlyList<EnumOptionDto> SubTypes { get; set; } = Array.Empty<EnumOptionDto>();
+        public IReadOnlyList<EnumOptionDto> Statuses { get; set; } = Array.Empty<EnumOptionDto>();
+
+        // Type value -> the subtype values it allows (SubTypeRules); no subtype is always allowed
+        public IReadOnlyDictionary<string, IReadOnlyList<string>> SubTypesByType { get; set; } =
+            new Dictionary<string, IReadOnlyList<string>>();
+
+        // The caller's tags plus the suggested genres, by name; Count = entries using the tag
+        public IReadOnlyList<TagUsageDto> Tags { get; set; } = Array.Empty<TagUsageDto>();
+
+        // The caller's collections by name (home page filter, "Add to collection" menu)
+        public IReadOnlyList<CollectionDto> Collections { get; set; } = Array.Empty<CollectionDto>();
+    }
+
+    public class EnumOptionDto
+    {
+        public string Value { get; set; } = string.Empty;
+        public string Label { get; set; } = string.Empty;
+    }
+
+    public class TagUsageDto
+    {
+        public string Name { get; set; } = string.Empty;
+        public int Count { get; set; }
+    }
+}
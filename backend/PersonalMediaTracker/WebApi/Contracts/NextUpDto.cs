@@ -0,0 +1,38 @@
+﻿using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // Read model for GET api/mediaentries/next-up: Planning and OnHold entries ranked by how well
+    // their tags match the caller's highest-rated completed entries ("favorites").
+    public class NextUpDto
+    {
+        // The favorites the ranking is based on, best first (empty when nothing completed is rated)
+        public IReadOnlyList<NextUpReferenceDto> BasedOn { get; set; } = Array.Empty<NextUpReferenceDto>();
+
+        // Best match first; entries without a tag in common with the favorites aren't listed
+        public IReadOnlyList<NextUpItemDto> Items { get; set; } = Array.Empty<NextUpItemDto>();
+    }
+
+    public class NextUpItemDto
+    {
+        public Guid Id { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public EntryType Type { get; set; }
+        public EntrySubType? SubType { get; set; }
+        public EntryStatus Status { get; set; }
+        public IReadOnlyList<string> Tags { get; set; } = Array.Empty<string>();
+        public double Score { get; set; }       // 0-1, only comparable within one response
+
+        // Why it was suggested: the tags it shares with the favorites (strongest first)
+        // and the favorites it's most like
+        public IReadOnlyList<string> MatchedTags { get; set; } = Array.Empty<string>();
+        public IReadOnlyList<NextUpReferenceDto> SimilarTo { get; set; } = Array.Empty<NextUpReferenceDto>();
+    }
+
+    public class NextUpReferenceDto
+    {
+        public Guid Id { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public decimal? Rating { get; set; }
+    }
+}
@@ -0,0 +1,14 @@
+﻿using System.ComponentModel.DataAnnotations;
+using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // Write model for the quick "+1" progress buttons on the list.
+    public class ProgressIncrementDto
+    {
+        public ProgressUnit Unit { get; set; }
+
+        [Range(-1000, 1000, ErrorMessage = "Amount must be between -1000 and 1000")]
+        public int Amount { get; set; } = 1;
+    }
+}
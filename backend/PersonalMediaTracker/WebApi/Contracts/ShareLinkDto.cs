@@ -0,0 +1,15 @@
+﻿namespace WebApi.Contracts
+{
+    // Read model for the owner's Shares page (the viewer only ever sees SharedListDto).
+    public class ShareLinkDto
+    {
+        public Guid Id { get; set; }
+        public string Token { get; set; } = string.Empty;
+        public string? Name { get; set; }
+        public EntryFilterDto? Filter { get; set; }   // null = whole library
+        public bool IncludeNotes { get; set; }
+        public DateTime? ExpiresAtUtc { get; set; }
+        public DateTime CreatedAtUtc { get; set; }
+        public bool IsExpired { get; set; }
+    }
+}
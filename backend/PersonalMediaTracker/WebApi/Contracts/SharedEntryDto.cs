@@ -0,0 +1,25 @@
+﻿using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // One entry as a share link shows it: no ids, no owner, no version, notes only if the owner opted in.
+    public class SharedEntryDto
+    {
+        public string Title { get; set; } = string.Empty;
+        public EntryType Type { get; set; }
+        public EntrySubType? SubType { get; set; }
+        public EntryStatus Status { get; set; }
+        public decimal? Rating { get; set; }
+        public string? Notes { get; set; }
+        public int? CurrentEpisode { get; set; }
+        public int? TotalEpisodes { get; set; }
+        public int? CurrentChapter { get; set; }
+        public int? TotalChapters { get; set; }
+        public int? CurrentVolume { get; set; }
+        public int? TotalVolumes { get; set; }
+        public DateOnly? StartedOn { get; set; }
+        public DateOnly? FinishedOn { get; set; }
+        public int RewatchCount { get; set; }
+        public IReadOnlyList<string> Tags { get; set; } = Array.Empty<string>();
+    }
+}
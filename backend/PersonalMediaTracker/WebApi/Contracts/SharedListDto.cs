@@ -0,0 +1,15 @@
+﻿namespace WebApi.Contracts
+{
+    // Response of GET api/shared/{token}: one page of the shared entries plus what the link covers.
+    public class SharedListDto
+    {
+        public EntryFilterDto? Filter { get; set; }    // null = whole library
+        public string? CollectionName { get; set; }    // set when the filter names a collection
+        public bool IncludesNotes { get; set; }
+        public DateTime? ExpiresAtUtc { get; set; }
+        public IReadOnlyList<SharedEntryDto> Items { get; set; } = Array.Empty<SharedEntryDto>();
+        public int Total { get; set; }
+        public int Page { get; set; }
+        public int PageSize { get; set; }
+    }
+}
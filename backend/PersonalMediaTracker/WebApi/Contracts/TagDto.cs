@@ -0,0 +1,10 @@
+﻿namespace WebApi.Contracts
+{
+    // Read model for the tag management page (GET api/tags).
+    public class TagDto
+    {
+        public Guid Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public int Count { get; set; }      // entries using the tag, trashed entries not counted
+    }
+}
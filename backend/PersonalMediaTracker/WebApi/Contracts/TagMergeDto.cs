@@ -0,0 +1,11 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/tags/{id}/merge: the tag in the route is folded into TargetId.
+    public class TagMergeDto
+    {
+        [Required]
+        public Guid TargetId { get; set; }
+    }
+}
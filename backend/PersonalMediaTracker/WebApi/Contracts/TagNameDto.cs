@@ -0,0 +1,12 @@
+﻿using System.ComponentModel.DataAnnotations;
+
+namespace WebApi.Contracts
+{
+    // Write model for POST api/tags and PUT api/tags/{id} (create / rename).
+    // Names are stored trimmed and lowercase, like the tags TagSyncService creates.
+    public class TagNameDto
+    {
+        [Required(ErrorMessage = "Name is required"), StringLength(64, ErrorMessage = "Name can be at most 64 characters")]
+        public string Name { get; set; } = string.Empty;
+    }
+}
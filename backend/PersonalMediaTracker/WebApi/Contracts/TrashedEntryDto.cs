@@ -0,0 +1,16 @@
+﻿using Domain.Enums;
+
+namespace WebApi.Contracts
+{
+    // Read model for the Trash page.
+    public class TrashedEntryDto
+    {
+        public Guid Id { get; set; }
+        public string Title { get; set; } = string.Empty;
+        public EntryType Type { get; set; }
+        public EntrySubType? SubType { get; set; }
+        public EntryStatus Status { get; set; }
+        public DateTime DeletedAtUtc { get; set; }
+        public DateTime? PurgeAtUtc { get; set; }    // null when retention is disabled
+    }
+}
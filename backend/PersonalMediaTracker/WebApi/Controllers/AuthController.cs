@@ -5,6 +5,12 @@
 using Microsoft.AspNetCore.Mvc;
 using WebApi.Services;
 
+// Notes:
+// - Access tokens are short lived JWTs; login/register also hand out a refresh token.
+// - POST refresh rotates the refresh token (the old one stops working) and returns a fresh pair.
+// - POST logout revokes the refresh token. Both are anonymous: the refresh token is the credential,
+//   and the access token may already have expired.
+
 namespace WebApi.Controllers
 {
     [ApiController]
@@ -14,24 +20,27 @@ public class AuthController : ControllerBase
         private readonly UserManager<ApplicationUser> _users;
         private readonly SignInManager<ApplicationUser> _signIn;
         private readonly IJwtTokenService _jwt;
+        private readonly IRefreshTokenService _refreshTokens;
 
-        public AuthController(UserManager<ApplicationUser> users, SignInManager<ApplicationUser> signIn, IJwtTokenService jwt)
+        public AuthController(UserManager<ApplicationUser> users, SignInManager<ApplicationUser> signIn, IJwtTokenService jwt, IRefreshTokenService refreshTokens)
         {
             _users = users;
             _signIn = signIn;
             _jwt = jwt;
+            _refreshTokens = refreshTokens;
         }
 
         // Simple DTOs local to this controller for clarity
         public record RegisterDto(string Email, string Password);
         public record LoginDto(string Email, string Password);
-        public record AuthResponse(string AccessToken, string UserId, string Email);
+        public record RefreshDto(string RefreshToken);
+        public record AuthResponse(string AccessToken, string UserId, string Email, string RefreshToken, DateTime RefreshTokenExpiresAtUtc);
 
 
         // Creates a new user and returns an access token
         [HttpPost("register")]
         [AllowAnonymous]
-        public async Task<ActionResult<AuthResponse>> Register(RegisterDto dto)
+        public async Task<ActionResult<AuthResponse>> Register(RegisterDto dto, CancellationToken ct = default)
         {
             var user = new ApplicationUser { UserName = dto.Email, Email =  dto.Email };
             var result = await _users.CreateAsync(user, dto.Password);
@@ -40,17 +49,15 @@ public async Task<ActionResult<AuthResponse>> Register(RegisterDto dto)
                 return BadRequest(result.Errors);
             }
 
-            var roles = await _users.GetRolesAsync(user);
-            var token = _jwt.CreateAccessToken(user, roles);
-
-            return new AuthResponse(token, user.Id.ToString(), user.Email!);
+            var refresh = await _refreshTokens.IssueAsync(user.Id, ct);
+            return await CreateResponseAsync(user, refresh);
         }
 
 
         // Authenticates a user and returns an access token
         [HttpPost("login")]
         [AllowAnonymous]
-        public async Task<ActionResult<AuthResponse>> Login(LoginDto dto)
+        public async Task<ActionResult<AuthResponse>> Login(LoginDto dto, CancellationToken ct = default)
         {
             var user = await _users.FindByEmailAsync(dto.Email);
             if (user is null) return Unauthorized();
@@ -58,10 +65,33 @@ public async Task<ActionResult<AuthResponse>> Login(LoginDto dto)
             var valid = await _users.CheckPasswordAsync(user, dto.Password);
             if (!valid) return Unauthorized();
 
-            var roles = await _users.GetRolesAsync(user);
-            var token = _jwt.CreateAccessToken(user, roles);
+            var refresh = await _refreshTokens.IssueAsync(user.Id, ct);
+            return await CreateResponseAsync(user, refresh);
+        }
+
+
+        // Trades a refresh token for a new access token + refresh token (the presented one is used up)
+        [HttpPost("refresh")]
+        [AllowAnonymous]
+        public async Task<ActionResult<AuthResponse>> Refresh(RefreshDto dto, CancellationToken ct = default)
+        {
+            var refresh = await _refreshTokens.RotateAsync(dto.RefreshToken, ct);
+            if (refresh is null) return Unauthorized();
+
+            var user = await _users.FindByIdAsync(refresh.UserId.ToString());
+            if (user is null) return Unauthorized();
 
-            return new AuthResponse(token, user.Id.ToString(), user.Email!);
+            return await CreateResponseAsync(user, refresh);
+        }
+
+
+        // Revokes the refresh token; answers 204 either way so logout can't probe tokens
+        [HttpPost("logout")]
+        [AllowAnonymous]
+        public async Task<IActionResult> Logout(RefreshDto dto, CancellationToken ct = default)
+        {
+            await _refreshTokens.RevokeAsync(dto.RefreshToken, ct);
+            return NoContent();
         }
 
 
@@ -78,5 +108,15 @@ public async Task<ActionResult<object>> Me()
 
             return new { user.Id, user.Email, user.UserName  };
         }
+
+        // ----- helpers -----
+
+        private async Task<AuthResponse> CreateResponseAsync(ApplicationUser user, IssuedRefreshToken refresh)
+        {
+            var roles = await _users.GetRolesAsync(user);
+            var token = _jwt.CreateAccessToken(user, roles);
+
+            return new AuthResponse(token, user.Id.ToString(), user.Email!, refresh.Token, refresh.ExpiresAtUtc);
+        }
     }
 }
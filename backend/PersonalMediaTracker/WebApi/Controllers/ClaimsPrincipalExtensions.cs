@@ -0,0 +1,17 @@
+﻿using System.Security.Claims;
+
+namespace WebApi.Controllers
+{
+    // The signed-in caller's id, shared by the [Authorize] controllers.
+    public static class ClaimsPrincipalExtensions
+    {
+        public static Guid GetUserId(this ClaimsPrincipal user)
+        {
+            // Reads the NameIdentifier claim (issued this in JwtTokenService)
+            var sub = user.FindFirstValue(ClaimTypes.NameIdentifier);
+            if (string.IsNullOrWhiteSpace(sub))
+                throw new UnauthorizedAccessException("Missing NameIdentifier claim.");
+            return Guid.Parse(sub);
+        }
+    }
+}
@@ -0,0 +1,340 @@
+﻿using Domain.Entities;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Mapping;
+using WebApi.Services;
+
+// User-defined collections ("Top 10 anime", "Watch with family"): CRUD, adding/removing entries and
+// manual ordering, always scoped to the caller's UserId.
+// Notes:
+// - Names are trimmed but keep their case; two collections can't share a name (case-insensitive, 409).
+// - New entries go to the end; PUT {id}/order stores the order the user arranged (positions 0..n-1).
+// - Trashed entries drop out of their collections (query filter) and come back in place when restored.
+// - Delete removes links in bulk and goes through ICollectionService.
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    [Authorize]
+    public sealed class CollectionsController : ControllerBase
+    {
+        private readonly AppDbContext _db;
+        private readonly ICollectionService _collections;
+
+        public CollectionsController(AppDbContext db, ICollectionService collections)
+        {
+            _db = db;
+            _collections = collections;
+        }
+
+        // GET: api/collections?entryId={entryId}
+        // By name, with entry counts. With entryId, each collection says whether that entry is in it
+        // (the list's "Add to collection" menu).
+        [HttpGet]
+        [ProducesResponseType(typeof(IReadOnlyList<CollectionDto>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> List([FromQuery] Guid? entryId, CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+
+            var collections = await Owned(userId).AsNoTracking()
+                .OrderBy(c => c.Name)
+                .Select(c => new CollectionDto
+                {
+                    Id = c.Id,
+                    Name = c.Name,
+                    Description = c.Description,
+                    Count = c.Entries.Count(),
+                    UpdatedAtUtc = c.UpdatedAtUtc,
+                    ContainsEntry = entryId == null ? null : c.Entries.Any(ce => ce.MediaEntryId == entryId)
+                })
+                .ToListAsync(ct);
+
+            return Ok(collections);
+        }
+
+        // GET: api/collections/{id}
+        // The collection with its entries in the user's order.
+        [HttpGet("{id:guid}")]
+        [ProducesResponseType(typeof(CollectionDetailDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> GetById(Guid id, CancellationToken ct)
+        {
+            var dto = await FindDetailAsync(User.GetUserId(), id, ct);
+            return dto is null ? NotFound() : Ok(dto);
+        }
+
+        // POST: api/collections
+        [HttpPost]
+        [ProducesResponseType(typeof(CollectionDto), StatusCodes.Status201Created)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> Create([FromBody] CollectionWriteDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+            var name = dto.Name.Trim();
+
+            if (await NameTakenAsync(userId, name, null, ct))
+            {
+                return NameConflict(name);
+            }
+
+            var collection = new MediaCollection { UserId = userId, Name = name, Description = NormalizeDescription(dto.Description) };
+            _db.Collections.Add(collection);
+            await _db.SaveChangesAsync(ct);
+
+            return CreatedAtAction(nameof(GetById), new { id = collection.Id }, ToDto(collection, count: 0));
+        }
+
+        // PUT: api/collections/{id}
+        // Rename and/or change the description; the entries and their order stay.
+        [HttpPut("{id:guid}")]
+        [ProducesResponseType(typeof(CollectionDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> Update(Guid id, [FromBody] CollectionWriteDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+            var collection = await Owned(userId).FirstOrDefaultAsync(c => c.Id == id, ct);
+            if (collection is null)
+            {
+                return NotFound();
+            }
+
+            var name = dto.Name.Trim();
+            if (await NameTakenAsync(userId, name, id, ct))
+            {
+                return NameConflict(name);
+            }
+
+            collection.Name = name;
+            collection.Description = NormalizeDescription(dto.Description);
+            await _db.SaveChangesAsync(ct);
+
+            return Ok(ToDto(collection, await CountAsync(id, ct)));
+        }
+
+        // DELETE: api/collections/{id}
+        // Only the collection goes; its entries stay in the library.
+        [HttpDelete("{id:guid}")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Delete(Guid id, CancellationToken ct)
+        {
+            var deleted = await _collections.DeleteAsync(User.GetUserId(), id, ct);
+            return deleted ? NoContent() : NotFound();
+        }
+
+        // POST: api/collections/{id}/entries
+        // Appends the entry; adding one that's already in the collection changes nothing.
+        [HttpPost("{id:guid}/entries")]
+        [ProducesResponseType(typeof(CollectionDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> AddEntry(Guid id, [FromBody] CollectionEntryDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+            var collection = await Owned(userId).FirstOrDefaultAsync(c => c.Id == id, ct);
+            if (collection is null)
+            {
+                return NotFound();
+            }
+
+            if (!await _db.MediaEntries.AnyAsync(e => e.Id == dto.EntryId && e.UserId == userId, ct))
+            {
+                return EntryNotFound(dto.EntryId);
+            }
+
+            // Links of trashed entries keep their place, so count them when picking the next position
+            var links = _db.CollectionEntries.IgnoreQueryFilters().Where(ce => ce.CollectionId == id);
+            if (!await links.AnyAsync(ce => ce.MediaEntryId == dto.EntryId, ct))
+            {
+                var last = await links.MaxAsync(ce => (int?)ce.Position, ct);
+                _db.CollectionEntries.Add(new CollectionEntry { CollectionId = id, MediaEntryId = dto.EntryId, Position = (last ?? -1) + 1 });
+                await _db.SaveChangesAsync(ct);
+            }
+
+            return Ok(ToDto(collection, await CountAsync(id, ct)));
+        }
+
+        // DELETE: api/collections/{id}/entries/{entryId}
+        // Takes the entry out of the collection (the entry itself stays).
+        [HttpDelete("{id:guid}/entries/{entryId:guid}")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> RemoveEntry(Guid id, Guid entryId, CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+            var collection = await Owned(userId).FirstOrDefaultAsync(c => c.Id == id, ct);
+            var link = collection is null
+                ? null
+                : await _db.CollectionEntries.FirstOrDefaultAsync(ce => ce.CollectionId == id && ce.MediaEntryId == entryId, ct);
+            if (link is null)
+            {
+                return NotFound();
+            }
+
+            _db.CollectionEntries.Remove(link);
+            await _db.SaveChangesAsync(ct);
+
+            return NoContent();
+        }
+
+        // PUT: api/collections/{id}/order
+        // EntryIds must list every entry in the collection exactly once (trashed ones excepted: they
+        // keep their place behind the others until restored).
+        [HttpPut("{id:guid}/order")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Reorder(Guid id, [FromBody] CollectionOrderDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+            var collection = await Owned(userId).FirstOrDefaultAsync(c => c.Id == id, ct);
+            if (collection is null)
+            {
+                return NotFound();
+            }
+
+            var links = await _db.CollectionEntries.IgnoreQueryFilters()
+                .Include(ce => ce.MediaEntry)
+                .Where(ce => ce.CollectionId == id)
+                .OrderBy(ce => ce.Position)
+                .ToListAsync(ct);
+            var visible = links.Where(ce => !ce.MediaEntry.IsDeleted).ToDictionary(ce => ce.MediaEntryId);
+
+            var sameEntries = dto.EntryIds.Count == visible.Count
+                && dto.EntryIds.Distinct().Count() == visible.Count
+                && dto.EntryIds.All(visible.ContainsKey);
+            if (!sameEntries)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = "The new order must list every entry of the collection exactly once. Reload the collection and try again.",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var position = 0;
+            foreach (var entryId in dto.EntryIds)
+            {
+                visible[entryId].Position = position++;
+            }
+            foreach (var trashed in links.Where(ce => ce.MediaEntry.IsDeleted))
+            {
+                trashed.Position = position++;
+            }
+            await _db.SaveChangesAsync(ct);
+
+            return NoContent();
+        }
+
+        // ----- helpers -----
+
+        private IQueryable<MediaCollection> Owned(Guid userId)
+        {
+            return _db.Collections.Where(c => c.UserId == userId);
+        }
+
+        private async Task<CollectionDetailDto?> FindDetailAsync(Guid userId, Guid id, CancellationToken ct)
+        {
+            var collection = await Owned(userId).AsNoTracking().FirstOrDefaultAsync(c => c.Id == id, ct);
+            if (collection is null) return null;
+
+            var order = await _db.CollectionEntries.AsNoTracking()
+                .Where(ce => ce.CollectionId == id)
+                .OrderBy(ce => ce.Position)
+                .Select(ce => ce.MediaEntryId)
+                .ToListAsync(ct);
+            var entries = await _db.MediaEntries.AsNoTracking()
+                .Where(e => e.UserId == userId && order.Contains(e.Id))
+                .Include(e => e.EntryTags)!.ThenInclude(et => et.Tag) // mapping reads Tag.Name
+                .ToDictionaryAsync(e => e.Id, ct);
+
+            return new CollectionDetailDto
+            {
+                Id = collection.Id,
+                Name = collection.Name,
+                Description = collection.Description,
+                Count = entries.Count,
+                UpdatedAtUtc = collection.UpdatedAtUtc,
+                Entries = order.Where(entries.ContainsKey).Select(entryId => entries[entryId].ToDto()).ToList()
+            };
+        }
+
+        private Task<int> CountAsync(Guid id, CancellationToken ct)
+        {
+            return _db.CollectionEntries.CountAsync(ce => ce.CollectionId == id, ct);
+        }
+
+        private static CollectionDto ToDto(MediaCollection collection, int count)
+        {
+            return new CollectionDto
+            {
+                Id = collection.Id,
+                Name = collection.Name,
+                Description = collection.Description,
+                Count = count,
+                UpdatedAtUtc = collection.UpdatedAtUtc
+            };
+        }
+
+        // Blank descriptions are stored as null
+        private static string? NormalizeDescription(string? description)
+        {
+            return string.IsNullOrWhiteSpace(description) ? null : description.Trim();
+        }
+
+        private Task<bool> NameTakenAsync(Guid userId, string name, Guid? exceptId, CancellationToken ct)
+        {
+            var lowered = name.ToLower();
+            return Owned(userId).AnyAsync(c => c.Name.ToLower() == lowered && c.Id != exceptId, ct);
+        }
+
+        private ObjectResult NameConflict(string name)
+        {
+            return Conflict(new ProblemDetails
+            {
+                Title = "Collection already exists",
+                Detail = $"You already have a collection named \"{name}\".",
+                Status = StatusCodes.Status409Conflict
+            });
+        }
+
+        private NotFoundObjectResult EntryNotFound(Guid entryId)
+        {
+            return NotFound(new ProblemDetails
+            {
+                Title = "Entry not found",
+                Detail = $"There is no entry with id {entryId} in your library.",
+                Status = StatusCodes.Status404NotFound
+            });
+        }
+    }
+}
@@ -0,0 +1,174 @@
+﻿using System.Runtime.CompilerServices;
+using System.Text;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Import;
+using WebApi.Mapping;
+using WebApi.Services;
+
+// Export/import of the caller's whole library (file formats: see LibraryFile, MyAnimeListFile, LetterboxdFile).
+// Notes:
+// - Shares the api/mediaentries prefix with MediaEntriesController.
+// - Export streams rows from the query instead of buffering the library in memory.
+// - Import parses the file here; validation, duplicate handling and saving live in ILibraryImportService.
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/mediaentries")]
+    [Authorize]
+    public sealed class LibraryController : ControllerBase
+    {
+        public const int MaxImportRows = 5000;
+
+        private readonly AppDbContext _db;
+        private readonly ILibraryImportService _import;
+
+        public LibraryController(AppDbContext db, ILibraryImportService import)
+        {
+            _db = db;
+            _import = import;
+        }
+
+        // GET: api/mediaentries/export?format=csv|json
+        // Every entry with its tags, ordered by title. Sent as a download (Content-Disposition: attachment).
+        [HttpGet("export")]
+        [ProducesResponseType(StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> Export([FromQuery] string format = "json", CancellationToken ct = default)
+        {
+            var userId = User.GetUserId();
+
+            var query = _db.MediaEntries
+                .AsNoTracking()
+                .Where(e => e.UserId == userId)
+                .Include(e => e.EntryTags)!.ThenInclude(et => et.Tag)
+                .OrderBy(e => e.Title)
+                .ThenBy(e => e.Id);
+
+            var fileName = $"media-library-{DateTime.UtcNow:yyyy-MM-dd}";
+
+            switch ((format ?? string.Empty).Trim().ToLowerInvariant())
+            {
+                case "json":
+                    SetAttachment($"{fileName}.json");
+                    return Ok(StreamLibrary(query, ct));
+
+                case "csv":
+                    SetAttachment($"{fileName}.csv");
+                    Response.ContentType = "text/csv; charset=utf-8";
+
+                    // leaveOpen: the response stream belongs to the server
+                    await using (var writer = new StreamWriter(Response.Body, new UTF8Encoding(false), bufferSize: 16 * 1024, leaveOpen: true) { NewLine = "\r\n" })
+                    {
+                        await writer.WriteLineAsync(LibraryFile.CsvHeader);
+                        await foreach (var row in StreamLibrary(query, ct))
+                        {
+                            await writer.WriteLineAsync(LibraryFile.ToCsvLine(row));
+                        }
+                    }
+                    return new EmptyResult();
+
+                default:
+                    return BadRequest(new ProblemDetails
+                    {
+                        Title = "Invalid 'format'",
+                        Detail = $"'{format}' is not a supported export format. Use 'csv' or 'json'.",
+                        Status = StatusCodes.Status400BadRequest
+                    });
+            }
+        }
+
+        // POST: api/mediaentries/import
+        // DryRun = true returns the preview (per-row errors, duplicates, planned action) without saving.
+        // Otherwise valid rows are saved in one transaction and invalid ones are reported and left out.
+        [HttpPost("import")]
+        [ProducesResponseType(typeof(ImportResultDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> Import([FromBody] ImportRequestDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var (rows, fileError) = dto.Format switch
+            {
+                ImportFormat.Csv => LibraryFile.ParseCsv(dto.Content),
+                ImportFormat.Json => LibraryFile.ParseJson(dto.Content),
+                ImportFormat.MyAnimeList => MyAnimeListFile.Parse(dto.Content),
+                ImportFormat.Letterboxd => LetterboxdFile.Parse(dto.Content),
+                _ => (Array.Empty<ParsedImportRow>(), $"'{dto.Format}' is not a supported import format.")
+            };
+
+            if (fileError is null && rows.Count == 0)
+            {
+                fileError = "The file has no entries.";
+            }
+            if (fileError is not null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Invalid import file",
+                    Detail = fileError,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            if (rows.Count > MaxImportRows)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = $"The file has {rows.Count} entries; at most {MaxImportRows} can be imported at once.",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            if (dto.DefaultStatus.HasValue)
+            {
+                foreach (var row in rows.Where(r => string.IsNullOrWhiteSpace(r.Entry.Status)))
+                {
+                    row.Entry.Status = dto.DefaultStatus.Value.ToString();
+                }
+            }
+
+            try
+            {
+                var result = await _import.ImportAsync(User.GetUserId(), rows, dto.OnDuplicate, dto.DryRun, ct);
+                return Ok(result);
+            }
+            catch (DbUpdateException)
+            {
+                return Conflict(new ProblemDetails
+                {
+                    Title = "Import failed",
+                    Detail = "The import could not be saved and no entries were changed. Reload the list and try again.",
+                    Status = StatusCodes.Status409Conflict
+                });
+            }
+        }
+
+        // ----- helpers -----
+
+        private static async IAsyncEnumerable<LibraryEntryDto> StreamLibrary(
+            IQueryable<Domain.Entities.MediaEntry> query,
+            [EnumeratorCancellation] CancellationToken ct)
+        {
+            await foreach (var entity in query.AsAsyncEnumerable().WithCancellation(ct))
+            {
+                yield return entity.ToLibraryDto();
+            }
+        }
+
+        private void SetAttachment(string fileName)
+        {
+            Response.Headers.ContentDisposition = $"attachment; filename=\"{fileName}\"";
+        }
+    }
+}
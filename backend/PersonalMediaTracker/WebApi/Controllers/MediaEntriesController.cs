@@ -1,9 +1,9 @@
-﻿using System.Security.Claims;
-using Infrastructure.Persistence;
+﻿using Infrastructure.Persistence;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Http;
 using Microsoft.AspNetCore.Mvc;
 using Microsoft.EntityFrameworkCore;
+using Microsoft.Net.Http.Headers;
 using WebApi.Contracts;
 using WebApi.Mapping;
 using WebApi.Services;
@@ -13,6 +13,8 @@
 // - Uses DTOs (CreateMediaEntryDto, UpdateMediaEntryDto, MediaEntryDto) and mappers.
 // - Respects multi-tenancy via UserId (stubbed helper, replace with real auth when ready). --TODO--
 // - Uses TagSyncService to attach/detach many-to-many tag rows.
+// - Single-entry responses carry an ETag (= MediaEntryDto.Version); PUT honors If-Match and answers
+//   412 with the current entry when the client edited an outdated version.
 
 namespace WebApi.Controllers
 {
@@ -31,26 +33,32 @@ public MediaEntriesController(AppDbContext db, ITagSyncService tagSync)
         }
 
         // GET: api/mediaentries
+        // type/subType/status/tag accept several values, repeated (?status=Watching&status=OnHold)
+        // or comma-separated (?status=Watching,OnHold). Values within one filter are OR-ed,
+        // except tags with tagMatch=all, which require every listed tag.
+        // collection limits the list to the entries of one of the user's collections.
         [HttpGet]
         [ProducesResponseType(typeof(PagedResult<MediaEntryDto>), StatusCodes.Status200OK)]
         [ProducesResponseType(StatusCodes.Status400BadRequest)]
         public async Task<IActionResult> List(
             [FromQuery] string? q,
-            [FromQuery] string? type,
-            [FromQuery] string? subType,
-            [FromQuery] string? status,
-            [FromQuery] string? tag,
+            [FromQuery] string[]? type,
+            [FromQuery] string[]? subType,
+            [FromQuery] string[]? status,
+            [FromQuery] string[]? tag,
+            [FromQuery] string tagMatch = "any",
             [FromQuery] string sort = "updated",
             [FromQuery] string dir = "desc",
             [FromQuery] int page = 1,
             [FromQuery] int pageSize = 20,
+            [FromQuery] Guid? collection = null,
             CancellationToken ct = default)
         {
             // Normalize paging
             page = page <= 0 ? 1 : page;
             pageSize = pageSize is <= 0 or > 100 ? 20 : pageSize;
 
-            var userId = GetUserId(); // user id from JWT
+            var userId = User.GetUserId(); // user id from JWT
 
             // Base query, tenant-scoped, include tags for mapping
             IQueryable<Domain.Entities.MediaEntry> query = _db.MediaEntries
@@ -58,85 +66,13 @@ public MediaEntriesController(AppDbContext db, ITagSyncService tagSync)
                 .Where(e => e.UserId == userId)
                 .Include(e => e.EntryTags)!.ThenInclude(et => et.Tag); // mapping reads Tag.Name
 
-            // Text search (title/notes). SQL Server is usually case-insensitive, normalize anyway.
-            if (!string.IsNullOrWhiteSpace(q))
+            var filter = new EntryFilterDto { Q = q, Type = type, SubType = subType, Status = status, Tag = tag, TagMatch = tagMatch, Collection = collection };
+            var filtered = EntryListQuery.ApplyFilter(query, filter, out var problem);
+            if (filtered is null)
             {
-                var term = q.Trim();
-                query = query.Where(e =>
-                    EF.Functions.Like(e.Title, $"%{term}%") ||
-                    (e.Notes != null && EF.Functions.Like(e.Notes, $"%{term}%")));
-            }
-
-            // Enum filters: parse strings into real enums with ignoreCase=true
-            if (!string.IsNullOrWhiteSpace(type))
-            {
-                if (!Enum.TryParse<Domain.Enums.EntryType>(type.Trim(), true, out var parsedType))
-                {
-                    return BadRequest(new ProblemDetails
-                    {
-                        Title = "invalid 'type' filter',",
-                        Detail = $"'{type}' is not a valid EntryType."
-                    });
-                }
-                query = query.Where(e => e.Type == parsedType);
-            }
-
-            if (!string.IsNullOrWhiteSpace(subType))
-            {
-                if (!Enum.TryParse<Domain.Enums.EntrySubType>(subType.Trim(), true, out var parsedSubType))
-                {
-                    return BadRequest(new ProblemDetails
-                    {
-                        Title = "invalid 'subType' filter',",
-                        Detail = $"'{subType}' is not a valid EntrySubType."
-                    });
-                }
-                query = query.Where(e => e.SubType == parsedSubType);
-            }
-
-            if (!string.IsNullOrWhiteSpace(status))
-            {
-                if (!Enum.TryParse<Domain.Enums.EntryStatus>(status.Trim(), true, out var parsedStatus))
-                {
-                    return BadRequest(new ProblemDetails
-                    {
-                        Title = "invalid 'status' filter',",
-                        Detail = $"'{status}' is not a valid EntryStatus."
-                    });
-                }
-                query = query.Where(e => e.Status == parsedStatus);
-            }
-
-            if (!string.IsNullOrWhiteSpace(tag))
-            {
-                var tname = tag.Trim().ToLowerInvariant();
-                query = query.Where(e => e.EntryTags.Any(et => et.Tag.Name.ToLower() == tname));
-            }
-
-            // Sorting
-            var asc = string.Equals(dir, "asc", StringComparison.OrdinalIgnoreCase);
-            switch ((sort ?? "updated").Trim().ToLowerInvariant())
-            {
-                case "title":
-                    query = asc ? query.OrderBy(e => e.Title) : query.OrderByDescending(e => e.Title);
-                    break;
-
-                case "created":
-                    query = asc ? query.OrderBy(e => e.CreatedAtUtc) : query.OrderByDescending(e => e.CreatedAtUtc);
-                    break;
-
-                case "rating":
-                    // Push null ratings to the end consistently, then sort by rating
-                    query = asc
-                        ? query.OrderBy(e => e.Rating == null).ThenBy(e => e.Rating)
-                        : query.OrderBy(e => e.Rating == null).ThenByDescending(e => e.Rating);
-                    break;
-
-                case "updated":
-                default:
-                    query = asc ? query.OrderBy(e => e.UpdatedAtUtc) : query.OrderByDescending(e => e.UpdatedAtUtc);
-                    break;
+                return BadRequest(problem);
             }
+            query = EntryListQuery.ApplySort(filtered, sort, dir);
 
             // Page + map
             var total = await query.CountAsync(ct);
@@ -152,7 +88,7 @@ public MediaEntriesController(AppDbContext db, ITagSyncService tagSync)
         [ProducesResponseType(StatusCodes.Status404NotFound)]
         public async Task<IActionResult> GetById(Guid id, CancellationToken ct)
         {
-            var userId = GetUserId();
+            var userId = User.GetUserId();
 
             var entity = await _db.MediaEntries.AsNoTracking().Include(e => e.EntryTags)!.ThenInclude(et => et.Tag).FirstOrDefaultAsync(e => e.Id == id && e.UserId == userId, ct);
 
@@ -160,7 +96,31 @@ public async Task<IActionResult> GetById(Guid id, CancellationToken ct)
             {
                 return NotFound();
             }
-            return Ok(entity.ToDto());
+            return OkWithETag(entity.ToDto());
+        }
+
+        // GET: api/mediaentries/{id}/history
+        // Status/rating changes, newest first (rows are appended by AppDbContext on save).
+        [HttpGet("{id:guid}/history")]
+        [ProducesResponseType(typeof(IReadOnlyList<EntryHistoryDto>), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> GetHistory(Guid id, CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+
+            var exists = await _db.MediaEntries.AsNoTracking().AnyAsync(e => e.Id == id && e.UserId == userId, ct);
+            if (!exists)
+            {
+                return NotFound();
+            }
+
+            var rows = await _db.EntryHistory.AsNoTracking()
+                .Where(h => h.MediaEntryId == id && h.UserId == userId)
+                .OrderByDescending(h => h.ChangedAtUtc)
+                .ThenByDescending(h => h.Field)
+                .ToListAsync(ct);
+
+            return Ok(rows.Select(h => h.ToDto()).ToList());
         }
 
         // POST: api/mediaentries
@@ -174,7 +134,7 @@ public async Task<IActionResult> Create([FromBody] CreateMediaEntryDto dto, Canc
                 return ValidationProblem(ModelState);
             }
 
-            var userId = GetUserId();
+            var userId = User.GetUserId();
 
             // Map & validate via mapping helpers
             var (entity, err) = dto.ToEntity(userId);
@@ -199,7 +159,9 @@ public async Task<IActionResult> Create([FromBody] CreateMediaEntryDto dto, Canc
             // Return freshly loaded resource
             var fresh = await _db.MediaEntries.AsNoTracking().Include(e => e.EntryTags)!.ThenInclude(et => et.Tag).FirstAsync(e => e.Id == entity.Id, ct);
 
-            return CreatedAtAction(nameof(GetById), new { id = fresh.Id }, fresh.ToDto());
+            var created = fresh.ToDto();
+            SetETag(created.Version);
+            return CreatedAtAction(nameof(GetById), new { id = fresh.Id }, created);
         }
 
         // PUT: api/mediaentries/{id}
@@ -207,6 +169,7 @@ public async Task<IActionResult> Create([FromBody] CreateMediaEntryDto dto, Canc
         [ProducesResponseType(typeof(MediaEntryDto), StatusCodes.Status200OK)]
         [ProducesResponseType(StatusCodes.Status400BadRequest)]
         [ProducesResponseType(StatusCodes.Status404NotFound)]
+        [ProducesResponseType(typeof(ProblemDetails), StatusCodes.Status412PreconditionFailed)]
         public async Task<IActionResult> Update(Guid id, [FromBody] UpdateMediaEntryDto dto, CancellationToken ct)
         {
             if (!ModelState.IsValid)
@@ -225,7 +188,7 @@ public async Task<IActionResult> Update(Guid id, [FromBody] UpdateMediaEntryDto
                 });
             }
 
-            var userId = GetUserId();
+            var userId = User.GetUserId();
 
             // Load tracked entity + tags for reconciliation
             var entity = await _db.MediaEntries.Include(e => e.EntryTags)!.ThenInclude(et => et.Tag).FirstOrDefaultAsync(e => e.Id == id && e.UserId == userId, ct);
@@ -235,6 +198,12 @@ public async Task<IActionResult> Update(Guid id, [FromBody] UpdateMediaEntryDto
                 return NotFound();
             }
 
+            // Someone saved since this client loaded the entry (no If-Match: last write wins)
+            if (!IfMatchAllows(entity.Version()))
+            {
+                return EditConflict(entity);
+            }
+
             // Apply incoming fields (validates enums + cross-field rules)
             var err = dto.ApplyTo(entity);
             if (err is not null)
@@ -247,17 +216,64 @@ public async Task<IActionResult> Update(Guid id, [FromBody] UpdateMediaEntryDto
                 });
             }
 
-            // Save scalar changes
-            await _db.SaveChangesAsync(ct);
+            try
+            {
+                // Save scalar changes
+                await _db.SaveChangesAsync(ct);
 
-            // Reconcile tag set
-            await _tagSync.SyncAsync(entity, dto.Tags, userId, ct);
-            await _db.SaveChangesAsync(ct);
+                // Reconcile tag set
+                await _tagSync.SyncAsync(entity, dto.Tags, userId, ct);
+                await _db.SaveChangesAsync(ct);
+            }
+            catch (DbUpdateConcurrencyException)
+            {
+                // Lost a race with another save between the If-Match check and ours (RowVersion)
+                var current = await _db.MediaEntries.AsNoTracking().Include(e => e.EntryTags)!.ThenInclude(et => et.Tag).FirstOrDefaultAsync(e => e.Id == id && e.UserId == userId, ct);
+                return current is null ? NotFound() : EditConflict(current);
+            }
 
             // Return updated shape
             var fresh = await _db.MediaEntries.AsNoTracking().Include(e => e.EntryTags)!.ThenInclude(et => et.Tag).FirstAsync(e => e.Id == id, ct);
 
-            return Ok(fresh.ToDto());
+            return OkWithETag(fresh.ToDto());
+        }
+
+        // POST: api/mediaentries/{id}/progress
+        // Quick "+1 episode/chapter/volume" without sending the whole entry (tags are left alone).
+        [HttpPost("{id:guid}/progress")]
+        [ProducesResponseType(typeof(MediaEntryDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> IncrementProgress(Guid id, [FromBody] ProgressIncrementDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+
+            var entity = await _db.MediaEntries.Include(e => e.EntryTags)!.ThenInclude(et => et.Tag).FirstOrDefaultAsync(e => e.Id == id && e.UserId == userId, ct);
+
+            if (entity is null)
+            {
+                return NotFound();
+            }
+
+            var err = dto.ApplyTo(entity);
+            if (err is not null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = err,
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            await _db.SaveChangesAsync(ct);
+
+            return OkWithETag(entity.ToDto());
         }
 
         // DELETE: api/mediaentries/{id}
@@ -266,7 +282,7 @@ public async Task<IActionResult> Update(Guid id, [FromBody] UpdateMediaEntryDto
         [ProducesResponseType(StatusCodes.Status404NotFound)]
         public async Task<IActionResult> Delete(Guid id, CancellationToken ct)
         {
-            var userId = GetUserId();
+            var userId = User.GetUserId();
 
             var entity = await _db.MediaEntries.Include(e => e.EntryTags).FirstOrDefaultAsync(e => e.Id == id && e.UserId == userId, ct);
 
@@ -282,15 +298,201 @@ public async Task<IActionResult> Delete(Guid id, CancellationToken ct)
             return NoContent();
         }
 
+        // ----- bulk actions -----
+        // Each batch runs in one transaction. Ids that can't be changed (not found / not yours)
+        // are reported per item while the rest still commit; a database failure rolls back the whole batch.
+
+        // POST: api/mediaentries/bulk/status
+        [HttpPost("bulk/status")]
+        [ProducesResponseType(typeof(BulkResultDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> BulkStatus([FromBody] BulkStatusDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var status = dto.Status!.Value;
+            return await RunBulkAsync(dto.Ids, includeTags: false, (entity, _) =>
+            {
+                entity.Status = status;
+                return Task.FromResult<string?>(null);
+            }, ct);
+        }
+
+        // POST: api/mediaentries/bulk/tags
+        [HttpPost("bulk/tags")]
+        [ProducesResponseType(typeof(BulkResultDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> BulkTags([FromBody] BulkTagsDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var add = NormalizeTagNames(dto.Add);
+            var remove = NormalizeTagNames(dto.Remove);
+            if (add.Count == 0 && remove.Count == 0)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = "Provide at least one tag to add or remove.",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var tooLong = add.Concat(remove).FirstOrDefault(n => n.Length > TagSyncService.MaxNameLength);
+            if (tooLong is not null)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = $"Tag names can be at most {TagSyncService.MaxNameLength} characters ('{tooLong}').",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var userId = User.GetUserId();
+            return await RunBulkAsync(dto.Ids, includeTags: true, async (entity, token) =>
+            {
+                var desired = entity.EntryTags
+                    .Select(et => et.Tag.Name.ToLowerInvariant())
+                    .Union(add)
+                    .Except(remove)
+                    .ToList();
+
+                await _tagSync.SyncAsync(entity, desired, userId, token);
+
+                // Save per entry so tags created for this entry are found (not re-created) for the next one
+                await _db.SaveChangesAsync(token);
+                return null;
+            }, ct);
+        }
+
+        // POST: api/mediaentries/bulk/delete
+        [HttpPost("bulk/delete")]
+        [ProducesResponseType(typeof(BulkResultDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> BulkDelete([FromBody] BulkEntryIdsDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            return await RunBulkAsync(dto.Ids, includeTags: false, (entity, _) =>
+            {
+                // Soft-delete happens in AppDbContext.SaveChanges override
+                _db.MediaEntries.Remove(entity);
+                return Task.FromResult<string?>(null);
+            }, ct);
+        }
+
+        // Loads the caller's entries for the ids, applies the change to each inside one transaction,
+        // and reports an outcome per requested id (duplicates collapse to one item).
+        private async Task<IActionResult> RunBulkAsync(
+            IEnumerable<Guid> ids,
+            bool includeTags,
+            Func<Domain.Entities.MediaEntry, CancellationToken, Task<string?>> apply,
+            CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+            var requested = ids.Distinct().ToList();
+
+            IQueryable<Domain.Entities.MediaEntry> query = _db.MediaEntries.Where(e => e.UserId == userId && requested.Contains(e.Id));
+            if (includeTags)
+            {
+                query = query.Include(e => e.EntryTags)!.ThenInclude(et => et.Tag);
+            }
+            var found = await query.ToDictionaryAsync(e => e.Id, ct);
+
+            var items = new List<BulkItemResultDto>(requested.Count);
+
+            await using var tx = await _db.Database.BeginTransactionAsync(ct);
+            try
+            {
+                foreach (var id in requested)
+                {
+                    if (!found.TryGetValue(id, out var entity))
+                    {
+                        items.Add(new BulkItemResultDto { Id = id, Ok = false, Error = "Entry not found." });
+                        continue;
+                    }
+
+                    var err = await apply(entity, ct);
+                    items.Add(new BulkItemResultDto { Id = id, Ok = err is null, Error = err });
+                }
+
+                await _db.SaveChangesAsync(ct);
+                await tx.CommitAsync(ct);
+            }
+            catch (DbUpdateException)
+            {
+                await tx.RollbackAsync(ct);
+                return Conflict(new ProblemDetails
+                {
+                    Title = "Bulk update failed",
+                    Detail = "The batch could not be saved and no entries were changed. Reload the list and try again.",
+                    Status = StatusCodes.Status409Conflict
+                });
+            }
+
+            var succeeded = items.Count(i => i.Ok);
+            return Ok(new BulkResultDto { Items = items, Succeeded = succeeded, Failed = items.Count - succeeded });
+        }
+
         // ----- helpers -----
 
-        private Guid GetUserId()
+        // Trim + lowercase + de-dupe, the same normalization TagSyncService applies
+        private static List<string> NormalizeTagNames(IEnumerable<string>? names)
         {
-            // Reads the NameIdentifier claim (issued this in JwtTokenService)
-            var sub = User.FindFirstValue(ClaimTypes.NameIdentifier);
-            if (string.IsNullOrWhiteSpace(sub))
-                throw new UnauthorizedAccessException("Missing NameIdentifier claim.");
-            return Guid.Parse(sub);
+            return (names ?? Enumerable.Empty<string>())
+                .Where(n => !string.IsNullOrWhiteSpace(n))
+                .Select(n => n.Trim().ToLowerInvariant())
+                .Distinct()
+                .ToList();
+        }
+
+        private void SetETag(string version)
+        {
+            Response.GetTypedHeaders().ETag = new EntityTagHeaderValue($"\"{version}\"");
+        }
+
+        private OkObjectResult OkWithETag(MediaEntryDto dto)
+        {
+            SetETag(dto.Version);
+            return Ok(dto);
+        }
+
+        // No If-Match means an unconditional update; "*" or any listed tag equal to the version passes.
+        // Weak comparison, so W/"..." from a proxy that re-encoded the body still matches.
+        private bool IfMatchAllows(string version)
+        {
+            var ifMatch = Request.GetTypedHeaders().IfMatch;
+            if (ifMatch is null || ifMatch.Count == 0) return true;
+            var current = new EntityTagHeaderValue($"\"{version}\"");
+            return ifMatch.Any(tag => tag.Equals(EntityTagHeaderValue.Any) || tag.Compare(current, useStrongComparison: false));
+        }
+
+        // 412 carrying the stored entry, so the client can show what changed and decide what to keep
+        private ObjectResult EditConflict(Domain.Entities.MediaEntry current)
+        {
+            var dto = current.ToDto();
+            SetETag(dto.Version);
+            var problem = new ProblemDetails
+            {
+                Title = "Edit conflict",
+                Detail = "This entry was changed since you opened it. Review the saved version before saving again.",
+                Status = StatusCodes.Status412PreconditionFailed
+            };
+            problem.Extensions["current"] = dto;
+            return StatusCode(StatusCodes.Status412PreconditionFailed, problem);
         }
     }
 
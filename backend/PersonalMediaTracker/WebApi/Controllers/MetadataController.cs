@@ -0,0 +1,83 @@
+﻿using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Mapping;
+using WebApi.Validation;
+
+// Lookup data for the frontend: enum values with labels, the caller's tag catalog and collections.
+// Notes:
+// - Enum lists come straight from Domain.Enums, so a new value is offered everywhere once it exists.
+// - SubTypesByType is the same table the mappers validate with, so the forms can't offer a combination the API rejects.
+// - Tag counts only include entries that aren't in the trash (soft-delete filter on EntryTag).
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    [Authorize]
+    public sealed class MetadataController : ControllerBase
+    {
+        // Offered to every user (count 0 until used) so a new library has genres to pick from
+        public static readonly IReadOnlyList<string> SuggestedGenres = new[]
+        {
+            "action", "adventure", "comedy", "drama", "fantasy", "horror", "mystery", "romance", "sci-fi"
+        };
+
+        private readonly AppDbContext _db;
+
+        public MetadataController(AppDbContext db)
+        {
+            _db = db;
+        }
+
+        // GET: api/metadata
+        [HttpGet]
+        [ProducesResponseType(typeof(MetadataDto), StatusCodes.Status200OK)]
+        public async Task<IActionResult> Get(CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+
+            var used = await _db.Tags.AsNoTracking()
+                .Where(t => t.UserId == userId)
+                .Select(t => new TagUsageDto { Name = t.Name, Count = t.EntryTags.Count() })
+                .ToListAsync(ct);
+
+            // A suggestion the user already has is listed once, with their count
+            var tags = used
+                .Concat(SuggestedGenres
+                    .Where(g => !used.Any(t => string.Equals(t.Name, g, StringComparison.OrdinalIgnoreCase)))
+                    .Select(g => new TagUsageDto { Name = g, Count = 0 }))
+                .OrderBy(t => t.Name, StringComparer.OrdinalIgnoreCase)
+                .ToList();
+
+            var collections = await _db.Collections.AsNoTracking()
+                .Where(c => c.UserId == userId)
+                .OrderBy(c => c.Name)
+                .Select(c => new CollectionDto
+                {
+                    Id = c.Id,
+                    Name = c.Name,
+                    Description = c.Description,
+                    Count = c.Entries.Count(),
+                    UpdatedAtUtc = c.UpdatedAtUtc
+                })
+                .ToListAsync(ct);
+
+            return Ok(new MetadataDto
+            {
+                Types = EnumLabels.Options<EntryType>(),
+                SubTypes = EnumLabels.Options<EntrySubType>(),
+                Statuses = EnumLabels.Options<EntryStatus>(),
+                SubTypesByType = SubTypeRules.AllowedByType.ToDictionary(
+                    kv => kv.Key.ToString(),
+                    kv => (IReadOnlyList<string>)kv.Value.Select(s => s.ToString()).ToList()),
+                Tags = tags,
+                Collections = collections
+            });
+        }
+    }
+}
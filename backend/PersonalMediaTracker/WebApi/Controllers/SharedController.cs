@@ -0,0 +1,107 @@
+﻿using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Mapping;
+using WebApi.Services;
+
+// Public, read-only view behind a share link (share.html). No login: the token is the key.
+// Notes:
+// - Unknown, revoked and expired tokens all answer the same 404, so a token can't be probed.
+// - Entries are anonymized (SharedEntryDto): no ids, no owner, notes only when the link includes them.
+// - Viewers can sort and page; the filter is the one saved with the link.
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    [AllowAnonymous]
+    public sealed class SharedController : ControllerBase
+    {
+        private readonly AppDbContext _db;
+
+        public SharedController(AppDbContext db)
+        {
+            _db = db;
+        }
+
+        // GET: api/shared/{token}?sort=&dir=&page=&pageSize=
+        [HttpGet("{token}")]
+        [ProducesResponseType(typeof(SharedListDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Get(
+            string token,
+            [FromQuery] string sort = "updated",
+            [FromQuery] string dir = "desc",
+            [FromQuery] int page = 1,
+            [FromQuery] int pageSize = 20,
+            CancellationToken ct = default)
+        {
+            // Normalize paging
+            page = page <= 0 ? 1 : page;
+            pageSize = pageSize is <= 0 or > 100 ? 20 : pageSize;
+
+            var link = await _db.ShareLinks.AsNoTracking().FirstOrDefaultAsync(s => s.Token == token, ct);
+            if (link is null || link.IsExpired(DateTime.UtcNow))
+            {
+                return ShareNotFound();
+            }
+
+            IQueryable<Domain.Entities.MediaEntry> query = _db.MediaEntries
+                .AsNoTracking()
+                .Where(e => e.UserId == link.UserId)
+                .Include(e => e.EntryTags)!.ThenInclude(et => et.Tag); // mapping reads Tag.Name
+
+            var filter = link.ReadFilter();
+            string? collectionName = null;
+            if (filter is not null)
+            {
+                var filtered = EntryListQuery.ApplyFilter(query, filter, out var problem);
+                if (filtered is null)
+                {
+                    return BadRequest(problem);
+                }
+                query = filtered;
+
+                if (filter.Collection is Guid collectionId)
+                {
+                    collectionName = await _db.Collections.AsNoTracking()
+                        .Where(c => c.Id == collectionId && c.UserId == link.UserId)
+                        .Select(c => c.Name)
+                        .FirstOrDefaultAsync(ct);
+                }
+            }
+            query = EntryListQuery.ApplySort(query, sort, dir);
+
+            // Page + map
+            var total = await query.CountAsync(ct);
+            var items = await query.Skip((page - 1) * pageSize).Take(pageSize).ToListAsync(ct);
+
+            return Ok(new SharedListDto
+            {
+                Filter = filter,
+                CollectionName = collectionName,
+                IncludesNotes = link.IncludeNotes,
+                ExpiresAtUtc = link.ExpiresAtUtc,
+                Items = items.Select(e => e.ToSharedDto(link.IncludeNotes)).ToArray(),
+                Total = total,
+                Page = page,
+                PageSize = pageSize
+            });
+        }
+
+        // ----- helpers -----
+
+        private NotFoundObjectResult ShareNotFound()
+        {
+            return NotFound(new ProblemDetails
+            {
+                Title = "Share link not found",
+                Detail = "This link doesn't exist, was revoked or has expired.",
+                Status = StatusCodes.Status404NotFound
+            });
+        }
+    }
+}
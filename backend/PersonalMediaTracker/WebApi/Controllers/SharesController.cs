@@ -0,0 +1,143 @@
+﻿using System.Security.Cryptography;
+using Domain.Entities;
+using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Mapping;
+using WebApi.Services;
+
+// The owner's side of share links: list, create and revoke, always scoped to the caller's UserId.
+// Viewers open the link through SharedController (anonymous).
+// Notes:
+// - A link shares the whole library or one saved filter (the fields of GET api/mediaentries).
+// - The filter is validated like the list's query string; a collection filter must name one of the caller's collections.
+// - Revoking soft-deletes the link, so the token stops working at once and never comes back.
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    [Authorize]
+    public sealed class SharesController : ControllerBase
+    {
+        private readonly AppDbContext _db;
+
+        public SharesController(AppDbContext db)
+        {
+            _db = db;
+        }
+
+        // GET: api/shares
+        // Newest first, expired links included (flagged) until revoked.
+        [HttpGet]
+        [ProducesResponseType(typeof(IReadOnlyList<ShareLinkDto>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> List(CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+
+            var links = await _db.ShareLinks.AsNoTracking()
+                .Where(s => s.UserId == userId)
+                .OrderByDescending(s => s.CreatedAtUtc)
+                .ToListAsync(ct);
+
+            var now = DateTime.UtcNow;
+            return Ok(links.Select(s => s.ToDto(now)).ToList());
+        }
+
+        // POST: api/shares
+        [HttpPost]
+        [ProducesResponseType(typeof(ShareLinkDto), StatusCodes.Status201Created)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> Create([FromBody] CreateShareLinkDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var now = DateTime.UtcNow;
+            if (dto.ExpiresAtUtc.HasValue && dto.ExpiresAtUtc.Value.ToUniversalTime() <= now)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = "The expiry must be in the future.",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var userId = User.GetUserId();
+            var filter = ShareLinkMappings.Normalize(dto.Filter);
+            if (filter is not null)
+            {
+                // Same rules as the list's query string (the query is only built, never run)
+                if (EntryListQuery.ApplyFilter(_db.MediaEntries, filter, out var problem) is null)
+                {
+                    return BadRequest(problem);
+                }
+
+                var collectionId = filter.Collection;
+                if (collectionId.HasValue && !await _db.Collections.AnyAsync(c => c.Id == collectionId && c.UserId == userId, ct))
+                {
+                    return BadRequest(new ProblemDetails
+                    {
+                        Title = "Invalid 'collection' filter",
+                        Detail = $"There is no collection with id {collectionId}.",
+                        Status = StatusCodes.Status400BadRequest
+                    });
+                }
+            }
+
+            // Stored as JSON in a bounded column; a filter past it can't be saved
+            var filterJson = ShareLinkMappings.WriteFilter(filter);
+            if (filterJson?.Length > ShareLinkMappings.MaxFilterLength)
+            {
+                return BadRequest(new ValidationProblemDetails(new Dictionary<string, string[]>
+                {
+                    ["filter"] = new[] { "The filter is too long to share. Remove some search text or values." }
+                })
+                {
+                    Title = "Validation error",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var link = new ShareLink
+            {
+                UserId = userId,
+                Token = Convert.ToHexString(RandomNumberGenerator.GetBytes(16)),
+                Name = string.IsNullOrWhiteSpace(dto.Name) ? null : dto.Name.Trim(),
+                Filter = filterJson,
+                IncludeNotes = dto.IncludeNotes,
+                ExpiresAtUtc = dto.ExpiresAtUtc?.ToUniversalTime()
+            };
+            _db.ShareLinks.Add(link);
+            await _db.SaveChangesAsync(ct);
+
+            return CreatedAtAction(nameof(SharedController.Get), "Shared", new { token = link.Token }, link.ToDto(now));
+        }
+
+        // DELETE: api/shares/{id}
+        // Revokes the link: anyone opening it afterwards gets 404.
+        [HttpDelete("{id:guid}")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Revoke(Guid id, CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+            var link = await _db.ShareLinks.FirstOrDefaultAsync(s => s.Id == id && s.UserId == userId, ct);
+            if (link is null)
+            {
+                return NotFound();
+            }
+
+            _db.ShareLinks.Remove(link); // soft delete (AppDbContext)
+            await _db.SaveChangesAsync(ct);
+
+            return NoContent();
+        }
+    }
+}
@@ -0,0 +1,42 @@
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using WebApi.Contracts;
+using WebApi.Services;
+
+// Library statistics for the stats page (aggregation lives in IMediaStatsService).
+// Notes:
+// - Shares the api/mediaentries prefix with MediaEntriesController.
+// - Counts the caller's current library; trashed entries are left out by the soft-delete filter.
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/mediaentries")]
+    [Authorize]
+    public sealed class StatsController : ControllerBase
+    {
+        public const int DefaultMonths = 12;
+        public const int MaxMonths = 60;
+
+        private readonly IMediaStatsService _stats;
+
+        public StatsController(IMediaStatsService stats)
+        {
+            _stats = stats;
+        }
+
+        // GET: api/mediaentries/stats?months=12
+        // months = length of the "completed per month" series, ending with the current month (UTC).
+        [HttpGet("stats")]
+        [ProducesResponseType(typeof(MediaStatsDto), StatusCodes.Status200OK)]
+        public async Task<IActionResult> Get([FromQuery] int months = DefaultMonths, CancellationToken ct = default)
+        {
+            months = months is <= 0 or > MaxMonths ? DefaultMonths : months;
+
+            var today = DateOnly.FromDateTime(DateTime.UtcNow);
+            var stats = await _stats.GetAsync(User.GetUserId(), months, today, ct);
+            return Ok(stats);
+        }
+    }
+}
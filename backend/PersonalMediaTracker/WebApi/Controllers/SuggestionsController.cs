@@ -0,0 +1,63 @@
+﻿using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using WebApi.Contracts;
+using WebApi.Services;
+
+// Duplicate warnings for the entry form and "next up" suggestions for the list page
+// (matching and ranking live in ISuggestionService).
+// Notes:
+// - Shares the api/mediaentries prefix with MediaEntriesController.
+// - Only looks at the caller's current library; trashed entries are left out by the soft-delete filter.
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/mediaentries")]
+    [Authorize]
+    public sealed class SuggestionsController : ControllerBase
+    {
+        public const int MaxDuplicates = 5;
+        public const int DefaultNextUp = 5;
+        public const int MaxNextUp = 20;
+
+        private readonly ISuggestionService _suggestions;
+
+        public SuggestionsController(ISuggestionService suggestions)
+        {
+            _suggestions = suggestions;
+        }
+
+        // GET: api/mediaentries/duplicates?title=Dune&excludeId={id}
+        // Likely duplicates of a title about to be saved; empty list when there are none.
+        [HttpGet("duplicates")]
+        [ProducesResponseType(typeof(IReadOnlyList<DuplicateCandidateDto>), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> Duplicates([FromQuery] string? title, [FromQuery] Guid? excludeId, CancellationToken ct)
+        {
+            if (string.IsNullOrWhiteSpace(title))
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = "Title is required.",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var matches = await _suggestions.FindDuplicatesAsync(User.GetUserId(), title, excludeId, MaxDuplicates, ct);
+            return Ok(matches);
+        }
+
+        // GET: api/mediaentries/next-up?limit=5
+        [HttpGet("next-up")]
+        [ProducesResponseType(typeof(NextUpDto), StatusCodes.Status200OK)]
+        public async Task<IActionResult> NextUp([FromQuery] int limit = DefaultNextUp, CancellationToken ct = default)
+        {
+            limit = limit is <= 0 or > MaxNextUp ? DefaultNextUp : limit;
+
+            var nextUp = await _suggestions.GetNextUpAsync(User.GetUserId(), limit, ct);
+            return Ok(nextUp);
+        }
+    }
+}
@@ -0,0 +1,194 @@
+﻿using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Services;
+
+// Tag management endpoints (list, create, rename, merge, delete), always scoped to the caller's UserId.
+// Notes:
+// - Names are trimmed + lowercased like TagSyncService does, so "Drama" and "drama " are the same tag.
+// - Entries link to tags by id, so a rename shows up on every linked entry at once.
+// - Renaming onto a name that's already taken is a 409; merge those tags instead.
+// - Merge/delete touch join rows in bulk and go through ITagService.
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    [Authorize]
+    public sealed class TagsController : ControllerBase
+    {
+        private readonly AppDbContext _db;
+        private readonly ITagService _tags;
+
+        public TagsController(AppDbContext db, ITagService tags)
+        {
+            _db = db;
+            _tags = tags;
+        }
+
+        // GET: api/tags
+        // By name, with how many (non-trashed) entries use each tag.
+        [HttpGet]
+        [ProducesResponseType(typeof(IReadOnlyList<TagDto>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> List(CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+
+            var tags = await Owned(userId)
+                .OrderBy(t => t.Name)
+                .Select(t => new TagDto { Id = t.Id, Name = t.Name, Count = t.EntryTags.Count() })
+                .ToListAsync(ct);
+
+            return Ok(tags);
+        }
+
+        // GET: api/tags/{id}
+        [HttpGet("{id:guid}")]
+        [ProducesResponseType(typeof(TagDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> GetById(Guid id, CancellationToken ct)
+        {
+            var dto = await FindDtoAsync(User.GetUserId(), id, ct);
+            return dto is null ? NotFound() : Ok(dto);
+        }
+
+        // POST: api/tags
+        [HttpPost]
+        [ProducesResponseType(typeof(TagDto), StatusCodes.Status201Created)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> Create([FromBody] TagNameDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+            var name = NormalizeName(dto.Name);
+
+            if (await NameTakenAsync(userId, name, null, ct))
+            {
+                return NameConflict(name);
+            }
+
+            var tag = new Domain.Entities.Tag { UserId = userId, Name = name };
+            _db.Tags.Add(tag);
+            await _db.SaveChangesAsync(ct);
+
+            return CreatedAtAction(nameof(GetById), new { id = tag.Id }, new TagDto { Id = tag.Id, Name = tag.Name, Count = 0 });
+        }
+
+        // PUT: api/tags/{id}
+        // Rename; every entry linked to the tag shows the new name.
+        [HttpPut("{id:guid}")]
+        [ProducesResponseType(typeof(TagDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        [ProducesResponseType(StatusCodes.Status409Conflict)]
+        public async Task<IActionResult> Rename(Guid id, [FromBody] TagNameDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+            var tag = await Owned(userId).FirstOrDefaultAsync(t => t.Id == id, ct);
+            if (tag is null)
+            {
+                return NotFound();
+            }
+
+            var name = NormalizeName(dto.Name);
+            if (await NameTakenAsync(userId, name, id, ct))
+            {
+                return NameConflict(name);
+            }
+
+            tag.Name = name;
+            await _db.SaveChangesAsync(ct);
+
+            return Ok(await FindDtoAsync(userId, id, ct));
+        }
+
+        // POST: api/tags/{id}/merge
+        // Folds the tag in the route into TargetId and returns the target with its new count.
+        [HttpPost("{id:guid}/merge")]
+        [ProducesResponseType(typeof(TagDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Merge(Guid id, [FromBody] TagMergeDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            if (dto.TargetId == id)
+            {
+                return BadRequest(new ProblemDetails
+                {
+                    Title = "Validation error",
+                    Detail = "A tag can't be merged into itself.",
+                    Status = StatusCodes.Status400BadRequest
+                });
+            }
+
+            var userId = User.GetUserId();
+            if (!await _tags.MergeAsync(userId, id, dto.TargetId, ct))
+            {
+                return NotFound();
+            }
+
+            return Ok(await FindDtoAsync(userId, dto.TargetId, ct));
+        }
+
+        // DELETE: api/tags/{id}
+        // Detaches the tag from every entry; the entries themselves stay.
+        [HttpDelete("{id:guid}")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Delete(Guid id, CancellationToken ct)
+        {
+            var deleted = await _tags.DeleteAsync(User.GetUserId(), id, ct);
+            return deleted ? NoContent() : NotFound();
+        }
+
+        // ----- helpers -----
+
+        private IQueryable<Domain.Entities.Tag> Owned(Guid userId)
+        {
+            return _db.Tags.Where(t => t.UserId == userId);
+        }
+
+        private Task<TagDto?> FindDtoAsync(Guid userId, Guid id, CancellationToken ct)
+        {
+            return Owned(userId).AsNoTracking()
+                .Where(t => t.Id == id)
+                .Select(t => new TagDto { Id = t.Id, Name = t.Name, Count = t.EntryTags.Count() })
+                .FirstOrDefaultAsync(ct);
+        }
+
+        // Same normalization TagSyncService applies to names sent with an entry
+        private static string NormalizeName(string name) => name.Trim().ToLowerInvariant();
+
+        private Task<bool> NameTakenAsync(Guid userId, string name, Guid? exceptId, CancellationToken ct)
+        {
+            return Owned(userId).AnyAsync(t => t.Name == name && t.Id != exceptId, ct);
+        }
+
+        private ObjectResult NameConflict(string name)
+        {
+            return Conflict(new ProblemDetails
+            {
+                Title = "Tag already exists",
+                Detail = $"You already have a tag named \"{name}\". Merge the tags instead.",
+                Status = StatusCodes.Status409Conflict
+            });
+        }
+    }
+}
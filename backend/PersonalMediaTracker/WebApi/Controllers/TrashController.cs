@@ -0,0 +1,146 @@
+﻿using Infrastructure.Persistence;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Options;
+using WebApi.Contracts;
+using WebApi.Mapping;
+using WebApi.Services;
+
+// Trash endpoints for soft-deleted MediaEntry rows (see AppDbContext soft-delete rules).
+// Notes:
+// - Everything here reads past the global soft-delete filter, always scoped to the caller's UserId.
+// - Restore flips IsDeleted back; tags and history were kept, so the entry comes back whole.
+// - Purge is permanent and goes through ITrashService (shared with the retention job).
+
+namespace WebApi.Controllers
+{
+    [ApiController]
+    [Route("api/[controller]")]
+    [Authorize]
+    public sealed class TrashController : ControllerBase
+    {
+        private readonly AppDbContext _db;
+        private readonly ITrashService _trash;
+        private readonly TrashOptions _options;
+
+        public TrashController(AppDbContext db, ITrashService trash, IOptions<TrashOptions> options)
+        {
+            _db = db;
+            _trash = trash;
+            _options = options.Value;
+        }
+
+        // GET: api/trash
+        // Most recently deleted first.
+        [HttpGet]
+        [ProducesResponseType(typeof(PagedResult<TrashedEntryDto>), StatusCodes.Status200OK)]
+        public async Task<IActionResult> List([FromQuery] int page = 1, [FromQuery] int pageSize = 20, CancellationToken ct = default)
+        {
+            page = page <= 0 ? 1 : page;
+            pageSize = pageSize is <= 0 or > 100 ? 20 : pageSize;
+
+            var userId = User.GetUserId();
+
+            var query = Trashed(userId).AsNoTracking()
+                .OrderByDescending(e => e.DeletedAtUtc)
+                .ThenBy(e => e.Title)
+                .ThenBy(e => e.Id);
+
+            var total = await query.CountAsync(ct);
+            var items = await query.Skip((page - 1) * pageSize).Take(pageSize).ToListAsync(ct);
+
+            var dtos = items.Select(e => e.ToTrashDto(_options.Retention)).ToList();
+            return Ok(new PagedResult<TrashedEntryDto>(dtos, total, page, pageSize));
+        }
+
+        // POST: api/trash/{id}/restore
+        [HttpPost("{id:guid}/restore")]
+        [ProducesResponseType(typeof(MediaEntryDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Restore(Guid id, CancellationToken ct)
+        {
+            var userId = User.GetUserId();
+
+            var entity = await Trashed(userId).FirstOrDefaultAsync(e => e.Id == id, ct);
+            if (entity is null)
+            {
+                return NotFound();
+            }
+
+            entity.IsDeleted = false;
+            entity.DeletedAtUtc = null;
+            await _db.SaveChangesAsync(ct);
+
+            var fresh = await _db.MediaEntries.AsNoTracking().Include(e => e.EntryTags)!.ThenInclude(et => et.Tag).FirstAsync(e => e.Id == id, ct);
+            return Ok(fresh.ToDto());
+        }
+
+        // POST: api/trash/restore
+        // Undo for a bulk delete: restores the listed ids, reporting an outcome per id.
+        [HttpPost("restore")]
+        [ProducesResponseType(typeof(BulkResultDto), StatusCodes.Status200OK)]
+        [ProducesResponseType(StatusCodes.Status400BadRequest)]
+        public async Task<IActionResult> RestoreMany([FromBody] BulkEntryIdsDto dto, CancellationToken ct)
+        {
+            if (!ModelState.IsValid)
+            {
+                return ValidationProblem(ModelState);
+            }
+
+            var userId = User.GetUserId();
+            var requested = dto.Ids.Distinct().ToList();
+            var found = await Trashed(userId).Where(e => requested.Contains(e.Id)).ToDictionaryAsync(e => e.Id, ct);
+
+            var items = new List<BulkItemResultDto>(requested.Count);
+            foreach (var id in requested)
+            {
+                if (!found.TryGetValue(id, out var entity))
+                {
+                    items.Add(new BulkItemResultDto { Id = id, Ok = false, Error = "Entry is not in the trash." });
+                    continue;
+                }
+
+                entity.IsDeleted = false;
+                entity.DeletedAtUtc = null;
+                items.Add(new BulkItemResultDto { Id = id, Ok = true });
+            }
+
+            // One SaveChanges = one transaction for the whole batch
+            await _db.SaveChangesAsync(ct);
+
+            var succeeded = items.Count(i => i.Ok);
+            return Ok(new BulkResultDto { Items = items, Succeeded = succeeded, Failed = items.Count - succeeded });
+        }
+
+        // DELETE: api/trash/{id}
+        // Permanent; only entries already in the trash can be purged.
+        [HttpDelete("{id:guid}")]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        [ProducesResponseType(StatusCodes.Status404NotFound)]
+        public async Task<IActionResult> Purge(Guid id, CancellationToken ct)
+        {
+            var purged = await _trash.PurgeAsync(User.GetUserId(), id, ct);
+            return purged == 0 ? NotFound() : NoContent();
+        }
+
+        // DELETE: api/trash
+        // Empties the caller's trash.
+        [HttpDelete]
+        [ProducesResponseType(StatusCodes.Status204NoContent)]
+        public async Task<IActionResult> PurgeAll(CancellationToken ct)
+        {
+            await _trash.PurgeAsync(User.GetUserId(), null, ct);
+            return NoContent();
+        }
+
+        // ----- helpers -----
+
+        // The caller's soft-deleted entries (bypasses the global !IsDeleted filter)
+        private IQueryable<Domain.Entities.MediaEntry> Trashed(Guid userId)
+        {
+            return _db.MediaEntries.IgnoreQueryFilters().Where(e => e.IsDeleted && e.UserId == userId);
+        }
+    }
+}
@@ -0,0 +1,113 @@
+﻿using System.Text;
+
+namespace WebApi.Import
+{
+    // Minimal RFC 4180 CSV reading/writing: quoted fields may hold commas, line breaks and doubled quotes ("").
+    public static class CsvTable
+    {
+        // Splits CSV text into records (blank lines skipped, a leading BOM ignored).
+        // error is set when the text ends inside a quoted field.
+        public static (List<string[]> records, string? error) Read(string content)
+        {
+            var records = new List<string[]>();
+            var fields = new List<string>();
+            var field = new StringBuilder();
+            var inQuotes = false;
+
+            void EndField()
+            {
+                fields.Add(field.ToString());
+                field.Clear();
+            }
+
+            void EndRecord()
+            {
+                EndField();
+                if (fields.Count > 1 || fields[0].Length > 0)
+                {
+                    records.Add(fields.ToArray());
+                }
+                fields.Clear();
+            }
+
+            var start = content.Length > 0 && content[0] == '\uFEFF' ? 1 : 0;
+            for (var i = start; i < content.Length; i++)
+            {
+                var c = content[i];
+
+                if (inQuotes)
+                {
+                    if (c != '"')
+                    {
+                        field.Append(c);
+                    }
+                    else if (i + 1 < content.Length && content[i + 1] == '"')
+                    {
+                        field.Append('"');
+                        i++;
+                    }
+                    else
+                    {
+                        inQuotes = false;
+                    }
+                    continue;
+                }
+
+                switch (c)
+                {
+                    case '"' when field.Length == 0:
+                        inQuotes = true;
+                        break;
+                    case ',':
+                        EndField();
+                        break;
+                    case '\r':
+                        // CRLF or a lone CR both end the record
+                        if (i + 1 < content.Length && content[i + 1] == '\n') i++;
+                        EndRecord();
+                        break;
+                    case '\n':
+                        EndRecord();
+                        break;
+                    default:
+                        field.Append(c);
+                        break;
+                }
+            }
+
+            if (inQuotes)
+            {
+                return (records, "The file ends inside a quoted value (a closing \" is missing).");
+            }
+
+            EndRecord();
+            return (records, null);
+        }
+
+        // Column name -> index for a header record (case-insensitive, first occurrence wins)
+        public static Dictionary<string, int> HeaderIndex(IReadOnlyList<string> header)
+        {
+            var index = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase);
+            for (var i = 0; i < header.Count; i++)
+            {
+                index.TryAdd(header[i].Trim(), i);
+            }
+            return index;
+        }
+
+        // One CSV line (no line break); values are quoted only when they need it
+        public static string FormatLine(IEnumerable<string?> values)
+            => string.Join(",", values.Select(Escape));
+
+        private static string Escape(string? value)
+        {
+            if (string.IsNullOrEmpty(value)) return string.Empty;
+
+            var needsQuotes = value.IndexOfAny(new[] { ',', '"', '\r', '\n' }) >= 0
+                || char.IsWhiteSpace(value[0])
+                || char.IsWhiteSpace(value[^1]);
+
+            return needsQuotes ? $"\"{value.Replace("\"", "\"\"")}\"" : value;
+        }
+    }
+}
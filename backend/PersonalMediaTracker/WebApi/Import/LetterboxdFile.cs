@@ -0,0 +1,170 @@
+﻿using System.Globalization;
+using Domain.Enums;
+using WebApi.Contracts;
+
+namespace WebApi.Import
+{
+    // One CSV from a Letterboxd export zip. All share Date, Name, Year, Letterboxd URI; on top of that
+    // ratings.csv has Rating, and diary.csv / reviews.csv have Rating, Rewatch, Tags, Watched Date (+ Review).
+    // Mapping:
+    // - every film imports as a Movie (Letterboxd doesn't say live action vs animated, so no subtype)
+    // - Rating 0.5-5 stars -> 1-10 (x2, stays on the half-step scale)
+    // - a rating, watched date or rewatch marks the film Completed; otherwise the status is left to the
+    //   importer's default (watched.csv -> Completed, watchlist.csv -> Planning, chosen in the wizard)
+    // - diary.csv lists a film once per viewing: those rows become one entry (latest date and rating,
+    //   rewatches counted, tags combined) reported under the film's first row
+    // - the same name from different years is told apart as "Name (Year)"
+    public static class LetterboxdFile
+    {
+        private const string DateFormat = "yyyy-MM-dd";
+
+        private static readonly IReadOnlyList<ParsedImportRow> NoRows = Array.Empty<ParsedImportRow>();
+
+        public static (IReadOnlyList<ParsedImportRow> rows, string? error) Parse(string content)
+        {
+            var (records, error) = CsvTable.Read(content);
+            if (error is not null)
+            {
+                return (NoRows, error);
+            }
+            if (records.Count == 0)
+            {
+                return (NoRows, "The file is empty.");
+            }
+
+            var index = CsvTable.HeaderIndex(records[0]);
+            if (!index.ContainsKey("Name") || !index.ContainsKey("Letterboxd URI"))
+            {
+                return (NoRows, "This is not a Letterboxd export file (expected 'Name' and 'Letterboxd URI' columns).");
+            }
+
+            // One film per (name, year), in order of first appearance
+            var films = new List<Film>();
+            var byKey = new Dictionary<(string, string?), Film>();
+            for (var r = 1; r < records.Count; r++)
+            {
+                var viewing = ReadViewing(records[r], index);
+                var key = ((viewing.Name ?? string.Empty).ToLowerInvariant(), viewing.Year);
+                if (!byKey.TryGetValue(key, out var film))
+                {
+                    film = new Film(r, viewing.Name, viewing.Year);
+                    byKey[key] = film;
+                    films.Add(film);
+                }
+                film.Add(viewing);
+            }
+
+            var sharedNames = films
+                .GroupBy(f => (f.Name ?? string.Empty).ToLowerInvariant())
+                .Where(g => g.Count() > 1)
+                .Select(g => g.Key)
+                .ToHashSet();
+
+            var rows = films
+                .Select(f => f.ToRow(sharedNames.Contains((f.Name ?? string.Empty).ToLowerInvariant())))
+                .ToList();
+            return (rows, null);
+        }
+
+        // Stars (0.5-5 in half steps) -> our 0-10 rating
+        public static decimal StarsToRating(decimal stars) => stars * 2m;
+
+        // ----- helpers -----
+
+        private static Viewing ReadViewing(string[] cells, IReadOnlyDictionary<string, int> index)
+        {
+            var errors = new List<string>();
+
+            string? Cell(string column)
+            {
+                if (!index.TryGetValue(column, out var i) || i >= cells.Length) return null;
+                var value = cells[i].Trim();
+                return value.Length == 0 ? null : value;
+            }
+
+            decimal? rating = null;
+            var rawRating = Cell("Rating");
+            if (rawRating is not null)
+            {
+                if (decimal.TryParse(rawRating, NumberStyles.Number, CultureInfo.InvariantCulture, out var stars))
+                    rating = StarsToRating(stars);
+                else
+                    errors.Add($"Rating '{rawRating}' is not a number.");
+            }
+
+            DateOnly? watched = null;
+            var rawWatched = Cell("Watched Date");
+            if (rawWatched is not null)
+            {
+                if (DateOnly.TryParseExact(rawWatched, DateFormat, CultureInfo.InvariantCulture, DateTimeStyles.None, out var date))
+                    watched = date;
+                else
+                    errors.Add($"Watched date '{rawWatched}' is not a date (expected YYYY-MM-DD).");
+            }
+
+            return new Viewing(
+                Name: Cell("Name"),
+                Year: Cell("Year"),
+                Rating: rating,
+                Rewatch: string.Equals(Cell("Rewatch"), "Yes", StringComparison.OrdinalIgnoreCase),
+                WatchedOn: watched,
+                Tags: Cell("Tags")?.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries) ?? Array.Empty<string>(),
+                Review: Cell("Review"),
+                Errors: errors);
+        }
+
+        private sealed record Viewing(
+            string? Name, string? Year, decimal? Rating, bool Rewatch, DateOnly? WatchedOn,
+            IReadOnlyList<string> Tags, string? Review, IReadOnlyList<string> Errors);
+
+        // The viewings of one film collected across the file
+        private sealed class Film
+        {
+            private readonly List<Viewing> _viewings = new();
+
+            public Film(int row, string? name, string? year)
+            {
+                Row = row;
+                Name = name;
+                Year = year;
+            }
+
+            public int Row { get; }
+            public string? Name { get; }
+            public string? Year { get; }
+
+            public void Add(Viewing viewing) => _viewings.Add(viewing);
+
+            public ParsedImportRow ToRow(bool addYear)
+            {
+                // Latest viewing first; undated rows (ratings.csv, watched.csv) keep file order after them
+                var latestFirst = _viewings
+                    .Select((v, i) => (v, i))
+                    .OrderByDescending(x => x.v.WatchedOn ?? DateOnly.MinValue)
+                    .ThenByDescending(x => x.i)
+                    .Select(x => x.v)
+                    .ToList();
+
+                var rating = latestFirst.FirstOrDefault(v => v.Rating.HasValue)?.Rating;
+                var finishedOn = latestFirst[0].WatchedOn;
+                var rewatches = _viewings.Count(v => v.Rewatch);
+                var watched = rating.HasValue || finishedOn.HasValue || rewatches > 0;
+                var tags = _viewings.SelectMany(v => v.Tags).Distinct(StringComparer.OrdinalIgnoreCase).ToArray();
+
+                var dto = new LibraryEntryDto
+                {
+                    Title = addYear && Year is not null ? $"{Name} ({Year})" : Name,
+                    Type = EntryType.Movie.ToString(),
+                    Status = watched ? EntryStatus.Completed.ToString() : null,
+                    Rating = rating,
+                    Notes = latestFirst.FirstOrDefault(v => v.Review is not null)?.Review,
+                    FinishedOn = finishedOn,
+                    RewatchCount = rewatches,
+                    Tags = tags.Length == 0 ? null : tags
+                };
+
+                return new ParsedImportRow(Row, dto, _viewings.SelectMany(v => v.Errors).Distinct().ToArray());
+            }
+        }
+    }
+}
@@ -0,0 +1,204 @@
+﻿using System.Globalization;
+using System.Text.Json;
+using WebApi.Contracts;
+
+namespace WebApi.Import
+{
+    // The app's own export format, read back on import:
+    // - CSV: header row + one row per entry, tags joined with ';' in one cell
+    // - JSON: an array of LibraryEntryDto objects
+    public static class LibraryFile
+    {
+        // Export column order. Import matches header names in any order (case-insensitive),
+        // ignores unknown columns, and only requires "title".
+        public static readonly IReadOnlyList<string> CsvColumns = new[]
+        {
+            "title", "type", "subType", "status", "rating", "notes",
+            "currentEpisode", "totalEpisodes", "currentChapter", "totalChapters", "currentVolume", "totalVolumes",
+            "startedOn", "finishedOn", "rewatchCount", "tags"
+        };
+
+        public const char TagSeparator = ';';
+
+        private const string DateFormat = "yyyy-MM-dd";
+
+        private static readonly JsonSerializerOptions JsonOptions = new(JsonSerializerDefaults.Web);
+
+        private static readonly IReadOnlyList<ParsedImportRow> NoRows = Array.Empty<ParsedImportRow>();
+
+        // ----- Export -----
+
+        public static string CsvHeader => CsvTable.FormatLine(CsvColumns);
+
+        public static string ToCsvLine(LibraryEntryDto dto)
+        {
+            return CsvTable.FormatLine(new[]
+            {
+                dto.Title, dto.Type, dto.SubType, dto.Status, FormatNumber(dto.Rating), dto.Notes,
+                FormatNumber(dto.CurrentEpisode), FormatNumber(dto.TotalEpisodes),
+                FormatNumber(dto.CurrentChapter), FormatNumber(dto.TotalChapters),
+                FormatNumber(dto.CurrentVolume), FormatNumber(dto.TotalVolumes),
+                dto.StartedOn?.ToString(DateFormat, CultureInfo.InvariantCulture),
+                dto.FinishedOn?.ToString(DateFormat, CultureInfo.InvariantCulture),
+                FormatNumber(dto.RewatchCount),
+                string.Join(TagSeparator, dto.Tags ?? Array.Empty<string>())
+            });
+        }
+
+        // ----- Import -----
+
+        public static (IReadOnlyList<ParsedImportRow> rows, string? error) ParseCsv(string content)
+        {
+            var (records, error) = CsvTable.Read(content);
+            if (error is not null)
+            {
+                return (NoRows, error);
+            }
+            if (records.Count == 0)
+            {
+                return (NoRows, "The file is empty.");
+            }
+
+            var index = CsvTable.HeaderIndex(records[0]);
+            if (!index.ContainsKey("title"))
+            {
+                return (NoRows, "The CSV header must include a 'title' column.");
+            }
+
+            var rows = new List<ParsedImportRow>(records.Count - 1);
+            for (var r = 1; r < records.Count; r++)
+            {
+                rows.Add(ParseCsvRow(r, records[r], index));
+            }
+            return (rows, null);
+        }
+
+        public static (IReadOnlyList<ParsedImportRow> rows, string? error) ParseJson(string content)
+        {
+            JsonDocument doc;
+            try
+            {
+                doc = JsonDocument.Parse(content, new JsonDocumentOptions
+                {
+                    AllowTrailingCommas = true,
+                    CommentHandling = JsonCommentHandling.Skip
+                });
+            }
+            catch (JsonException ex)
+            {
+                return (NoRows, $"The file is not valid JSON: {ex.Message}");
+            }
+
+            using (doc)
+            {
+                if (doc.RootElement.ValueKind != JsonValueKind.Array)
+                {
+                    return (NoRows, "The JSON file must contain an array of entries.");
+                }
+
+                var rows = new List<ParsedImportRow>();
+                var number = 0;
+                foreach (var item in doc.RootElement.EnumerateArray())
+                {
+                    number++;
+                    if (item.ValueKind != JsonValueKind.Object)
+                    {
+                        rows.Add(new ParsedImportRow(number, new LibraryEntryDto(), new[] { "Each entry must be a JSON object." }));
+                        continue;
+                    }
+
+                    try
+                    {
+                        var dto = item.Deserialize<LibraryEntryDto>(JsonOptions) ?? new LibraryEntryDto();
+                        rows.Add(new ParsedImportRow(number, dto, Array.Empty<string>()));
+                    }
+                    catch (JsonException ex)
+                    {
+                        // Path looks like "$.rating"; keep just the field name for the message
+                        var field = ex.Path?.TrimStart('$', '.') ?? "";
+                        var message = field.Length > 0 ? $"'{field}' has an invalid value." : "The entry has an invalid value.";
+                        rows.Add(new ParsedImportRow(number, ReadTitleOnly(item), new[] { message }));
+                    }
+                }
+                return (rows, null);
+            }
+        }
+
+        // ----- helpers -----
+
+        private static ParsedImportRow ParseCsvRow(int row, string[] cells, IReadOnlyDictionary<string, int> index)
+        {
+            var errors = new List<string>();
+
+            string? Cell(string column)
+            {
+                if (!index.TryGetValue(column, out var i) || i >= cells.Length) return null;
+                var value = cells[i].Trim();
+                return value.Length == 0 ? null : value;
+            }
+
+            var dto = new LibraryEntryDto
+            {
+                Title = Cell("title"),
+                Type = Cell("type"),
+                SubType = Cell("subType"),
+                Status = Cell("status"),
+                Rating = ParseDecimal(Cell("rating"), "Rating", errors),
+                Notes = Cell("notes"),
+                CurrentEpisode = ParseInt(Cell("currentEpisode"), "Current episode", errors),
+                TotalEpisodes = ParseInt(Cell("totalEpisodes"), "Total episodes", errors),
+                CurrentChapter = ParseInt(Cell("currentChapter"), "Current chapter", errors),
+                TotalChapters = ParseInt(Cell("totalChapters"), "Total chapters", errors),
+                CurrentVolume = ParseInt(Cell("currentVolume"), "Current volume", errors),
+                TotalVolumes = ParseInt(Cell("totalVolumes"), "Total volumes", errors),
+                StartedOn = ParseDate(Cell("startedOn"), "Started on", errors),
+                FinishedOn = ParseDate(Cell("finishedOn"), "Finished on", errors),
+                RewatchCount = ParseInt(Cell("rewatchCount"), "Rewatch count", errors),
+                Tags = Cell("tags")?.Split(TagSeparator, StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            };
+
+            return new ParsedImportRow(row, dto, errors);
+        }
+
+        // Keeps the title of a JSON entry that failed to bind so the preview can still name it
+        private static LibraryEntryDto ReadTitleOnly(JsonElement item)
+        {
+            foreach (var prop in item.EnumerateObject())
+            {
+                if (string.Equals(prop.Name, "title", StringComparison.OrdinalIgnoreCase))
+                {
+                    return new LibraryEntryDto { Title = prop.Value.ValueKind == JsonValueKind.String ? prop.Value.GetString() : null };
+                }
+            }
+            return new LibraryEntryDto();
+        }
+
+        private static decimal? ParseDecimal(string? raw, string label, List<string> errors)
+        {
+            if (raw is null) return null;
+            if (decimal.TryParse(raw, NumberStyles.Number, CultureInfo.InvariantCulture, out var value)) return value;
+            errors.Add($"{label} '{raw}' is not a number.");
+            return null;
+        }
+
+        private static int? ParseInt(string? raw, string label, List<string> errors)
+        {
+            if (raw is null) return null;
+            if (int.TryParse(raw, NumberStyles.Integer, CultureInfo.InvariantCulture, out var value)) return value;
+            errors.Add($"{label} '{raw}' is not a whole number.");
+            return null;
+        }
+
+        private static DateOnly? ParseDate(string? raw, string label, List<string> errors)
+        {
+            if (raw is null) return null;
+            if (DateOnly.TryParseExact(raw, DateFormat, CultureInfo.InvariantCulture, DateTimeStyles.None, out var value)) return value;
+            errors.Add($"{label} '{raw}' is not a date (use YYYY-MM-DD).");
+            return null;
+        }
+
+        private static string? FormatNumber(decimal? value) => value?.ToString(CultureInfo.InvariantCulture);
+
+        private static string? FormatNumber(int? value) => value?.ToString(CultureInfo.InvariantCulture);
+    }
+}
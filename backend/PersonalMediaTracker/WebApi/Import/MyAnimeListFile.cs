@@ -0,0 +1,193 @@
+﻿using System.Globalization;
+using System.Xml;
+using System.Xml.Linq;
+using Domain.Enums;
+using WebApi.Contracts;
+
+namespace WebApi.Import
+{
+    // MyAnimeList list export (Profile > Export, anime or manga list; the .xml.gz unzipped):
+    //   <myanimelist><myinfo/><anime>...</anime>...</myanimelist>   (or <manga> entries)
+    // Mapping:
+    // - anime: series_type "Movie" -> Movie, everything else (TV, OVA, ONA, Special, ...) -> Series; subtype Anime
+    // - manga: Series / Manga with chapter + volume progress
+    // - my_score 1-10 -> Rating as-is (0 = not scored); totals of 0 mean "unknown"
+    // - dates with unknown parts (0000-00-00, 2020-05-00) import as no date
+    public static class MyAnimeListFile
+    {
+        private const string DateFormat = "yyyy-MM-dd";
+
+        private static readonly IReadOnlyList<ParsedImportRow> NoRows = Array.Empty<ParsedImportRow>();
+
+        public static (IReadOnlyList<ParsedImportRow> rows, string? error) Parse(string content)
+        {
+            XDocument doc;
+            try
+            {
+                // No DTDs: an export never has one, and it keeps entity expansion out of uploaded files
+                var settings = new XmlReaderSettings { DtdProcessing = DtdProcessing.Prohibit };
+                using var reader = XmlReader.Create(new StringReader(content), settings);
+                doc = XDocument.Load(reader);
+            }
+            catch (XmlException ex)
+            {
+                return (NoRows, $"The file is not valid XML: {ex.Message}");
+            }
+
+            if (doc.Root?.Name.LocalName != "myanimelist")
+            {
+                return (NoRows, "This is not a MyAnimeList export (expected a <myanimelist> root element).");
+            }
+
+            var rows = new List<ParsedImportRow>();
+            var number = 0;
+            foreach (var item in doc.Root.Elements())
+            {
+                switch (item.Name.LocalName)
+                {
+                    case "anime":
+                        rows.Add(ParseAnime(++number, item));
+                        break;
+                    case "manga":
+                        rows.Add(ParseManga(++number, item));
+                        break;
+                }
+            }
+            return (rows, null);
+        }
+
+        // "Plan to Watch", "On-Hold", ... (older exports write the numeric codes 1-4 and 6)
+        public static EntryStatus? MapStatus(string? raw)
+        {
+            switch (raw?.Trim().ToLowerInvariant())
+            {
+                case "watching":
+                case "reading":
+                case "1":
+                    return EntryStatus.Watching;
+                case "completed":
+                case "2":
+                    return EntryStatus.Completed;
+                case "on-hold":
+                case "3":
+                    return EntryStatus.OnHold;
+                case "dropped":
+                case "4":
+                    return EntryStatus.Dropped;
+                case "plan to watch":
+                case "plan to read":
+                case "6":
+                    return EntryStatus.Planning;
+                default:
+                    return null;
+            }
+        }
+
+        // ----- helpers -----
+
+        private static ParsedImportRow ParseAnime(int row, XElement item)
+        {
+            var errors = new List<string>();
+            var isMovie = string.Equals(Text(item, "series_type"), "Movie", StringComparison.OrdinalIgnoreCase);
+
+            var dto = new LibraryEntryDto
+            {
+                Title = Text(item, "series_title"),
+                Type = (isMovie ? EntryType.Movie : EntryType.Series).ToString(),
+                SubType = EntrySubType.Anime.ToString(),
+                Status = Status(item, errors),
+                Rating = Score(item, errors),
+                Notes = Text(item, "my_comments"),
+                StartedOn = Date(item, "my_start_date"),
+                FinishedOn = Date(item, "my_finish_date"),
+                RewatchCount = Count(item, "my_times_watched", errors),
+                Tags = Tags(item)
+            };
+
+            // Movies don't track episodes
+            if (!isMovie)
+            {
+                dto.CurrentEpisode = Count(item, "my_watched_episodes", errors);
+                dto.TotalEpisodes = Total(item, "series_episodes", errors);
+            }
+
+            return new ParsedImportRow(row, dto, errors);
+        }
+
+        private static ParsedImportRow ParseManga(int row, XElement item)
+        {
+            var errors = new List<string>();
+
+            var dto = new LibraryEntryDto
+            {
+                Title = Text(item, "manga_title"),
+                Type = EntryType.Series.ToString(),
+                SubType = EntrySubType.Manga.ToString(),
+                Status = Status(item, errors),
+                Rating = Score(item, errors),
+                Notes = Text(item, "my_comments"),
+                CurrentChapter = Count(item, "my_read_chapters", errors),
+                TotalChapters = Total(item, "manga_chapters", errors),
+                CurrentVolume = Count(item, "my_read_volumes", errors),
+                TotalVolumes = Total(item, "manga_volumes", errors),
+                StartedOn = Date(item, "my_start_date"),
+                FinishedOn = Date(item, "my_finish_date"),
+                RewatchCount = Count(item, "my_times_read", errors),
+                Tags = Tags(item)
+            };
+
+            return new ParsedImportRow(row, dto, errors);
+        }
+
+        // Element text (CDATA included), trimmed; null when missing or empty
+        private static string? Text(XElement item, string name)
+        {
+            var value = item.Element(name)?.Value.Trim();
+            return string.IsNullOrEmpty(value) ? null : value;
+        }
+
+        private static string? Status(XElement item, List<string> errors)
+        {
+            var raw = Text(item, "my_status");
+            var status = MapStatus(raw);
+            if (status is null)
+            {
+                errors.Add(raw is null ? "Status is missing." : $"'{raw}' is not a MyAnimeList status.");
+            }
+            return status?.ToString();
+        }
+
+        private static decimal? Score(XElement item, List<string> errors)
+        {
+            var score = Count(item, "my_score", errors);
+            return score is null or 0 ? null : score;
+        }
+
+        private static int? Total(XElement item, string name, List<string> errors)
+        {
+            var total = Count(item, name, errors);
+            return total == 0 ? null : total;
+        }
+
+        private static int? Count(XElement item, string name, List<string> errors)
+        {
+            var raw = Text(item, name);
+            if (raw is null) return null;
+            if (int.TryParse(raw, NumberStyles.Integer, CultureInfo.InvariantCulture, out var value)) return value;
+            errors.Add($"'{name}' value '{raw}' is not a whole number.");
+            return null;
+        }
+
+        private static DateOnly? Date(XElement item, string name)
+        {
+            var raw = Text(item, name);
+            return DateOnly.TryParseExact(raw, DateFormat, CultureInfo.InvariantCulture, DateTimeStyles.None, out var value)
+                ? value
+                : null;
+        }
+
+        // my_tags is a comma-separated list
+        private static string[]? Tags(XElement item)
+            => Text(item, "my_tags")?.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries);
+    }
+}
@@ -0,0 +1,9 @@
+﻿using WebApi.Contracts;
+
+namespace WebApi.Import
+{
+    // One file row after parsing, before validation.
+    // - Row: 1-based position in the file (a CSV header doesn't count)
+    // - Errors: values that couldn't be read (e.g. "abc" in a number column)
+    public sealed record ParsedImportRow(int Row, LibraryEntryDto Entry, IReadOnlyList<string> Errors);
+}
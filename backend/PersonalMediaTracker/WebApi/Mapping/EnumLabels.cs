@@ -0,0 +1,31 @@
+﻿using System.Text.RegularExpressions;
+using Domain.Enums;
+using WebApi.Contracts;
+
+namespace WebApi.Mapping
+{
+    // Display labels for enum values (served by GET api/metadata).
+    // Names are split at capitals ("LiveAction" -> "Live Action"); only values whose label
+    // reads differently from the name are listed in Overrides.
+    public static class EnumLabels
+    {
+        private static readonly Dictionary<Enum, string> Overrides = new()
+        {
+            [EntryStatus.Planning] = "Plan to Watch / Read",
+            [EntryStatus.Watching] = "Watching / Reading"
+        };
+
+        public static string Label(Enum value)
+            => Overrides.TryGetValue(value, out var label)
+                ? label
+                : Regex.Replace(value.ToString(), "(?<=[a-z])(?=[A-Z])", " ");
+
+        public static IReadOnlyList<EnumOptionDto> Options<TEnum>()
+            where TEnum : struct, Enum
+        {
+            return Enum.GetValues<TEnum>()
+                .Select(v => new EnumOptionDto { Value = v.ToString(), Label = Label(v) })
+                .ToList();
+        }
+    }
+}
@@ -0,0 +1,19 @@
+﻿namespace WebApi.Mapping
+{
+    // Name-only enum parsing shared by the list filters and library import.
+    public static class EnumParsing
+    {
+        // Case-insensitive match on a single enum name ("onhold" -> OnHold).
+        // Numeric strings and comma lists are rejected so only one named value matches.
+        public static bool TryParseName<TEnum>(string? raw, out TEnum value)
+            where TEnum : struct, Enum
+        {
+            value = default;
+            if (string.IsNullOrWhiteSpace(raw) || raw.Contains(',') || int.TryParse(raw, out _))
+            {
+                return false;
+            }
+            return Enum.TryParse(raw.Trim(), true, out value) && Enum.IsDefined(value);
+        }
+    }
+}
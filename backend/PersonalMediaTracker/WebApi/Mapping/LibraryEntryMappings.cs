@@ -0,0 +1,158 @@
+﻿using System;
+using System.Collections.Generic;
+using System.Linq;
+using Domain.Entities;
+using Domain.Enums;
+using WebApi.Contracts;
+
+namespace WebApi.Mapping
+{
+    // Conversions for library export/import files (LibraryEntryDto).
+    // Import goes file row -> Create/Update DTO so the regular mapping rules (rating, progress, dates) apply.
+    public static class LibraryEntryMappings
+    {
+        // ------ Entity -> file row (export) ------------------
+
+        public static LibraryEntryDto ToLibraryDto(this MediaEntry entity)
+        {
+            return new LibraryEntryDto
+            {
+                Title = entity.Title,
+                Type = entity.Type.ToString(),
+                SubType = entity.SubType?.ToString(),
+                Status = entity.Status.ToString(),
+                Rating = entity.Rating,
+                Notes = entity.Notes,
+                CurrentEpisode = entity.CurrentEpisode,
+                TotalEpisodes = entity.TotalEpisodes,
+                CurrentChapter = entity.CurrentChapter,
+                TotalChapters = entity.TotalChapters,
+                CurrentVolume = entity.CurrentVolume,
+                TotalVolumes = entity.TotalVolumes,
+                StartedOn = entity.StartedOn,
+                FinishedOn = entity.FinishedOn,
+                RewatchCount = entity.RewatchCount,
+                Tags = entity.EntryTags.Select(t => t.Tag!.Name).OrderBy(n => n).ToArray()
+            };
+        }
+
+        // ------ file row -> Create DTO (import) ------------------
+
+        // Parses the enum columns and copies the rest. Problems are appended to errors;
+        // returns null when type/subtype/status can't be read. A missing status imports as Planning.
+        public static CreateMediaEntryDto? ToCreateDto(this LibraryEntryDto row, List<string> errors)
+        {
+            var ok = true;
+
+            if (!TryParseImportName<EntryType>(row.Type, out var type))
+            {
+                errors.Add(string.IsNullOrWhiteSpace(row.Type) ? "Type is required." : $"'{row.Type}' is not a valid EntryType.");
+                ok = false;
+            }
+
+            EntrySubType? subType = null;
+            if (!string.IsNullOrWhiteSpace(row.SubType))
+            {
+                if (TryParseImportName<EntrySubType>(row.SubType, out var parsedSubType))
+                {
+                    subType = parsedSubType;
+                }
+                else
+                {
+                    errors.Add($"'{row.SubType}' is not a valid EntrySubType.");
+                    ok = false;
+                }
+            }
+
+            var status = EntryStatus.Planning;
+            if (!string.IsNullOrWhiteSpace(row.Status) && !TryParseImportName(row.Status, out status))
+            {
+                errors.Add($"'{row.Status}' is not a valid EntryStatus.");
+                ok = false;
+            }
+
+            if (!ok)
+            {
+                return null;
+            }
+
+            return new CreateMediaEntryDto
+            {
+                Title = row.Title?.Trim() ?? string.Empty,
+                Type = type,
+                SubType = subType,
+                Status = status,
+                Rating = row.Rating,
+                Notes = row.Notes,
+                CurrentEpisode = row.CurrentEpisode,
+                TotalEpisodes = row.TotalEpisodes,
+                CurrentChapter = row.CurrentChapter,
+                TotalChapters = row.TotalChapters,
+                CurrentVolume = row.CurrentVolume,
+                TotalVolumes = row.TotalVolumes,
+                StartedOn = row.StartedOn,
+                FinishedOn = row.FinishedOn,
+                RewatchCount = row.RewatchCount ?? 0,
+                Tags = row.Tags
+            };
+        }
+
+        // ------ file row -> Update DTO for a duplicate (import) ------------------
+
+        // Overwrite: every value present in the file replaces the existing one (empty cells keep it).
+        // Merge: the file only fills fields the existing entry doesn't have; title and status stay.
+        // Tags are reconciled separately by the caller.
+        public static UpdateMediaEntryDto ToUpdateDto(this CreateMediaEntryDto incoming, LibraryEntryDto row, MediaEntry existing, DuplicateHandling mode)
+        {
+            if (mode == DuplicateHandling.Overwrite)
+            {
+                return new UpdateMediaEntryDto
+                {
+                    Id = existing.Id,
+                    Title = incoming.Title,
+                    SubType = incoming.SubType,
+                    Status = string.IsNullOrWhiteSpace(row.Status) ? null : incoming.Status,
+                    Rating = incoming.Rating,
+                    Notes = incoming.Notes,
+                    CurrentEpisode = incoming.CurrentEpisode,
+                    TotalEpisodes = incoming.TotalEpisodes,
+                    CurrentChapter = incoming.CurrentChapter,
+                    TotalChapters = incoming.TotalChapters,
+                    CurrentVolume = incoming.CurrentVolume,
+                    TotalVolumes = incoming.TotalVolumes,
+                    StartedOn = incoming.StartedOn,
+                    FinishedOn = incoming.FinishedOn,
+                    RewatchCount = row.RewatchCount
+                };
+            }
+
+            return new UpdateMediaEntryDto
+            {
+                Id = existing.Id,
+                SubType = existing.SubType is null ? incoming.SubType : null,
+                Rating = existing.Rating is null ? incoming.Rating : null,
+                Notes = existing.Notes is null ? incoming.Notes : null,
+                CurrentEpisode = existing.CurrentEpisode is null ? incoming.CurrentEpisode : null,
+                TotalEpisodes = existing.TotalEpisodes is null ? incoming.TotalEpisodes : null,
+                CurrentChapter = existing.CurrentChapter is null ? incoming.CurrentChapter : null,
+                TotalChapters = existing.TotalChapters is null ? incoming.TotalChapters : null,
+                CurrentVolume = existing.CurrentVolume is null ? incoming.CurrentVolume : null,
+                TotalVolumes = existing.TotalVolumes is null ? incoming.TotalVolumes : null,
+                StartedOn = existing.StartedOn is null ? incoming.StartedOn : null,
+                FinishedOn = existing.FinishedOn is null ? incoming.FinishedOn : null,
+                RewatchCount = row.RewatchCount > existing.RewatchCount ? row.RewatchCount : null
+            };
+        }
+
+        // ------ helpers ------------------------------
+
+        // Files written by hand or other apps use labels like "On Hold", "on-hold" or "live_action";
+        // drop the separators so they match the enum names (OnHold, LiveAction).
+        private static bool TryParseImportName<TEnum>(string? raw, out TEnum value)
+            where TEnum : struct, Enum
+        {
+            var compact = raw is null ? null : new string(raw.Where(c => c is not (' ' or '-' or '_')).ToArray());
+            return EnumParsing.TryParseName(compact, out value);
+        }
+    }
+}
@@ -1,6 +1,7 @@
 ﻿using System;
 using System.Linq;
 using Domain.Entities;
+using Domain.Enums;
 using WebApi.Contracts;
 using WebApi.Validation;
 
@@ -26,6 +27,23 @@ public static (MediaEntry entity, string? error) ToEntity(this CreateMediaEntryD
                 return (null!, ratingErr);
             }
 
+            if (!ProgressValidator.IsValid("Episode", dto.CurrentEpisode, dto.TotalEpisodes, out var progressErr) ||
+                !ProgressValidator.IsValid("Chapter", dto.CurrentChapter, dto.TotalChapters, out progressErr) ||
+                !ProgressValidator.IsValid("Volume", dto.CurrentVolume, dto.TotalVolumes, out progressErr))
+            {
+                return (null!, progressErr);
+            }
+
+            if (!WatchDatesValidator.IsValid(dto.StartedOn, dto.FinishedOn, out var datesErr))
+            {
+                return (null!, datesErr);
+            }
+
+            if (!SubTypeRules.IsValid(dto.Type, dto.SubType, out var subTypeErr))
+            {
+                return (null!, subTypeErr);
+            }
+
             var entity = new MediaEntry
             {
                 Id = Guid.NewGuid(),
@@ -35,16 +53,32 @@ public static (MediaEntry entity, string? error) ToEntity(this CreateMediaEntryD
                 SubType = dto.SubType,
                 Status = dto.Status,
                 Rating = dto.Rating,
-                Notes = string.IsNullOrWhiteSpace(dto.Notes) ? null : dto.Notes.Trim()
+                Notes = string.IsNullOrWhiteSpace(dto.Notes) ? null : dto.Notes.Trim(),
+                CurrentEpisode = dto.CurrentEpisode,
+                TotalEpisodes = dto.TotalEpisodes,
+                CurrentChapter = dto.CurrentChapter,
+                TotalChapters = dto.TotalChapters,
+                CurrentVolume = dto.CurrentVolume,
+                TotalVolumes = dto.TotalVolumes,
+                StartedOn = dto.StartedOn,
+                FinishedOn = dto.FinishedOn,
+                RewatchCount = dto.RewatchCount
                 // Tags wired in separately (controller/service calls a Tag attach helper)
             };
 
+            if (IsProgressFinished(entity))
+            {
+                entity.Status = EntryStatus.Completed;
+            }
+
             return (entity, null);
         }
 
         // ----- DTO -> Entity (Update full) --------
         public static string? ApplyTo(this UpdateMediaEntryDto dto, MediaEntry entity)
         {
+            var wasFinished = IsProgressFinished(entity);
+
             if (dto.Title is not null)
             {
                 if (string.IsNullOrWhiteSpace(dto.Title))
@@ -63,12 +97,87 @@ public static (MediaEntry entity, string? error) ToEntity(this CreateMediaEntryD
                 entity.Rating = dto.Rating.Value;
             }
 
-            if (dto.Type.HasValue)      entity.Type = dto.Type.Value;
-            if (dto.SubType.HasValue)   entity.SubType = dto.SubType.Value;
+            if (dto.SubType.HasValue || dto.Type.HasValue)
+            {
+                var type = dto.Type ?? entity.Type;
+                var subType = dto.SubType ?? entity.SubType;
+
+                // A type change without a subtype drops a stored subtype the new type can't have
+                // (Manga series -> Movie); a combination sent explicitly must be valid.
+                if (!dto.SubType.HasValue && !SubTypeRules.IsAllowed(type, subType))
+                {
+                    subType = null;
+                }
+                if (!SubTypeRules.IsValid(type, subType, out var subTypeErr))
+                {
+                    return subTypeErr;
+                }
+
+                entity.Type = type;
+                entity.SubType = subType;
+            }
             if (dto.Status.HasValue)    entity.Status = dto.Status.Value;
             if (dto.Rating.HasValue)    entity.Rating = dto.Rating.Value;
             if (dto.Notes is not null)  entity.Notes = string.IsNullOrWhiteSpace(dto.Notes) ? null : dto.Notes.Trim();
 
+            if (dto.CurrentEpisode.HasValue) entity.CurrentEpisode = dto.CurrentEpisode.Value;
+            if (dto.TotalEpisodes.HasValue)  entity.TotalEpisodes = dto.TotalEpisodes.Value;
+            if (dto.CurrentChapter.HasValue) entity.CurrentChapter = dto.CurrentChapter.Value;
+            if (dto.TotalChapters.HasValue)  entity.TotalChapters = dto.TotalChapters.Value;
+            if (dto.CurrentVolume.HasValue)  entity.CurrentVolume = dto.CurrentVolume.Value;
+            if (dto.TotalVolumes.HasValue)   entity.TotalVolumes = dto.TotalVolumes.Value;
+            if (dto.StartedOn.HasValue)      entity.StartedOn = dto.StartedOn.Value;
+            if (dto.FinishedOn.HasValue)     entity.FinishedOn = dto.FinishedOn.Value;
+            if (dto.RewatchCount.HasValue)   entity.RewatchCount = dto.RewatchCount.Value;
+
+            if (!WatchDatesValidator.IsValid(entity.StartedOn, entity.FinishedOn, out var datesErr))
+            {
+                return datesErr;
+            }
+
+            // Validate the merged counters so a partial update can't leave current > total
+            if (!ProgressValidator.IsValid("Episode", entity.CurrentEpisode, entity.TotalEpisodes, out var progressErr) ||
+                !ProgressValidator.IsValid("Chapter", entity.CurrentChapter, entity.TotalChapters, out progressErr) ||
+                !ProgressValidator.IsValid("Volume", entity.CurrentVolume, entity.TotalVolumes, out progressErr))
+            {
+                return progressErr;
+            }
+
+            // Only auto-complete when this update is what reached the total,
+            // so re-opening a finished entry (e.g. a rewatch) isn't overridden.
+            if (!wasFinished && IsProgressFinished(entity))
+            {
+                entity.Status = EntryStatus.Completed;
+            }
+
+            return null;
+        }
+
+        // ----- DTO -> Entity (Progress "+1") --------
+        public static string? ApplyTo(this ProgressIncrementDto dto, MediaEntry entity)
+        {
+            var wasFinished = IsProgressFinished(entity);
+
+            switch (dto.Unit)
+            {
+                case ProgressUnit.Episode:
+                    entity.CurrentEpisode = Step(entity.CurrentEpisode, entity.TotalEpisodes, dto.Amount);
+                    break;
+                case ProgressUnit.Chapter:
+                    entity.CurrentChapter = Step(entity.CurrentChapter, entity.TotalChapters, dto.Amount);
+                    break;
+                case ProgressUnit.Volume:
+                    entity.CurrentVolume = Step(entity.CurrentVolume, entity.TotalVolumes, dto.Amount);
+                    break;
+                default:
+                    return "Unknown progress unit.";
+            }
+
+            if (!wasFinished && IsProgressFinished(entity))
+            {
+                entity.Status = EntryStatus.Completed;
+            }
+
             return null;
         }
 
@@ -86,11 +195,90 @@ public static MediaEntryDto ToDto(this MediaEntry entity)
                 Status = entity.Status,
                 Rating = entity.Rating,                
                 Notes = entity.Notes,
+                CurrentEpisode = entity.CurrentEpisode,
+                TotalEpisodes = entity.TotalEpisodes,
+                CurrentChapter = entity.CurrentChapter,
+                TotalChapters = entity.TotalChapters,
+                CurrentVolume = entity.CurrentVolume,
+                TotalVolumes = entity.TotalVolumes,
+                StartedOn = entity.StartedOn,
+                FinishedOn = entity.FinishedOn,
+                RewatchCount = entity.RewatchCount,
                 // Materialize to array to avoid deferred execution on disposed DbContext
+                Tags = entity.EntryTags.Select(t => t.Tag!.Name).ToArray(),
+                Version = entity.Version()
+            };
+        }
+
+        // Concurrency version of an entry. UpdatedAtUtc moves on every save, tag changes included
+        // (AppDbContext), and unlike RowVersion it's maintained on every database provider.
+        public static string Version(this MediaEntry entity)
+            => entity.UpdatedAtUtc.Ticks.ToString("x", System.Globalization.CultureInfo.InvariantCulture);
+
+        public static EntryHistoryDto ToDto(this EntryHistory history)
+        {
+            return new EntryHistoryDto
+            {
+                Id = history.Id,
+                Field = history.Field,
+                OldValue = history.OldValue,
+                NewValue = history.NewValue,
+                ChangedAtUtc = history.ChangedAtUtc
+            };
+        }
+
+        // retention: how long trash is kept (null = forever), used to show when the entry will be purged
+        public static TrashedEntryDto ToTrashDto(this MediaEntry entity, TimeSpan? retention)
+        {
+            var deletedAt = entity.DeletedAtUtc ?? entity.UpdatedAtUtc;
+            return new TrashedEntryDto
+            {
+                Id = entity.Id,
+                Title = entity.Title,
+                Type = entity.Type,
+                SubType = entity.SubType,
+                Status = entity.Status,
+                DeletedAtUtc = deletedAt,
+                PurgeAtUtc = retention.HasValue ? deletedAt + retention.Value : null
+            };
+        }
+
+        // Public share view: nothing that identifies the entry or its owner; notes only when the owner opted in
+        public static SharedEntryDto ToSharedDto(this MediaEntry entity, bool includeNotes)
+        {
+            return new SharedEntryDto
+            {
+                Title = entity.Title,
+                Type = entity.Type,
+                SubType = entity.SubType,
+                Status = entity.Status,
+                Rating = entity.Rating,
+                Notes = includeNotes ? entity.Notes : null,
+                CurrentEpisode = entity.CurrentEpisode,
+                TotalEpisodes = entity.TotalEpisodes,
+                CurrentChapter = entity.CurrentChapter,
+                TotalChapters = entity.TotalChapters,
+                CurrentVolume = entity.CurrentVolume,
+                TotalVolumes = entity.TotalVolumes,
+                StartedOn = entity.StartedOn,
+                FinishedOn = entity.FinishedOn,
+                RewatchCount = entity.RewatchCount,
                 Tags = entity.EntryTags.Select(t => t.Tag!.Name).ToArray()
             };
         }
 
-        
+        // ------ helpers ------------------------------
+
+        private static bool IsProgressFinished(MediaEntry entity)
+            => ProgressValidator.IsFinished(entity.CurrentEpisode, entity.TotalEpisodes)
+            || ProgressValidator.IsFinished(entity.CurrentChapter, entity.TotalChapters)
+            || ProgressValidator.IsFinished(entity.CurrentVolume, entity.TotalVolumes);
+
+        // Moves a counter by amount, clamped to 0..total (no upper bound while the total is unknown)
+        private static int Step(int? current, int? total, int amount)
+        {
+            var next = Math.Max(0, (current ?? 0) + amount);
+            return total.HasValue ? Math.Min(next, total.Value) : next;
+        }
     }
 }
@@ -0,0 +1,75 @@
+﻿using System.Text.Json;
+using System.Text.Json.Serialization;
+using Domain.Entities;
+using WebApi.Contracts;
+
+namespace WebApi.Mapping
+{
+    // Share link <-> DTO, and the stored filter (ShareLink.Filter is EntryFilterDto as JSON).
+    public static class ShareLinkMappings
+    {
+        // Column size of ShareLink.Filter (AppDbContext)
+        public const int MaxFilterLength = 4000;
+
+        private static readonly JsonSerializerOptions FilterJson = new(JsonSerializerDefaults.Web)
+        {
+            DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull
+        };
+
+        public static ShareLinkDto ToDto(this ShareLink link, DateTime utcNow)
+        {
+            return new ShareLinkDto
+            {
+                Id = link.Id,
+                Token = link.Token,
+                Name = link.Name,
+                Filter = link.ReadFilter(),
+                IncludeNotes = link.IncludeNotes,
+                ExpiresAtUtc = link.ExpiresAtUtc,
+                CreatedAtUtc = link.CreatedAtUtc,
+                IsExpired = link.IsExpired(utcNow)
+            };
+        }
+
+        public static bool IsExpired(this ShareLink link, DateTime utcNow)
+            => link.ExpiresAtUtc.HasValue && link.ExpiresAtUtc.Value <= utcNow;
+
+        public static EntryFilterDto? ReadFilter(this ShareLink link)
+            => link.Filter is null ? null : JsonSerializer.Deserialize<EntryFilterDto>(link.Filter, FilterJson);
+
+        // JSON for ShareLink.Filter; null when the filter has no values (= whole library)
+        public static string? WriteFilter(EntryFilterDto? filter)
+        {
+            var normalized = Normalize(filter);
+            return normalized is null ? null : JsonSerializer.Serialize(normalized, FilterJson);
+        }
+
+        // Drops blank values so an empty filter form is stored as "no filter"
+        public static EntryFilterDto? Normalize(EntryFilterDto? filter)
+        {
+            if (filter is null) return null;
+
+            var normalized = new EntryFilterDto
+            {
+                Q = string.IsNullOrWhiteSpace(filter.Q) ? null : filter.Q.Trim(),
+                Type = Values(filter.Type),
+                SubType = Values(filter.SubType),
+                Status = Values(filter.Status),
+                Tag = Values(filter.Tag),
+                Collection = filter.Collection
+            };
+            // TagMatch only matters when there are tags
+            normalized.TagMatch = normalized.Tag is null || string.IsNullOrWhiteSpace(filter.TagMatch) ? null : filter.TagMatch.Trim();
+
+            var empty = normalized.Q is null && normalized.Type is null && normalized.SubType is null
+                && normalized.Status is null && normalized.Tag is null && normalized.Collection is null;
+            return empty ? null : normalized;
+        }
+
+        private static string[]? Values(string[]? values)
+        {
+            var kept = (values ?? Array.Empty<string>()).Where(v => !string.IsNullOrWhiteSpace(v)).Select(v => v.Trim()).ToArray();
+            return kept.Length == 0 ? null : kept;
+        }
+    }
+}
@@ -71,6 +71,16 @@
     .AddSignInManager();
 
 builder.Services.AddScoped<ITagSyncService, TagSyncService>();
+builder.Services.AddScoped<ITrashService, TrashService>();
+builder.Services.AddScoped<ILibraryImportService, LibraryImportService>();
+builder.Services.AddScoped<IMediaStatsService, MediaStatsService>();
+builder.Services.AddScoped<ITagService, TagService>();
+builder.Services.AddScoped<ICollectionService, CollectionService>();
+builder.Services.AddScoped<ISuggestionService, SuggestionService>();
+
+// Trash retention: soft-deleted entries are purged after Trash:RetentionDays
+builder.Services.Configure<TrashOptions>(builder.Configuration.GetSection(TrashOptions.SectionName));
+builder.Services.AddHostedService<TrashRetentionService>();
 
 // JWT Bearer Authentication
 var jwt = builder.Configuration.GetSection("Jwt");
@@ -99,6 +109,7 @@
 // App services
 builder.Services.AddScoped<TagSyncService>();
 builder.Services.AddScoped<IJwtTokenService, JwtTokenService>(); // token generator for AuthController
+builder.Services.AddScoped<IRefreshTokenService, RefreshTokenService>(); // rotating refresh tokens (Jwt:RefreshTokenDays)
 
 // CORS: allow your local front-end dev servers
 builder.Services.AddCors(opts =>
@@ -112,7 +123,8 @@
             "http://localhost:3000",
             "https://localhost:3000")
         .AllowAnyHeader()
-        .AllowAnyMethod());
+        .AllowAnyMethod()
+        .WithExposedHeaders("ETag"));   // entry version for If-Match
 });
 
 var app = builder.Build();
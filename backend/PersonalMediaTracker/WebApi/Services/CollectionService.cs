@@ -0,0 +1,29 @@
+﻿using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+
+namespace WebApi.Services
+{
+    // Delete for user-defined collections.
+    // Collections are hard-deleted like tags: the (UserId, Name) index is unique across soft-deleted rows too,
+    // so a soft-deleted collection would block creating that name again.
+    // Uses ExecuteDelete so AppDbContext's soft-delete conversion doesn't apply (it only sees tracked deletes).
+    public sealed class CollectionService : ICollectionService
+    {
+        private readonly AppDbContext _db;
+        public CollectionService(AppDbContext db) => _db = db;
+
+        public async Task<bool> DeleteAsync(Guid userId, Guid collectionId, CancellationToken ct)
+        {
+            var exists = await _db.Collections.AnyAsync(c => c.UserId == userId && c.Id == collectionId, ct);
+            if (!exists) return false;
+
+            // Links first (query filters hide links of trashed entries, so ignore them here), then the collection
+            await using var tx = await _db.Database.BeginTransactionAsync(ct);
+            await _db.CollectionEntries.IgnoreQueryFilters().Where(ce => ce.CollectionId == collectionId).ExecuteDeleteAsync(ct);
+            await _db.Collections.IgnoreQueryFilters().Where(c => c.Id == collectionId).ExecuteDeleteAsync(ct);
+            await tx.CommitAsync(ct);
+
+            return true;
+        }
+    }
+}
@@ -0,0 +1,195 @@
+﻿using System.Linq.Expressions;
+using Domain.Entities;
+using Domain.Enums;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Mapping;
+
+namespace WebApi.Services
+{
+    // Filtering and sorting of entry lists, shared by GET api/mediaentries and public share links.
+    // Callers scope the query to one user first; nothing here looks at UserId.
+    public static class EntryListQuery
+    {
+        // Applies the filters. Values within one filter are OR-ed, except tags with TagMatch "all",
+        // which require every listed tag. Returns null with a ProblemDetails for the first invalid value.
+        public static IQueryable<MediaEntry>? ApplyFilter(IQueryable<MediaEntry> query, EntryFilterDto filter, out ProblemDetails? problem)
+        {
+            problem = null;
+
+            // Text search (title/notes). SQL Server is usually case-insensitive, normalize anyway.
+            if (!string.IsNullOrWhiteSpace(filter.Q))
+            {
+                var term = filter.Q.Trim();
+                query = query.Where(e =>
+                    EF.Functions.Like(e.Title, $"%{term}%") ||
+                    (e.Notes != null && EF.Functions.Like(e.Notes, $"%{term}%")));
+            }
+
+            // Enum filters: parse strings into real enums with ignoreCase=true
+            if (!TryParseEnumFilter<EntryType>(filter.Type, out var types, out var badType))
+            {
+                problem = InvalidFilter("type", badType, nameof(EntryType));
+                return null;
+            }
+            if (types.Count > 0)
+            {
+                query = query.Where(e => types.Contains(e.Type));
+            }
+
+            if (!TryParseEnumFilter<EntrySubType>(filter.SubType, out var subTypes, out var badSubType))
+            {
+                problem = InvalidFilter("subType", badSubType, nameof(EntrySubType));
+                return null;
+            }
+            if (subTypes.Count > 0)
+            {
+                // SubType is nullable on the entity, compare against a nullable list
+                var wanted = subTypes.Select(s => (EntrySubType?)s).ToList();
+                query = query.Where(e => wanted.Contains(e.SubType));
+            }
+
+            if (!TryParseEnumFilter<EntryStatus>(filter.Status, out var statuses, out var badStatus))
+            {
+                problem = InvalidFilter("status", badStatus, nameof(EntryStatus));
+                return null;
+            }
+            if (statuses.Count > 0)
+            {
+                query = query.Where(e => statuses.Contains(e.Status));
+            }
+
+            var tagNames = SplitFilterValues(filter.Tag).Select(t => t.ToLowerInvariant()).Distinct().ToList();
+            if (tagNames.Count > 0)
+            {
+                switch ((filter.TagMatch ?? "any").Trim().ToLowerInvariant())
+                {
+                    case "any":
+                        query = query.Where(e => e.EntryTags.Any(et => tagNames.Contains(et.Tag.Name.ToLower())));
+                        break;
+
+                    case "all":
+                        // One EXISTS per tag keeps the query translatable on every provider
+                        foreach (var tname in tagNames)
+                        {
+                            query = query.Where(e => e.EntryTags.Any(et => et.Tag.Name.ToLower() == tname));
+                        }
+                        break;
+
+                    default:
+                        problem = new ProblemDetails
+                        {
+                            Title = "Invalid 'tagMatch' filter",
+                            Detail = $"'{filter.TagMatch}' is not a valid tag match mode. Use 'any' or 'all'.",
+                            Status = StatusCodes.Status400BadRequest
+                        };
+                        return null;
+                }
+            }
+
+            // Collection membership (links of another user's collection never match this user's entries)
+            if (filter.Collection is Guid collectionId)
+            {
+                query = query.Where(e => e.CollectionEntries.Any(ce => ce.CollectionId == collectionId));
+            }
+
+            return query;
+        }
+
+        // sort: updated (default) | created | title | rating | status | type; dir: asc | desc (default)
+        public static IQueryable<MediaEntry> ApplySort(IQueryable<MediaEntry> query, string? sort, string? dir)
+        {
+            var asc = string.Equals(dir, "asc", StringComparison.OrdinalIgnoreCase);
+            var sortKey = (sort ?? "updated").Trim().ToLowerInvariant();
+            IOrderedQueryable<MediaEntry> ordered;
+            switch (sortKey)
+            {
+                case "title":
+                    ordered = asc ? query.OrderBy(e => e.Title) : query.OrderByDescending(e => e.Title);
+                    break;
+
+                case "created":
+                    ordered = asc ? query.OrderBy(e => e.CreatedAtUtc) : query.OrderByDescending(e => e.CreatedAtUtc);
+                    break;
+
+                case "rating":
+                    // Push null ratings to the end consistently, then sort by rating
+                    ordered = asc
+                        ? query.OrderBy(e => e.Rating == null).ThenBy(e => e.Rating)
+                        : query.OrderBy(e => e.Rating == null).ThenByDescending(e => e.Rating);
+                    break;
+
+                case "status":
+                    // Workflow order rather than the alphabetical order of the stored strings
+                    ordered = asc ? query.OrderBy(StatusWorkflowRank) : query.OrderByDescending(StatusWorkflowRank);
+                    break;
+
+                case "type":
+                    ordered = asc ? query.OrderBy(e => e.Type) : query.OrderByDescending(e => e.Type);
+                    break;
+
+                case "updated":
+                default:
+                    ordered = asc ? query.OrderBy(e => e.UpdatedAtUtc) : query.OrderByDescending(e => e.UpdatedAtUtc);
+                    break;
+            }
+
+            // Stable tie-breakers so equal keys (same rating, same status...) don't shuffle between pages
+            if (sortKey != "title")
+            {
+                ordered = ordered.ThenBy(e => e.Title);
+            }
+            return ordered.ThenBy(e => e.Id);
+        }
+
+        // ----- helpers -----
+
+        // Status sort key: Planning -> Watching -> OnHold -> Completed -> Dropped.
+        // Written as a conditional so EF translates it to a CASE expression.
+        private static readonly Expression<Func<MediaEntry, int>> StatusWorkflowRank = e =>
+            e.Status == EntryStatus.Planning ? 0 :
+            e.Status == EntryStatus.Watching ? 1 :
+            e.Status == EntryStatus.OnHold ? 2 :
+            e.Status == EntryStatus.Completed ? 3 : 4;
+
+        // Flattens repeated and comma-separated query values into one trimmed list
+        private static List<string> SplitFilterValues(string[]? values)
+        {
+            return (values ?? Array.Empty<string>())
+                .Where(v => !string.IsNullOrWhiteSpace(v))
+                .SelectMany(v => v.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries))
+                .ToList();
+        }
+
+        // Parses a multi-value enum filter. Numeric strings are rejected so only named values match.
+        private static bool TryParseEnumFilter<TEnum>(string[]? values, out List<TEnum> parsed, out string? invalid)
+            where TEnum : struct, Enum
+        {
+            parsed = new List<TEnum>();
+            invalid = null;
+
+            foreach (var raw in SplitFilterValues(values))
+            {
+                if (!EnumParsing.TryParseName<TEnum>(raw, out var value))
+                {
+                    invalid = raw;
+                    return false;
+                }
+                if (!parsed.Contains(value)) parsed.Add(value);
+            }
+            return true;
+        }
+
+        private static ProblemDetails InvalidFilter(string name, string? value, string enumName)
+        {
+            return new ProblemDetails
+            {
+                Title = $"Invalid '{name}' filter",
+                Detail = $"'{value}' is not a valid {enumName}.",
+                Status = StatusCodes.Status400BadRequest
+            };
+        }
+    }
+}
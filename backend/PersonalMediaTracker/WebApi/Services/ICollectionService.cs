@@ -0,0 +1,11 @@
+﻿// Abstraction for collection delete so the controller can be unit tested via mocks
+
+namespace WebApi.Services
+{
+    public interface ICollectionService
+    {
+        // Removes the collection and its entry links (trashed entries' links too); the entries stay.
+        // Returns false if the collection is missing or belongs to someone else.
+        Task<bool> DeleteAsync(Guid userId, Guid collectionId, CancellationToken ct);
+    }
+}
@@ -0,0 +1,14 @@
+﻿// Abstraction for library import so the controller can be unit tested via mocks
+
+using WebApi.Contracts;
+using WebApi.Import;
+
+namespace WebApi.Services
+{
+    public interface ILibraryImportService
+    {
+        // Validates parsed rows, matches duplicates by title + type, and unless dryRun
+        // saves the result in one transaction (throws DbUpdateException if that fails).
+        Task<ImportResultDto> ImportAsync(Guid userId, IReadOnlyList<ParsedImportRow> rows, DuplicateHandling onDuplicate, bool dryRun, CancellationToken ct);
+    }
+}
@@ -0,0 +1,11 @@
+﻿using WebApi.Contracts;
+
+namespace WebApi.Services
+{
+    // Aggregates a user's library for the stats page
+    public interface IMediaStatsService
+    {
+        // months = how many calendar months CompletedByMonth covers, ending with the month of today
+        Task<MediaStatsDto> GetAsync(Guid userId, int months, DateOnly today, CancellationToken ct);
+    }
+}
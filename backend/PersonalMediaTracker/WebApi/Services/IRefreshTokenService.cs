@@ -0,0 +1,21 @@
+﻿// Refresh tokens for the SPA: issue on login, rotate on refresh, revoke on logout
+
+namespace WebApi.Services
+{
+    public interface IRefreshTokenService
+    {
+        // Starts a new token family (login/register)
+        Task<IssuedRefreshToken> IssueAsync(Guid userId, CancellationToken ct = default);
+
+        // Trades a valid token for a new one in the same family; the presented token stops working.
+        // Null when the token is unknown, expired or revoked. Presenting a token that was already
+        // rotated (outside a short grace period) revokes the whole family: someone replayed it.
+        Task<IssuedRefreshToken?> RotateAsync(string token, CancellationToken ct = default);
+
+        // Revokes the token (logout). False when it was unknown or already revoked.
+        Task<bool> RevokeAsync(string token, CancellationToken ct = default);
+    }
+
+    // Token is the raw value for the client; only its hash is stored
+    public sealed record IssuedRefreshToken(Guid UserId, string Token, DateTime ExpiresAtUtc);
+}
@@ -0,0 +1,15 @@
+﻿using WebApi.Contracts;
+
+namespace WebApi.Services
+{
+    // Library lookups that help while adding and picking entries: likely duplicates and "next up"
+    public interface ISuggestionService
+    {
+        // Entries whose normalized title is at least TitleMatching.DuplicateThreshold similar, most similar
+        // first, at most `limit`. excludeId leaves out the entry being edited.
+        Task<IReadOnlyList<DuplicateCandidateDto>> FindDuplicatesAsync(Guid userId, string title, Guid? excludeId, int limit, CancellationToken ct);
+
+        // Planning/OnHold entries ranked against the user's favorites, at most `limit`
+        Task<NextUpDto> GetNextUpAsync(Guid userId, int limit, CancellationToken ct);
+    }
+}
@@ -0,0 +1,14 @@
+﻿// Abstraction for tag merge/delete so the controller can be unit tested via mocks
+
+namespace WebApi.Services
+{
+    public interface ITagService
+    {
+        // Moves every entry from source to target (entries that already have target keep one link),
+        // then removes source. Both tags must belong to userId. Returns false if either is missing.
+        Task<bool> MergeAsync(Guid userId, Guid sourceId, Guid targetId, CancellationToken ct);
+
+        // Detaches the tag from every entry (trashed ones included) and removes it. Returns false if missing.
+        Task<bool> DeleteAsync(Guid userId, Guid tagId, CancellationToken ct);
+    }
+}
@@ -0,0 +1,13 @@
+﻿// Abstraction for permanent deletes so controllers and the retention job share one purge path
+
+namespace WebApi.Services
+{
+    public interface ITrashService
+    {
+        // Purges one of the user's trashed entries, or all of them when entryId is null. Returns rows purged.
+        Task<int> PurgeAsync(Guid userId, Guid? entryId, CancellationToken ct);
+
+        // Purges every trashed entry (all users) deleted before the cutoff. Returns rows purged.
+        Task<int> PurgeDeletedBeforeAsync(DateTime cutoffUtc, CancellationToken ct);
+    }
+}
@@ -39,7 +39,7 @@ public string CreateAccessToken(ApplicationUser user, IEnumerable<string> roles)
                 issuer: jwtSection["Issuer"],
                 audience: jwtSection["Audience"],
                 claims: claims,
-                expires: DateTime.UtcNow.AddHours(1), // keep short; add refresh tokens later
+                expires: DateTime.UtcNow.AddHours(1), // keep short; the SPA renews it with a refresh token
                 signingCredentials: creds);
 
             return new JwtSecurityTokenHandler().WriteToken(token);
@@ -0,0 +1,269 @@
+﻿using System.ComponentModel.DataAnnotations;
+using Domain.Entities;
+using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+using WebApi.Import;
+using WebApi.Mapping;
+
+namespace WebApi.Services
+{
+    // Turns parsed file rows into new or updated entries.
+    // Each row goes through the same rules as the API (DTO annotations + mapping validators),
+    // so the dry-run preview reports exactly the errors a real import would hit.
+    public sealed class LibraryImportService : ILibraryImportService
+    {
+        private readonly AppDbContext _db;
+        private readonly ITagSyncService _tagSync;
+
+        public LibraryImportService(AppDbContext db, ITagSyncService tagSync)
+        {
+            _db = db;
+            _tagSync = tagSync;
+        }
+
+        public async Task<ImportResultDto> ImportAsync(Guid userId, IReadOnlyList<ParsedImportRow> rows, DuplicateHandling onDuplicate, bool dryRun, CancellationToken ct)
+        {
+            var existingByKey = await LoadExistingKeysAsync(userId, ct);
+            var planned = rows.Select(row => Validate(row, userId)).ToList();
+
+            // Duplicates (valid rows only): first against the file itself, then against the library
+            var seenInFile = new Dictionary<(EntryType, string), int>();
+            foreach (var p in planned.Where(p => p.Create is not null && p.Errors.Count == 0))
+            {
+                var key = Key(p.Create!.Type, p.Create.Title);
+                if (seenInFile.TryGetValue(key, out var firstRow))
+                {
+                    p.Errors.Add($"Same title and type as row {firstRow}.");
+                    continue;
+                }
+                seenInFile[key] = p.Source.Row;
+
+                if (existingByKey.TryGetValue(key, out var existingId))
+                {
+                    p.ExistingId = existingId;
+                }
+            }
+
+            await PlanDuplicatesAsync(planned, onDuplicate, ct);
+
+            var result = new ImportResultDto
+            {
+                DryRun = dryRun,
+                Rows = planned.Select(p => p.ToResult()).ToList(),
+                Created = planned.Count(p => p.Action == ImportRowAction.Create),
+                Overwritten = planned.Count(p => p.Action == ImportRowAction.Overwrite),
+                Merged = planned.Count(p => p.Action == ImportRowAction.Merge),
+                Skipped = planned.Count(p => p.Action == ImportRowAction.Skip),
+                Invalid = planned.Count(p => p.Action == ImportRowAction.Invalid)
+            };
+
+            if (dryRun || planned.All(p => p.Action is ImportRowAction.Skip or ImportRowAction.Invalid))
+            {
+                return result;
+            }
+
+            await SaveAsync(planned, userId, ct);
+            return result;
+        }
+
+        // ----- helpers -----
+
+        // Title + type identify an entry across imports (title compared trimmed and case-insensitively)
+        private static (EntryType, string) Key(EntryType type, string title) => (type, title.Trim().ToLowerInvariant());
+
+        // Oldest entry wins when the library already holds several with the same key
+        private async Task<Dictionary<(EntryType, string), Guid>> LoadExistingKeysAsync(Guid userId, CancellationToken ct)
+        {
+            var existing = await _db.MediaEntries.AsNoTracking()
+                .Where(e => e.UserId == userId)
+                .OrderBy(e => e.CreatedAtUtc)
+                .Select(e => new { e.Id, e.Title, e.Type })
+                .ToListAsync(ct);
+
+            var byKey = new Dictionary<(EntryType, string), Guid>();
+            foreach (var e in existing)
+            {
+                byKey.TryAdd(Key(e.Type, e.Title), e.Id);
+            }
+            return byKey;
+        }
+
+        private static PlannedRow Validate(ParsedImportRow row, Guid userId)
+        {
+            var planned = new PlannedRow(row);
+            var create = row.Entry.ToCreateDto(planned.Errors);
+            if (create is null)
+            {
+                return planned;
+            }
+
+            // Same annotations model binding checks on POST api/mediaentries
+            var annotationErrors = new List<ValidationResult>();
+            Validator.TryValidateObject(create, new ValidationContext(create), annotationErrors, validateAllProperties: true);
+            planned.Errors.AddRange(annotationErrors.Select(r => r.ErrorMessage ?? "Invalid value."));
+
+            var tooLong = create.Tags?.FirstOrDefault(t => t.Trim().Length > TagSyncService.MaxNameLength);
+            if (tooLong is not null)
+            {
+                planned.Errors.Add($"Tag names can be at most {TagSyncService.MaxNameLength} characters ('{tooLong}').");
+            }
+
+            if (annotationErrors.Count == 0)
+            {
+                // Rating, progress and date rules
+                var (_, err) = create.ToEntity(userId);
+                if (err is not null)
+                {
+                    planned.Errors.Add(err);
+                }
+            }
+
+            planned.Create = create;
+            return planned;
+        }
+
+        // Decides the action per row. Overwrite/merge are tried on a detached copy of the existing
+        // entry first, so a combination that breaks a rule (e.g. current > total) fails only that row.
+        private async Task PlanDuplicatesAsync(List<PlannedRow> planned, DuplicateHandling onDuplicate, CancellationToken ct)
+        {
+            var matchedIds = planned.Where(p => p.ExistingId.HasValue).Select(p => p.ExistingId!.Value).ToList();
+
+            var tracked = onDuplicate == DuplicateHandling.Skip || matchedIds.Count == 0
+                ? new Dictionary<Guid, MediaEntry>()
+                : await _db.MediaEntries
+                    .Include(e => e.EntryTags)!.ThenInclude(et => et.Tag)
+                    .Where(e => matchedIds.Contains(e.Id))
+                    .ToDictionaryAsync(e => e.Id, ct);
+
+            foreach (var p in planned)
+            {
+                if (p.Errors.Count > 0)
+                {
+                    p.Action = ImportRowAction.Invalid;
+                    continue;
+                }
+                if (!p.ExistingId.HasValue)
+                {
+                    p.Action = ImportRowAction.Create;
+                    continue;
+                }
+                if (onDuplicate == DuplicateHandling.Skip)
+                {
+                    p.Action = ImportRowAction.Skip;
+                    continue;
+                }
+
+                var existing = tracked[p.ExistingId.Value];
+                var update = p.Create!.ToUpdateDto(p.Source.Entry, existing, onDuplicate);
+
+                var probe = (MediaEntry)_db.Entry(existing).CurrentValues.ToObject();
+                var err = update.ApplyTo(probe);
+                if (err is not null)
+                {
+                    p.Errors.Add(err);
+                    p.Action = ImportRowAction.Invalid;
+                    continue;
+                }
+
+                p.Existing = existing;
+                p.Update = update;
+                p.Action = onDuplicate == DuplicateHandling.Overwrite ? ImportRowAction.Overwrite : ImportRowAction.Merge;
+            }
+        }
+
+        private async Task SaveAsync(List<PlannedRow> planned, Guid userId, CancellationToken ct)
+        {
+            await using var tx = await _db.Database.BeginTransactionAsync(ct);
+            try
+            {
+                foreach (var p in planned)
+                {
+                    switch (p.Action)
+                    {
+                        case ImportRowAction.Create:
+                            var (entity, _) = p.Create!.ToEntity(userId);
+                            _db.MediaEntries.Add(entity);
+                            await _db.SaveChangesAsync(ct);
+                            if (p.Create.Tags?.Any() == true)
+                            {
+                                await _tagSync.SyncAsync(entity, p.Create.Tags, userId, ct);
+                            }
+                            break;
+
+                        case ImportRowAction.Overwrite:
+                        case ImportRowAction.Merge:
+                            p.Update!.ApplyTo(p.Existing!);
+                            var tags = DesiredTags(p);
+                            if (tags is not null)
+                            {
+                                await _tagSync.SyncAsync(p.Existing!, tags, userId, ct);
+                            }
+                            break;
+
+                        default:
+                            continue;
+                    }
+
+                    // Save per row so tags created for this row are found (not re-created) for the next one
+                    await _db.SaveChangesAsync(ct);
+                }
+
+                await tx.CommitAsync(ct);
+            }
+            catch (DbUpdateException)
+            {
+                await tx.RollbackAsync(ct);
+                throw;
+            }
+        }
+
+        // Overwrite replaces the tag set when the file has a tags value; merge adds the file's tags.
+        // null = leave the entry's tags alone.
+        private static IEnumerable<string>? DesiredTags(PlannedRow p)
+        {
+            var incoming = p.Source.Entry.Tags;
+            if (p.Action == ImportRowAction.Overwrite)
+            {
+                return incoming;
+            }
+            if (incoming is null || incoming.Count == 0)
+            {
+                return null;
+            }
+            return p.Existing!.EntryTags.Select(et => et.Tag.Name).Concat(incoming);
+        }
+
+        // Working state for one row while the import is planned and saved
+        private sealed class PlannedRow
+        {
+            public PlannedRow(ParsedImportRow source)
+            {
+                Source = source;
+                Errors = new List<string>(source.Errors);
+            }
+
+            public ParsedImportRow Source { get; }
+            public List<string> Errors { get; }
+            public CreateMediaEntryDto? Create { get; set; }
+            public Guid? ExistingId { get; set; }
+            public MediaEntry? Existing { get; set; }
+            public UpdateMediaEntryDto? Update { get; set; }
+            public ImportRowAction Action { get; set; }
+
+            public ImportRowResultDto ToResult() => new()
+            {
+                Row = Source.Row,
+                Title = Create?.Title ?? Source.Entry.Title?.Trim(),
+                Type = Create?.Type.ToString() ?? Source.Entry.Type,
+                SubType = Create is null ? Source.Entry.SubType : Create.SubType?.ToString(),
+                Status = Create?.Status.ToString() ?? Source.Entry.Status,
+                Rating = Create is null ? Source.Entry.Rating : Create.Rating,
+                Action = Action,
+                ExistingId = ExistingId,
+                Errors = Errors.ToArray()
+            };
+        }
+    }
+}
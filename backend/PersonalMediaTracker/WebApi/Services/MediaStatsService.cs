@@ -0,0 +1,106 @@
+﻿using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+
+namespace WebApi.Services
+{
+    // Builds MediaStatsDto from two slim projections of the library (entries, and tag/rating pairs).
+    // Counting happens in memory: a personal library is small, and SQLite (used by the tests)
+    // can't aggregate decimal columns.
+    public sealed class MediaStatsService : IMediaStatsService
+    {
+        private readonly AppDbContext _db;
+        public MediaStatsService(AppDbContext db) => _db = db;
+
+        public async Task<MediaStatsDto> GetAsync(Guid userId, int months, DateOnly today, CancellationToken ct)
+        {
+            var entries = await _db.MediaEntries.AsNoTracking()
+                .Where(e => e.UserId == userId)
+                .Select(e => new EntryRow(e.Id, e.Type, e.SubType, e.Status, e.Rating, e.FinishedOn, e.CreatedAtUtc))
+                .ToListAsync(ct);
+
+            var tagRatings = await _db.EntryTags.AsNoTracking()
+                .Where(et => et.MediaEntry.UserId == userId)
+                .Select(et => new { et.Tag.Name, et.MediaEntry.Rating })
+                .ToListAsync(ct);
+
+            var ratings = entries.Where(e => e.Rating.HasValue).Select(e => e.Rating!.Value).ToList();
+
+            return new MediaStatsDto
+            {
+                Total = entries.Count,
+                Rated = ratings.Count,
+                AverageRating = Average(ratings),
+                ByStatus = CountBy(entries, e => e.Status, Enum.GetValues<EntryStatus>()),
+                ByType = CountBy(entries, e => e.Type, Enum.GetValues<EntryType>()),
+                BySubType = CountBy(entries, e => e.SubType,
+                    Enum.GetValues<EntrySubType>().Select(s => (EntrySubType?)s).Append(null)),
+                RatingHistogram = Enumerable.Range(0, 11)
+                    .Select(r => new RatingBucketDto { Rating = r, Count = ratings.Count(v => (int)Math.Floor(v) == r) })
+                    .ToList(),
+                TagRatings = tagRatings
+                    .GroupBy(t => t.Name, StringComparer.OrdinalIgnoreCase)
+                    .Select(g =>
+                    {
+                        var rated = g.Where(t => t.Rating.HasValue).Select(t => t.Rating!.Value).ToList();
+                        return new TagRatingDto { Tag = g.Key, Entries = g.Count(), Rated = rated.Count, AverageRating = Average(rated) };
+                    })
+                    .OrderByDescending(t => t.AverageRating.HasValue)
+                    .ThenByDescending(t => t.AverageRating)
+                    .ThenBy(t => t.Tag, StringComparer.OrdinalIgnoreCase)
+                    .ToList(),
+                CompletedByMonth = await CompletedByMonthAsync(userId, entries, months, today, ct)
+            };
+        }
+
+        // ----- helpers -----
+
+        private sealed record EntryRow(
+            Guid Id, EntryType Type, EntrySubType? SubType, EntryStatus Status,
+            decimal? Rating, DateOnly? FinishedOn, DateTime CreatedAtUtc);
+
+        // Completed entries count in the month they were finished: FinishedOn when set, otherwise
+        // when the status last changed to Completed, otherwise (added as Completed) when created
+        private async Task<List<MonthCountDto>> CompletedByMonthAsync(Guid userId, List<EntryRow> entries, int months, DateOnly today, CancellationToken ct)
+        {
+            var completed = entries.Where(e => e.Status == EntryStatus.Completed).ToList();
+
+            var undatedIds = completed.Where(e => e.FinishedOn is null).Select(e => e.Id).ToList();
+            var completedAt = undatedIds.Count == 0
+                ? new Dictionary<Guid, DateTime>()
+                : (await _db.EntryHistory.AsNoTracking()
+                    .Where(h => h.UserId == userId
+                        && undatedIds.Contains(h.MediaEntryId)
+                        && h.Field == EntryHistoryField.Status
+                        && h.NewValue == nameof(EntryStatus.Completed))
+                    .Select(h => new { h.MediaEntryId, h.ChangedAtUtc })
+                    .ToListAsync(ct))
+                    .GroupBy(h => h.MediaEntryId)
+                    .ToDictionary(g => g.Key, g => g.Max(h => h.ChangedAtUtc));
+
+            Dictionary<(int Year, int Month), int> perMonth = completed
+                .Select(e => e.FinishedOn
+                    ?? DateOnly.FromDateTime(completedAt.TryGetValue(e.Id, out var at) ? at : e.CreatedAtUtc))
+                .GroupBy(d => (d.Year, d.Month))
+                .ToDictionary(g => g.Key, g => g.Count());
+
+            var first = new DateOnly(today.Year, today.Month, 1).AddMonths(1 - months);
+            return Enumerable.Range(0, months)
+                .Select(i => first.AddMonths(i))
+                .Select(m => new MonthCountDto
+                {
+                    Month = $"{m.Year:D4}-{m.Month:D2}",
+                    Count = perMonth.GetValueOrDefault((m.Year, m.Month))
+                })
+                .ToList();
+        }
+
+        private static List<StatsCountDto<TKey>> CountBy<TKey>(List<EntryRow> entries, Func<EntryRow, TKey> key, IEnumerable<TKey> keys)
+            => keys.Select(k => new StatsCountDto<TKey> { Key = k, Count = entries.Count(e => Equals(key(e), k)) }).ToList();
+
+        // Rounded to 2 decimals for display
+        private static decimal? Average(List<decimal> values)
+            => values.Count == 0 ? null : Math.Round(values.Average(), 2);
+    }
+}
@@ -0,0 +1,120 @@
+﻿using System.Security.Cryptography;
+using System.Text;
+using Infrastructure.Identity;
+using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+
+namespace WebApi.Services
+{
+    // Stores refresh tokens hashed and rotates them on every use.
+    // Lifetime comes from Jwt:RefreshTokenDays (default 14).
+    public sealed class RefreshTokenService : IRefreshTokenService
+    {
+        private const int DefaultLifetimeDays = 14;
+
+        // Two tabs refreshing at the same moment both present the same token; the slower one
+        // just fails (and picks up the other tab's tokens) instead of revoking the family.
+        private static readonly TimeSpan ReuseGrace = TimeSpan.FromSeconds(30);
+
+        private readonly AppDbContext _db;
+        private readonly IConfiguration _cfg;
+
+        public RefreshTokenService(AppDbContext db, IConfiguration cfg)
+        {
+            _db = db;
+            _cfg = cfg;
+        }
+
+        public async Task<IssuedRefreshToken> IssueAsync(Guid userId, CancellationToken ct = default)
+        {
+            var now = DateTime.UtcNow;
+
+            // Housekeeping: a user's expired tokens can't be used for anything anymore
+            await _db.RefreshTokens
+                .Where(r => r.UserId == userId && r.ExpiresAtUtc < now)
+                .ExecuteDeleteAsync(ct);
+
+            var (row, token) = NewToken(userId, Guid.NewGuid(), now);
+            _db.RefreshTokens.Add(row);
+            await _db.SaveChangesAsync(ct);
+
+            return new IssuedRefreshToken(userId, token, row.ExpiresAtUtc);
+        }
+
+        public async Task<IssuedRefreshToken?> RotateAsync(string token, CancellationToken ct = default)
+        {
+            if (string.IsNullOrWhiteSpace(token)) return null;
+
+            var hash = Hash(token);
+            var stored = await _db.RefreshTokens.AsNoTracking().FirstOrDefaultAsync(r => r.TokenHash == hash, ct);
+            if (stored is null) return null;
+
+            var now = DateTime.UtcNow;
+            if (stored.RevokedAtUtc.HasValue)
+            {
+                if (stored.ReplacedById.HasValue && now - stored.RevokedAtUtc.Value > ReuseGrace)
+                {
+                    await RevokeFamilyAsync(stored.FamilyId, now, ct);
+                }
+                return null;
+            }
+            if (stored.ExpiresAtUtc <= now) return null;
+
+            var (next, nextToken) = NewToken(stored.UserId, stored.FamilyId, now);
+
+            await using var tx = await _db.Database.BeginTransactionAsync(ct);
+
+            // Conditional update: of two concurrent rotations only one sees the token unrevoked
+            var claimed = await _db.RefreshTokens
+                .Where(r => r.Id == stored.Id && r.RevokedAtUtc == null)
+                .ExecuteUpdateAsync(s => s
+                    .SetProperty(r => r.RevokedAtUtc, now)
+                    .SetProperty(r => r.ReplacedById, next.Id), ct);
+            if (claimed == 0) return null;
+
+            _db.RefreshTokens.Add(next);
+            await _db.SaveChangesAsync(ct);
+            await tx.CommitAsync(ct);
+
+            return new IssuedRefreshToken(stored.UserId, nextToken, next.ExpiresAtUtc);
+        }
+
+        public async Task<bool> RevokeAsync(string token, CancellationToken ct = default)
+        {
+            if (string.IsNullOrWhiteSpace(token)) return false;
+
+            var hash = Hash(token);
+            var revoked = await _db.RefreshTokens
+                .Where(r => r.TokenHash == hash && r.RevokedAtUtc == null)
+                .ExecuteUpdateAsync(s => s.SetProperty(r => r.RevokedAtUtc, DateTime.UtcNow), ct);
+            return revoked > 0;
+        }
+
+        // ----- helpers -----
+
+        private Task RevokeFamilyAsync(Guid familyId, DateTime now, CancellationToken ct)
+            => _db.RefreshTokens
+                .Where(r => r.FamilyId == familyId && r.RevokedAtUtc == null)
+                .ExecuteUpdateAsync(s => s.SetProperty(r => r.RevokedAtUtc, now), ct);
+
+        private (RefreshToken row, string token) NewToken(Guid userId, Guid familyId, DateTime now)
+        {
+            var days = _cfg.GetValue("Jwt:RefreshTokenDays", DefaultLifetimeDays);
+            var token = Convert.ToHexString(RandomNumberGenerator.GetBytes(32));
+            var row = new RefreshToken
+            {
+                Id = Guid.NewGuid(),
+                UserId = userId,
+                FamilyId = familyId,
+                TokenHash = Hash(token),
+                CreatedAtUtc = now,
+                ExpiresAtUtc = now.AddDays(days)
+            };
+            return (row, token);
+        }
+
+        private static string Hash(string token)
+            => Convert.ToBase64String(SHA256.HashData(Encoding.UTF8.GetBytes(token)));
+    }
+}
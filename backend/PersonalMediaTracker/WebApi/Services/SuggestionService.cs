@@ -0,0 +1,150 @@
+﻿using Domain.Enums;
+using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+using WebApi.Contracts;
+
+namespace WebApi.Services
+{
+    // Duplicate lookup and "next up" ranking over slim projections of the library.
+    // Matching happens in memory, like MediaStatsService: a personal library is small, and fuzzy
+    // title matching has no SQL equivalent.
+    public sealed class SuggestionService : ISuggestionService
+    {
+        // How many of the highest-rated completed entries make up the favorites
+        public const int FavoriteCount = 10;
+
+        // Favorites listed per suggestion as "similar to"
+        private const int SimilarToCount = 3;
+
+        private static readonly EntryStatus[] NextUpStatuses = { EntryStatus.Planning, EntryStatus.OnHold };
+
+        private readonly AppDbContext _db;
+        public SuggestionService(AppDbContext db) => _db = db;
+
+        public async Task<IReadOnlyList<DuplicateCandidateDto>> FindDuplicatesAsync(Guid userId, string title, Guid? excludeId, int limit, CancellationToken ct)
+        {
+            var wanted = TitleMatching.Normalize(title);
+            if (wanted.Length == 0) return Array.Empty<DuplicateCandidateDto>();
+
+            var entries = await _db.MediaEntries.AsNoTracking()
+                .Where(e => e.UserId == userId && e.Id != excludeId)
+                .Select(e => new { e.Id, e.Title, e.Type, e.SubType, e.Status })
+                .ToListAsync(ct);
+
+            return entries
+                .Select(e => new { Entry = e, Similarity = TitleMatching.Similarity(wanted, TitleMatching.Normalize(e.Title)) })
+                .Where(m => m.Similarity >= TitleMatching.DuplicateThreshold)
+                .OrderByDescending(m => m.Similarity)
+                .ThenBy(m => m.Entry.Title, StringComparer.OrdinalIgnoreCase)
+                .Take(limit)
+                .Select(m => new DuplicateCandidateDto
+                {
+                    Id = m.Entry.Id,
+                    Title = m.Entry.Title,
+                    Type = m.Entry.Type,
+                    SubType = m.Entry.SubType,
+                    Status = m.Entry.Status,
+                    Similarity = Math.Round(m.Similarity, 2)
+                })
+                .ToList();
+        }
+
+        // Each favorite counts with its rating (a 9 weighs more than a 6) times the tag overlap
+        // (Jaccard: shared tags / all tags of the two). The score is that sum over the favorites,
+        // divided by the sum of their weights, so a perfect match on every favorite would be 1.
+        public async Task<NextUpDto> GetNextUpAsync(Guid userId, int limit, CancellationToken ct)
+        {
+            var entries = await _db.MediaEntries.AsNoTracking()
+                .Where(e => e.UserId == userId
+                    && (NextUpStatuses.Contains(e.Status) || (e.Status == EntryStatus.Completed && e.Rating != null)))
+                .Select(e => new EntryRow(e.Id, e.Title, e.Type, e.SubType, e.Status, e.Rating, e.CreatedAtUtc))
+                .ToListAsync(ct);
+
+            var tagsByEntry = (await _db.EntryTags.AsNoTracking()
+                    .Where(et => et.MediaEntry.UserId == userId)
+                    .Select(et => new { et.MediaEntryId, et.Tag.Name })
+                    .ToListAsync(ct))
+                .GroupBy(t => t.MediaEntryId)
+                .ToDictionary(g => g.Key, g => g.Select(t => t.Name.ToLowerInvariant()).ToHashSet());
+            HashSet<string> TagsOf(Guid id) => tagsByEntry.GetValueOrDefault(id) ?? new HashSet<string>();
+
+            var favorites = entries
+                .Where(e => e.Status == EntryStatus.Completed)
+                .OrderByDescending(e => e.Rating)
+                .ThenBy(e => e.Title, StringComparer.OrdinalIgnoreCase)
+                .Take(FavoriteCount)
+                .Select(e => new Favorite(e, TagsOf(e.Id), (double)e.Rating!.Value / 10))
+                .ToList();
+            var totalWeight = favorites.Sum(f => f.Weight);
+
+            // Weight of each tag across the favorites, to list the strongest matches first
+            var tagWeights = favorites
+                .SelectMany(f => f.Tags.Select(tag => (tag, f.Weight)))
+                .GroupBy(t => t.tag)
+                .ToDictionary(g => g.Key, g => g.Sum(t => t.Weight));
+
+            var items = entries
+                .Where(e => NextUpStatuses.Contains(e.Status))
+                .Select(e =>
+                {
+                    var tags = TagsOf(e.Id);
+                    var matches = favorites
+                        .Select(f => (Favorite: f, Overlap: Jaccard(tags, f.Tags)))
+                        .Where(m => m.Overlap > 0)
+                        .ToList();
+                    var score = totalWeight > 0 ? matches.Sum(m => m.Favorite.Weight * m.Overlap) / totalWeight : 0;
+                    return new { Entry = e, Tags = tags, Matches = matches, Score = score };
+                })
+                .Where(s => s.Score > 0)
+                .OrderByDescending(s => s.Score)
+                .ThenBy(s => s.Entry.Status == EntryStatus.OnHold ? 0 : 1)     // already started
+                .ThenBy(s => s.Entry.CreatedAtUtc)                              // waiting longest
+                .Take(limit)
+                .Select(s => new NextUpItemDto
+                {
+                    Id = s.Entry.Id,
+                    Title = s.Entry.Title,
+                    Type = s.Entry.Type,
+                    SubType = s.Entry.SubType,
+                    Status = s.Entry.Status,
+                    Tags = s.Tags.OrderBy(t => t).ToList(),
+                    Score = Math.Round(s.Score, 2),
+                    MatchedTags = s.Tags
+                        .Where(tagWeights.ContainsKey)
+                        .OrderByDescending(t => tagWeights[t])
+                        .ThenBy(t => t)
+                        .ToList(),
+                    SimilarTo = s.Matches
+                        .OrderByDescending(m => m.Favorite.Weight * m.Overlap)
+                        .Take(SimilarToCount)
+                        .Select(m => ToReference(m.Favorite.Entry))
+                        .ToList()
+                })
+                .ToList();
+
+            return new NextUpDto
+            {
+                BasedOn = favorites.Select(f => ToReference(f.Entry)).ToList(),
+                Items = items
+            };
+        }
+
+        // ----- helpers -----
+
+        private sealed record EntryRow(
+            Guid Id, string Title, EntryType Type, EntrySubType? SubType, EntryStatus Status,
+            decimal? Rating, DateTime CreatedAtUtc);
+
+        private sealed record Favorite(EntryRow Entry, HashSet<string> Tags, double Weight);
+
+        private static double Jaccard(HashSet<string> a, HashSet<string> b)
+        {
+            if (a.Count == 0 || b.Count == 0) return 0;
+            var shared = a.Count(b.Contains);
+            return (double)shared / (a.Count + b.Count - shared);
+        }
+
+        private static NextUpReferenceDto ToReference(EntryRow e)
+            => new() { Id = e.Id, Title = e.Title, Rating = e.Rating };
+    }
+}
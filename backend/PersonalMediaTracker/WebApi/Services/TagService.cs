@@ -0,0 +1,70 @@
+﻿using Domain.Entities;
+using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+
+namespace WebApi.Services
+{
+    // Merge and delete for user-managed tags.
+    // Tags are hard-deleted: the (UserId, Name) index is unique across soft-deleted rows too,
+    // so a soft-deleted tag would block creating that name again. A tracked Remove would be turned
+    // into a soft delete, hence the bulk deletes in RemoveAsync.
+    // Entries whose tag list changes get a new UpdatedAtUtc, so their version (ETag) changes too.
+    public sealed class TagService : ITagService
+    {
+        private readonly AppDbContext _db;
+        public TagService(AppDbContext db) => _db = db;
+
+        public async Task<bool> MergeAsync(Guid userId, Guid sourceId, Guid targetId, CancellationToken ct)
+        {
+            var found = await _db.Tags.CountAsync(t => t.UserId == userId && (t.Id == sourceId || t.Id == targetId), ct);
+            if (sourceId == targetId || found != 2) return false;
+
+            // Joins of trashed entries move too (query filters hide them), so a restore keeps the tag
+            var links = _db.EntryTags.IgnoreQueryFilters();
+            var toMove = await links
+                .Where(et => et.TagId == sourceId)
+                .Where(et => !links.Any(t => t.TagId == targetId && t.MediaEntryId == et.MediaEntryId))
+                .Select(et => et.MediaEntryId)
+                .ToListAsync(ct);
+
+            await using var tx = await _db.Database.BeginTransactionAsync(ct);
+            _db.EntryTags.AddRange(toMove.Select(id => new EntryTag { MediaEntryId = id, TagId = targetId }));
+            await _db.SaveChangesAsync(ct);
+            await TouchEntriesAsync(sourceId, ct);
+            await RemoveAsync(sourceId, ct);
+            await tx.CommitAsync(ct);
+
+            return true;
+        }
+
+        public async Task<bool> DeleteAsync(Guid userId, Guid tagId, CancellationToken ct)
+        {
+            var exists = await _db.Tags.AnyAsync(t => t.UserId == userId && t.Id == tagId, ct);
+            if (!exists) return false;
+
+            await using var tx = await _db.Database.BeginTransactionAsync(ct);
+            await TouchEntriesAsync(tagId, ct);
+            await RemoveAsync(tagId, ct);
+            await tx.CommitAsync(ct);
+
+            return true;
+        }
+
+        // Bulk updates skip AppDbContext's audit rules, so the timestamp is set here. Without it an edit
+        // form opened before the merge/delete could save the old tag list back without a 412.
+        private async Task TouchEntriesAsync(Guid tagId, CancellationToken ct)
+        {
+            var now = DateTime.UtcNow;
+            await _db.MediaEntries.IgnoreQueryFilters()
+                .Where(e => e.EntryTags.Any(et => et.TagId == tagId))
+                .ExecuteUpdateAsync(s => s.SetProperty(e => e.UpdatedAtUtc, now), ct);
+        }
+
+        // Joins first, then the tag itself
+        private async Task RemoveAsync(Guid tagId, CancellationToken ct)
+        {
+            await _db.EntryTags.IgnoreQueryFilters().Where(et => et.TagId == tagId).ExecuteDeleteAsync(ct);
+            await _db.Tags.IgnoreQueryFilters().Where(t => t.Id == tagId).ExecuteDeleteAsync(ct);
+        }
+    }
+}
@@ -9,6 +9,9 @@ namespace WebApi.Services
     // Assumes entities: Tag {Id, Name }, EntryTag { EntryId, TagId, Tag, Entry }.
     public sealed class TagSyncService : ITagSyncService
     {
+        // Column size of Tag.Name (AppDbContext)
+        public const int MaxNameLength = 64;
+
         private readonly AppDbContext _db;
         public TagSyncService(AppDbContext db) => _db = db;
 
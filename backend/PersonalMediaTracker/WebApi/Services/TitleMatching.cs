@@ -0,0 +1,75 @@
+﻿using System.Globalization;
+using System.Text;
+
+namespace WebApi.Services
+{
+    // Fuzzy title comparison for the duplicate warning on the entry form.
+    // Titles are normalized first (case, accents, punctuation, "&" = "and", a leading "The"/"A"/"An"),
+    // then compared by edit distance, so "The Witcher" matches "Witcher" and "Pokemon" matches "Pokémon".
+    public static class TitleMatching
+    {
+        // Similarity at or above which two titles count as likely duplicates (about one typo per five letters)
+        public const double DuplicateThreshold = 0.8;
+
+        private static readonly string[] LeadingArticles = { "the", "a", "an" };
+
+        public static string Normalize(string? title)
+        {
+            if (string.IsNullOrWhiteSpace(title)) return string.Empty;
+
+            var sb = new StringBuilder(title.Length);
+            foreach (var c in title.Normalize(NormalizationForm.FormD))
+            {
+                if (CharUnicodeInfo.GetUnicodeCategory(c) == UnicodeCategory.NonSpacingMark) continue;
+                if (c == '&') sb.Append(" and ");
+                else sb.Append(char.IsLetterOrDigit(c) ? char.ToLowerInvariant(c) : ' ');
+            }
+
+            var words = sb.ToString().Split(' ', StringSplitOptions.RemoveEmptyEntries).ToList();
+            if (words.Count > 1 && LeadingArticles.Contains(words[0])) words.RemoveAt(0);
+            return string.Join(' ', words);
+        }
+
+        // 0-1 for two normalized titles: 1 = identical, otherwise 1 - edit distance / longer length.
+        // Titles with different numbers ("Toy Story 2" / "Toy Story 3") score 0: sequels and
+        // seasons are separate entries, not duplicates.
+        public static double Similarity(string a, string b)
+        {
+            if (a.Length == 0 || b.Length == 0) return 0;
+            if (a == b) return 1;
+            if (!Numbers(a).SequenceEqual(Numbers(b))) return 0;
+
+            var longer = Math.Max(a.Length, b.Length);
+            return 1 - (double)Distance(a, b) / longer;
+        }
+
+        // ----- helpers -----
+
+        private static IEnumerable<string> Numbers(string normalized)
+            => normalized.Split(' ').Where(w => w.All(char.IsDigit));
+
+        // Edit distance where swapping two neighbouring letters counts as one edit, like any other typo
+        // (Damerau-Levenshtein, optimal string alignment variant). Three rows: the swap looks two back.
+        private static int Distance(string a, string b)
+        {
+            var beforePrevious = new int[b.Length + 1];
+            var previous = new int[b.Length + 1];
+            var current = new int[b.Length + 1];
+            for (var j = 0; j <= b.Length; j++) previous[j] = j;
+
+            for (var i = 1; i <= a.Length; i++)
+            {
+                current[0] = i;
+                for (var j = 1; j <= b.Length; j++)
+                {
+                    var cost = a[i - 1] == b[j - 1] ? 0 : 1;
+                    current[j] = Math.Min(Math.Min(current[j - 1] + 1, previous[j] + 1), previous[j - 1] + cost);
+                    if (i > 1 && j > 1 && a[i - 1] == b[j - 2] && a[i - 2] == b[j - 1])
+                        current[j] = Math.Min(current[j], beforePrevious[j - 2] + 1);
+                }
+                (beforePrevious, previous, current) = (previous, current, beforePrevious);
+            }
+            return previous[b.Length];
+        }
+    }
+}
@@ -0,0 +1,16 @@
+﻿namespace WebApi.Services
+{
+    // "Trash" section in appsettings.json.
+    public sealed class TrashOptions
+    {
+        public const string SectionName = "Trash";
+
+        // Soft-deleted entries older than this are purged for good. 0 or less keeps them forever.
+        public int RetentionDays { get; set; } = 30;
+
+        // How often the background purge runs
+        public int PurgeIntervalMinutes { get; set; } = 60;
+
+        public TimeSpan? Retention => RetentionDays > 0 ? TimeSpan.FromDays(RetentionDays) : null;
+    }
+}
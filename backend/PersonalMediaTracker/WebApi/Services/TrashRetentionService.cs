@@ -0,0 +1,50 @@
+﻿using Microsoft.Extensions.Options;
+
+namespace WebApi.Services
+{
+    // Background job: periodically purges trashed entries older than TrashOptions.RetentionDays.
+    // The first run happens one interval after startup, not during it.
+    public sealed class TrashRetentionService : BackgroundService
+    {
+        private readonly IServiceScopeFactory _scopes;
+        private readonly IOptionsMonitor<TrashOptions> _options;
+        private readonly ILogger<TrashRetentionService> _logger;
+
+        public TrashRetentionService(IServiceScopeFactory scopes, IOptionsMonitor<TrashOptions> options, ILogger<TrashRetentionService> logger)
+        {
+            _scopes = scopes;
+            _options = options;
+            _logger = logger;
+        }
+
+        protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+        {
+            var interval = TimeSpan.FromMinutes(Math.Max(1, _options.CurrentValue.PurgeIntervalMinutes));
+            using var timer = new PeriodicTimer(interval);
+
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                var retention = _options.CurrentValue.Retention;
+                if (retention is null) continue; // retention disabled: keep trash forever
+
+                try
+                {
+                    // DbContext is scoped, so each run gets its own
+                    using var scope = _scopes.CreateScope();
+                    var trash = scope.ServiceProvider.GetRequiredService<ITrashService>();
+
+                    var purged = await trash.PurgeDeletedBeforeAsync(DateTime.UtcNow - retention.Value, stoppingToken);
+                    if (purged > 0)
+                    {
+                        _logger.LogInformation("Purged {Count} trashed entries older than {Days} days.", purged, retention.Value.TotalDays);
+                    }
+                }
+                catch (Exception ex) when (ex is not OperationCanceledException)
+                {
+                    // Try again next tick rather than stopping the host
+                    _logger.LogError(ex, "Trash retention purge failed.");
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,51 @@
+﻿using Domain.Entities;
+using Infrastructure.Persistence;
+using Microsoft.EntityFrameworkCore;
+
+namespace WebApi.Services
+{
+    // Hard-deletes soft-deleted entries plus their tag joins, collection links and history.
+    // Uses ExecuteDelete so AppDbContext's soft-delete conversion doesn't apply (it only sees tracked deletes).
+    public sealed class TrashService : ITrashService
+    {
+        private readonly AppDbContext _db;
+        public TrashService(AppDbContext db) => _db = db;
+
+        public Task<int> PurgeAsync(Guid userId, Guid? entryId, CancellationToken ct)
+        {
+            var trashed = _db.MediaEntries.IgnoreQueryFilters()
+                .Where(e => e.IsDeleted && e.UserId == userId);
+
+            if (entryId.HasValue)
+            {
+                trashed = trashed.Where(e => e.Id == entryId.Value);
+            }
+
+            return PurgeAsync(trashed, ct);
+        }
+
+        public Task<int> PurgeDeletedBeforeAsync(DateTime cutoffUtc, CancellationToken ct)
+        {
+            var expired = _db.MediaEntries.IgnoreQueryFilters()
+                .Where(e => e.IsDeleted && e.DeletedAtUtc != null && e.DeletedAtUtc < cutoffUtc);
+
+            return PurgeAsync(expired, ct);
+        }
+
+        private async Task<int> PurgeAsync(IQueryable<MediaEntry> trashed, CancellationToken ct)
+        {
+            var ids = await trashed.Select(e => e.Id).ToListAsync(ct);
+            if (ids.Count == 0) return 0;
+
+            // Dependents first (query filters hide rows of deleted entries, so ignore them here)
+            await using var tx = await _db.Database.BeginTransactionAsync(ct);
+            await _db.EntryTags.IgnoreQueryFilters().Where(et => ids.Contains(et.MediaEntryId)).ExecuteDeleteAsync(ct);
+            await _db.CollectionEntries.IgnoreQueryFilters().Where(ce => ids.Contains(ce.MediaEntryId)).ExecuteDeleteAsync(ct);
+            await _db.EntryHistory.IgnoreQueryFilters().Where(h => ids.Contains(h.MediaEntryId)).ExecuteDeleteAsync(ct);
+            var purged = await _db.MediaEntries.IgnoreQueryFilters().Where(e => ids.Contains(e.Id)).ExecuteDeleteAsync(ct);
+            await tx.CommitAsync(ct);
+
+            return purged;
+        }
+    }
+}
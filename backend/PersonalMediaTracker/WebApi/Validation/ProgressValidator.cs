@@ -0,0 +1,36 @@
+﻿// Purpose:
+// - Centralize progress counter rules (episodes / chapters / volumes).
+// Contract:
+// - null is allowed (counter not tracked).
+// - Counters are never negative.
+// - Current progress can't run past the total once a total is known.
+
+
+namespace WebApi.Validation
+{
+    public static class ProgressValidator
+    {
+        public static bool IsValid(string unit, int? current, int? total, out string? error)
+        {
+            error = null;
+
+            if (current < 0 || total < 0)
+            {
+                error = $"{unit} progress can't be negative.";
+                return false;
+            }
+
+            if (current.HasValue && total.HasValue && current.Value > total.Value)
+            {
+                error = $"Current {unit.ToLowerInvariant()} can't be greater than the total ({total.Value}).";
+                return false;
+            }
+
+            return true;
+        }
+
+        // True when a tracked counter has a known total and progress has reached it
+        public static bool IsFinished(int? current, int? total)
+            => total is > 0 && current >= total;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,48 @@
+﻿// Purpose:
+// - One table of which subtypes each entry type can have, used by the mappers and served to
+//   the frontend (GET api/metadata) so both sides apply the same rules.
+// Contract:
+// - A null subtype ("none") is allowed for every type.
+// - A type missing from the table allows no subtype at all.
+
+using Domain.Enums;
+using WebApi.Mapping;
+
+namespace WebApi.Validation
+{
+    public static class SubTypeRules
+    {
+        // Manga is read in chapters/volumes, so it only exists as a series
+        public static readonly IReadOnlyDictionary<EntryType, IReadOnlyList<EntrySubType>> AllowedByType =
+            new Dictionary<EntryType, IReadOnlyList<EntrySubType>>
+            {
+                [EntryType.Movie] = new[]
+                {
+                    EntrySubType.LiveAction, EntrySubType.Anime, EntrySubType.Animated,
+                    EntrySubType.Documentary, EntrySubType.Other
+                },
+                [EntryType.Series] = new[]
+                {
+                    EntrySubType.LiveAction, EntrySubType.Anime, EntrySubType.Manga, EntrySubType.Animated,
+                    EntrySubType.Documentary, EntrySubType.Other
+                }
+            };
+
+        public static bool IsAllowed(EntryType type, EntrySubType? subType)
+            => subType is null
+            || (AllowedByType.TryGetValue(type, out var allowed) && allowed.Contains(subType.Value));
+
+        public static bool IsValid(EntryType type, EntrySubType? subType, out string? error)
+        {
+            error = null;
+
+            if (IsAllowed(type, subType)) return true;
+
+            var allowed = AllowedByType.TryGetValue(type, out var list) && list.Count > 0
+                ? string.Join(", ", list.Select(s => EnumLabels.Label(s)))
+                : "none";
+            error = $"Subtype '{EnumLabels.Label(subType!.Value)}' isn't allowed for {EnumLabels.Label(type)} entries (allowed: {allowed}).";
+            return false;
+        }
+    }
+}
@@ -0,0 +1,25 @@
+﻿// Purpose:
+// - Centralize start/finish date rules.
+// Contract:
+// - Either date may be null (not started / not finished yet).
+// - A finish date can't come before the start date.
+
+
+namespace WebApi.Validation
+{
+    public static class WatchDatesValidator
+    {
+        public static bool IsValid(DateOnly? startedOn, DateOnly? finishedOn, out string? error)
+        {
+            error = null;
+
+            if (startedOn.HasValue && finishedOn.HasValue && finishedOn.Value < startedOn.Value)
+            {
+                error = "Finish date can't be before the start date.";
+                return false;
+            }
+
+            return true;
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,35 @@
+// Header account widget: shows who is signed in and wires the Logout button. Without a session
+// the page sends the user to the login page, with a return url to come back afterwards.
+
+import { isOfflineError } from "./api.js";
+import { fetchMe, logout } from "./auth.js";
+
+function loginUrl() {
+    return `login.html?return=${encodeURIComponent(window.location.href)}`;
+}
+
+// Resolves with the current user, or null when offline / on the way to the login page
+export async function initAccountWidget({
+    email = document.getElementById("acctEmail"),
+    logoutBtn = document.getElementById("logoutBtn")
+} = {}) {
+    logoutBtn?.addEventListener("click", async () => {
+        const url = loginUrl();
+        await logout();
+        window.location.href = url;
+    });
+
+    try {
+        const me = await fetchMe();
+        if (email) email.textContent = me.email || me.userName || "(unknown)";
+        return me;
+    } catch (err) {
+        // Offline the pages keep working from their saved copies (offline.js)
+        if (isOfflineError(err)) {
+            if (email) email.textContent = "Offline";
+            return null;
+        }
+        window.location.href = loginUrl();
+        return null;
+    }
+}
@@ -2,28 +2,80 @@
 
 const API_BASE = window.APP_CONFIG?.apiBaseUrl ?? "https://localhost:7106"; // <-- set in index.html
 
-// Read the current token (kept here so only one file touches localStorage)
+// Read the current tokens (kept here so only one file touches localStorage)
 function getAuthToken() {
     return localStorage.getItem("authToken");
 }
 
-// Generic fetch helper that throws on !ok for simpler calling code
-export async function http(method, path, body) {
-    const headers = { "Content-Type": "application/json" };
+function getRefreshToken() {
+    return localStorage.getItem("refreshToken");
+}
+
+// Persist the tokens from an auth response (login/register/refresh), or clear both with null
+export function saveSession(auth) {
+    const put = (key, value) => (value ? localStorage.setItem(key, value) : localStorage.removeItem(key));
+    put("authToken", auth?.accessToken);
+    put("refreshToken", auth?.refreshToken);
+}
+
+// In-flight refresh shared by every request that got a 401 meanwhile
+let refreshing = null;
+
+// Trades the refresh token for a new token pair. Resolves true when a new access token is stored.
+// The server rotates refresh tokens, so two refreshes with the same token can't both succeed;
+// when another tab won that race the tokens in localStorage have changed and are used instead.
+export function refreshSession() {
+    refreshing ??= (async () => {
+        const refreshToken = getRefreshToken();
+        if (!refreshToken) return false;
+        try {
+            saveSession(await http("POST", "/api/auth/refresh", { refreshToken }, { anonymous: true }));
+            return true;
+        } catch (err) {
+            return err instanceof ApiError && getRefreshToken() !== refreshToken;
+        }
+    })().finally(() => { refreshing = null; });
+    return refreshing;
+}
+
+// Generic fetch helper that throws on !ok for simpler calling code (OfflineError when there's no response at all)
+// - options.signal: AbortSignal so callers can cancel stale requests (rejects with an AbortError)
+// - options.responseType: "blob" returns the body as a Blob (file downloads)
+// - options.headers: extra request headers (e.g. If-Match for conditional updates)
+// - options.anonymous: no Bearer token, and a 401 is thrown as an ApiError like any other status
+//   (sign-in and token endpoints, where it means "wrong credentials" rather than "session expired")
+// - options.keepalive: the request outlives the page (sign out right before navigating away)
+// An expired access token is renewed with the refresh token and the request sent once more,
+// so a long editing session doesn't end on the login page.
+export async function http(method, path, body, options = {}) {
+    const headers = { "Content-Type": "application/json", ...options.headers };
 
     // Attach the Bearer token if there is one
-    const token = getAuthToken();
+    const token = options.anonymous ? null : getAuthToken();
     if (token) headers.Authorization = `Bearer ${token}`;
 
+    let res;
+    try {
+        res = await fetch(`${API_BASE}${path}`, {
+            method,
+            headers,
+            body: body != null ? JSON.stringify(body) : undefined,
+            signal: options.signal,
+            keepalive: options.keepalive,
+        });
+    } catch (err) {
+        if (isAbortError(err)) throw err;
+        throw new OfflineError(err);
+    }
 
-    const res = await fetch(`${API_BASE}${path}`, {
-        method,
-        headers,
-        body: body != null ? JSON.stringify(body) : undefined,
-    });
+    // Refresh once and retry (another request or tab may have refreshed already)
+    if (res.status === 401 && !options.anonymous && !options.retried) {
+        const renewed = getAuthToken() !== token || await refreshSession();
+        if (renewed) return http(method, path, body, { ...options, retried: true });
+    }
 
-    // If not authorized, send user to login page and include a return url
-    if (res.status === 401) {
+    // Still not authorized: send user to login page and include a return url
+    if (res.status === 401 && !options.anonymous) {
         // Avoid infinite redirect if we're already on the login page
         if (!/\/login\.html$/i.test(window.location.pathname)) {
             // Use full href (preserves query/hash)
@@ -36,20 +88,89 @@ export async function http(method, path, body) {
     // Fast path: 2xx
     if (res.ok) {
         if (res.status === 204) return null;
+        if (options.responseType === "blob") return res.blob();
         const ct = (res.headers.get("content-type") || "").toLowerCase();
         return ct.includes("application/json") ? res.json() : res.text();
     }
 
-    // Non-2xx error (other than 401 handled above)
+    // Non-2xx error (other than a signed-in 401 handled above)
     let msg = "";
     try { msg = await res.text(); } catch {}
-    throw new Error(`HTTP ${res.status} ${res.statusText}${msg ? `: ${msg}` : "" }`);
+    throw new ApiError(res.status, res.statusText, msg);
+}
+
+// Thrown by http() for non-2xx responses. The API answers errors with ProblemDetails
+// ({ title, detail, status }) and model binding failures with ValidationProblemDetails
+// (plus errors: { "Title": [...], "$.rating": [...] }); both are parsed here:
+// - status/title/detail: as sent (title falls back to the status text)
+// - fieldErrors: { field: [messages] } keyed like the request DTO ("Title" and "$.title" -> "title")
+// - message: the most readable text available, so `alert(err.message)` stays useful
+// - problem: the parsed body itself, for extension members (a 412 edit conflict sends `current`)
+// - body: the raw response text, for endpoints that answer with something else
+export class ApiError extends Error {
+    constructor(status, statusText, body) {
+        const problem = parseProblem(body);
+        const fieldErrors = problem ? normalizeFieldErrors(problem.errors) : {};
+        const fieldText = Object.values(fieldErrors).flat().join(" ");
+        const text = problem ? (problem.detail || fieldText || problem.title) : body;
+        super(text ? `HTTP ${status} ${statusText}: ${text}` : `HTTP ${status} ${statusText}`);
+        this.name = "ApiError";
+        this.status = status;
+        this.title = problem?.title || statusText;
+        this.detail = problem?.detail || "";
+        this.fieldErrors = fieldErrors;
+        this.problem = problem;
+        this.body = body;
+    }
+}
+
+// ProblemDetails object from a response body, or null when the body is something else
+function parseProblem(body) {
+    if (!body) return null;
+    try {
+        const parsed = JSON.parse(body);
+        return parsed && typeof parsed === "object" && ("title" in parsed || "errors" in parsed) ? parsed : null;
+    } catch {
+        return null;
+    }
+}
+
+// "Title" / "$.title" / "$.tags[2]" -> "title" / "title" / "tags". The "dto" key ASP.NET adds
+// next to a JSON conversion error repeats it for the whole body, so it's dropped.
+function normalizeFieldErrors(errors) {
+    const out = {};
+    for (const [key, messages] of Object.entries(errors || {})) {
+        const name = key.replace(/^\$\.?/, "").replace(/\[\d+\]$/, "");
+        if (!name || name.toLowerCase() === "dto") continue;
+        const field = name.charAt(0).toLowerCase() + name.slice(1);
+        out[field] = [...(out[field] || []), ...[].concat(messages)];
+    }
+    return out;
+}
+
+// Thrown by http() when the API can't be reached (offline, server down): fetch rejected without
+// a response. Pages fall back to their offline copies and queue changes (offline.js).
+export class OfflineError extends Error {
+    constructor(cause) {
+        super("Can't reach the server. Check your connection and try again.");
+        this.name = "OfflineError";
+        this.cause = cause;
+    }
+}
+
+export function isOfflineError(err) {
+    return err?.name === "OfflineError";
+}
+
+// True when a request was cancelled through its AbortSignal (not a real failure)
+export function isAbortError(err) {
+    return err?.name === "AbortError";
 }
 
 // Convenience helpers
 export const api = {
-    get: (path) => http("GET", path),
-    post: (path, body) => http("POST", path, body),
-    put: (path, body) => http("PUT", path, body),
-    del: (path) => http("DELETE", path),
+    get: (path, options) => http("GET", path, undefined, options),
+    post: (path, body, options) => http("POST", path, body, options),
+    put: (path, body, options) => http("PUT", path, body, options),
+    del: (path, options) => http("DELETE", path, undefined, options),
 };
\ No newline at end of file
@@ -1,123 +1,581 @@
 // Home page script: loads, filters, sorts, and deletes entries.
+// Offline, lists come from their IndexedDB copies and deletes wait in the outbox (offline.js).
 
-import { api } from "./api.js"
+import { isAbortError, isOfflineError } from "./api.js";
 import {
-  uiTypeToEnum, uiSubTypeToEnum, uiStatusToEnum,
-  enumTypeToUI, enumSubTypeToUI, enumStatusToUI,
-  enumStringToLabel
-} from "./enums.js";
-
-const BASE = "/api/mediaentries";
-
-// Builds a query string from an object (skips null/empty)
-function toQuery(params) {
-    const q = new URLSearchParams();
-    Object.entries(params || {}).forEach(([k, v]) => {
-        if (v === undefined || v === null || v === "") return;
-        q.set(k, String(v));
-    });
-    const s = q.toString();
-    return s ? `?${s}` : "";
-}
-
-// List entries with filters and paging
-async function listEntries(query) {
-    return api.get(`${BASE}${toQuery(query)}`);
-}
+  loadMetadata, enumOptions, tagOptions, collectionOptions, enumLabel, matchEnumValue, isSubTypeAllowed, fillSelect, fillCheckboxes
+} from "./metadata.js";
+import { showToast, showError } from "./toast.js";
+import { confirmDialog, isDialogOpen } from "./dialog.js";
+import {
+  cacheList, cachedList, queueMutation, discardMutation, outboxItems, onOutboxChange, pendingChanges, registerServiceWorker
+} from "./offline.js";
+import { mountSyncStatus } from "./sync-status.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML } from "./html.js";
+import { formatEntryHTML, formatPendingCreateHTML } from "./entry-row.js";
+import { toggleCollectionMenu } from "./collection-menu.js";
+import { totalPagesFor, pagerHTML } from "./paging.js";
+import { mountNextUp } from "./next-up.js";
+import {
+  listEntries, listPath, entryPath, deleteEntry, restoreEntry, restoreEntries, bulkRequest, exportLibrary, incrementProgress
+} from "./entries-api.js";
 
-// delete a single entry by id
-async function deleteEntry(id) {
-    return api.del(`${BASE}/${encodeURIComponent(id)}`);
+// List entries with filters and paging (signal lets a newer search cancel this one).
+// Each response is kept in IndexedDB; offline, the copy for the same query is returned instead.
+async function fetchList(query, signal) {
+    const path = listPath(query);
+    try {
+        const result = await listEntries(query, signal);
+        listSavedAt = null;
+        if (result) cacheList(path, result);
+        return result;
+    } catch (err) {
+        const cached = isOfflineError(err) ? await cachedList(path) : null;
+        if (!cached) throw err;
+        listSavedAt = cached.savedAt;
+        return cached.value;
+    }
 }
 
 // ----- DOM references -----
 const entriesContainer = document.getElementById("entriesContainer");
+const searchInput = document.getElementById("searchInput");
 const filterType = document.getElementById("filterType");
 const filterSubType = document.getElementById("filterSubType");
 const filterGenre = document.getElementById("filterGenre");
+const filterStatus = document.getElementById("filterStatus");
+const tagMatch = document.getElementById("tagMatch");
+const filterCollection = document.getElementById("filterCollection");
+const activeFilters = document.getElementById("activeFilters");
 const sortBy = document.getElementById("sortBy");
-const darkToggle = document.getElementById("darkModeToggle");
+const sortDirToggle = document.getElementById("sortDirToggle");
+const listSummary = document.getElementById("listSummary");
+const pager = document.getElementById("pager");
+const pageSizeSelect = document.getElementById("pageSize");
+const infiniteToggle = document.getElementById("infiniteScrollToggle");
+const scrollSentinel = document.getElementById("scrollSentinel");
+const newEntryLink = document.getElementById("newEntryLink");
+const shareViewLink = document.getElementById("shareViewLink");
+const selectAllOnPage = document.getElementById("selectAllOnPage");
+const bulkBar = document.getElementById("bulkBar");
+const bulkCount = document.getElementById("bulkCount");
+const bulkStatus = document.getElementById("bulkStatus");
+const bulkTag = document.getElementById("bulkTag");
+const bulkResult = document.getElementById("bulkResult");
+
+// ----- Selection state -----
+// Ids of checked rows. Only rows currently rendered can stay selected (see renderBulkBar).
+const selectedIds = new Set();
+
+// ----- Paging state -----
+// Mirrored into the query string together with the filter controls (see "URL state").
+const PAGE_SIZES = [10, 20, 50, 100];       // server caps pageSize at 100
+const DEFAULT_PAGE_SIZE = 20;
+
+const listState = {
+    page: 1,
+    pageSize: DEFAULT_PAGE_SIZE,
+    mode: "pages"                           // "pages" (pager controls) or "scroll" (infinite scroll)
+};
+
+let lastTotal = 0;          // total matching entries from the last response
+let loadedPage = 0;         // infinite scroll: highest page appended so far
+let loadingMore = false;    // infinite scroll: guards against overlapping page fetches
+let loadGeneration = 0;     // bumps on every full reload so stale appends are dropped
+let listAbort = null;       // AbortController for the in-flight list request
+let listSavedAt = null;     // offline: when the list copy being shown was saved (null = live)
+let refreshNextUp = () => {};   // reloads the "Next up" panel once it's mounted (after the metadata)
+
+// ----- Offline changes -----
+// Outbox changes not sent yet, folded per entry (pendingChanges); the list shows them as if saved
+let pending = pendingChanges([]);
+
+// ----- Sort direction -----
+// "" follows the field's natural direction (sortDirFor), "asc"/"desc" is the user's explicit choice.
+let sortDir = "";
+
+// ----- Search -----
+const SEARCH_DEBOUNCE_MS = 300;
+let searchTimer = null;
 
 // ------------------
 // Utilities
 // ------------------
 
-// Basic HTML escape to guard against XSS when rendering user-entered fields.
-
-function escapeHTML(s) {
-    return String(s ?? "")
-        .replace(/&/g, "&amp;")
-        .replace(/</g, "&lt;")
-        .replace(/>/g, "&gt;")
-        .replace(/"/g, "&quot;")
-        .replace(/'/g, "&#39;");
-}
-
-// Build "tag badges" row from string[]
-function renderTags(tags) {
-    if (!tags || !tags.length) return `<span class="tag-badge muted"> No tags</span>`;
-    return tags.map(t => `<span class="tag-badge">${escapeHTML(t)}</span>`).join(" ");
-}
-
-// Build HTML for one list item (MediaEntryDto)
-function formatEntryHTML(dto) {
-    // Defensive: escape user-provided fields to avoid XSS
-    const safeTitle = escapeHTML(dto.title);
-    const safeNotes = dto.notes ? escapeHTML(dto.notes) : "";
-
-    const rating = dto.rating ?? "N/A";
-    const statusLabel = enumStringToLabel(dto.status);     
-    const typeLabel = enumStringToLabel(dto.type);
-    const subTypeLabel = enumStringToLabel(dto.subType);
-    const tagsHTML = renderTags(dto.tags);
-
-    // Buttons: edit/delete
-    // NOTE: edit uses entry.html?mode=edit&id=<id>
-    return `
-        <div class="entry-row">
-            <div class="entry-main">
-                <strong>${safeTitle}</strong>
-                <span class="entry-meta">(${escapeHTML(typeLabel)}${subTypeLabel ? ` - ${escapeHTML(subTypeLabel)}` : ""}, ${escapeHTML(statusLabel)})</span>
-            </div>
-            <div class="entry-sub">
-                Genres: ${tagsHTML} &nbsp;-&nbsp; Rating: ${escapeHTML(rating)}
-            </div>
-            ${dto.notes ? `<div class="entry-notes"><small>${safeNotes}</small></div>` : ""}
-            <div class="entry-actions">
-                <button type="button" class="btn" data-action="edit" data-id="${dto.id}">Edit</button>
-                <button type="button" class="btn btn-danger" data-action="delete" data-id="${dto.id}">Delete</button>
-            </div>    
-        </div>
-  `;
-}
-
-        
+// One list row with the page's selection and offline state applied
+function entryRowHTML(dto, highlight) {
+    return formatEntryHTML(dto, { highlight, selected: selectedIds.has(dto.id), pending: pending.updates.has(dto.id) });
+}
 
+// Empty state differs when a search is active so users know why the list is empty
+function emptyListHTML() {
+    const term = searchTerm();
+    return term
+        ? `<div class="muted">No entries match "${escapeHTML(term)}".</div>`
+        : `<div class="muted">No entries yet - try adding one!</div>`;
+}
+
+// ------------------
+// Multi-select filters
+// ------------------
+// Status, subtype and genre are checkbox groups inside <details> dropdowns.
+// URL/query key -> group element and the metadata list it's built from (kind = enum list,
+// none = tag catalog); chip text comes from the group's data-chip-label.
+const MULTI_FILTERS = [
+    { key: "status", el: filterStatus, kind: "statuses" },
+    { key: "subType", el: filterSubType, kind: "subTypes" },
+    { key: "genre", el: filterGenre }
+];
+
+// Build the filter controls and bulk pickers from GET /api/metadata
+function renderMetadataControls() {
+    fillSelect(filterType, enumOptions("types"), { blank: "All" });
+    fillSelect(filterCollection, collectionOptions(), { blank: "All" });
+    MULTI_FILTERS.forEach(({ el, kind }) => fillCheckboxes(el, kind ? enumOptions(kind) : tagOptions(), { counts: !kind }));
+    fillSelect(bulkStatus, enumOptions("statuses"));
+    fillSelect(bulkTag, tagOptions());
+}
+
+// Checked values of a checkbox group (enum values like "OnHold", or tag names)
+function checkedValues(group) {
+    if (!group) return [];
+    return Array.from(group.querySelectorAll('input[type="checkbox"]:checked')).map(cb => cb.value);
+}
+
+// Check exactly the given values (unknown values are ignored)
+function setCheckedValues(group, values) {
+    if (!group) return;
+    const set = new Set(values || []);
+    group.querySelectorAll('input[type="checkbox"]').forEach(cb => { cb.checked = set.has(cb.value); });
+}
+
+// No entry can match a type together with a subtype it doesn't allow (Movie + Manga), so:
+// with a type picked, such subtypes are unchecked and disabled; with subtypes checked,
+// types that allow none of them are disabled in the type select.
+function updateTypeSubTypeAvailability() {
+    const type = filterType?.value;
+    filterSubType?.querySelectorAll('input[type="checkbox"]').forEach((cb) => {
+        cb.disabled = !isSubTypeAllowed(type, cb.value);
+        if (cb.disabled) cb.checked = false;
+    });
+    const subTypes = checkedValues(filterSubType);
+    Array.from(filterType?.options || []).forEach((o) => {
+        o.disabled = Boolean(o.value) && subTypes.length > 0 && !subTypes.some(st => isSubTypeAllowed(o.value, st));
+    });
+}
+
+// Visible text for one checkbox value (without the usage count), used for chip labels
+function optionLabel(group, value) {
+    const cb = Array.from(group?.querySelectorAll('input[type="checkbox"]') || []).find(c => c.value === value);
+    return cb?.dataset.label || cb?.closest("label")?.textContent.trim() || value;
+}
+
+// Chips for every active filter + "Clear all", and "(n)" counts on the dropdown summaries
+function renderFilterChips() {
+    MULTI_FILTERS.forEach(({ el }) => {
+        const count = document.querySelector(`[data-count-for="${el?.id}"]`);
+        const n = checkedValues(el).length;
+        if (count) count.textContent = n ? `(${n})` : "";
+    });
+
+    if (!activeFilters) return;
+
+    const chips = [];
+    if (filterType?.value) {
+        const label = filterType.options[filterType.selectedIndex]?.textContent.trim() || filterType.value;
+        chips.push({ key: "type", value: filterType.value, text: `Type: ${label}` });
+    }
+    if (filterCollection?.value) {
+        const label = filterCollection.options[filterCollection.selectedIndex]?.textContent.trim() || filterCollection.value;
+        chips.push({ key: "collection", value: filterCollection.value, text: `Collection: ${label}` });
+    }
+    MULTI_FILTERS.forEach(({ key, el }) => {
+        const prefix = el?.dataset.chipLabel || key;
+        checkedValues(el).forEach(value => chips.push({ key, value, text: `${prefix}: ${optionLabel(el, value)}` }));
+    });
+    // Matching mode only matters once two or more genres are picked
+    if (checkedValues(filterGenre).length > 1 && tagMatch?.value === "all") {
+        chips.push({ key: "tagMatch", value: "all", text: "Genres: all of" });
+    }
+
+    activeFilters.innerHTML = chips.length
+        ? chips.map(c => `
+            <span class="filter-chip">
+                ${escapeHTML(c.text)}
+                <button type="button" class="chip-remove" data-chip-key="${escapeHTML(c.key)}" data-chip-value="${escapeHTML(c.value)}" aria-label="Remove filter ${escapeHTML(c.text)}">×</button>
+            </span>`).join("") +
+          `<button type="button" class="btn chip-clear" data-chip-clear>Clear all</button>`
+        : "";
+}
+
+// Remove one chip's filter (or all of them) from the controls
+function removeFilter(key, value) {
+    if (key === "type") setSelectValue(filterType, "");
+    else if (key === "collection") setSelectValue(filterCollection, "");
+    else if (key === "tagMatch") tagMatch && (tagMatch.value = "any");
+    else {
+        const group = MULTI_FILTERS.find(f => f.key === key)?.el;
+        setCheckedValues(group, checkedValues(group).filter(v => v !== value));
+    }
+}
+
+function clearAllFilters() {
+    setSelectValue(filterType, "");
+    setSelectValue(filterCollection, "");
+    MULTI_FILTERS.forEach(({ el }) => setCheckedValues(el, []));
+    if (tagMatch) tagMatch.value = "any";
+    if (searchInput) searchInput.value = "";
+}
+
+// ------------------
+// URL state
+// ------------------
+// The whole list view lives in the query string so it can be bookmarked, survives
+// reloads, works with back/forward, and entry.html can return to it. Only non-default
+// values are written, e.g. index.html?type=Series&status=Watching,OnHold&genre=drama&sort=rating&page=3
+// (collection=<id> limits the list to one collection)
+// Values are the enum values from the metadata (links from before that, like status=on-hold,
+// are still understood) and tag names. Multi-select filters are comma-separated.
+
+// Set a select only when the value is one of its options, otherwise fall back to "All"/"None"
+function setSelectValue(select, value) {
+    if (!select) return;
+    const v = value ?? "";
+    select.value = Array.from(select.options).some(o => o.value === v) ? v : "";
+}
+
+// Query string -> controls + listState
+function applyUrlState() {
+    const p = new URLSearchParams(window.location.search);
+
+    if (searchInput) searchInput.value = p.get("q") || "";
+    setSelectValue(filterType, matchEnumValue("types", p.get("type")));
+    setSelectValue(filterCollection, p.get("collection"));
+    MULTI_FILTERS.forEach(({ key, el, kind }) => {
+        const values = (p.get(key) || "").split(",");
+        setCheckedValues(el, kind ? values.map(v => matchEnumValue(kind, v)) : values);
+    });
+    updateTypeSubTypeAvailability();
+    setSelectValue(tagMatch, p.get("tagMatch") || "any");
+    setSelectValue(sortBy, p.get("sort"));
+    const dir = (p.get("dir") || "").toLowerCase();
+    sortDir = dir === "asc" || dir === "desc" ? dir : "";
+
+    const page = Number.parseInt(p.get("page") || "", 10);
+    const pageSize = Number.parseInt(p.get("pageSize") || "", 10);
+    listState.page = page > 0 ? page : 1;
+    listState.pageSize = PAGE_SIZES.includes(pageSize) ? pageSize : DEFAULT_PAGE_SIZE;
+    listState.mode = p.get("view") === "scroll" ? "scroll" : "pages";
+
+    if (pageSizeSelect) pageSizeSelect.value = String(listState.pageSize);
+    if (infiniteToggle) infiniteToggle.checked = listState.mode === "scroll";
+}
+
+// Controls + listState -> query string ("index.html?..." relative to the current page)
+function buildListUrl() {
+    const p = new URLSearchParams();
+    const put = (k, v) => { if (v) p.set(k, v); };
+
+    put("q", searchTerm());
+    put("type", filterType?.value);
+    put("collection", filterCollection?.value);
+    MULTI_FILTERS.forEach(({ key, el }) => put(key, checkedValues(el).join(",")));
+    if (tagMatch?.value === "all") p.set("tagMatch", "all");
+    put("sort", sortBy?.value);
+    if (currentSortDir() !== sortDirFor(sortBy?.value)) p.set("dir", currentSortDir());
+    if (listState.page > 1) p.set("page", String(listState.page));
+    if (listState.pageSize !== DEFAULT_PAGE_SIZE) p.set("pageSize", String(listState.pageSize));
+    if (listState.mode === "scroll") p.set("view", "scroll");
+
+    const qs = p.toString();
+    return `${window.location.pathname}${qs ? `?${qs}` : ""}`;
+}
+
+// Write the current view into history
+// - "push": a new back/forward step (filter, sort, page changes)
+// - "replace": update in place (typing in search, infinite scroll progress, clamped pages)
+// - "none": leave history alone (restoring from popstate)
+function syncUrl(mode = "push") {
+    const url = buildListUrl();
+    if (mode !== "none" && url !== `${window.location.pathname}${window.location.search}`) {
+        if (mode === "replace") history.replaceState(null, "", url);
+        else history.pushState(null, "", url);
+    }
+
+    // "+ New Entry" should come back to this exact view too
+    if (newEntryLink) newEntryLink.href = `entry.html?return=${encodeURIComponent(window.location.href)}`;
+    // "Share this view" offers the current filters on the share links page
+    if (shareViewLink) shareViewLink.href = `shares.html?view=${encodeURIComponent(window.location.search)}`;
+}
 
 // ------------------
 // Data loading
 // ------------------
 
-// Load entries using current filter controls
-async function loadEntries() {
-    // Map UI -> enum strings as the API expects them
-    const q = {
-        type: filterType.value ? uiTypeToEnum(filterType.value) : "",
-        subType: filterSubType.value ? uiSubTypeToEnum(filterSubType.value) : "",
-        tag: filterGenre.value || "",
+// Build the API query for a page using current filter controls
+function buildQuery(page) {
+    // Control values are already the enum strings the API expects
+    return {
+        q: searchTerm(),
+        type: filterType.value,
+        subType: checkedValues(filterSubType),
+        status: checkedValues(filterStatus),
+        tag: checkedValues(filterGenre),
+        tagMatch: tagMatch?.value === "all" ? "all" : "",
+        collection: filterCollection?.value,
         sort: normalizeSort(sortBy.value),
-        dir: sortDirFor(sortBy.value),
-        page: 1,
-        pageSize: 50
+        dir: currentSortDir(),
+        page,
+        pageSize: listState.pageSize
     };
+}
 
-    // Call the API
-    const result = await listEntries(q);
+// Current search box text (trimmed, "" when empty)
+function searchTerm() {
+    return searchInput?.value.trim() || "";
+}
+
+// Render a page of DTOs with the current search term highlighted, pending offline changes
+// applied (creates are listed on the first page)
+function renderItems(items, page) {
+    const term = searchTerm();
+    const created = page === 1 ? pending.creates.map(formatPendingCreateHTML).join("") : "";
+    return created + (items || [])
+        .filter(dto => !pending.deleted.has(dto.id))
+        .map(dto => entryRowHTML({ ...dto, ...pending.updates.get(dto.id) }, term))
+        .join("");
+}
+
+// Load entries using current filter controls (replaces the rendered list)
+// Any request still in flight from a previous call is aborted.
+// - options.history: how to record the resulting view in the URL (see syncUrl)
+async function loadEntries({ history: historyMode = "push" } = {}) {
+    const generation = ++loadGeneration;
+    listAbort?.abort();
+    listAbort = new AbortController();
+    const signal = listAbort.signal;
+    const focus = captureRowFocus();
+
+    if (listState.mode === "scroll") {
+        await loadScrollFromStart(generation, signal);
+        if (generation === loadGeneration) {
+            syncUrl(historyMode);
+            restoreRowFocus(focus);
+        }
+        return;
+    }
+
+    let result = await fetchList(buildQuery(listState.page), signal);
+    if (generation !== loadGeneration) return;
+
+    // Filters may shrink the result set below the remembered page, clamp to the last one
+    const lastPage = totalPagesFor(result.total, listState.pageSize);
+    if (!(result.items || []).length && result.total > 0 && listState.page > lastPage) {
+        listState.page = lastPage;
+        result = await fetchList(buildQuery(listState.page), signal);
+        if (generation !== loadGeneration) return;
+    }
+
+    lastTotal = result.total ?? 0;
+    listState.page = result.page ?? listState.page;
+    syncUrl(historyMode);
 
     // Render
-    entriesContainer.innerHTML = (result.items || [])
-        .map(formatEntryHTML)
-        .join("") || `<div class="muted">No entries yet - try adding one!</div>`;
+    entriesContainer.innerHTML = renderItems(result.items, listState.page) || emptyListHTML();
+
+    renderSummary((result.items || []).length);
+    renderPager();
+    renderBulkBar();
+    restoreRowFocus(focus);
+}
+
+// Infinite scroll: start over from page 1 and re-append up to the remembered page
+async function loadScrollFromStart(generation, signal) {
+    const targetPage = listState.page;
+    loadedPage = 0;
+    lastTotal = 0;
+    entriesContainer.innerHTML = "";
+
+    do {
+        await appendNextPage(generation, signal);
+    } while (generation === loadGeneration && loadedPage < targetPage && hasMorePages());
+
+    if (generation !== loadGeneration) return;
+    if (!entriesContainer.children.length) entriesContainer.innerHTML = emptyListHTML();
+}
+
+// Infinite scroll: fetch the next page and append it to the list
+async function appendNextPage(generation = loadGeneration, signal = listAbort?.signal) {
+    loadingMore = true;
+    try {
+        const result = await fetchList(buildQuery(loadedPage + 1), signal);
+        if (generation !== loadGeneration) return;
+
+        loadedPage = result.page ?? loadedPage + 1;
+        lastTotal = result.total ?? 0;
+        listState.page = Math.max(1, loadedPage);
+
+        entriesContainer.insertAdjacentHTML("beforeend", renderItems(result.items, loadedPage));
+        renderSummary(entriesContainer.querySelectorAll(".entry-row").length);
+        renderPager();
+        renderBulkBar();
+    } finally {
+        // A stale request must not clear the flag for the reload that replaced it
+        if (generation === loadGeneration) loadingMore = false;
+    }
+}
+
+function hasMorePages() {
+    return loadedPage < totalPagesFor(lastTotal, listState.pageSize) && lastTotal > 0;
+}
+
+// "Showing X–Y of N" above the list
+function renderSummary(shownCount) {
+    if (!listSummary) return;
+    if (!lastTotal || !shownCount) {
+        listSummary.textContent = "";
+        return;
+    }
+
+    // Infinite scroll always shows from the first entry down
+    const first = listState.mode === "scroll" ? 1 : (listState.page - 1) * listState.pageSize + 1;
+    const last = first + shownCount - 1;
+    const copy = listSavedAt ? ` (offline copy from ${new Date(listSavedAt).toLocaleString()})` : "";
+    listSummary.textContent = `Showing ${first}–${last} of ${lastTotal}${copy}`;
+}
+
+// ---------------------
+// Bulk selection + actions
+// ---------------------
+
+function renderedRows() {
+    return Array.from(entriesContainer.querySelectorAll(".entry-row[data-id]"));
+}
+
+function renderedIds() {
+    return renderedRows().map(row => row.dataset.id);
+}
+
+// Ids come from the server; matching on dataset avoids building selectors from them
+function rowById(id) {
+    return renderedRows().find(row => row.dataset.id === id) || null;
+}
+
+// Drops selections that scrolled/paged out of view, then syncs the bar and "select all" box
+function renderBulkBar() {
+    const visible = new Set(renderedIds());
+    [...selectedIds].forEach(id => { if (!visible.has(id)) selectedIds.delete(id); });
+
+    const count = selectedIds.size;
+    if (bulkBar) bulkBar.hidden = count === 0;
+    if (bulkCount) bulkCount.textContent = `${count} selected`;
+    if (selectAllOnPage) {
+        selectAllOnPage.checked = count > 0 && count === visible.size;
+        selectAllOnPage.indeterminate = count > 0 && count < visible.size;
+        selectAllOnPage.disabled = visible.size === 0;
+    }
+}
+
+function setRowSelected(id, checked) {
+    if (checked) selectedIds.add(id);
+    else selectedIds.delete(id);
+    const box = rowById(id)?.querySelector(".entry-select");
+    if (box) box.checked = checked;
+}
+
+function titleForRow(id) {
+    return rowById(id)?.querySelector("strong")?.textContent || id;
+}
+
+// Summarize a bulk result. Failed rows stay selected and get flagged so they're easy to spot.
+function showBulkResult(verb, result, titles) {
+    if (!bulkResult) return;
+    const items = result?.items || [];
+    const failed = items.filter(i => !i.ok);
+
+    const summary = failed.length
+        ? `${verb} ${result.succeeded} of ${items.length} entries. ${failed.length} failed:`
+        : `${verb} ${result.succeeded} ${result.succeeded === 1 ? "entry" : "entries"}.`;
+    const list = failed.length
+        ? `<ul>${failed.map(f => `<li>${escapeHTML(titles.get(f.id) || f.id)}: ${escapeHTML(f.error || "Failed")}</li>`).join("")}</ul>`
+        : "";
+
+    bulkResult.className = `bulk-result${failed.length ? " has-failures" : ""}`;
+    bulkResult.innerHTML = `<span>${escapeHTML(summary)}</span>
+        <button type="button" class="chip-remove" data-bulk="dismiss" aria-label="Dismiss">×</button>${list}`;
+    bulkResult.hidden = false;
+
+    failed.forEach(f => {
+        const row = rowById(f.id);
+        if (!row) return;
+        row.classList.add("bulk-failed");
+        row.title = f.error || "Bulk action failed";
+    });
+}
+
+// Sends the selected ids with the action payload, reloads, and reports per-entry outcomes.
+// Resolves with the server's result (undefined if the request failed).
+async function runBulk(action, payload, verb) {
+    const ids = [...selectedIds];
+    if (!ids.length) return;
+
+    // Titles are read before the reload, the rows may be gone afterwards
+    const titles = new Map(ids.map(id => [id, titleForRow(id)]));
+    bulkBar?.querySelectorAll("button, select").forEach(el => { el.disabled = true; });
+    try {
+        const result = await bulkRequest(action, { ids, ...payload });
+        selectedIds.clear();
+        (result?.items || []).filter(i => !i.ok).forEach(i => selectedIds.add(i.id));
+        await loadEntries({ history: "replace" });
+        showBulkResult(verb, result, titles);
+        refreshNextUp();
+        return result;
+    } catch (err) {
+        if (isAbortError(err)) return;
+        showError("Bulk action failed", err);
+    } finally {
+        bulkBar?.querySelectorAll("button, select").forEach(el => { el.disabled = false; });
+    }
+}
+
+// Prev / numbered pages / Next (hidden in infinite scroll mode)
+function renderPager() {
+    if (!pager) return;
+
+    const totalPages = totalPagesFor(lastTotal, listState.pageSize);
+    if (listState.mode === "scroll" || totalPages <= 1) {
+        pager.innerHTML = "";
+        return;
+    }
+
+    pager.innerHTML = pagerHTML(listState.page, totalPages);
+}
+
+// After a delete: toast with an Undo that restores from the trash and reloads the list
+function showUndoToast(message, ids) {
+    showToast(message, {
+        actionLabel: "Undo",
+        onAction: async () => {
+            try {
+                if (ids.length === 1) await restoreEntry(ids[0]);
+                else await restoreEntries(ids);
+                await loadEntries({ history: "replace" });
+                refreshNextUp();
+                showToast(ids.length === 1 ? "Entry restored." : `${ids.length} entries restored.`);
+            } catch (err) {
+                if (isAbortError(err)) return;
+                showError("Undo failed", err);
+            }
+        }
+    });
+}
+
+function showLoadError(err) {
+    if (isAbortError(err)) return;      // superseded by a newer request, not a failure
+    console.error(err);
+    entriesContainer.innerHTML =
+        `<div class="error" role="alert">Failed to load: ${escapeHTML(err?.message || err)}</div>`;
 }
 
 // Normalize the sort field used by the server
@@ -126,32 +584,169 @@ function normalizeSort(v) {
     if (s === "title") return "title";
     if (s === "rating") return "rating";
     if (s === "status") return "status";
+    if (s === "created") return "created";
+    if (s === "type") return "type";
     return "updated";           // server default
 }
 
-// For this UI "Title" sorts ascending, "Rating" and "Updated" sort descending by default
+// Natural direction per field: text and workflow order read A → Z,
+// ratings and dates start with the highest / newest
 function sortDirFor(v) {
-    const s = (v || "").toLowerCase();
-    if (s === "title" || s === "status") return "asc";
+    const s = normalizeSort(v);
+    if (s === "title" || s === "status" || s === "type") return "asc";
     return "desc";
 }
 
+// Direction actually sent to the server
+function currentSortDir() {
+    return sortDir || sortDirFor(sortBy?.value);
+}
+
+// Reflect the direction on the toggle button
+function renderSortDir() {
+    if (!sortDirToggle) return;
+    const asc = currentSortDir() === "asc";
+    sortDirToggle.textContent = asc ? "↑ Asc" : "↓ Desc";
+    sortDirToggle.setAttribute("aria-label", asc ? "Sort ascending, switch to descending" : "Sort descending, switch to ascending");
+    sortDirToggle.setAttribute("aria-pressed", String(asc));
+}
+
 // ------------------
 // Event wiring
 // ------------------
 
-[filterType, filterSubType, filterGenre, sortBy].forEach(el => {
+// A new sort field starts in its natural direction
+sortBy?.addEventListener("change", () => {
+    sortDir = "";
+    renderSortDir();
+});
+
+sortDirToggle?.addEventListener("click", () => {
+    sortDir = currentSortDir() === "asc" ? "desc" : "asc";
+    renderSortDir();
+    loadEntries().catch(showLoadError);
+});
+
+// Filter changes keep the current page, loadEntries() clamps it if the results shrink
+// Each change is a new history step so Back undoes it. Checkbox groups report
+// their changes through the bubbling "change" event.
+[filterType, filterCollection, filterStatus, filterSubType, filterGenre, tagMatch, sortBy].forEach(el => {
     el?.addEventListener("change", () => {
-        loadEntries().catch(err => {
-        console.error(err);
-        entriesContainer.innerHTML =
-            `<div class="error">Failed to load: ${escapeHTML(err?.message || err)}</div>`;
-        });
+        updateTypeSubTypeAvailability();
+        renderFilterChips();
+        loadEntries().catch(showLoadError);
     });
 });
 
+activeFilters?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-chip-key], [data-chip-clear]");
+    if (!btn) return;
+
+    if (btn.hasAttribute("data-chip-clear")) clearAllFilters();
+    else removeFilter(btn.getAttribute("data-chip-key"), btn.getAttribute("data-chip-value"));
+
+    updateTypeSubTypeAvailability();
+    renderFilterChips();
+    loadEntries().catch(showLoadError);
+});
+
+// Search-as-you-type: debounce keystrokes, new terms start from the first page
+searchInput?.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => {
+        listState.page = 1;
+        // Typing refines the same view, so don't leave one history entry per keystroke
+        loadEntries({ history: "replace" }).catch(showLoadError);
+    }, SEARCH_DEBOUNCE_MS);
+});
+
+pager?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-page]");
+    if (!btn || btn.disabled) return;
+
+    listState.page = Number(btn.getAttribute("data-page")) || 1;
+    loadEntries()
+        .then(() => document.getElementById("media-list")?.scrollIntoView({ behavior: "smooth" }))
+        .catch(showLoadError);
+});
+
+pageSizeSelect?.addEventListener("change", () => {
+    // Keep the first visible entry on screen when the page size changes
+    const firstIndex = (listState.page - 1) * listState.pageSize;
+    listState.pageSize = Number(pageSizeSelect.value) || 20;
+    listState.page = Math.floor(firstIndex / listState.pageSize) + 1;
+    loadEntries().catch(showLoadError);
+});
+
+infiniteToggle?.addEventListener("change", () => {
+    listState.mode = infiniteToggle.checked ? "scroll" : "pages";
+    listState.page = 1;
+    loadEntries().catch(showLoadError);
+});
+
+// Infinite scroll: fetch the next page when the sentinel below the list comes into view
+if (scrollSentinel && "IntersectionObserver" in window) {
+    const observer = new IntersectionObserver((entries) => {
+        if (!entries.some(en => en.isIntersecting)) return;
+        if (listState.mode !== "scroll" || loadingMore || !hasMorePages()) return;
+        appendNextPage()
+            .then(() => syncUrl("replace"))
+            .catch(showLoadError);
+    }, { rootMargin: "200px" });
+    observer.observe(scrollSentinel);
+}
+
+entriesContainer.addEventListener("change", (e) => {
+    const box = e.target.closest(".entry-select");
+    if (!box) return;
+    setRowSelected(box.dataset.id, box.checked);
+    renderBulkBar();
+});
+
+selectAllOnPage?.addEventListener("change", () => {
+    const check = selectAllOnPage.checked;
+    renderedIds().forEach(id => setRowSelected(id, check));
+    renderBulkBar();
+});
+
+bulkResult?.addEventListener("click", (e) => {
+    if (e.target.closest('[data-bulk="dismiss"]')) bulkResult.hidden = true;
+});
+
+bulkBar?.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-bulk]");
+    if (!btn) return;
+
+    switch (btn.dataset.bulk) {
+        case "status":
+            runBulk("status", { status: bulkStatus.value }, "Updated");
+            break;
+        case "tag-add":
+            runBulk("tags", { add: [bulkTag.value] }, "Tagged");
+            break;
+        case "tag-remove":
+            runBulk("tags", { remove: [bulkTag.value] }, "Untagged");
+            break;
+        case "delete":
+            if (!await confirmDialog(`Delete ${selectedIds.size} selected ${selectedIds.size === 1 ? "entry" : "entries"}? They go to the trash.`, {
+                title: "Delete entries", confirmLabel: "Delete", danger: true
+            })) return;
+            runBulk("delete", {}, "Deleted").then((result) => {
+                const deleted = (result?.items || []).filter(i => i.ok).map(i => i.id);
+                if (deleted.length) {
+                    showUndoToast(`Deleted ${deleted.length} ${deleted.length === 1 ? "entry" : "entries"}.`, deleted);
+                }
+            });
+            break;
+        case "clear":
+            [...selectedIds].forEach(id => setRowSelected(id, false));
+            renderBulkBar();
+            break;
+    }
+});
+
 entriesContainer.addEventListener("click", async (e) => {
-    // Delegate button clicks for Edit/Delete using data-action
+    // Delegate button clicks for Edit/Collections/Delete using data-action
     const btn = e.target.closest("[data-action]");
     if (!btn) return;
 
@@ -160,51 +755,282 @@ entriesContainer.addEventListener("click", async (e) => {
     if (!id) return;
 
     if (action === "edit") {
-        // Navigate to edit page preserving the id
-        window.location.href = `entry.html?mode=edit&id=${encodeURIComponent(id)}`;
+        editEntry(id);
         return;
     }
 
-    if (action === "delete") {
-        if (!confirm("Delete this entry?")) return;
+    if (action === "collect") {
+        // Taking the entry out of the collection being listed drops it from this view
+        toggleCollectionMenu(btn, id, {
+            onChange: (collectionId, added) => {
+                if (!added && collectionId === filterCollection?.value) loadEntries({ history: "replace" }).catch(showLoadError);
+            }
+        });
+        return;
+    }
+
+    if (action === "progress") {
+        btn.disabled = true;
         try {
-        await deleteEntry(id);
-        // Remove the rendered row
+        const unit = btn.getAttribute("data-unit");
         const row = btn.closest(".entry-row");
-        row?.remove();
-        // Reload if list is now empty 
-        if (!entriesContainer.children.length) {
-            await loadEntries();
+        const statusBefore = row?.dataset.status;
+        const updated = await incrementProgress(id, unit);
+        // Swap just this card so the list doesn't jump (status may have flipped to Completed)
+        if (row) {
+            const hadFocus = row.contains(document.activeElement);
+            row.outerHTML = entryRowHTML(updated, searchTerm());
+            // Keep the keyboard where it was: the same button, or the row once the counter is full
+            const swapped = rowById(id);
+            const again = swapped?.querySelector(`[data-action="progress"][data-unit="${unit}"]`);
+            if (hadFocus) (again && !again.disabled ? again : swapped)?.focus();
         }
+        renderBulkBar();
+        // A finished entry drops out of the suggestions
+        if (updated?.status !== statusBefore) refreshNextUp();
         } catch (err) {
-        alert(`Delete failed: ${err?.message || String(err)}`);
+        btn.disabled = false;
+        showError("Update failed", err);
         }
+        return;
+    }
+
+    if (action === "delete") {
+        await deleteEntryRow(id);
     }
 });
 
+// Edit page for an entry; Save/Cancel there return to this view
+function editEntry(id) {
+    window.location.href = `entry.html?mode=edit&id=${encodeURIComponent(id)}&return=${encodeURIComponent(window.location.href)}`;
+}
 
-const prefersDark = localStorage.getItem("darkMode") === "true";
+// No confirm: the entry goes to the trash and the toast offers Undo.
+// Focus moves on to the row that takes the deleted one's place.
+async function deleteEntryRow(id) {
+    const title = titleForRow(id);
+    try {
+        await deleteEntry(id);
+        showUndoToast(`Deleted "${title}".`, [id]);
+    } catch (err) {
+        if (!isOfflineError(err) || !await queueDelete(id, title)) {
+            showError("Delete failed", err);
+            return;
+        }
+    }
+    refreshNextUp();
+    try {
+        if (listState.mode === "scroll") {
+            // Remove the rendered row, keep already-appended pages in place
+            const focus = captureRowFocus();
+            rowById(id)?.remove();
+            lastTotal = Math.max(0, lastTotal - 1);
+            renderSummary(entriesContainer.querySelectorAll(".entry-row").length);
+            renderBulkBar();
+            if (!entriesContainer.children.length) await loadEntries({ history: "replace" });
+            else restoreRowFocus(focus);
+        } else {
+            // Reload so the page backfills from the next one
+            await loadEntries({ history: "replace" });
+        }
+    } catch (err) {
+        showLoadError(err);                 // ignores a reload that was superseded
+    }
+}
 
-// Apply saved mode
-if (prefersDark) {
-    document.body.classList.add("dark-mode");
-    if (darkToggle) darkToggle.checked = true;
+// Offline delete: queued in the outbox, Undo takes it back out. False when it couldn't be queued.
+async function queueDelete(id, title) {
+    try {
+        const queued = await queueMutation({
+            method: "DELETE", path: entryPath(id), label: `Delete "${title}"`, entryId: id
+        });
+        showToast(`Deleted "${title}" on this device, it will be synced when you're back online.`, {
+            actionLabel: "Undo",
+            onAction: () => discardMutation(queued)
+                .then(() => loadEntries({ history: "replace" }))
+                .catch(showLoadError)
+        });
+        return true;
+    } catch {
+        return false;           // the caller shows the delete error
+    }
 }
 
-// Listen for toggle changes
-if (darkToggle) {
-    darkToggle.addEventListener("change", () => {
-        const enabled = darkToggle.checked;
-        document.body.classList.toggle("dark-mode", enabled);
-        localStorage.setItem("darkMode", enabled);
-    });
+
+// Export: fetch with the auth header, then hand the Blob to the browser as a download
+document.getElementById("new-entry")?.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-export]");
+    if (!btn) return;
+
+    const format = btn.dataset.export;
+    btn.disabled = true;
+    try {
+        const blob = await exportLibrary(format);
+        if (!blob) return;
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `media-library-${new Date().toISOString().slice(0, 10)}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    } catch (err) {
+        showError("Export failed", err);
+    } finally {
+        btn.disabled = false;
+    }
+});
+
+// ---------------------
+// Keyboard navigation
+// ---------------------
+// The list is a role="list" of focusable rows with a single tab stop (roving tabindex): Tab
+// enters the list at the last row used, j/k move between rows. Shortcuts (listed under the
+// toolbar in index.html): / search, j/k next/previous row, e edit, Del delete, n new entry.
+
+let currentRowId = null;    // row holding the list's tab stop
+
+function listRows() {
+    return Array.from(entriesContainer.querySelectorAll(".entry-row"));
+}
+
+// The row that has focus (the row itself or a control inside it), null when focus is elsewhere
+function focusedRow() {
+    return document.activeElement?.closest?.(".entry-row") || null;
+}
+
+// List role only while there are rows (the empty and error messages aren't list items),
+// and exactly one row in the tab order
+function syncRowTabStops() {
+    const rows = listRows();
+    if (rows.length) entriesContainer.setAttribute("role", "list");
+    else entriesContainer.removeAttribute("role");
+
+    const current = rows.find(row => row.dataset.id === currentRowId) || rows[0];
+    rows.forEach(row => row.setAttribute("tabindex", row === current ? "0" : "-1"));
 }
 
+// Before the list is re-rendered: where the keyboard was (null when focus is outside the list)
+function captureRowFocus() {
+    const row = focusedRow();
+    if (!row || !entriesContainer.contains(row)) return null;
+    return { id: row.dataset.id, index: listRows().indexOf(row) };
+}
+
+// After the re-render: the same entry if it's still listed, otherwise the one now in its place,
+// the list itself when nothing is left. Focus the user moved elsewhere meanwhile is left alone.
+function restoreRowFocus(saved) {
+    if (!saved) return;
+    const active = document.activeElement;
+    if (active && active !== document.body && !entriesContainer.contains(active)) return;
+
+    syncRowTabStops();                      // new rows aren't focusable until they have a tabindex
+    const rows = listRows();
+    const row = rows.find(r => r.dataset.id === saved.id) || rows[Math.min(saved.index, rows.length - 1)];
+    (row || entriesContainer).focus();
+}
+
+function moveRowFocus(step) {
+    const rows = listRows();
+    if (!rows.length) return;
+
+    const from = rows.indexOf(focusedRow());
+    const next = from === -1
+        ? Math.max(0, rows.findIndex(row => row.dataset.id === currentRowId))
+        : Math.max(0, Math.min(rows.length - 1, from + step));
+    rows[next].focus();
+}
+
+// Text fields keep their keys; checkboxes and buttons don't type anything
+function isTypingTarget(el) {
+    if (!el?.matches) return false;
+    if (el.matches("textarea, select, [contenteditable=''], [contenteditable='true']")) return true;
+    return el.tagName === "INPUT" && !["checkbox", "radio", "button", "submit", "reset"].includes(el.type);
+}
+
+// Every render (page load, appended page, swapped row, removed row) goes through here
+new MutationObserver(syncRowTabStops).observe(entriesContainer, { childList: true });
+
+entriesContainer.addEventListener("focusin", (e) => {
+    const row = e.target.closest(".entry-row");
+    if (!row || row.dataset.id === currentRowId) return;
+    currentRowId = row.dataset.id ?? null;
+    syncRowTabStops();
+});
+
+document.addEventListener("keydown", (e) => {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isDialogOpen()) return;
+
+    // Escape in the search box hands the keyboard back to the list
+    if (e.key === "Escape" && e.target === searchInput) {
+        moveRowFocus(0);
+        return;
+    }
+    if (isTypingTarget(e.target)) return;
+
+    const row = focusedRow();
+    switch (e.key) {
+        case "/":
+            searchInput?.focus();
+            searchInput?.select();
+            break;
+        case "j":
+            moveRowFocus(1);
+            break;
+        case "k":
+            moveRowFocus(-1);
+            break;
+        case "e":
+            if (!row?.dataset.id) return;
+            editEntry(row.dataset.id);
+            break;
+        case "Delete":
+            if (!row?.dataset.id) return;
+            deleteEntryRow(row.dataset.id);
+            break;
+        case "n":
+            window.location.href = newEntryLink?.href || "entry.html";
+            break;
+        default:
+            return;
+    }
+    e.preventDefault();
+});
+
 // ---------------------
 // Boot
 // ---------------------
 
-loadEntries().catch(err => {
-    console.error(err);
-    entriesContainer.innerHTML = `<div class="error">Failed to load: ${escapeHTML(err?.message || err)}</div>`;
-})
\ No newline at end of file
+// Back/forward: restore the view from the URL without adding another history entry
+window.addEventListener("popstate", () => {
+    clearTimeout(searchTimer);
+    applyUrlState();
+    renderFilterChips();
+    renderSortDir();
+    loadEntries({ history: "none" }).catch(showLoadError);
+});
+
+// Offline changes: show queued ones in the list, reload once some have been synced
+onOutboxChange((items, { sent }) => {
+    pending = pendingChanges(items);
+    if (!sent) return;
+    loadEntries({ history: "replace" }).catch(showLoadError);
+    refreshNextUp();
+});
+initLayout();
+mountSyncStatus(document.getElementById("syncStatus"));
+registerServiceWorker();
+
+// The filter controls need the metadata before the URL can be applied to them
+Promise.all([loadMetadata(), outboxItems()])
+    .then(([, items]) => {
+        pending = pendingChanges(items);
+        renderMetadataControls();
+        refreshNextUp = mountNextUp(document.getElementById("nextUp"));
+        applyUrlState();
+        renderFilterChips();
+        renderSortDir();
+        return loadEntries({ history: "replace" });
+    })
+    .catch(showLoadError);
\ No newline at end of file
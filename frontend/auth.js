@@ -1,51 +1,70 @@
-// Minimal client for Auth endpoints and token persistence
+// Minimal client for Auth endpoints (tokens are stored by api.js)
 
-const API_BASE = window.APP_CONFIG?.apiBaseUrl ?? "https://localhost:7106";
+import { api, http, saveSession, ApiError } from "./api.js";
+import { clearOfflineData, claimOfflineData } from "./offline.js";
 
-// Persist or clear the JWT in localStorage in a single place
-export function setAuthToken(token) {
-    if (token) localStorage.setItem("authToken", token);
-    else localStorage.removeItem("authToken");
-}
+// Sign-in calls carry no token, and their 401 means wrong credentials (not an expired session)
+const anonymous = { anonymous: true };
 
 // Create account and sign in
 export async function register(email, password) {
-    const r = await fetch(`${API_BASE}/api/auth/register`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, password })
-    });
-    if (!r.ok) throw new Error(await r.text());
-    const data = await r.json();
-    setAuthToken(data.accessToken);     // store the JWT
-    return data;
+    try {
+        const data = await http("POST", "/api/auth/register", { email, password }, anonymous);
+        saveSession(data);                  // store the JWT + refresh token
+        await claimOfflineData(data.userId);
+        return data;
+    } catch (err) {
+        throw readableAuthError(err);
+    }
 }
 
 // Sign in
 export async function login(email, password) {
-    const r = await fetch(`${API_BASE}/api/auth/login`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ email, password })
-    });
-    if (!r.ok) throw new Error(await r.text());
-    const data = await r.json();
-    setAuthToken(data.accessToken);
-    return data;
+    try {
+        const data = await http("POST", "/api/auth/login", { email, password }, anonymous);
+        saveSession(data);
+        await claimOfflineData(data.userId);  // another user's offline data must not carry over
+        return data;
+    } catch (err) {
+        if (err instanceof ApiError && err.status === 401) throw new Error("Wrong email or password.");
+        throw readableAuthError(err);
+    }
 }
 
-// Sign out (client side only, token is stateless)
-export function logout() {
-    setAuthToken(null);
+// Sign out: the tokens and the offline data (offline.js) are dropped and the refresh token is
+// revoked on the server. Resolves once the local state is gone; keepalive lets the revoke request
+// finish when the caller navigates away right after.
+export async function logout() {
+    const refreshToken = localStorage.getItem("refreshToken");
+    saveSession(null);
+    if (refreshToken) {
+        http("POST", "/api/auth/logout", { refreshToken }, { ...anonymous, keepalive: true })
+            .catch(() => {});   // best effort: an unreachable server can't be told, the token expires anyway
+    }
+    await clearOfflineData();
 }
 
-// Get current user (requires token)
+// Get current user; goes through api.js so an expired access token is refreshed first
 export async function fetchMe() {
-    const token = localStorage.getItem("authToken");
-    if (!token) throw new Error("Not authenticated.");
-    const r = await fetch(`${API_BASE}/api/auth/me`, {
-        headers: { Authorization: `Bearer ${token}` }
-    });
-    if (!r.ok) throw new Error(`HTTP ${r.status}`);
-    return r.json();
-}
\ No newline at end of file
+    if (!localStorage.getItem("authToken") && !localStorage.getItem("refreshToken")) {
+        throw new Error("Not authenticated.");
+    }
+    const me = await api.get("/api/auth/me");
+    if (!me) throw new Error("Not authenticated.");
+    return me;
+}
+
+// Register answers a rejected password/email with Identity's error list
+// ([{ code, description }]) instead of ProblemDetails; its descriptions read better than the raw body
+function readableAuthError(err) {
+    if (!(err instanceof ApiError) || err.problem) return err;
+    try {
+        const errors = JSON.parse(err.body);
+        if (Array.isArray(errors) && errors.length) {
+            return new Error(errors.map(e => e.description || e.code).join(" "));
+        }
+    } catch {
+        // not JSON: keep the ApiError and its message
+    }
+    return err;
+}
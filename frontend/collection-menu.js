@@ -0,0 +1,93 @@
+// "Add to collection" menu of an entry row (home page): the user's collections as checkboxes,
+// checked when the entry is in one. Toggling adds or removes the entry right away.
+// One menu is open at a time; Escape or a click elsewhere closes it.
+
+import { isAbortError } from "./api.js";
+import { listCollections, addToCollection, removeFromCollection } from "./collections-api.js";
+import { escapeHTML } from "./html.js";
+import { showToast, showError } from "./toast.js";
+
+let open = null;            // { menu, button, entryId, onChange } of the open menu
+
+export function closeCollectionMenu({ focus = false } = {}) {
+    if (!open) return;
+    const { menu, button } = open;
+    open = null;
+    menu.remove();
+    button.setAttribute("aria-expanded", "false");
+    if (focus && button.isConnected) button.focus();
+}
+
+// Opens the menu below the row's buttons (or closes it when it's already open for this button).
+// - onChange(collectionId, added): called after a successful add/remove
+export async function toggleCollectionMenu(button, entryId, { onChange } = {}) {
+    const wasOpen = open?.button === button;
+    closeCollectionMenu();
+    if (wasOpen) return;
+
+    const menu = document.createElement("div");
+    menu.className = "collection-menu";
+    menu.setAttribute("role", "group");
+    menu.setAttribute("aria-label", "Collections");
+    menu.innerHTML = `<span class="muted">Loading collections…</span>`;
+    (button.closest(".entry-actions") || button).after(menu);
+    button.setAttribute("aria-expanded", "true");
+    open = { menu, button, entryId, onChange };
+
+    try {
+        const collections = (await listCollections(entryId)) || [];
+        if (open?.menu !== menu) return;
+        menu.innerHTML = menuHTML(collections);
+        menu.querySelector("input")?.focus();
+    } catch (err) {
+        if (isAbortError(err) || open?.menu !== menu) return;
+        menu.innerHTML = `<div class="error">Couldn't load collections: ${escapeHTML(err?.message || String(err))}</div>`;
+    }
+}
+
+function menuHTML(collections) {
+    const items = collections.map(c => `
+        <label>
+            <input type="checkbox" value="${escapeHTML(c.id)}" data-name="${escapeHTML(c.name)}"${c.containsEntry ? " checked" : ""} />
+            ${escapeHTML(c.name)}
+        </label>`).join("");
+    return items
+        ? `${items}<a href="collections.html">Manage collections</a>`
+        : `<span class="muted">No collections yet.</span> <a href="collections.html">Create one</a>`;
+}
+
+// Title of the entry for messages, read from the rendered row
+function entryTitle(menu) {
+    return menu.closest(".entry-row")?.querySelector("strong")?.textContent || "Entry";
+}
+
+document.addEventListener("change", async (e) => {
+    const box = e.target.closest(".collection-menu input[type=checkbox]");
+    if (!box || !open?.menu.contains(box)) return;
+
+    const { menu, entryId, onChange } = open;
+    const add = box.checked;
+    const name = box.dataset.name;
+    const title = entryTitle(menu);
+    box.disabled = true;
+    try {
+        if (add) await addToCollection(box.value, entryId);
+        else await removeFromCollection(box.value, entryId);
+        showToast(add ? `Added "${title}" to "${name}".` : `Removed "${title}" from "${name}".`);
+        onChange?.(box.value, add);
+    } catch (err) {
+        box.checked = !add;
+        if (!isAbortError(err)) showError("Update failed", err);
+    } finally {
+        box.disabled = false;
+    }
+});
+
+document.addEventListener("keydown", (e) => {
+    if (e.key === "Escape" && open) closeCollectionMenu({ focus: true });
+});
+
+// A click outside the menu and its button closes it
+document.addEventListener("click", (e) => {
+    if (open && !open.menu.contains(e.target) && !open.button.contains(e.target)) closeCollectionMenu();
+});
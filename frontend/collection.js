@@ -0,0 +1,199 @@
+// Collection page script: one collection's entries in the user's order.
+// Rows can be dragged (HTML5 drag and drop) or moved with their arrow buttons; each new order is
+// sent right away (PUT /api/collections/{id}/order). Removing an entry keeps it in the library.
+
+import { isAbortError } from "./api.js";
+import { showToast, showError } from "./toast.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML } from "./html.js";
+import { loadMetadata, enumLabel } from "./metadata.js";
+import { getCollection, removeFromCollection, reorderCollection } from "./collections-api.js";
+import { moveItem, sameOrder } from "./list-order.js";
+
+// ----- DOM references -----
+const nameHeading = document.getElementById("collectionName");
+const descriptionText = document.getElementById("collectionDescription");
+const summary = document.getElementById("collectionSummary");
+const showInList = document.getElementById("showInList");
+const orderStatus = document.getElementById("orderStatus");
+const list = document.getElementById("collectionEntries");
+
+const collectionId = new URLSearchParams(window.location.search).get("id");
+
+let entries = new Map();    // entry id -> MediaEntryDto
+let order = [];             // entry ids in the saved (or being saved) order
+let dragId = null;          // row being dragged
+let saving = Promise.resolve();     // order saves go out one after the other
+
+// ------------------
+// Rendering
+// ------------------
+
+function itemHTML(dto, index) {
+    const title = escapeHTML(dto.title);
+    const subType = enumLabel("subTypes", dto.subType);
+    const meta = `${enumLabel("types", dto.type)}${subType ? ` - ${subType}` : ""}, ${enumLabel("statuses", dto.status)}`;
+    return `
+        <li class="collection-item" draggable="true" data-id="${dto.id}">
+            <span class="drag-handle" aria-hidden="true">⠿</span>
+            <div class="collection-item-main">
+                <strong>${title}</strong>
+                <span class="entry-meta">(${escapeHTML(meta)})</span>
+            </div>
+            <div class="entry-actions">
+                <button type="button" class="btn btn-small" data-action="up" aria-label="Move ${title} up"${index === 0 ? " disabled" : ""}>↑</button>
+                <button type="button" class="btn btn-small" data-action="down" aria-label="Move ${title} down"${index === order.length - 1 ? " disabled" : ""}>↓</button>
+                <button type="button" class="btn btn-small btn-danger" data-action="remove" aria-label="Remove ${title} from the collection">Remove</button>
+            </div>
+        </li>
+    `;
+}
+
+function renderEntries() {
+    list.innerHTML = order.map((id, i) => itemHTML(entries.get(id), i)).join("");
+    summary.textContent = order.length
+        ? `${order.length} ${order.length === 1 ? "entry" : "entries"}`
+        : "No entries yet - add some from the list with \"Add to collection\".";
+    showInList.hidden = order.length === 0;
+}
+
+function renderHeader(collection) {
+    document.title = `${collection.name} - Personal Media Tracker`;
+    nameHeading.textContent = collection.name;
+    descriptionText.textContent = collection.description || "";
+    descriptionText.hidden = !collection.description;
+    showInList.href = `index.html?collection=${encodeURIComponent(collection.id)}`;
+}
+
+async function loadCollection() {
+    const collection = await getCollection(collectionId);
+    entries = new Map((collection.entries || []).map(e => [e.id, e]));
+    order = (collection.entries || []).map(e => e.id);
+    renderHeader(collection);
+    renderEntries();
+}
+
+function showLoadError(err) {
+    if (isAbortError(err)) return;
+    console.error(err);
+    nameHeading.textContent = "Collection not available";
+    list.innerHTML = "";
+    summary.innerHTML = `<span class="error">${escapeHTML(err?.status === 404
+        ? "This collection doesn't exist (anymore)."
+        : `Failed to load: ${err?.message || String(err)}`)}</span>`;
+}
+
+// ------------------
+// Ordering
+// ------------------
+
+function renderedIds() {
+    return Array.from(list.querySelectorAll(".collection-item")).map(li => li.dataset.id);
+}
+
+function itemById(id) {
+    return Array.from(list.querySelectorAll(".collection-item")).find(li => li.dataset.id === id) || null;
+}
+
+// Show the new order and save it. A failed save reloads the order the server has.
+function saveOrder(ids) {
+    order = ids;
+    renderEntries();
+    orderStatus.textContent = "Saving order…";
+    saving = saving
+        .then(() => reorderCollection(collectionId, ids))
+        .then(() => {
+            if (order === ids) orderStatus.textContent = "Order saved.";
+        })
+        .catch((err) => {
+            orderStatus.textContent = "";
+            showError("Couldn't save the order", err);
+            return loadCollection().catch(showLoadError);
+        });
+    return saving;
+}
+
+// Arrow buttons: move one step and keep the focus on the moved row
+function moveBy(id, step) {
+    const from = order.indexOf(id);
+    saveOrder(moveItem(order, from, from + step));
+    const item = itemById(id);
+    const button = item?.querySelector(`[data-action="${step < 0 ? "up" : "down"}"]`);
+    (button && !button.disabled ? button : item?.querySelector("[data-action]:not([disabled])"))?.focus();
+}
+
+// ---------------------
+// Events
+// ---------------------
+
+list.addEventListener("dragstart", (e) => {
+    const item = e.target.closest(".collection-item");
+    if (!item) return;
+    dragId = item.dataset.id;
+    item.classList.add("dragging");
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", dragId);      // some browsers only start a drag with data
+});
+
+// The dragged row moves through the list as the pointer passes the middle of another row
+list.addEventListener("dragover", (e) => {
+    if (!dragId) return;
+    e.preventDefault();
+    const dragged = itemById(dragId);
+    const over = e.target.closest(".collection-item");
+    if (!dragged || !over || over === dragged) return;
+    const { top, height } = over.getBoundingClientRect();
+    if (e.clientY > top + height / 2) over.after(dragged);
+    else over.before(dragged);
+});
+
+list.addEventListener("drop", (e) => {
+    if (dragId) e.preventDefault();
+});
+
+// Fires after a drop and after a cancelled drag (Escape), so the order is only saved when it changed
+list.addEventListener("dragend", () => {
+    itemById(dragId)?.classList.remove("dragging");
+    dragId = null;
+    const ids = renderedIds();
+    if (!sameOrder(ids, order)) saveOrder(ids);
+});
+
+list.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    const id = btn?.closest(".collection-item")?.dataset.id;
+    if (!id) return;
+
+    const action = btn.dataset.action;
+    if (action === "up" || action === "down") {
+        moveBy(id, action === "up" ? -1 : 1);
+        return;
+    }
+
+    if (action === "remove") {
+        const title = entries.get(id)?.title || "Entry";
+        btn.disabled = true;
+        try {
+            await saving;
+            await removeFromCollection(collectionId, id);
+            order = order.filter(x => x !== id);
+            entries.delete(id);
+            renderEntries();
+            showToast(`Removed "${title}" from the collection.`);
+        } catch (err) {
+            btn.disabled = false;
+            showError("Remove failed", err);
+        }
+    }
+});
+
+initLayout();
+if (!collectionId) {
+    window.location.href = "collections.html";
+} else {
+    // Labels come from the metadata, the collection can still be shown without it
+    loadMetadata()
+        .catch(err => console.warn("Metadata not available", err))
+        .then(loadCollection)
+        .catch(showLoadError);
+}
@@ -0,0 +1,50 @@
+// Client for the collection endpoints (/api/collections), shared by the pages.
+// Thin wrappers over api.js: they build paths and bodies, errors propagate unchanged.
+
+import { api } from "./api.js";
+import { toQuery } from "./entries-api.js";
+
+export const COLLECTIONS = "/api/collections";
+
+// "/api/collections/<id>"
+export function collectionPath(id) {
+    return `${COLLECTIONS}/${encodeURIComponent(id)}`;
+}
+
+// By name with entry counts; with entryId each one carries containsEntry for that entry
+export async function listCollections(entryId) {
+    return api.get(`${COLLECTIONS}${toQuery({ entryId })}`);
+}
+
+// The collection with its entries (MediaEntryDto[]) in the user's order
+export async function getCollection(id) {
+    return api.get(collectionPath(id));
+}
+
+// dto: { name, description }; a name the user already has is a 409
+export async function createCollection(dto) {
+    return api.post(COLLECTIONS, dto);
+}
+
+export async function updateCollection(id, dto) {
+    return api.put(collectionPath(id), dto);
+}
+
+// Only the collection goes, its entries stay in the library
+export async function deleteCollection(id) {
+    return api.del(collectionPath(id));
+}
+
+// Appends the entry (no change if it's already in), returns the collection with its new count
+export async function addToCollection(id, entryId) {
+    return api.post(`${collectionPath(id)}/entries`, { entryId });
+}
+
+export async function removeFromCollection(id, entryId) {
+    return api.del(`${collectionPath(id)}/entries/${encodeURIComponent(entryId)}`);
+}
+
+// entryIds: every entry of the collection, in the new order
+export async function reorderCollection(id, entryIds) {
+    return api.put(`${collectionPath(id)}/order`, { entryIds });
+}
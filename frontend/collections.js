@@ -0,0 +1,176 @@
+// Collections page script: lists the user's collections with entry counts; create, rename/describe
+// and delete them. The entries of one collection are arranged on collection.html.
+
+import { isAbortError } from "./api.js";
+import { showToast, showError } from "./toast.js";
+import { confirmDialog } from "./dialog.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML } from "./html.js";
+import { listCollections, createCollection, updateCollection, deleteCollection } from "./collections-api.js";
+
+// ----- DOM references -----
+const collectionContainer = document.getElementById("collectionContainer");
+const collectionSummary = document.getElementById("collectionSummary");
+const newCollectionForm = document.getElementById("newCollectionForm");
+const newCollectionName = document.getElementById("newCollectionName");
+const newCollectionDescription = document.getElementById("newCollectionDescription");
+
+let collections = [];       // CollectionDto[] from the last load ({ id, name, description, count })
+let editingId = null;       // row currently showing the edit form
+
+// ------------------
+// Utilities
+// ------------------
+
+function entriesText(count) {
+    return `${count} ${count === 1 ? "entry" : "entries"}`;
+}
+
+function collectionById(id) {
+    return collections.find(c => c.id === id);
+}
+
+// ------------------
+// Rendering
+// ------------------
+
+function formatCollectionHTML(collection) {
+    const name = escapeHTML(collection.name);
+    const description = escapeHTML(collection.description || "");
+    const pageUrl = `collection.html?id=${encodeURIComponent(collection.id)}`;
+    const listUrl = `index.html?collection=${encodeURIComponent(collection.id)}`;
+
+    const main = collection.id === editingId
+        ? `<form class="collection-form collection-edit" data-id="${collection.id}">
+                <input type="text" name="name" value="${name}" maxlength="100" aria-label="Name" required />
+                <input type="text" name="description" value="${description}" maxlength="1000" aria-label="Description" placeholder="Description" />
+                <button type="submit" class="btn">Save</button>
+                <button type="button" class="btn" data-action="cancel">Cancel</button>
+            </form>`
+        : `<strong><a href="${pageUrl}">${name}</a></strong>
+            <span class="entry-meta">(${entriesText(collection.count)})</span>
+            ${collection.count ? `<a href="${listUrl}">Show in list</a>` : ""}
+            ${description ? `<div class="entry-sub">${description}</div>` : ""}`;
+
+    return `
+        <div class="entry-row collection-row" data-id="${collection.id}">
+            <div class="entry-main">${main}</div>
+            <div class="entry-actions">
+                <a class="btn" href="${pageUrl}">Arrange</a>
+                <button type="button" class="btn" data-action="edit" data-id="${collection.id}">Edit</button>
+                <button type="button" class="btn btn-danger" data-action="delete" data-id="${collection.id}">Delete</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderCollections() {
+    collectionContainer.innerHTML = collections.length
+        ? collections.map(formatCollectionHTML).join("")
+        : `<div class="muted">No collections yet. Create one above.</div>`;
+    collectionSummary.textContent = collections.length
+        ? `${collections.length} ${collections.length === 1 ? "collection" : "collections"}`
+        : "";
+
+    if (editingId) {
+        const input = collectionContainer.querySelector(".collection-edit input");
+        input?.focus();
+        input?.select();
+    }
+}
+
+async function loadCollections() {
+    collections = (await listCollections()) || [];
+    if (!collectionById(editingId)) editingId = null;
+    renderCollections();
+}
+
+function showLoadError(err) {
+    if (isAbortError(err)) return;
+    console.error(err);
+    collectionContainer.innerHTML =
+        `<div class="error">Failed to load collections: ${escapeHTML(err?.message || String(err))}</div>`;
+}
+
+// ---------------------
+// Events
+// ---------------------
+
+newCollectionForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const name = newCollectionName.value.trim();
+    if (!name) return;
+
+    const btn = newCollectionForm.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+        const created = await createCollection({ name, description: newCollectionDescription.value.trim() || null });
+        newCollectionName.value = "";
+        newCollectionDescription.value = "";
+        showToast(`Created "${created?.name ?? name}".`);
+        await loadCollections();
+    } catch (err) {
+        showError("Create failed", err);
+    } finally {
+        btn.disabled = false;
+    }
+});
+
+collectionContainer.addEventListener("submit", async (e) => {
+    const form = e.target.closest(".collection-edit");
+    if (!form) return;
+    e.preventDefault();
+
+    const collection = collectionById(form.dataset.id);
+    const name = form.elements.name.value.trim();
+    if (!collection || !name) return;
+
+    form.querySelectorAll("button").forEach(b => { b.disabled = true; });
+    try {
+        await updateCollection(collection.id, { name, description: form.elements.description.value.trim() || null });
+        editingId = null;
+        showToast(`Saved "${name}".`);
+        await loadCollections();
+    } catch (err) {
+        form.querySelectorAll("button").forEach(b => { b.disabled = false; });
+        showError("Save failed", err);
+    }
+});
+
+collectionContainer.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (!btn) return;
+
+    const action = btn.dataset.action;
+    if (action === "cancel") {
+        editingId = null;
+        renderCollections();
+        return;
+    }
+
+    const collection = collectionById(btn.dataset.id);
+    if (!collection) return;
+
+    if (action === "edit") {
+        editingId = collection.id;
+        renderCollections();
+        return;
+    }
+
+    if (action === "delete") {
+        const kept = collection.count ? ` Its ${entriesText(collection.count)} stay in your library.` : "";
+        if (!await confirmDialog(`Delete the collection "${collection.name}"?${kept}`, { title: "Delete collection", confirmLabel: "Delete", danger: true })) return;
+        btn.disabled = true;
+        try {
+            await deleteCollection(collection.id);
+            showToast(`Deleted the collection "${collection.name}".`);
+            await loadCollections();
+        } catch (err) {
+            btn.disabled = false;
+            showError("Delete failed", err);
+        }
+    }
+});
+
+initLayout();
+loadCollections().catch(showLoadError);
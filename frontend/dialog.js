@@ -0,0 +1,75 @@
+// Modal confirm dialog, the accessible stand-in for window.confirm(): it doesn't block the page,
+// traps focus while open, closes with Escape (= cancel) and gives focus back to where it was.
+// The rest of the page is made inert meanwhile so screen readers and Tab stay inside.
+
+let current = null;         // { close } of the open dialog (one at a time)
+let nextId = 0;
+
+export function isDialogOpen() {
+    return current !== null;
+}
+
+// Resolves true when confirmed, false when cancelled (button, Escape or a click outside).
+// - danger: destructive action; the confirm button gets the danger style and focus starts on Cancel
+export function confirmDialog(message, { title = "Are you sure?", confirmLabel = "OK", cancelLabel = "Cancel", danger = false } = {}) {
+    current?.close(false);
+
+    const id = `dialog-${++nextId}`;
+    const opener = document.activeElement;
+
+    const backdrop = document.createElement("div");
+    backdrop.className = "modal-backdrop";
+    backdrop.innerHTML = `
+        <div class="modal" role="alertdialog" aria-modal="true" aria-labelledby="${id}-title" aria-describedby="${id}-message">
+            <h2 id="${id}-title" class="modal-title"></h2>
+            <p id="${id}-message" class="modal-message"></p>
+            <div class="modal-actions">
+                <button type="button" class="btn" data-dialog="cancel"></button>
+                <button type="button" class="btn${danger ? " btn-danger" : ""}" data-dialog="confirm"></button>
+            </div>
+        </div>`;
+    // Text goes in as text, callers pass user-entered names
+    backdrop.querySelector(".modal-title").textContent = title;
+    backdrop.querySelector(".modal-message").textContent = message;
+    const cancelBtn = backdrop.querySelector('[data-dialog="cancel"]');
+    const confirmBtn = backdrop.querySelector('[data-dialog="confirm"]');
+    cancelBtn.textContent = cancelLabel;
+    confirmBtn.textContent = confirmLabel;
+
+    // Everything else on the page is out of reach until the dialog closes
+    const inerted = [...document.body.children].filter(el => !el.inert);
+    inerted.forEach(el => { el.inert = true; });
+    document.body.appendChild(backdrop);
+
+    return new Promise((resolve) => {
+        const close = (result) => {
+            if (current?.close !== close) return;
+            current = null;
+            backdrop.remove();
+            inerted.forEach(el => { el.inert = false; });
+            if (opener?.isConnected) opener.focus();
+            resolve(result);
+        };
+        current = { close };
+
+        cancelBtn.addEventListener("click", () => close(false));
+        confirmBtn.addEventListener("click", () => close(true));
+        backdrop.addEventListener("click", (e) => {
+            if (e.target === backdrop) close(false);
+        });
+        backdrop.addEventListener("keydown", (e) => {
+            if (e.key === "Escape") {
+                e.preventDefault();
+                close(false);
+                return;
+            }
+            // Tab cycles between the two buttons
+            if (e.key === "Tab") {
+                e.preventDefault();
+                (document.activeElement === cancelBtn ? confirmBtn : cancelBtn).focus();
+            }
+        });
+
+        (danger ? cancelBtn : confirmBtn).focus();
+    });
+}
@@ -0,0 +1,137 @@
+// Client for the entry endpoints (/api/mediaentries, /api/trash), shared by the pages.
+// Thin wrappers over api.js: they build paths and bodies, errors propagate unchanged.
+
+import { api } from "./api.js";
+
+export const ENTRIES = "/api/mediaentries";
+export const TRASH = "/api/trash";
+
+// Builds a query string from an object (skips null/empty)
+// Arrays become repeated keys (?status=Watching&status=OnHold), empty arrays are skipped.
+export function toQuery(params) {
+    const q = new URLSearchParams();
+    Object.entries(params || {}).forEach(([k, v]) => {
+        if (Array.isArray(v)) {
+            v.filter(x => x !== undefined && x !== null && x !== "").forEach(x => q.append(k, String(x)));
+            return;
+        }
+        if (v === undefined || v === null || v === "") return;
+        q.set(k, String(v));
+    });
+    const s = q.toString();
+    return s ? `?${s}` : "";
+}
+
+// "/api/mediaentries/<id>" (also the outbox path for offline updates/deletes)
+export function entryPath(id) {
+    return `${ENTRIES}/${encodeURIComponent(id)}`;
+}
+
+// "/api/mediaentries?..." for a list query (also the key of the list's offline copy)
+export function listPath(query) {
+    return `${ENTRIES}${toQuery(query)}`;
+}
+
+// ----- Entries -----
+
+// List entries with filters and paging (signal lets a newer search cancel this one)
+export async function listEntries(query, signal) {
+    return api.get(listPath(query), { signal });
+}
+
+export async function getEntry(id) {
+    return api.get(entryPath(id));
+}
+
+export async function createEntry(dto) {
+    return api.post(ENTRIES, dto);
+}
+
+// version: MediaEntryDto.version the edit is based on, sent as If-Match (412 if it's outdated)
+export async function updateEntry(id, dto, version) {
+    return api.put(entryPath(id), dto, { headers: ifMatch(version) });
+}
+
+// Soft delete: the entry goes to the trash
+export async function deleteEntry(id) {
+    return api.del(entryPath(id));
+}
+
+// Status and rating changes, newest first
+export async function entryHistory(id) {
+    return api.get(`${entryPath(id)}/history`);
+}
+
+// Step one progress counter (Episode/Chapter/Volume), returns the updated entry
+export async function incrementProgress(id, unit, amount = 1) {
+    return api.post(`${entryPath(id)}/progress`, { unit, amount });
+}
+
+// Bulk actions: action is "status" | "tags" | "delete", body carries ids + action fields.
+// The server answers with one result per id ({ items: [{ id, ok, error }], succeeded, failed }).
+export async function bulkRequest(action, body) {
+    return api.post(`${ENTRIES}/bulk/${action}`, body);
+}
+
+// If-Match header for a version, undefined without one (unconditional save)
+export function ifMatch(version) {
+    return version ? { "If-Match": `"${version}"` } : undefined;
+}
+
+// ----- Suggestions -----
+
+// Likely duplicates of a title about to be saved (fuzzy match, most similar first).
+// excludeId leaves out the entry being edited.
+export async function findDuplicates(title, excludeId = null) {
+    return api.get(duplicatesPath(title, excludeId));
+}
+
+export function duplicatesPath(title, excludeId = null) {
+    return `${ENTRIES}/duplicates${toQuery({ title, excludeId })}`;
+}
+
+// Planning/OnHold entries ranked against the best-rated completed ones ({ basedOn, items })
+export async function getNextUp(limit) {
+    return api.get(`${ENTRIES}/next-up${toQuery({ limit })}`);
+}
+
+// ----- Library -----
+
+// Whole library as a file ("csv" | "json")
+export async function exportLibrary(format) {
+    return api.get(`${ENTRIES}/export?format=${encodeURIComponent(format)}`, { responseType: "blob" });
+}
+
+// POST the raw file text; dryRun = true only previews
+export async function importLibrary({ format, content, onDuplicate, defaultStatus, dryRun }) {
+    return api.post(`${ENTRIES}/import`, { format, content, onDuplicate, defaultStatus, dryRun });
+}
+
+// Library summary for the stats page, completions per month for the last `months` months
+export async function getStats(months) {
+    return api.get(`${ENTRIES}/stats${toQuery({ months })}`);
+}
+
+// ----- Trash -----
+
+export async function listTrash(page, pageSize) {
+    return api.get(`${TRASH}${toQuery({ page, pageSize })}`);
+}
+
+// Undo a delete: soft-deleted entries stay in the trash until restored or purged
+export async function restoreEntry(id) {
+    return api.post(`${TRASH}/${encodeURIComponent(id)}/restore`);
+}
+
+export async function restoreEntries(ids) {
+    return api.post(`${TRASH}/restore`, { ids });
+}
+
+// Permanent: the entry, its tags and history are gone afterwards
+export async function purgeEntry(id) {
+    return api.del(`${TRASH}/${encodeURIComponent(id)}`);
+}
+
+export async function emptyTrash() {
+    return api.del(TRASH);
+}
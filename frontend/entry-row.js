@@ -0,0 +1,90 @@
+// HTML for one row of the entry list (index.html). Labels come from the metadata (metadata.js),
+// user-entered text is always escaped.
+
+import { PROGRESS_UNITS, progressUnitsFor } from "./enums.js";
+import { enumLabel } from "./metadata.js";
+import { escapeHTML, highlightHTML } from "./html.js";
+
+// Build "tag badges" row from string[]
+export function renderTags(tags) {
+    if (!tags || !tags.length) return `<span class="tag-badge muted"> No tags</span>`;
+    return tags.map(t => `<span class="tag-badge">${escapeHTML(t)}</span>`).join(" ");
+}
+
+// Progress bar + quick "+1" button per counter that fits the entry's type/subtype.
+// Without a known total there's no bar, just the running count; readOnly leaves out the buttons.
+export function renderProgress(dto, { readOnly = false } = {}) {
+    return progressUnitsFor(dto.type, dto.subType).map((unit) => {
+        const { enumValue, current, total, label, short } = PROGRESS_UNITS[unit];
+        const done = Number(dto[current] ?? 0);
+        const max = dto[total] ?? null;
+        const finished = max !== null && max > 0 && done >= max;
+        const count = max !== null ? `${done} / ${max}` : `${done}`;
+        const bar = max
+            ? `<progress max="${max}" value="${Math.min(done, max)}" aria-label="${label} progress">${count}</progress>`
+            : "";
+        return `
+            <div class="entry-progress">
+                <span class="progress-count">${label}: ${count}</span>
+                ${bar}
+                ${readOnly ? "" : `<button type="button" class="btn btn-small" data-action="progress" data-unit="${enumValue}" data-id="${dto.id}"${finished ? " disabled" : ""}>+1 ${short}</button>`}
+            </div>`;
+    }).join("");
+}
+
+// Build HTML for one list item (MediaEntryDto)
+// - highlight: optional search term to mark in the title and notes
+// - selected: the row's bulk-selection checkbox starts checked
+// - pending: the entry has an offline change that isn't synced yet
+// - readOnly: someone else's shared list (share.html): no selection, no actions, no ids
+export function formatEntryHTML(dto, { highlight = "", selected = false, pending = false, readOnly = false } = {}) {
+    // Defensive: escape user-provided fields to avoid XSS
+    const safeTitle = highlightHTML(dto.title, highlight);
+    const safeNotes = dto.notes ? highlightHTML(dto.notes, highlight) : "";
+
+    const rating = dto.rating ?? "N/A";
+    const statusLabel = enumLabel("statuses", dto.status);
+    const typeLabel = enumLabel("types", dto.type);
+    const subTypeLabel = enumLabel("subTypes", dto.subType);
+    const tagsHTML = renderTags(dto.tags);
+
+    // Buttons: edit/add to collection/delete
+    // NOTE: edit uses entry.html?mode=edit&id=<id>; "collect" opens the collection menu (collection-menu.js)
+    const actionsHTML = readOnly ? "" : `
+            <div class="entry-actions">
+                <button type="button" class="btn" data-action="edit" data-id="${dto.id}" aria-keyshortcuts="E">Edit</button>
+                <button type="button" class="btn" data-action="collect" data-id="${dto.id}" aria-haspopup="true" aria-expanded="false">Add to collection</button>
+                <button type="button" class="btn btn-danger" data-action="delete" data-id="${dto.id}" aria-keyshortcuts="Delete">Delete</button>
+            </div>`;
+
+    return `
+        <div class="entry-row" role="listitem"${readOnly ? "" : ` data-id="${dto.id}" data-status="${escapeHTML(dto.status)}"`}>
+            <div class="entry-main">
+                ${readOnly ? "" : `<input type="checkbox" class="entry-select" data-id="${dto.id}" aria-label="Select ${escapeHTML(dto.title)}"${selected ? " checked" : ""} />`}
+                <strong>${safeTitle}</strong>
+                <span class="entry-meta">(${escapeHTML(typeLabel)}${subTypeLabel ? ` - ${escapeHTML(subTypeLabel)}` : ""}, ${escapeHTML(statusLabel)})</span>
+                ${pending ? `<span class="sync-badge">Not synced yet</span>` : ""}
+            </div>
+            <div class="entry-sub">
+                Genres: ${tagsHTML} &nbsp;-&nbsp; Rating: ${escapeHTML(rating)}
+            </div>
+            ${renderProgress(dto, { readOnly })}
+            ${dto.notes ? `<div class="entry-notes"><small>${safeNotes}</small></div>` : ""}${actionsHTML}
+        </div>
+  `;
+}
+
+// A create queued offline has no id yet, so there's nothing to edit or delete until it's synced
+export function formatPendingCreateHTML(body) {
+    const subTypeLabel = enumLabel("subTypes", body.subType);
+    return `
+        <div class="entry-row entry-pending" role="listitem">
+            <div class="entry-main">
+                <strong>${escapeHTML(body.title)}</strong>
+                <span class="entry-meta">(${escapeHTML(enumLabel("types", body.type))}${subTypeLabel ? ` - ${escapeHTML(subTypeLabel)}` : ""}, ${escapeHTML(enumLabel("statuses", body.status))})</span>
+                <span class="sync-badge">Not synced yet</span>
+            </div>
+            <div class="entry-sub">Genres: ${renderTags(body.tags)}</div>
+        </div>
+  `;
+}
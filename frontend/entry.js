@@ -1,18 +1,31 @@
 /**
  * Add/Edit page wired to API with enum-safe mapping.
- *  - Maps UI selects -> Enum strings for create/update
- *  - Maps Enum strings -> UI selects for edit load
+ *  - Type/SubType/Status selects and genre pills are built from GET /api/metadata
+ *  - Select values are the enum strings, so they go to the API (and come back) unchanged
+ *  - The SubType select only offers subtypes the selected type allows
+ *  - Validation mirrors the API rules; problems are shown next to the field they concern
+ *  - Unsaved changes are kept as a draft in localStorage (one per mode + id) and offered back
+ *    on the next visit; leaving with unsaved changes asks first
+ *  - Edits are saved with If-Match; when someone saved in between (412) the two versions are
+ *    shown side by side and the user picks one
+ *  - Offline, the entry comes from the copy kept on this device and saves wait in the outbox
+ *    (offline.js) until the API is reachable again
+ *  - Adding a title that looks like one already in the library shows the likely duplicates first;
+ *    "Add anyway" saves it regardless
  */
 
+import { PROGRESS_UNITS, progressUnitsFor } from "./enums.js";
 import {
-  uiTypeToEnum, uiSubTypeToEnum, uiStatusToEnum,
-  enumTypeToUI, enumSubTypeToUI, enumStatusToUI
-} from "./enums.js";
-import { api } from "./api.js";
-
-// ----- Constants -----
-// Centralize the base path so you never forget it in API calls.
-const BASE = "/api/mediaentries";
+    loadMetadata, enumOptions, subTypeOptionsFor, isSubTypeAllowed, tagOptions, enumLabel, fillSelect
+} from "./metadata.js";
+import { ApiError, isOfflineError } from "./api.js";
+import {
+    ENTRIES, entryPath, getEntry, createEntry, updateEntry, entryHistory, ifMatch, findDuplicates
+} from "./entries-api.js";
+import { parseOptionalRating, parseOptionalCount } from "./form-values.js";
+import { saveCached, cachedEntry, queueMutation, registerServiceWorker } from "./offline.js";
+import { mountSyncStatus } from "./sync-status.js";
+import { initLayout } from "./layout.js";
 
 // ----- DOM references -----
 const form = document.getElementById("mediaForm");
@@ -23,12 +36,24 @@ const statusSelect = document.getElementById("status");
 const ratingInput = document.getElementById("rating");
 const notesInput = document.getElementById("notes");
 const submitBtn = document.getElementById("submitBtn");
+const formMsg = document.getElementById("formMsg");
 const cancelBtn = document.getElementById("cancelBtn");
 const stayOnPageToggle = document.getElementById("stayOnPageToggle");
 const stayCheckboxContainer = document.getElementById("stayCheckboxContainer");
 const formTitleEl = document.getElementById("formTitle");
-const genresContainer = document.getElementById("genreContainer"); // parent div for genre checkboxes
-const darkToggle = document.getElementById("darkModeToggle");
+const genresContainer = document.getElementById("genreContainer"); // chips + text input for genres
+const tagChips = document.getElementById("tagChips");
+const tagText = document.getElementById("tagText");
+const tagSuggestions = document.getElementById("tagSuggestions");
+const progressFields = document.getElementById("progressFields");
+const startedOnInput = document.getElementById("startedOn");
+const finishedOnInput = document.getElementById("finishedOn");
+const rewatchInput = document.getElementById("rewatchCount");
+const historySection = document.getElementById("historySection");
+const historyTimeline = document.getElementById("historyTimeline");
+const draftBanner = document.getElementById("draftBanner");
+const conflictPanel = document.getElementById("conflictPanel");
+const duplicateWarning = document.getElementById("duplicateWarning");
 
 // ----- URL params (id-based) -----
 const urlParams = new URLSearchParams(window.location.search);
@@ -36,36 +61,155 @@ const mode = (urlParams.get("mode") || "add").toLowerCase(); // "add" or "edit"
 const editId = urlParams.get("id"); // used only when mode === "edit"
 const isEditMode = mode === "edit";
 
-// Converts "", null, undefined -> null. Any number is rounded to nearest 0.5.
-function parseOptionalRating(v) {
-    if (v === null || v === undefined) return null;
-    const s = String(v).trim();
-    if (!s) return null;
-    const n = Number(s);
-    if (Number.isNaN(n)) return null;
-    // normalize to 0.5 increments
-    const halfSteps = Math.round(n * 2);
-    return halfSteps / 2;
+// ----- Draft + version state -----
+// One draft per form: "entryDraft:add:new", "entryDraft:edit:<id>"
+const DRAFT_KEY = `entryDraft:${isEditMode ? "edit" : "add"}:${(isEditMode && editId) || "new"}`;
+const DRAFT_DELAY_MS = 500;
+
+let entryVersion = null;    // MediaEntryDto.version the form is based on, sent as If-Match
+let cleanState = null;      // form payload (JSON) as last loaded/saved; null while loading
+let pendingDraft = null;    // stored draft waiting for Restore/Discard (not overwritten meanwhile)
+let draftTimer = null;
+let leaving = false;        // navigating away after a successful save, no unsaved-changes prompt
+let conflictEntry = null;   // the server's copy from the last 412
+
+// The list view we came from (index.html with its filters/page in the query string).
+// Only same-origin list URLs are honored, anything else falls back to the plain list.
+const returnUrl = (() => {
+    const fallback = new URL("index.html", window.location.href);
+    try {
+        const candidate = new URL(urlParams.get("return") || "index.html", window.location.href);
+        const sameOrigin = candidate.origin === window.location.origin;
+        const pointsToList = /\/(index\.html)?$/i.test(candidate.pathname);
+        return (sameOrigin && pointsToList ? candidate : fallback).toString();
+    } catch {
+        return fallback.toString();
+    }
+})();
+
+// ----- Progress helpers -----
+// Counters that apply to the type/subtype currently selected in the form
+const visibleProgressUnits = () =>
+    progressUnitsFor(typeSelect?.value, subTypeSelect?.value);
+
+// Show only the counter rows that fit the selected type/subtype
+function updateProgressVisibility() {
+    if (!progressFields) return;
+    const units = visibleProgressUnits();
+    progressFields.hidden = units.length === 0;
+    progressFields.querySelectorAll(".progress-field").forEach((row) => {
+        row.hidden = !units.includes(row.dataset.unit);
+    });
+}
+
+const progressInput = (field) => document.getElementById(field);
+
+// A subtype the new type can't have falls back to "None" (Manga series -> Movie)
+typeSelect?.addEventListener("change", () => {
+    renderSubTypeOptions();
+    updateProgressVisibility();
+});
+subTypeSelect?.addEventListener("change", updateProgressVisibility);
+
+// ----- Form options -----
+// SubType is optional, so it gets a leading "None"
+function renderSubTypeOptions() {
+    fillSelect(subTypeSelect, subTypeOptionsFor(typeSelect?.value), { blank: "None" });
+}
+
+function renderFormOptions() {
+    fillSelect(typeSelect, enumOptions("types"));
+    renderSubTypeOptions();
+    fillSelect(statusSelect, enumOptions("statuses"));
+    renderTagSuggestions();
 }
 
 // ----- Genre helpers -----
-// Read all checked genres from the UI into an array of strings
-const collectSelectedGenres = () => {
-    if (!genresContainer) return [];
-    return Array.from(
-        genresContainer.querySelectorAll('input[type="checkbox"]:checked')
-    ).map((cb) => cb.value);
-};
+// Genres are free-form tags shown as removable chips. Names are trimmed + lowercased like the
+// server stores them, so "Drama" and "drama" are one tag.
+let selectedTags = [];
+
+// "Drama, sci-fi" -> ["drama", "sci-fi"]
+const splitTags = (text) =>
+    String(text ?? "").split(",").map(t => t.trim().toLowerCase()).filter(Boolean);
+
+// Autocomplete: the user's existing tags (and suggested genres) not picked yet
+function renderTagSuggestions() {
+    if (!tagSuggestions) return;
+    const chosen = new Set(selectedTags);
+    tagSuggestions.replaceChildren(
+        ...tagOptions().filter(o => !chosen.has(o.value)).map(o => new Option(o.value))
+    );
+}
+
+function renderTagChips() {
+    if (!tagChips) return;
+    tagChips.replaceChildren(...selectedTags.map((name) => {
+        const chip = document.createElement("li");
+        chip.className = "filter-chip";
+        const remove = document.createElement("button");
+        remove.type = "button";
+        remove.className = "chip-remove";
+        remove.dataset.tag = name;
+        remove.setAttribute("aria-label", `Remove genre ${name}`);
+        remove.textContent = "×";
+        chip.append(name, remove);
+        return chip;
+    }));
+    renderTagSuggestions();
+    scheduleDraftSave();
+}
+
+// Adds whatever is typed in the genre box as chips and clears it
+function commitTagText() {
+    if (!tagText) return;
+    const added = splitTags(tagText.value).filter(t => !selectedTags.includes(t));
+    tagText.value = "";
+    if (!added.length) return;
+    selectedTags = [...new Set([...selectedTags, ...added])];
+    renderTagChips();
+}
+
+// Chosen genres, including text typed but not yet turned into a chip
+const collectSelectedGenres = () => [...new Set([...selectedTags, ...splitTags(tagText?.value)])];
 
-// Set checkbox state based on array of strings
+// Replace the chosen genres (array of names)
 const setSelectedGenres = (genres) => {
-    if (!genresContainer) return;
-    const set = new Set(Array.isArray(genres) ? genres : []);
-    genresContainer.querySelectorAll('input[type="checkbox"]').forEach((cb) => {
-        cb.checked = set.has(cb.value);
-    });
+    selectedTags = [...new Set((Array.isArray(genres) ? genres : []).flatMap(splitTags))];
+    if (tagText) tagText.value = "";
+    renderTagChips();
 }
 
+// Enter or comma turns the text into a chip; Backspace in an empty box removes the last chip
+tagText?.addEventListener("keydown", (e) => {
+    if ((e.key === "Enter" || e.key === ",") && tagText.value.trim()) {
+        e.preventDefault();
+        commitTagText();
+    } else if (e.key === "Backspace" && !tagText.value && selectedTags.length) {
+        selectedTags = selectedTags.slice(0, -1);
+        renderTagChips();
+    }
+});
+
+// Picking a suggestion replaces the text in one go; pasted lists are split on commas
+tagText?.addEventListener("input", (e) => {
+    if (e.inputType === "insertReplacementText" || tagText.value.includes(",")) commitTagText();
+});
+tagText?.addEventListener("change", commitTagText);
+
+tagChips?.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-tag]");
+    if (!btn) return;
+    selectedTags = selectedTags.filter(t => t !== btn.dataset.tag);
+    renderTagChips();
+    tagText?.focus();
+});
+
+// Clicking the box around the chips focuses the text input
+genresContainer?.addEventListener("click", (e) => {
+    if (e.target === genresContainer || e.target === tagChips) tagText?.focus();
+});
+
 // ----- UX helpers -----
 // Show a friendly message and halt further script
 const showNotFoundAndStop = (msg = "Could not find that entry to edit.") => {
@@ -74,7 +218,7 @@ const showNotFoundAndStop = (msg = "Could not find that entry to edit.") => {
     notice.style.margin = "1rem 0";
     notice.textContent = msg + " ";
     const back = document.createElement("a");
-    back.href = "index.html";
+    back.href = returnUrl;
     back.textContent = "Return to the list";
     notice.appendChild(back);
 
@@ -82,48 +226,574 @@ const showNotFoundAndStop = (msg = "Could not find that entry to edit.") => {
     throw new Error("Edit aborted: entry not found");
 };
 
-// Simple required title validation
-const validate = () => {
-    const t = titleInput?.value?.trim();
-    if (!t) {
-        alert("Please enter a title.");
-        titleInput?.focus();
-        return false;
+// ----- Validation -----
+// Same rules the API applies (CreateMediaEntryDto annotations + the mappers), checked before
+// submitting. Messages appear under the field they belong to; whatever the server still
+// rejects is shown the same way (field errors) or in #formMsg (everything else).
+const TITLE_MAX = 200;
+const NOTES_MAX = 2000;
+const REWATCH_MAX = 1000;
+
+// Field name as in the request DTO -> its input (the ids match, genres go through the text box)
+function fieldInput(field) {
+    if (field === "tags") return tagText;
+    const el = document.getElementById(field);
+    return el && form?.contains(el) ? el : null;
+}
+
+// Messages go below the input, or below the whole row for multi-input rows
+function errorAnchor(input) {
+    if (input === tagText) return genresContainer;
+    return input.closest(".progress-field") || input;
+}
+
+// Returns false when the field isn't on the form (the caller shows the message elsewhere)
+function showFieldError(field, message) {
+    const input = fieldInput(field);
+    if (!input) return false;
+    const id = `${input.id}-error`;
+    let msg = document.getElementById(id);
+    if (!msg) {
+        msg = document.createElement("p");
+        msg.id = id;
+        msg.className = "field-error error";
+        errorAnchor(input).after(msg);
     }
+    msg.textContent = message;
+    input.setAttribute("aria-invalid", "true");
+    input.setAttribute("aria-describedby", id);
     return true;
 }
 
+function clearFieldError(input) {
+    if (!input?.id) return;
+    document.getElementById(`${input.id}-error`)?.remove();
+    input.removeAttribute("aria-invalid");
+    input.removeAttribute("aria-describedby");
+}
+
+// isError: false for plain notices (they don't get the error color and are announced politely)
+function showFormMessage(text, isError = true) {
+    if (!formMsg) return;
+    formMsg.textContent = text;
+    formMsg.classList.toggle("error", Boolean(text) && isError);
+    formMsg.setAttribute("role", text && isError ? "alert" : "status");
+}
+
+function clearErrors() {
+    form?.querySelectorAll("[aria-invalid]").forEach(clearFieldError);
+    showFormMessage("");
+}
+
+const isEnumValue = (kind, value) => enumOptions(kind).some(o => o.value === value);
+
+// { field: message } for everything wrong with the form, empty when it can be submitted
+function collectErrors() {
+    const errors = {};
+
+    const title = titleInput?.value?.trim() || "";
+    if (!title) errors.title = "Please enter a title.";
+    else if (title.length > TITLE_MAX) errors.title = `Title can be at most ${TITLE_MAX} characters (${title.length} now).`;
+
+    // The selects only offer known values, so this catches an entry with a value the server
+    // no longer lists (the select shows nothing) or options that failed to load
+    if (!isEnumValue("types", typeSelect?.value)) errors.type = "Pick a type.";
+    if (!isEnumValue("statuses", statusSelect?.value)) errors.status = "Pick a status.";
+    const subType = subTypeSelect?.value;
+    if (subType && (!isEnumValue("subTypes", subType) || !isSubTypeAllowed(typeSelect?.value, subType))) {
+        errors.subType = `${enumLabel("subTypes", subType)} isn't available for ${enumLabel("types", typeSelect?.value)}.`;
+    }
+
+    // A number input reports text it can't parse as an empty value plus badInput
+    const ratingText = ratingInput?.value?.trim() || "";
+    const rating = Number(ratingText);
+    if (ratingInput?.validity?.badInput || (ratingText && Number.isNaN(rating))) {
+        errors.rating = "Rating must be a number.";
+    } else if (ratingText && (rating < 0 || rating > 10)) {
+        errors.rating = "Rating must be between 0 and 10.";
+    } else if (ratingText && !Number.isInteger(rating * 2)) {
+        errors.rating = "Rating must be in increments of 0.5 (e.g. 7 or 7.5).";
+    }
+
+    const notes = notesInput?.value?.trim() || "";
+    if (notes.length > NOTES_MAX) errors.notes = `Notes can be at most ${NOTES_MAX} characters (${notes.length} now).`;
+
+    // <input type="date"> values are ISO "YYYY-MM-DD", so string order is date order
+    const started = startedOnInput?.value || "";
+    const finished = finishedOnInput?.value || "";
+    if (started && finished && finished < started) {
+        errors.finishedOn = "The finish date can't be before the start date.";
+    }
+
+    const rewatch = parseOptionalCount(rewatchInput?.value);
+    if (rewatch !== null && rewatch > REWATCH_MAX) errors.rewatchCount = `Can be at most ${REWATCH_MAX}.`;
+
+    for (const unit of visibleProgressUnits()) {
+        const { current, total, label } = PROGRESS_UNITS[unit];
+        const c = parseOptionalCount(progressInput(current)?.value);
+        const n = parseOptionalCount(progressInput(total)?.value);
+        if (c !== null && n !== null && c > n) {
+            errors[current] = `${label}: progress can't be greater than the total (${n}).`;
+        }
+    }
+
+    return errors;
+}
+
+// Shows every message and focuses the first field with a problem; false when there were any
+function validate() {
+    clearErrors();
+    const errors = collectErrors();
+    const fields = Object.keys(errors);
+    fields.forEach(field => showFieldError(field, errors[field]));
+    if (fields.length) fieldInput(fields[0])?.focus();
+    return fields.length === 0;
+}
+
+// Model binding reports unreadable JSON values (an unknown enum name) in framework wording
+function serverFieldMessage(message) {
+    return /could not be converted/i.test(message) ? "This value isn't valid." : message;
+}
+
+// Server rejections: field errors next to their inputs, the rest (rule violations found by the
+// mappers, conflicts, network failures) in the form message
+function showSaveError(err) {
+    if (!(err instanceof ApiError)) {
+        showFormMessage(`Save failed: ${err?.message || String(err)}`);
+        return;
+    }
+    const unplaced = [];
+    let first = null;
+    for (const [field, messages] of Object.entries(err.fieldErrors)) {
+        const text = messages.map(serverFieldMessage).join(" ");
+        if (showFieldError(field, text)) first ??= fieldInput(field);
+        else unplaced.push(text);
+    }
+    const summary = [err.detail, ...unplaced].filter(Boolean).join(" ");
+    showFormMessage(summary || first ? summary : `Save failed: ${err.message}`);
+    first?.focus();
+}
+
+// A field's message goes away as soon as it's edited
+form?.addEventListener("input", e => clearFieldError(e.target));
+form?.addEventListener("change", e => clearFieldError(e.target));
+
+// Every edit (re)starts the draft autosave
+form?.addEventListener("input", scheduleDraftSave);
+form?.addEventListener("change", scheduleDraftSave);
+
 // ----- Ensure Cancel never submits a form by accident -----
 if (cancelBtn) {
     cancelBtn.setAttribute("type", "button");
     cancelBtn.addEventListener("click", (e) => {
         e.preventDefault();
-        window.location.href = "index.html";
+        window.location.href = returnUrl;
     });
 }
 
 // Build DTO from form, UI -> payload
 function buildDtoFromForm() {
-    return {
+    const dto = {
         title: titleInput?.value?.trim() || "",
-        type: uiTypeToEnum(typeSelect?.value),
-        subType: uiSubTypeToEnum(subTypeSelect?.value) || null,
-        status: uiStatusToEnum(statusSelect?.value),
+        type: typeSelect?.value,
+        subType: subTypeSelect?.value || null,
+        status: statusSelect?.value,
         rating: parseOptionalRating(ratingInput?.value),
         notes: notesInput?.value?.trim() || "",
+        startedOn: startedOnInput?.value || null,
+        finishedOn: finishedOnInput?.value || null,
+        rewatchCount: parseOptionalCount(rewatchInput?.value) ?? 0,
         tags: collectSelectedGenres()
   };
+    // Only counters that apply to the selected type are sent
+    for (const unit of visibleProgressUnits()) {
+        const { current, total } = PROGRESS_UNITS[unit];
+        dto[current] = parseOptionalCount(progressInput(current)?.value);
+        dto[total] = parseOptionalCount(progressInput(total)?.value);
+    }
+    return dto;
 }
 
 // Apply DTO to form, payload -> UI mapping
 function applyDtoToForm(dto) {
     titleInput && (titleInput.value = dto.title ?? "");
-    typeSelect && (typeSelect.value = enumTypeToUI(dto.type));
-    subTypeSelect && (subTypeSelect.value = enumSubTypeToUI(dto.subType));
-    statusSelect && (statusSelect.value = enumStatusToUI(dto.status));
+    typeSelect && (typeSelect.value = dto.type ?? "");
+    renderSubTypeOptions();
+    subTypeSelect && (subTypeSelect.value = dto.subType ?? "");
+    statusSelect && (statusSelect.value = dto.status ?? "");
     ratingInput && (ratingInput.value = dto.rating ?? "");
     notesInput && (notesInput.value = dto.notes ?? "");
+    startedOnInput && (startedOnInput.value = dto.startedOn ?? "");
+    finishedOnInput && (finishedOnInput.value = dto.finishedOn ?? "");
+    rewatchInput && (rewatchInput.value = dto.rewatchCount || "");
     setSelectedGenres(dto.tags);
+    Object.values(PROGRESS_UNITS).forEach(({ current, total }) => {
+        progressInput(current) && (progressInput(current).value = dto[current] ?? "");
+        progressInput(total) && (progressInput(total).value = dto[total] ?? "");
+    });
+    updateProgressVisibility();
+}
+
+// ----- Drafts -----
+// The form counts as dirty while its payload differs from what was loaded or last saved
+const formState = () => JSON.stringify(buildDtoFromForm());
+const isDirty = () => cleanState !== null && formState() !== cleanState;
+
+function markClean() {
+    cleanState = formState();
+}
+
+function readDraft() {
+    try {
+        const draft = JSON.parse(localStorage.getItem(DRAFT_KEY));
+        return draft?.fields ? draft : null;
+    } catch {
+        return null;
+    }
+}
+
+function clearDraft() {
+    clearTimeout(draftTimer);
+    localStorage.removeItem(DRAFT_KEY);
+}
+
+// Stores the form while it has unsaved changes; once it matches the saved entry the draft goes.
+// The version it was based on is kept, so restoring it later still detects newer saves.
+function saveDraft() {
+    clearTimeout(draftTimer);
+    if (cleanState === null || pendingDraft) return;
+    if (!isDirty()) {
+        localStorage.removeItem(DRAFT_KEY);
+        return;
+    }
+    try {
+        localStorage.setItem(DRAFT_KEY, JSON.stringify({
+            savedAt: new Date().toISOString(),
+            baseVersion: entryVersion,
+            fields: buildDtoFromForm()
+        }));
+    } catch {
+        // Storage full or disabled: the form just has no draft then
+    }
+}
+
+function scheduleDraftSave() {
+    if (cleanState === null || pendingDraft) return;
+    clearTimeout(draftTimer);
+    draftTimer = setTimeout(saveDraft, DRAFT_DELAY_MS);
+}
+
+function hideDraftBanner() {
+    pendingDraft = null;
+    if (draftBanner) draftBanner.hidden = true;
+}
+
+// Offers a stored draft back (called once the form shows the saved entry)
+function offerDraft() {
+    const draft = readDraft();
+    if (!draft || !draftBanner) return;
+    if (JSON.stringify(draft.fields) === cleanState) {
+        clearDraft();
+        return;
+    }
+    pendingDraft = draft;
+
+    const text = document.createElement("span");
+    const savedAt = new Date(draft.savedAt);
+    text.textContent = `You have an unsaved draft${Number.isNaN(savedAt.getTime()) ? "" : ` from ${savedAt.toLocaleString()}`}.`;
+    if (isEditMode && draft.baseVersion && draft.baseVersion !== entryVersion) {
+        text.textContent += " The entry has been saved since; you'll see what changed before the draft overwrites anything.";
+    }
+    const restore = document.createElement("button");
+    restore.type = "button";
+    restore.className = "btn";
+    restore.dataset.draft = "restore";
+    restore.textContent = "Restore draft";
+    const discard = document.createElement("button");
+    discard.type = "button";
+    discard.className = "btn";
+    discard.dataset.draft = "discard";
+    discard.textContent = "Discard";
+    draftBanner.replaceChildren(text, restore, discard);
+    draftBanner.hidden = false;
+}
+
+// Restoring keeps the draft's base version: saving it against a newer entry runs into the conflict check
+draftBanner?.addEventListener("click", (e) => {
+    const action = e.target.closest("[data-draft]")?.dataset.draft;
+    if (!action || !pendingDraft) return;
+    const draft = pendingDraft;
+    hideDraftBanner();
+    if (action === "restore") {
+        clearErrors();
+        applyDtoToForm(draft.fields);
+        if (isEditMode && draft.baseVersion) entryVersion = draft.baseVersion;
+        saveDraft();
+        titleInput?.focus();
+    } else {
+        clearDraft();
+    }
+});
+
+// Closing the tab or following a link with unsaved changes: keep the draft and ask first
+window.addEventListener("beforeunload", (e) => {
+    if (leaving || !isDirty()) return;
+    saveDraft();
+    e.preventDefault();
+    e.returnValue = ""; // older browsers only prompt when returnValue is set
+});
+
+// ----- Edit conflicts -----
+// If-Match for the version being edited; without a version the save is unconditional
+const versionHeaders = () => ifMatch(entryVersion);
+
+// Fields compared when the server has a newer version, labelled as on the form
+const CONFLICT_FIELDS = [
+    ["title", "Title"], ["type", "Type"], ["subType", "SubType"], ["tags", "Genres"], ["status", "Status"],
+    ["startedOn", "Started"], ["finishedOn", "Finished"], ["rewatchCount", "Times rewatched / reread"],
+    ...Object.values(PROGRESS_UNITS).flatMap(u => [[u.current, `${u.label} done`], [u.total, `${u.label} total`]]),
+    ["rating", "Rating"], ["notes", "Notes"]
+];
+
+function conflictValue(field, dto) {
+    const value = dto?.[field];
+    if (field === "tags") return [...(value || [])].sort().join(", ");
+    if (field === "type") return enumLabel("types", value);
+    if (field === "subType") return enumLabel("subTypes", value);
+    if (field === "status") return enumLabel("statuses", value);
+    if (field === "rewatchCount") return value ? String(value) : "";
+    return value === null || value === undefined ? "" : String(value).trim();
+}
+
+function tableCell(tag, text) {
+    const cell = document.createElement(tag);
+    cell.textContent = text === "" ? "—" : text;
+    return cell;
+}
+
+// Table of the fields where the form and the saved entry differ, plus the two ways out.
+// The user's version stays in the form (and in the draft) until they pick one.
+function showConflict(current) {
+    if (!conflictPanel) {
+        showFormMessage("This entry was changed since you opened it. Reload the page to see the saved version.");
+        return;
+    }
+    conflictEntry = current;
+    saveDraft();
+    const mine = buildDtoFromForm();
+
+    const rows = CONFLICT_FIELDS
+        .map(([field, label]) => [label, conflictValue(field, mine), conflictValue(field, current)])
+        .filter(([, yours, saved]) => yours !== saved)
+        .map(([label, yours, saved]) => {
+            const tr = document.createElement("tr");
+            tr.append(tableCell("th", label), tableCell("td", yours), tableCell("td", saved));
+            tr.firstChild.scope = "row";
+            return tr;
+        });
+
+    const heading = document.createElement("h2");
+    heading.textContent = "This entry was changed since you opened it";
+    const intro = document.createElement("p");
+    intro.textContent = rows.length
+        ? "Your changes aren't saved yet. Compare them with the saved version:"
+        : "The saved version has the same values as yours; save again to keep them.";
+
+    const table = document.createElement("table");
+    table.className = "conflict-diff";
+    const head = document.createElement("tr");
+    head.append(tableCell("th", "Field"), tableCell("th", "Your version"), tableCell("th", "Saved version"));
+    head.querySelectorAll("th").forEach(th => { th.scope = "col"; });
+    table.createTHead().append(head);
+    table.createTBody().append(...rows);
+
+    const keepMine = document.createElement("button");
+    keepMine.type = "button";
+    keepMine.className = "btn";
+    keepMine.dataset.conflict = "mine";
+    keepMine.textContent = "Save my version";
+    const useSaved = document.createElement("button");
+    useSaved.type = "button";
+    useSaved.className = "btn";
+    useSaved.dataset.conflict = "saved";
+    useSaved.textContent = "Use the saved version";
+    const actions = document.createElement("div");
+    actions.className = "conflict-actions";
+    actions.append(keepMine, useSaved);
+
+    conflictPanel.replaceChildren(heading, intro, ...(rows.length ? [table] : []), actions);
+    conflictPanel.hidden = false;
+    showFormMessage("");
+    conflictPanel.focus();
+}
+
+function hideConflict() {
+    conflictEntry = null;
+    if (conflictPanel) conflictPanel.hidden = true;
+}
+
+// "Mine" saves the form over the newer version, "saved" replaces the form with it
+conflictPanel?.addEventListener("click", (e) => {
+    const action = e.target.closest("[data-conflict]")?.dataset.conflict;
+    if (!action || !conflictEntry) return;
+    const current = conflictEntry;
+    hideConflict();
+    entryVersion = current.version || null;
+    if (action === "mine") {
+        submitEntry();
+    } else {
+        clearErrors();
+        applyDtoToForm(current);
+        markClean();
+        clearDraft();
+        showFormMessage("Loaded the saved version.", false);
+    }
+});
+
+// ----- Duplicate warning (add mode) -----
+// The API matches titles loosely (case, accents, punctuation, a leading "The", small typos).
+// The lookup runs when the title field is left and again before saving; a failed lookup
+// (offline, server error) never blocks the save.
+
+let duplicateLookup = null;     // { key, promise } of the last lookup, reused while the title is the same
+let acceptedDuplicates = null;  // title key the user chose "Add anyway" for
+
+const titleKey = (title) => (title || "").trim().toLowerCase();
+
+function lookupDuplicates(title) {
+    const key = titleKey(title);
+    if (!key) return Promise.resolve([]);
+    if (duplicateLookup?.key !== key) {
+        duplicateLookup = {
+            key,
+            promise: findDuplicates(title.trim()).catch(() => [])
+        };
+    }
+    return duplicateLookup.promise;
+}
+
+// Link to the existing entry's edit page, coming back to the same list afterwards
+function duplicateItem(match) {
+    const li = document.createElement("li");
+    const link = document.createElement("a");
+    link.href = `entry.html?mode=edit&id=${encodeURIComponent(match.id)}&return=${encodeURIComponent(returnUrl)}`;
+    link.textContent = match.title;
+    const meta = document.createElement("span");
+    meta.className = "muted";
+    meta.textContent = ` (${enumLabel("types", match.type)}, ${enumLabel("statuses", match.status)})`;
+    li.append(link, meta);
+    return li;
+}
+
+function showDuplicates(matches) {
+    if (!duplicateWarning) return;
+    const intro = document.createElement("p");
+    intro.textContent = matches.length === 1
+        ? "This looks like an entry you already have:"
+        : "This looks like entries you already have:";
+    const list = document.createElement("ul");
+    list.append(...matches.map(duplicateItem));
+
+    const addAnyway = document.createElement("button");
+    addAnyway.type = "button";
+    addAnyway.className = "btn";
+    addAnyway.dataset.duplicate = "add";
+    addAnyway.textContent = "Add anyway";
+    const actions = document.createElement("div");
+    actions.className = "conflict-actions";
+    actions.append(addAnyway);
+
+    duplicateWarning.replaceChildren(intro, list, actions);
+    duplicateWarning.hidden = false;
+}
+
+function hideDuplicates() {
+    if (duplicateWarning) duplicateWarning.hidden = true;
+}
+
+// Leaving the title field: warn early, before the rest of the form is filled in
+async function checkTitleForDuplicates() {
+    const key = titleKey(titleInput?.value);
+    if (isEditMode || !key || key === acceptedDuplicates) {
+        hideDuplicates();
+        return;
+    }
+    const matches = await lookupDuplicates(titleInput.value);
+    if (key !== titleKey(titleInput.value)) return;        // typed on meanwhile
+    if (matches.length) showDuplicates(matches);
+    else hideDuplicates();
+}
+
+// Before adding: true when there's nothing to warn about (or the user already said "Add anyway")
+async function confirmNotDuplicate(title) {
+    const key = titleKey(title);
+    if (key === acceptedDuplicates) return true;
+    const matches = await lookupDuplicates(title);
+    if (!matches.length) return true;
+    showDuplicates(matches);
+    duplicateWarning?.focus();
+    return false;
+}
+
+titleInput?.addEventListener("change", () => { checkTitleForDuplicates(); });
+
+duplicateWarning?.addEventListener("click", (e) => {
+    if (!e.target.closest('[data-duplicate="add"]')) return;
+    acceptedDuplicates = titleKey(titleInput?.value);
+    hideDuplicates();
+    submitEntry();
+});
+
+// ----- History timeline -----
+// Values come back as enum names ("OnHold") or invariant ratings ("7.5"), null = unset
+function historyValueLabel(field, value) {
+    if (value === null || value === undefined || value === "") return field === "Rating" ? "unrated" : "none";
+    return field === "Status" ? enumLabel("statuses", value) : value;
+}
+
+function renderHistory(rows) {
+    if (!historySection || !historyTimeline) return;
+    historyTimeline.replaceChildren();
+    (rows || []).forEach((row) => {
+        const li = document.createElement("li");
+        const when = document.createElement("time");
+        when.dateTime = row.changedAtUtc;
+        when.textContent = new Date(row.changedAtUtc).toLocaleString();
+        const what = document.createElement("span");
+        what.textContent = `${row.field}: ${historyValueLabel(row.field, row.oldValue)} → ${historyValueLabel(row.field, row.newValue)}`;
+        li.append(when, what);
+        historyTimeline.appendChild(li);
+    });
+    if (!historyTimeline.children.length) {
+        const li = document.createElement("li");
+        li.className = "muted";
+        li.textContent = "No status or rating changes yet.";
+        historyTimeline.appendChild(li);
+    }
+    historySection.hidden = false;
+}
+
+// History is secondary, a failure here shouldn't block editing
+async function loadHistory(id) {
+    try {
+        renderHistory(await entryHistory(id));
+    } catch {
+        // The section stays hidden
+    }
+}
+
+// The entry to edit; offline, the newest copy kept on this device (from the list or an earlier visit)
+async function loadEntry(id) {
+    try {
+        const entry = await getEntry(id);
+        if (entry) saveCached(`entry:${id}`, entry);
+        return entry;
+    } catch (err) {
+        const cached = isOfflineError(err) ? await cachedEntry(id) : null;
+        if (!cached) throw err;
+        showFormMessage("You're offline, this is the copy saved on this device. Saving sends your changes once you're back online.", false);
+        return cached;
+    }
 }
 
 // Mode initializer (non-submit tasks)
@@ -137,17 +807,20 @@ async function initMode() {
         if (!editId) showNotFoundAndStop("Missing entry id.");   
 
         try {
-        const entry = await api.get(`${BASE}/${editId}`);      
+        const entry = await loadEntry(editId);
         if (!entry) showNotFoundAndStop();
         applyDtoToForm(entry);                                 
+        entryVersion = entry.version || null;
         } catch {
         showNotFoundAndStop("Failed to load entry.");
         }
+        loadHistory(editId);
     } else {
         formTitleEl && (formTitleEl.textContent = "Add Entry");  
         submitBtn && (submitBtn.textContent = "Add Entry");      
         if (stayCheckboxContainer) stayCheckboxContainer.style.display = ""; 
     }
+    markClean();
 }
 
 // Submit function
@@ -160,56 +833,90 @@ async function submitEntry(e) {
     submitBtn.disabled = true;              
     submitBtn.textContent = isEditMode ? "Saving..." : "Adding..."; 
 
+    const payload = buildDtoFromForm();   
     try {
-        const payload = buildDtoFromForm();   
-
         if (isEditMode && editId) {
-        await api.put(`${BASE}/${editId}`, payload); 
-        window.location.href = "index.html";
+        await updateEntry(editId, payload, entryVersion);
+        clearDraft();
+        leaving = true;
+        window.location.href = returnUrl;
         } else {
-        await api.post(`${BASE}`, payload);         
+        if (!await confirmNotDuplicate(payload.title)) return;
+        await createEntry(payload);
+        clearDraft();
         if (stayOnPageToggle && stayOnPageToggle.checked) {
-            form.reset();
-            setSelectedGenres([]);
-            titleInput?.focus();
+            resetForNextEntry();
         } else {
-            window.location.href = "index.html";
+            leaving = true;
+            window.location.href = returnUrl;
         }
         }
     } catch (err) {
-        alert(`Save failed: ${err?.message || String(err)}`);
+        if (isOfflineError(err) && await queueSave(payload)) return;
+        if (err instanceof ApiError && err.status === 412 && err.problem?.current) showConflict(err.problem.current);
+        else showSaveError(err);
     } finally {
         submitBtn.disabled = false;          
         submitBtn.textContent = prevText;    
     }
 }
 
-// 
-initMode() 
+// "Stay on this page": an empty form for the next entry
+function resetForNextEntry() {
+    form.reset();
+    clearErrors();
+    setSelectedGenres([]);
+    hideDuplicates();
+    acceptedDuplicates = null;
+    duplicateLookup = null;     // the title just added is in the library now
+    updateProgressVisibility();
+    markClean();
+    titleInput?.focus();
+}
+
+// Offline save: the change waits in the outbox (an edit keeps its If-Match, so it can't
+// overwrite a newer save) and the page carries on as after a save. False if it couldn't be queued.
+async function queueSave(payload) {
+    try {
+        if (isEditMode && editId) {
+            await queueMutation({
+                method: "PUT", path: entryPath(editId), body: payload,
+                headers: versionHeaders() ?? null, label: `Update "${payload.title}"`, entryId: editId
+            });
+        } else {
+            await queueMutation({ method: "POST", path: ENTRIES, body: payload, label: `Add "${payload.title}"` });
+            duplicateLookup = null;
+        }
+    } catch {
+        return false;           // the caller shows the save error
+    }
+    clearDraft();
+    if (!isEditMode && stayOnPageToggle?.checked) {
+        resetForNextEntry();
+        showFormMessage(`Saved "${payload.title}" on this device, it will be added when you're back online.`, false);
+    } else {
+        leaving = true;
+        window.location.href = returnUrl;
+    }
+    return true;
+}
+
+initLayout();
+mountSyncStatus(document.getElementById("syncStatus"));
+registerServiceWorker();
+
+// The selects need their options before an entry can be loaded into them
+loadMetadata()
+    .catch(() => showNotFoundAndStop("Could not load the form options."))
     .then(() => {
+        renderFormOptions();
+        updateProgressVisibility();
+        return initMode();
+    })
+    .then(() => {
+        offerDraft();
         form?.addEventListener("submit", submitEntry); 
     })
     .catch(err => {
         console.error(err); // errors are surfaced to the user by initMode
     });
-
-
-// ------------------
-// Dark mode support
-// ------------------
-const prefersDark = localStorage.getItem("darkMode") === "true";
-
-// Apply saved mode
-if (prefersDark) {
-    document.body.classList.add("dark-mode");
-    if (darkToggle) darkToggle.checked = true;
-}
-
-// Listen for toggle changes
-if (darkToggle) {
-    darkToggle.addEventListener("change", () => {
-        const enabled = darkToggle.checked;
-        document.body.classList.toggle("dark-mode", enabled);
-        localStorage.setItem("darkMode", enabled);
-    });
-}
\ No newline at end of file
@@ -0,0 +1,23 @@
+// Parsers for optional form fields: what the user typed -> the value sent to the API.
+
+// Converts "", null, undefined -> null. Any number is rounded to nearest 0.5.
+export function parseOptionalRating(v) {
+    if (v === null || v === undefined) return null;
+    const s = String(v).trim();
+    if (!s) return null;
+    const n = Number(s);
+    if (Number.isNaN(n)) return null;
+    // normalize to 0.5 increments
+    const halfSteps = Math.round(n * 2);
+    return halfSteps / 2;
+}
+
+// Converts "", null, undefined -> null. Otherwise a whole, non-negative count.
+export function parseOptionalCount(v) {
+    if (v === null || v === undefined) return null;
+    const s = String(v).trim();
+    if (!s) return null;
+    const n = Number(s);
+    if (!Number.isFinite(n) || n < 0) return null;
+    return Math.floor(n);
+}
@@ -0,0 +1,36 @@
+// String helpers for pages that render with template literals.
+
+// Basic HTML escape to guard against XSS when rendering user-entered fields
+export function escapeHTML(s) {
+    return String(s ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#39;");
+}
+
+// Escape text and wrap case-insensitive matches of term in <mark> (term is plain text, not a regex)
+export function highlightHTML(text, term) {
+    const value = String(text ?? "");
+    const needle = (term || "").trim().toLowerCase();
+    if (!needle) return escapeHTML(value);
+
+    const lower = value.toLowerCase();
+    let out = "";
+    let from = 0;
+    let at = lower.indexOf(needle);
+    while (at !== -1) {
+        out += escapeHTML(value.slice(from, at)) + `<mark>${escapeHTML(value.slice(at, at + needle.length))}</mark>`;
+        from = at + needle.length;
+        at = lower.indexOf(needle, from);
+    }
+    return out + escapeHTML(value.slice(from));
+}
+
+// Local date for a UTC timestamp from the API ("" when missing)
+export function formatDate(utc) {
+    if (!utc) return "";
+    const d = new Date(utc);
+    return Number.isNaN(d.getTime()) ? "" : d.toLocaleDateString();
+}
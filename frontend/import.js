@@ -0,0 +1,290 @@
+// Import wizard: source -> file -> preview (dry run) -> import.
+// Parsing, field mapping and validation happen on the server, so the preview shows exactly what the import will do.
+
+import { importLibrary } from "./entries-api.js";
+import { loadMetadata, enumOptions, enumLabel, fillSelect } from "./metadata.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML } from "./html.js";
+
+// Where a file can come from: accepted extensions, hint text and the server format (ImportFormat)
+const SOURCES = {
+    app: {
+        accept: ".csv,.json,text/csv,application/json",
+        hint: "Choose a CSV or JSON file saved with Export on the list page.",
+        format: null, // csv or json, picked in the form or detected
+    },
+    myanimelist: {
+        accept: ".xml,.gz,text/xml,application/xml,application/gzip",
+        hint: "On MyAnimeList go to Profile › Export, export your anime or manga list and choose the downloaded .xml.gz (or the .xml inside it). "
+            + "Anime import as Anime series (movies as Movies), manga as Manga series; MAL scores (1–10) become ratings.",
+        format: "myAnimeList",
+    },
+    letterboxd: {
+        accept: ".csv,text/csv",
+        hint: "On Letterboxd go to Settings › Data › Export, unzip the download and choose one CSV (diary.csv keeps dates, ratings, rewatches and tags). "
+            + "Films import as Movies; star ratings are doubled onto the 10-point scale.",
+        format: "letterboxd",
+        askStatus: true,
+    },
+};
+
+// ----- DOM references -----
+const sourceForm = document.getElementById("sourceForm");
+const importForm = document.getElementById("importForm");
+const importFile = document.getElementById("importFile");
+const importFormat = document.getElementById("importFormat");
+const formatField = document.getElementById("formatField");
+const defaultStatusField = document.getElementById("defaultStatusField");
+const defaultStatus = document.getElementById("defaultStatus");
+const sourceHint = document.getElementById("sourceHint");
+const importError = document.getElementById("importError");
+const previewSection = document.getElementById("importPreview");
+const importSummary = document.getElementById("importSummary");
+const importRows = document.getElementById("importRows");
+const previewBtn = document.getElementById("previewBtn");
+const previewBackBtn = document.getElementById("previewBackBtn");
+const commitBtn = document.getElementById("commitBtn");
+const doneLink = document.getElementById("doneLink");
+const restartBtn = document.getElementById("restartBtn");
+
+const STEPS = {
+    source: document.getElementById("stepSource"),
+    file: document.getElementById("stepFile"),
+    preview: previewSection,
+    done: previewSection,
+};
+
+let source = "app";
+
+// The file text + format of the current preview, so commit sends exactly what was previewed
+let pending = null;
+
+// Row action (ImportRowAction) -> label shown in the preview and after import
+const ACTION_LABELS = {
+    Create: { preview: "New entry", done: "Added" },
+    Overwrite: { preview: "Overwrites existing entry", done: "Overwritten" },
+    Merge: { preview: "Merges into existing entry", done: "Merged" },
+    Skip: { preview: "Skipped (already in library)", done: "Skipped" },
+    Invalid: { preview: "Not imported", done: "Not imported" },
+};
+
+// ------------------
+// Utilities
+// ------------------
+
+function selectedDuplicateMode() {
+    return importForm.querySelector('input[name="onDuplicate"]:checked')?.value || "skip";
+}
+
+// Shows one wizard step (preview and done share a section) and marks it in the step list
+function showStep(name) {
+    for (const section of new Set(Object.values(STEPS))) {
+        section.hidden = section !== STEPS[name];
+    }
+    document.querySelectorAll(".wizard-steps li").forEach((li) => {
+        if (li.dataset.step === name) li.setAttribute("aria-current", "step");
+        else li.removeAttribute("aria-current");
+    });
+}
+
+// Own export: explicit choice, else the file extension, else a peek at the content ("[" = JSON)
+function detectFormat(file, text) {
+    if (SOURCES[source].format) return SOURCES[source].format;
+    if (importFormat.value) return importFormat.value;
+    const name = (file?.name || "").toLowerCase();
+    if (name.endsWith(".json")) return "json";
+    if (name.endsWith(".csv")) return "csv";
+    return text.trimStart().startsWith("[") ? "json" : "csv";
+}
+
+// MyAnimeList downloads are gzipped; unpack them in the browser so users don't have to
+async function readFileText(file) {
+    if (!file.name.toLowerCase().endsWith(".gz")) return file.text();
+    if (typeof DecompressionStream === "undefined") {
+        throw new Error("This browser can't open .gz files. Unzip the file and choose the .xml inside.");
+    }
+    return new Response(file.stream().pipeThrough(new DecompressionStream("gzip"))).text();
+}
+
+function plural(n, one, many) {
+    return `${n} ${n === 1 ? one : many}`;
+}
+
+function summaryText(result) {
+    const parts = result.dryRun
+        ? [
+            result.created && `${result.created} to add`,
+            result.overwritten && `${result.overwritten} to overwrite`,
+            result.merged && `${result.merged} to merge`,
+            result.skipped && `${result.skipped} to skip`,
+            result.invalid && plural(result.invalid, "row with errors", "rows with errors"),
+        ]
+        : [
+            result.created && `${result.created} added`,
+            result.overwritten && `${result.overwritten} overwritten`,
+            result.merged && `${result.merged} merged`,
+            result.skipped && `${result.skipped} skipped`,
+            result.invalid && `${result.invalid} not imported`,
+        ];
+    const text = parts.filter(Boolean).join(", ");
+    return text || "Nothing to import.";
+}
+
+function typeLabel(row) {
+    const type = enumLabel("types", row.type);
+    return row.subType ? `${type} · ${enumLabel("subTypes", row.subType)}` : type;
+}
+
+function rowHTML(row, dryRun) {
+    const labels = ACTION_LABELS[row.action] || { preview: row.action, done: row.action };
+    const errors = (row.errors || []).length
+        ? `<ul class="import-errors">${row.errors.map(e => `<li>${escapeHTML(e)}</li>`).join("")}</ul>`
+        : "";
+    const duplicate = row.existingId ? ` <span class="tag-badge">Duplicate</span>` : "";
+
+    return `
+        <tr class="${row.action === "Invalid" ? "import-invalid" : ""}">
+            <td>${row.row}</td>
+            <td>${escapeHTML(row.title || "(no title)")}</td>
+            <td>${escapeHTML(typeLabel(row))}</td>
+            <td>${escapeHTML(row.status ? enumLabel("statuses", row.status) : "—")}</td>
+            <td>${row.rating != null ? `${row.rating}/10` : "—"}</td>
+            <td>${escapeHTML(dryRun ? labels.preview : labels.done)}${duplicate}${errors}</td>
+        </tr>`;
+}
+
+function renderResult(result) {
+    showStep(result.dryRun ? "preview" : "done");
+    importSummary.textContent = result.dryRun
+        ? `Preview: ${summaryText(result)}`
+        : `Import finished: ${summaryText(result)}`;
+    importRows.innerHTML = (result.rows || []).map(r => rowHTML(r, result.dryRun)).join("");
+
+    const willSave = result.created + result.overwritten + result.merged;
+    commitBtn.hidden = !result.dryRun;
+    previewBackBtn.hidden = !result.dryRun;
+    doneLink.hidden = result.dryRun;
+    restartBtn.hidden = result.dryRun;
+    commitBtn.disabled = !result.dryRun || willSave === 0;
+    commitBtn.textContent = `Import ${plural(willSave, "entry", "entries")}`;
+}
+
+function showError(err) {
+    importError.textContent = err ? `Import failed: ${err?.message || String(err)}` : "";
+}
+
+// Step 2 adapts to the source: accepted files, the format picker (own export only)
+// and the default status (Letterboxd lists say nothing about status)
+function applySource(name) {
+    source = name;
+    const config = SOURCES[name];
+    importFile.accept = config.accept;
+    sourceHint.textContent = config.hint;
+    formatField.hidden = Boolean(config.format);
+    defaultStatusField.hidden = !config.askStatus;
+    importFile.value = "";
+    pending = null;
+}
+
+function requestOptions(dryRun) {
+    return {
+        ...pending,
+        onDuplicate: selectedDuplicateMode(),
+        defaultStatus: SOURCES[source].askStatus ? defaultStatus.value : undefined,
+        dryRun,
+    };
+}
+
+// Reads the chosen file and runs a dry run with the current options
+async function runPreview() {
+    const file = importFile.files?.[0];
+    if (!file) {
+        showError(new Error("Choose a file to import."));
+        return;
+    }
+
+    showError(null);
+    previewBtn.disabled = true;
+    try {
+        const content = await readFileText(file);
+        pending = { format: detectFormat(file, content), content };
+        const result = await importLibrary(requestOptions(true));
+        if (result) renderResult(result);
+    } catch (err) {
+        pending = null;
+        showError(err);
+    } finally {
+        previewBtn.disabled = false;
+    }
+}
+
+// ---------------------
+// Setup
+// ---------------------
+
+initLayout();
+
+// Status choices and preview labels come from GET /api/metadata
+loadMetadata()
+    .then(() => {
+        fillSelect(defaultStatus, enumOptions("statuses"));
+        defaultStatus.value = "Completed";
+    })
+    .catch(showError);
+
+// ---------------------
+// Events
+// ---------------------
+
+sourceForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    showError(null);
+    applySource(sourceForm.querySelector('input[name="source"]:checked')?.value || "app");
+    showStep("file");
+});
+
+importForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    runPreview();
+});
+
+document.querySelectorAll("[data-back]").forEach((btn) => {
+    btn.addEventListener("click", () => {
+        showError(null);
+        showStep(btn.dataset.back);
+    });
+});
+
+// A new file invalidates the preview. Letterboxd's watchlist.csv holds films not seen yet.
+importFile.addEventListener("change", () => {
+    pending = null;
+    const name = (importFile.files?.[0]?.name || "").toLowerCase();
+    if (SOURCES[source].askStatus) {
+        defaultStatus.value = name.includes("watchlist") ? "Planning" : "Completed";
+    }
+});
+
+commitBtn.addEventListener("click", async () => {
+    if (!pending) return;
+
+    commitBtn.disabled = true;
+    previewBackBtn.disabled = true;
+    showError(null);
+    try {
+        const result = await importLibrary(requestOptions(false));
+        pending = null;
+        if (result) renderResult(result);
+    } catch (err) {
+        commitBtn.disabled = false;
+        showError(err);
+    } finally {
+        previewBackBtn.disabled = false;
+    }
+});
+
+restartBtn.addEventListener("click", () => {
+    importForm.reset();
+    defaultStatus.value = "Completed";
+    applySource(source);
+    showStep("source");
+});
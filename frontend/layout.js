@@ -0,0 +1,11 @@
+// Shared chrome of the signed-in pages: the header's dark-mode toggle and the account widget.
+// Each page script calls initLayout() first; the markup stays in the page's HTML.
+
+import { initTheme } from "./theme.js";
+import { initAccountWidget } from "./account.js";
+
+// Resolves with the current user (see initAccountWidget)
+export function initLayout() {
+    initTheme();
+    return initAccountWidget();
+}
@@ -0,0 +1,17 @@
+// Reordering helpers for manually ordered lists (collection page).
+
+// Copy of items with the one at `from` moved to index `to` (clamped to the list).
+// Out-of-range `from` returns an unchanged copy.
+export function moveItem(items, from, to) {
+    const list = [...items];
+    if (from < 0 || from >= list.length) return list;
+    const target = Math.max(0, Math.min(list.length - 1, to));
+    const [item] = list.splice(from, 1);
+    list.splice(target, 0, item);
+    return list;
+}
+
+// Whether two id lists hold the same ids in the same order
+export function sameOrder(a, b) {
+    return a.length === b.length && a.every((id, i) => id === b[i]);
+}
@@ -0,0 +1,131 @@
+// Lookup data from GET /api/metadata: enum values with display labels, the user's tag catalog
+// and collections.
+// Selects, filter groups and labels are built from it, so a new enum value or tag needs no
+// frontend edits. Enum values are sent to the API exactly as the server lists them ("OnHold").
+
+import { api, isOfflineError } from "./api.js";
+import { enumStringToLabel } from "./enums.js";
+import { saveCached, readCached } from "./offline.js";
+
+// Shape: { types, subTypes, statuses: [{ value, label }], subTypesByType: { Movie: ["Anime", ...] },
+//          tags: [{ name, count }], collections: [{ id, name, description, count }] }
+let metadata = null;
+let pending = null;
+
+// Fetched once per page load, concurrent callers share the request (a failure allows a retry).
+// Offline, the copy kept from the last successful load is used.
+export function loadMetadata() {
+    if (metadata) return Promise.resolve(metadata);
+    pending ??= api.get("/api/metadata")
+        .then((data) => {
+            if (data) saveCached("metadata", data);
+            return data;
+        })
+        .catch(async (err) => {
+            const cached = isOfflineError(err) ? await readCached("metadata") : null;
+            if (!cached) throw err;
+            return cached.value;
+        })
+        .then((data) => {
+            metadata = {
+                types: data?.types || [],
+                subTypes: data?.subTypes || [],
+                statuses: data?.statuses || [],
+                subTypesByType: data?.subTypesByType || {},
+                tags: data?.tags || [],
+                collections: data?.collections || []
+            };
+            return metadata;
+        })
+        .finally(() => { pending = null; });
+    return pending;
+}
+
+// Options for one enum ("types" | "subTypes" | "statuses"), empty until loadMetadata resolves
+export function enumOptions(kind) {
+    return metadata?.[kind] || [];
+}
+
+// Whether a subtype can go with a type (same table the API validates with). No subtype always
+// can; an unknown type or an older server without the table allows everything.
+export function isSubTypeAllowed(type, subType) {
+    if (!subType || !type) return true;
+    const allowed = metadata?.subTypesByType?.[type];
+    return !allowed || allowed.includes(subType);
+}
+
+// Subtype options for a type, in enum order
+export function subTypeOptionsFor(type) {
+    return enumOptions("subTypes").filter(o => isSubTypeAllowed(type, o.value));
+}
+
+// Tag catalog as options (ordered by name), count = entries using the tag
+export function tagOptions() {
+    return (metadata?.tags || []).map(t => ({ value: t.name, label: t.name, count: t.count }));
+}
+
+// The user's collections as options (ordered by name), value = collection id
+export function collectionOptions() {
+    return (metadata?.collections || []).map(c => ({ value: c.id, label: c.name, count: c.count }));
+}
+
+// Compare values ignoring case and separators, so "on-hold", "onhold" and "OnHold" match
+function normalize(v) {
+    return String(v ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// Values used before the lists came from the server (old bookmarks keep working)
+const LEGACY_VALUES = {
+    statuses: { plantowatch: "Planning" }
+};
+
+// Canonical enum value for loosely written input, or undefined when there is no such value
+export function matchEnumValue(kind, value) {
+    const key = normalize(value);
+    if (!key) return undefined;
+    const legacy = LEGACY_VALUES[kind]?.[key];
+    return enumOptions(kind).find(o => normalize(o.value) === normalize(legacy ?? key))?.value;
+}
+
+// Display label for an enum value, falls back to splitting the name ("LiveAction" -> "Live Action")
+export function enumLabel(kind, value) {
+    if (value === null || value === undefined || value === "") return "";
+    const key = normalize(value);
+    return enumOptions(kind).find(o => normalize(o.value) === key)?.label ?? enumStringToLabel(value);
+}
+
+// Replace a select's options, keeping the current value when it still exists
+// - blank: label for a leading "" option ("All", "None"), omitted when not given
+export function fillSelect(select, options, { blank } = {}) {
+    if (!select) return;
+    const previous = select.value;
+    const items = options.map(o => new Option(o.label, o.value));
+    if (blank !== undefined) items.unshift(new Option(blank, ""));
+    select.replaceChildren(...items);
+    if (items.some(o => o.value === previous)) select.value = previous;
+}
+
+// Replace a checkbox group's <label><input type="checkbox">text</label> items (other children,
+// e.g. a <legend>, stay). The plain label goes into data-label for chips and the like.
+// - counts: append "(n)" for options that carry a count (tag usage)
+export function fillCheckboxes(group, options, { counts = false } = {}) {
+    if (!group) return;
+    const checked = new Set(Array.from(group.querySelectorAll("input:checked")).map(cb => cb.value));
+    group.querySelectorAll(":scope > label").forEach(l => l.remove());
+    group.append(...options.map((o) => {
+        const label = document.createElement("label");
+        const cb = document.createElement("input");
+        cb.type = "checkbox";
+        cb.value = o.value;
+        cb.dataset.label = o.label;
+        cb.checked = checked.has(o.value);
+        label.append(cb, o.label);
+        if (counts && o.count !== undefined) {
+            const count = document.createElement("span");
+            count.className = "option-count";
+            count.textContent = ` (${o.count})`;
+            label.append(count);
+        }
+        return label;
+    }));
+}
@@ -0,0 +1,81 @@
+// "Next up" panel of the home page: Planning and On Hold entries whose genres match the user's
+// highest-rated completed entries (GET /api/mediaentries/next-up), each with the reason it was picked.
+// Titles link to the entry's edit page; the panel reloads after changes to the list.
+
+import { isOfflineError } from "./api.js";
+import { getNextUp } from "./entries-api.js";
+import { enumLabel } from "./metadata.js";
+import { escapeHTML } from "./html.js";
+
+const NEXT_UP_COUNT = 5;
+const MAX_REASON_TAGS = 3;
+
+// "a", "a and b", "a, b and c"
+function listText(words) {
+    if (words.length <= 1) return words.join("");
+    return `${words.slice(0, -1).join(", ")} and ${words.at(-1)}`;
+}
+
+// "Arrival (9)", or just the title when it's unrated
+function referenceText(ref) {
+    return ref.rating === null || ref.rating === undefined ? ref.title : `${ref.title} (${ref.rating})`;
+}
+
+// Why an entry was suggested, e.g. "Shares sci-fi and drama with Arrival (9) and Dune (8)."
+// More than three genres are summed up as "and N more".
+export function nextUpReason(item) {
+    const tags = item.matchedTags || [];
+    const similar = (item.similarTo || []).map(referenceText);
+    if (!tags.length || !similar.length) return "";
+
+    const shown = tags.slice(0, MAX_REASON_TAGS);
+    const more = tags.length - shown.length;
+    const genres = more > 0 ? `${shown.join(", ")} and ${more} more` : listText(shown);
+    return `Shares ${genres} with ${listText(similar)}.`;
+}
+
+// One suggestion (NextUpItemDto); returnUrl brings the edit page back to the list
+export function formatNextUpHTML(item, returnUrl) {
+    const href = `entry.html?mode=edit&id=${encodeURIComponent(item.id)}&return=${encodeURIComponent(returnUrl)}`;
+    return `
+        <li class="next-up-item">
+            <a href="${escapeHTML(href)}">${escapeHTML(item.title)}</a>
+            <span class="entry-meta">(${escapeHTML(enumLabel("types", item.type))}, ${escapeHTML(enumLabel("statuses", item.status))})</span>
+            <div class="next-up-reason muted">${escapeHTML(nextUpReason(item))}</div>
+        </li>`;
+}
+
+// Fills the panel's list; returns refresh() for the list page to call after changes
+export function mountNextUp(container) {
+    if (!container) return () => {};
+    const list = container.querySelector("[data-next-up-list]");
+    const note = container.querySelector("[data-next-up-note]");
+
+    function setNote(text) {
+        note.textContent = text;
+        note.hidden = !text;
+    }
+
+    function render({ basedOn = [], items = [] }) {
+        list.innerHTML = items.map(item => formatNextUpHTML(item, window.location.href)).join("");
+        if (!basedOn.length) setNote("Rate some completed entries to get suggestions from your Planning and On Hold lists.");
+        else if (!items.length) setNote("Nothing in Planning or On Hold shares a genre with your best-rated entries yet.");
+        else setNote(`Based on ${listText(basedOn.slice(0, 3).map(referenceText))}${basedOn.length > 3 ? " and more" : ""}.`);
+    }
+
+    let generation = 0;
+    async function refresh() {
+        const current = ++generation;
+        try {
+            const nextUp = await getNextUp(NEXT_UP_COUNT);
+            if (current === generation) render(nextUp || {});
+        } catch (err) {
+            if (current !== generation) return;
+            list.innerHTML = "";
+            setNote(isOfflineError(err) ? "Suggestions aren't available offline." : "Could not load suggestions.");
+        }
+    }
+
+    refresh();
+    return refresh;
+}
@@ -0,0 +1,296 @@
+// Offline support shared by the pages:
+// - IndexedDB copies of what was last loaded (entry lists per query, single entries, metadata),
+//   read back when the API can't be reached
+// - an outbox of entry creates/updates/deletes made while offline, replayed in order through
+//   api.post/put/del once the API answers again. A change the server rejects (e.g. 412 because
+//   the entry was edited elsewhere) stays in the outbox marked as a conflict until the user
+//   retries or discards it.
+// - clearing both on sign-out or when another user signs in
+// - the service worker registration (sw.js caches the app shell)
+
+import { api, ApiError, isOfflineError } from "./api.js";
+
+const DB_NAME = "media-tracker";
+const DB_VERSION = 1;
+const CACHE = "cache";      // { key, savedAt, value }: "metadata", "owner", "entry:<id>", "list:<path + query>"
+const OUTBOX = "outbox";    // { id, method, path, body, headers, label, entryId, queuedAt, error? }
+const MAX_CACHED_LISTS = 50;
+
+let dbPromise = null;
+
+// One connection per page; a failed open (private mode, no IndexedDB) can be retried later
+function openDb() {
+    dbPromise ??= new Promise((resolve, reject) => {
+        if (!globalThis.indexedDB) {
+            reject(new Error("IndexedDB is not available."));
+            return;
+        }
+        const req = indexedDB.open(DB_NAME, DB_VERSION);
+        req.onupgradeneeded = () => {
+            const db = req.result;
+            if (!db.objectStoreNames.contains(CACHE)) db.createObjectStore(CACHE, { keyPath: "key" });
+            if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: "id", autoIncrement: true });
+        };
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+    }).catch((err) => {
+        dbPromise = null;
+        throw err;
+    });
+    return dbPromise;
+}
+
+// Runs fn(store) in one transaction; resolves with the result of the request fn returns
+// once the transaction has committed
+async function withStore(name, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(name, mode);
+        const req = fn(tx.objectStore(name));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+// ----- Offline copies -----
+// Storage problems (quota, private mode) must never break a page: the copy is just missing then
+
+export async function saveCached(key, value) {
+    try {
+        await withStore(CACHE, "readwrite", store => store.put({ key, savedAt: Date.now(), value }));
+    } catch {
+        // No copy this time
+    }
+}
+
+// { key, savedAt, value } or null
+export async function readCached(key) {
+    try {
+        return (await withStore(CACHE, "readonly", store => store.get(key))) ?? null;
+    } catch {
+        return null;
+    }
+}
+
+async function readAllCached() {
+    try {
+        return (await withStore(CACHE, "readonly", store => store.getAll())) || [];
+    } catch {
+        return [];
+    }
+}
+
+// Keeps a list response under its request path; only the most recent lists are kept
+export async function cacheList(path, result) {
+    await saveCached(`list:${path}`, result);
+    const lists = (await readAllCached()).filter(r => r.key.startsWith("list:"));
+    if (lists.length <= MAX_CACHED_LISTS) return;
+    const stale = lists.sort((a, b) => b.savedAt - a.savedAt).slice(MAX_CACHED_LISTS);
+    try {
+        await withStore(CACHE, "readwrite", (store) => {
+            stale.forEach(r => store.delete(r.key));
+        });
+    } catch {
+        // Pruned on the next save
+    }
+}
+
+export function cachedList(path) {
+    return readCached(`list:${path}`);
+}
+
+// Newest copy of one entry: its own copy (edit page) or a row from any cached list,
+// with changes still waiting in the outbox applied
+export async function cachedEntry(id) {
+    let found = null;
+    for (const record of await readAllCached()) {
+        const entry = record.key === `entry:${id}`
+            ? record.value
+            : record.key.startsWith("list:") ? (record.value?.items || []).find(e => e.id === id) : null;
+        if (entry && (!found || record.savedAt > found.savedAt)) found = { savedAt: record.savedAt, entry };
+    }
+    if (!found) return null;
+    const { updates, deleted } = pendingChanges(await outboxItems());
+    if (deleted.has(id)) return null;
+    return { ...found.entry, ...updates.get(id) };
+}
+
+// ----- Outbox -----
+
+const listeners = new Set();
+let channel;
+
+// Other tabs hear about changes through a BroadcastChannel, opened on first use: an open channel
+// keeps a process alive, so merely importing this module (unit tests, Node) must not create one
+function outboxChannel() {
+    if (channel === undefined) {
+        channel = globalThis.BroadcastChannel ? new BroadcastChannel("media-tracker-outbox") : null;
+        channel?.addEventListener("message", e => notify(e.data?.sent || 0, false));
+    }
+    return channel;
+}
+
+// listener(items, { sent }) runs after every outbox change, in this tab or another one.
+// sent = number of changes the server accepted in the replay that caused the call.
+export function onOutboxChange(listener) {
+    listeners.add(listener);
+    outboxChannel();
+    return () => listeners.delete(listener);
+}
+
+async function notify(sent = 0, broadcast = true) {
+    const items = await outboxItems();
+    listeners.forEach(fn => fn(items, { sent }));
+    if (broadcast) outboxChannel()?.postMessage({ sent });
+}
+
+// Every queued change in queue order (failed ones included, see item.error)
+export async function outboxItems() {
+    try {
+        return (await withStore(OUTBOX, "readonly", store => store.getAll())) || [];
+    } catch {
+        return [];
+    }
+}
+
+// Stores a change to send later; resolves with its outbox id.
+// - entryId: the entry an update/delete is about (null for creates)
+// - headers: sent as-is on replay (If-Match keeps an offline edit from overwriting newer saves)
+// - label: how the change is named in the sync status ("Update "Dune"")
+// A second offline edit of the same entry replaces the queued one (PUT sends the whole entry)
+// but keeps its If-Match: the first edit was based on that version, and the second on the first.
+export async function queueMutation({ method, path, body = null, headers = null, label = "", entryId = null }) {
+    const queuedAt = new Date().toISOString();
+    const earlier = method === "PUT" && entryId
+        ? (await outboxItems()).find(i => i.method === "PUT" && i.entryId === entryId && !i.error)
+        : null;
+    const id = await withStore(OUTBOX, "readwrite", store => earlier
+        ? store.put({ ...earlier, body, label, queuedAt })
+        : store.add({ method, path, body, headers, label, entryId, queuedAt }));
+    await notify();
+    return id;
+}
+
+export async function discardMutation(id) {
+    await withStore(OUTBOX, "readwrite", store => store.delete(id));
+    await notify();
+}
+
+// Puts a rejected change back in line. overwrite drops If-Match, so the offline edit replaces
+// whatever was saved in the meantime.
+export async function retryMutation(id, { overwrite = false } = {}) {
+    await withStore(OUTBOX, "readwrite", (store) => {
+        const req = store.get(id);
+        req.onsuccess = () => {
+            const item = req.result;
+            if (!item) return;
+            delete item.error;
+            if (overwrite && item.headers) delete item.headers["If-Match"];
+            store.put(item);
+        };
+        return req;
+    });
+    return replayOutbox();
+}
+
+function send(item) {
+    const options = item.headers ? { headers: item.headers } : undefined;
+    if (item.method === "POST") return api.post(item.path, item.body, options);
+    if (item.method === "PUT") return api.put(item.path, item.body, options);
+    return api.del(item.path, options);
+}
+
+let replaying = null;
+
+// Sends queued changes oldest first; resolves with { sent, failed }. Stops at the first change
+// that still can't reach the server (order matters: an update must not overtake its create).
+// Concurrent callers share one run.
+export function replayOutbox() {
+    replaying ??= (async () => {
+        let sent = 0;
+        let failed = 0;
+        for (const item of await outboxItems()) {
+            if (item.error) continue;           // conflicts wait for the user
+            try {
+                const result = await send(item);
+                if (result === undefined) break; // http() is sending the user to the login page
+                await withStore(OUTBOX, "readwrite", store => store.delete(item.id));
+                sent++;
+            } catch (err) {
+                if (isOfflineError(err)) break;
+                // Deleting what's already gone did what was asked
+                if (item.method === "DELETE" && err instanceof ApiError && err.status === 404) {
+                    await withStore(OUTBOX, "readwrite", store => store.delete(item.id));
+                    continue;
+                }
+                await withStore(OUTBOX, "readwrite", store => store.put({ ...item, error: mutationError(err) }));
+                failed++;
+            }
+        }
+        await notify(sent);
+        return { sent, failed };
+    })().finally(() => { replaying = null; });
+    return replaying;
+}
+
+// What the sync status shows for a rejected change
+function mutationError(err) {
+    if (!(err instanceof ApiError)) return { status: 0, message: err?.message || String(err) };
+    const fields = Object.values(err.fieldErrors).flat().join(" ");
+    return {
+        status: err.status,
+        message: err.detail || fields || err.title || err.message,
+        current: err.problem?.current ?? null
+    };
+}
+
+// Changes still waiting to be sent, folded per entry:
+// - creates: request bodies of entries that don't exist on the server yet
+// - updates: entry id -> fields of its pending update(s), later ones win
+// - deleted: ids of entries with a pending delete
+export function pendingChanges(items) {
+    const creates = [];
+    const updates = new Map();
+    const deleted = new Set();
+    for (const item of items || []) {
+        if (item.error) continue;
+        if (item.method === "POST" && !item.entryId) creates.push({ ...item.body, outboxId: item.id });
+        else if (item.method === "PUT" && item.entryId) updates.set(item.entryId, { ...updates.get(item.entryId), ...item.body });
+        else if (item.method === "DELETE" && item.entryId) deleted.add(item.entryId);
+    }
+    return { creates, updates, deleted };
+}
+
+// ----- Signed-in user -----
+// Copies and queued changes belong to whoever was signed in: the next user must neither see them
+// nor have them sent with their token. The cache remembers that user under OWNER.
+
+const OWNER = "owner";
+
+// Empties both stores (sign-out)
+export async function clearOfflineData() {
+    try {
+        await withStore(CACHE, "readwrite", store => store.clear());
+        await withStore(OUTBOX, "readwrite", store => store.clear());
+    } catch {
+        return;                 // nothing was stored then
+    }
+    await notify();
+}
+
+// After a sign-in: keeps the data of the same user (a session that expired offline still has
+// changes to send) and drops anything left by another one
+export async function claimOfflineData(userId) {
+    if ((await readCached(OWNER))?.value === userId) return;
+    await clearOfflineData();
+    await saveCached(OWNER, userId);
+}
+
+// ----- Service worker -----
+
+// Needs a secure context (https or localhost); without one the pages simply work online-only
+export function registerServiceWorker() {
+    if (!("serviceWorker" in navigator) || !window.isSecureContext) return;
+    navigator.serviceWorker.register("sw.js").catch(() => {});
+}
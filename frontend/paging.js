@@ -0,0 +1,34 @@
+// Page math and the numbered pager shared by the entry lists (index.html, share.html).
+
+// Number of pages for a total (always at least 1 so "page 1 of 1" reads naturally)
+export function totalPagesFor(total, pageSize) {
+    return Math.max(1, Math.ceil((total || 0) / pageSize));
+}
+
+// Build the page number list with gaps, e.g. [1, "…", 4, 5, 6, "…", 12]
+export function pageWindow(current, totalPages) {
+    const wanted = new Set([1, totalPages, current - 1, current, current + 1]);
+    const pages = [...wanted].filter(p => p >= 1 && p <= totalPages).sort((a, b) => a - b);
+    const out = [];
+    pages.forEach((p, i) => {
+        if (i > 0 && p - pages[i - 1] > 1) out.push("…");
+        out.push(p);
+    });
+    return out;
+}
+
+// Prev / numbered pages / Next buttons; each carries data-page, "" when there's only one page
+export function pagerHTML(current, totalPages) {
+    if (totalPages <= 1) return "";
+
+    const numbers = pageWindow(current, totalPages).map(p => p === "…"
+        ? `<span class="pager-gap" aria-hidden="true">…</span>`
+        : `<button type="button" class="btn" data-page="${p}"${p === current ? ` aria-current="page" disabled` : ""}>${p}</button>`
+    ).join("");
+
+    return `
+        <button type="button" class="btn" data-page="${current - 1}"${current <= 1 ? " disabled" : ""}>‹ Prev</button>
+        ${numbers}
+        <button type="button" class="btn" data-page="${current + 1}"${current >= totalPages ? " disabled" : ""}>Next ›</button>
+    `;
+}
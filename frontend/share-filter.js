@@ -0,0 +1,42 @@
+// The saved filter of a share link (EntryFilterDto: { q, type, subType, status, tag, tagMatch, collection }):
+// taken from a list URL (index.html?...) and described in words for the share pages.
+
+import { enumLabel } from "./metadata.js";
+
+// index.html query string -> filter, null when the view isn't filtered (= whole library).
+// Same keys as the list's URL state, except genres, which the API calls tags.
+export function filterFromListUrl(search) {
+    const p = new URLSearchParams(search);
+    const values = key => (p.get(key) || "").split(",").map(v => v.trim()).filter(Boolean);
+
+    const filter = {
+        q: (p.get("q") || "").trim() || null,
+        type: values("type"),
+        subType: values("subType"),
+        status: values("status"),
+        tag: values("genre"),
+        tagMatch: null,
+        collection: p.get("collection") || null
+    };
+    if (filter.tag.length && p.get("tagMatch") === "all") filter.tagMatch = "all";
+
+    const empty = !filter.q && !filter.collection
+        && ["type", "subType", "status", "tag"].every(key => !filter[key].length);
+    return empty ? null : filter;
+}
+
+// Plain-text summary, e.g. `Status: Completed · Genres (all): drama, crime`; "Whole library" without a filter.
+// collectionName: label for filter.collection (the id means nothing to a reader)
+export function describeFilter(filter, { collectionName } = {}) {
+    if (!filter) return "Whole library";
+
+    const labels = (kind, values) => (values || []).map(v => enumLabel(kind, v)).join(", ");
+    const parts = [];
+    if (filter.q) parts.push(`Search: "${filter.q}"`);
+    if (filter.type?.length) parts.push(`Type: ${labels("types", filter.type)}`);
+    if (filter.subType?.length) parts.push(`Subtype: ${labels("subTypes", filter.subType)}`);
+    if (filter.status?.length) parts.push(`Status: ${labels("statuses", filter.status)}`);
+    if (filter.tag?.length) parts.push(`Genres${filter.tagMatch === "all" ? " (all)" : ""}: ${filter.tag.join(", ")}`);
+    if (filter.collection) parts.push(`Collection: ${collectionName || "(deleted)"}`);
+    return parts.length ? parts.join(" · ") : "Whole library";
+}
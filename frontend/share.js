@@ -0,0 +1,102 @@
+// Public share page (share.html?token=...): someone's list, read-only and without signing in.
+// Rows use the list's rendering (entry-row.js) in read-only mode; what is shown (filter, notes)
+// was decided by the owner when creating the link (shares.html).
+
+import { isAbortError } from "./api.js";
+import { initTheme } from "./theme.js";
+import { escapeHTML, formatDate } from "./html.js";
+import { formatEntryHTML } from "./entry-row.js";
+import { totalPagesFor, pagerHTML } from "./paging.js";
+import { describeFilter } from "./share-filter.js";
+import { getSharedList } from "./shares-api.js";
+
+// ----- DOM references -----
+const shareScope = document.getElementById("shareScope");
+const listSummary = document.getElementById("listSummary");
+const sortBy = document.getElementById("sortBy");
+const entriesContainer = document.getElementById("entriesContainer");
+const pager = document.getElementById("pager");
+
+const PAGE_SIZE = 20;
+const token = new URLSearchParams(window.location.search).get("token") || "";
+
+let page = 1;
+let listAbort = null;       // AbortController for the in-flight request
+
+// ------------------
+// Rendering
+// ------------------
+
+// What the link covers, e.g. "Status: Completed · Notes included · Available until 3/1/2026"
+function renderScope(result) {
+    const parts = [describeFilter(result.filter, { collectionName: result.collectionName })];
+    if (result.includesNotes) parts.push("Notes included");
+    if (result.expiresAtUtc) parts.push(`Available until ${formatDate(result.expiresAtUtc)}`);
+    shareScope.textContent = parts.join(" · ");
+}
+
+function renderSummary(result) {
+    const shown = (result.items || []).length;
+    if (!result.total || !shown) {
+        listSummary.textContent = "";
+        return;
+    }
+    const first = (result.page - 1) * result.pageSize + 1;
+    listSummary.textContent = `Showing ${first}–${first + shown - 1} of ${result.total}`;
+}
+
+// ------------------
+// Data loading
+// ------------------
+
+async function loadList() {
+    listAbort?.abort();
+    listAbort = new AbortController();
+
+    const [sort, dir] = sortBy.value.split(":");
+    const result = await getSharedList(token, { sort, dir, page, pageSize: PAGE_SIZE }, listAbort.signal);
+    page = result.page ?? page;
+
+    renderScope(result);
+    renderSummary(result);
+    const rows = (result.items || []).map(dto => formatEntryHTML(dto, { readOnly: true })).join("");
+    entriesContainer.innerHTML = rows || `<div class="muted">Nothing to show here yet.</div>`;
+    // List role only around rows, the empty message isn't a list item
+    if (rows) entriesContainer.setAttribute("role", "list");
+    else entriesContainer.removeAttribute("role");
+    pager.innerHTML = pagerHTML(page, totalPagesFor(result.total, PAGE_SIZE));
+}
+
+// Unknown, revoked and expired links all come back as 404
+function showLoadError(err) {
+    if (isAbortError(err)) return;
+    if (err?.status !== 404) console.error(err);
+    sortBy.disabled = true;
+    entriesContainer.removeAttribute("role");
+    entriesContainer.innerHTML = err?.status === 404
+        ? `<div class="error" role="alert">This link doesn't exist anymore. It may have been revoked or expired.</div>`
+        : `<div class="error" role="alert">Failed to load: ${escapeHTML(err?.message || String(err))}</div>`;
+}
+
+// ------------------
+// Event wiring
+// ------------------
+
+sortBy.addEventListener("change", () => {
+    page = 1;
+    loadList().catch(showLoadError);
+});
+
+pager.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-page]");
+    if (!btn || btn.disabled) return;
+
+    page = Number(btn.getAttribute("data-page")) || 1;
+    loadList()
+        .then(() => document.getElementById("media-list")?.scrollIntoView({ behavior: "smooth" }))
+        .catch(showLoadError);
+});
+
+initTheme();
+if (token) loadList().catch(showLoadError);
+else showLoadError({ status: 404 });
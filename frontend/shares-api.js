@@ -0,0 +1,33 @@
+// Client for share links: the owner's endpoints (/api/shares) and the public view (/api/shared/<token>).
+// Thin wrappers over api.js: they build paths and bodies, errors propagate unchanged.
+
+import { api } from "./api.js";
+import { toQuery } from "./entries-api.js";
+
+export const SHARES = "/api/shares";
+export const SHARED = "/api/shared";
+
+// Newest first, expired ones flagged (isExpired) until revoked
+export async function listShares() {
+    return api.get(SHARES);
+}
+
+// dto: { name, filter, includeNotes, expiresAtUtc }; filter null shares the whole library
+export async function createShare(dto) {
+    return api.post(SHARES, dto);
+}
+
+// The link stops working at once
+export async function revokeShare(id) {
+    return api.del(`${SHARES}/${encodeURIComponent(id)}`);
+}
+
+// One page of a shared list, no login needed (query: sort, dir, page, pageSize)
+export async function getSharedList(token, query, signal) {
+    return api.get(`${SHARED}/${encodeURIComponent(token)}${toQuery(query)}`, { anonymous: true, signal });
+}
+
+// Address of the public page for a token, the one to hand out
+export function shareUrl(token, base = window.location.href) {
+    return new URL(`share.html?token=${encodeURIComponent(token)}`, base).href;
+}
@@ -0,0 +1,203 @@
+// Share links page: the user's read-only links (whole library or the list view they came from
+// via "Share this view", shares.html?view=<list query string>); create, copy and revoke them.
+// The links open share.html, which needs no sign-in.
+
+import { isAbortError } from "./api.js";
+import { loadMetadata, collectionOptions } from "./metadata.js";
+import { showToast, showError } from "./toast.js";
+import { confirmDialog } from "./dialog.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML, formatDate } from "./html.js";
+import { filterFromListUrl, describeFilter } from "./share-filter.js";
+import { listShares, createShare, revokeShare, shareUrl } from "./shares-api.js";
+
+// ----- DOM references -----
+const shareContainer = document.getElementById("shareContainer");
+const shareSummary = document.getElementById("shareSummary");
+const newShareForm = document.getElementById("newShareForm");
+const newShareName = document.getElementById("newShareName");
+const newShareExpiry = document.getElementById("newShareExpiry");
+const newShareNotes = document.getElementById("newShareNotes");
+const viewScopeLabel = document.getElementById("viewScopeLabel");
+const viewScopeText = document.getElementById("viewScopeText");
+const backLink = document.getElementById("backLink");
+
+// The list view this page was opened from (null = unfiltered or opened directly)
+const view = new URLSearchParams(window.location.search).get("view") || "";
+const viewFilter = filterFromListUrl(view);
+
+let shares = [];            // ShareLinkDto[] from the last load
+let highlightId = null;     // link created last, shown first with its address selected
+
+// ------------------
+// Utilities
+// ------------------
+
+function collectionName(id) {
+    return collectionOptions().find(c => c.value === id)?.label;
+}
+
+function scopeText(filter) {
+    return describeFilter(filter, { collectionName: collectionName(filter?.collection) });
+}
+
+// Date input value ("2026-03-01") -> end of that local day in UTC, null when empty
+function expiryFromInput(value) {
+    if (!value) return null;
+    const end = new Date(`${value}T23:59:59`);
+    return Number.isNaN(end.getTime()) ? null : end.toISOString();
+}
+
+function shareById(id) {
+    return shares.find(s => s.id === id);
+}
+
+// ------------------
+// Rendering
+// ------------------
+
+function formatShareHTML(share) {
+    const url = shareUrl(share.token);
+    const details = [
+        share.includeNotes ? "notes included" : "notes hidden",
+        `created ${formatDate(share.createdAtUtc)}`,
+        share.expiresAtUtc ? `${share.isExpired ? "expired" : "expires"} ${formatDate(share.expiresAtUtc)}` : "no expiry"
+    ].join(", ");
+
+    return `
+        <div class="entry-row share-row${share.isExpired ? " share-expired" : ""}" data-id="${share.id}">
+            <div class="entry-main">
+                <strong>${escapeHTML(share.name || "Untitled link")}</strong>
+                <span class="entry-meta">(${escapeHTML(details)})</span>
+                <div class="entry-sub">${escapeHTML(scopeText(share.filter))}</div>
+                <input type="text" class="share-url" value="${escapeHTML(url)}" readonly aria-label="Link address" />
+            </div>
+            <div class="entry-actions">
+                <button type="button" class="btn" data-action="copy" data-id="${share.id}"${share.isExpired ? " disabled" : ""}>Copy link</button>
+                <a class="btn" href="${escapeHTML(url)}" target="_blank" rel="noopener">Open</a>
+                <button type="button" class="btn btn-danger" data-action="revoke" data-id="${share.id}">Revoke</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderShares() {
+    shareContainer.innerHTML = shares.length
+        ? shares.map(formatShareHTML).join("")
+        : `<div class="muted">No share links yet. Create one above.</div>`;
+    shareSummary.textContent = shares.length
+        ? `${shares.length} ${shares.length === 1 ? "link" : "links"}`
+        : "";
+
+    if (highlightId) {
+        const input = shareContainer.querySelector(`.share-row[data-id="${highlightId}"] .share-url`);
+        input?.focus();
+        input?.select();
+        highlightId = null;
+    }
+}
+
+// "This view" is offered only when the page was opened from a filtered list
+function renderViewScope() {
+    if (backLink && view) backLink.href = `index.html${view.startsWith("?") ? view : `?${view}`}`;
+    if (!viewFilter) return;
+    viewScopeLabel.hidden = false;
+    newShareForm.elements.scope.value = "view";
+}
+
+// ------------------
+// Data loading
+// ------------------
+
+async function loadShares() {
+    shares = (await listShares()) || [];
+    renderShares();
+}
+
+function showLoadError(err) {
+    if (isAbortError(err)) return;
+    console.error(err);
+    shareContainer.innerHTML =
+        `<div class="error">Failed to load share links: ${escapeHTML(err?.message || String(err))}</div>`;
+}
+
+// Clipboard when the browser allows it, otherwise leave the address selected for Ctrl+C
+async function copyLink(share, input) {
+    try {
+        await navigator.clipboard.writeText(shareUrl(share.token));
+        showToast("Link copied.");
+    } catch {
+        input?.focus();
+        input?.select();
+        showToast("Press Ctrl+C to copy the selected link.");
+    }
+}
+
+// ---------------------
+// Events
+// ---------------------
+
+newShareForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+
+    const btn = newShareForm.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+        const created = await createShare({
+            name: newShareName.value.trim() || null,
+            filter: newShareForm.elements.scope.value === "view" ? viewFilter : null,
+            includeNotes: newShareNotes.checked,
+            expiresAtUtc: expiryFromInput(newShareExpiry.value)
+        });
+        newShareName.value = "";
+        newShareExpiry.value = "";
+        newShareNotes.checked = false;
+        highlightId = created?.id ?? null;
+        showToast("Share link created.");
+        await loadShares();
+    } catch (err) {
+        showError("Create failed", err);
+    } finally {
+        btn.disabled = false;
+    }
+});
+
+shareContainer.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (!btn) return;
+
+    const share = shareById(btn.dataset.id);
+    if (!share) return;
+
+    if (btn.dataset.action === "copy") {
+        await copyLink(share, btn.closest(".share-row")?.querySelector(".share-url"));
+        return;
+    }
+
+    if (btn.dataset.action === "revoke") {
+        if (!await confirmDialog(`Revoke "${share.name || "Untitled link"}"? Anyone using it will lose access.`, { title: "Revoke link", confirmLabel: "Revoke", danger: true })) return;
+        btn.disabled = true;
+        try {
+            await revokeShare(share.id);
+            showToast("Link revoked.");
+            await loadShares();
+        } catch (err) {
+            btn.disabled = false;
+            showError("Revoke failed", err);
+        }
+    }
+});
+
+// Expiry can't be in the past
+newShareExpiry.min = new Date(Date.now() - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+
+initLayout();
+renderViewScope();
+// Labels and collection names for the filter descriptions; without them ids and enum names are shown
+loadMetadata()
+    .catch(err => console.warn("Metadata unavailable", err))
+    .then(() => {
+        if (viewFilter) viewScopeText.textContent = scopeText(viewFilter);
+        return loadShares();
+    })
+    .catch(showLoadError);
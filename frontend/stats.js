@@ -0,0 +1,164 @@
+// Stats page script: loads the library summary and draws the charts as inline SVG (no chart library).
+// Colours come from CSS variables, so the charts follow the dark mode toggle without redrawing.
+
+import { getStats } from "./entries-api.js";
+import { loadMetadata, enumLabel } from "./metadata.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML } from "./html.js";
+
+const MONTHS = 12;
+
+// ----- DOM references -----
+const statsError = document.getElementById("statsError");
+const statsTotals = document.getElementById("statsTotals");
+const charts = {
+    status: document.getElementById("chartStatus"),
+    type: document.getElementById("chartType"),
+    subType: document.getElementById("chartSubType"),
+    ratings: document.getElementById("chartRatings"),
+    tags: document.getElementById("chartTags"),
+    months: document.getElementById("chartMonths"),
+};
+
+// Chart geometry (SVG user units; the SVG scales to the card width)
+const WIDTH = 400;
+const ROW_HEIGHT = 26;
+const LABEL_WIDTH = 130;
+const COLUMN_HEIGHT = 160;
+
+// ------------------
+// Utilities
+// ------------------
+
+function formatRating(v) {
+    return v == null ? "—" : Number(v).toFixed(2).replace(/\.?0+$/, "");
+}
+
+// "2025-03" -> "Mar 25"
+function monthLabel(month) {
+    const [year, m] = month.split("-").map(Number);
+    const name = new Date(Date.UTC(year, m - 1, 1)).toLocaleString("en-US", { month: "short", timeZone: "UTC" });
+    return `${name} ${String(year).slice(2)}`;
+}
+
+function emptyChart(message = "Nothing to show yet.") {
+    return `<p class="muted">${escapeHTML(message)}</p>`;
+}
+
+// ------------------
+// Charts
+// ------------------
+
+// One labelled horizontal bar per item: [{ label, value, text }] (text = value shown after the bar)
+function barChart(items, { max, summary }) {
+    if (!items.length) return emptyChart();
+
+    const top = Math.max(max ?? Math.max(...items.map(i => i.value)), 1);
+    const barSpace = WIDTH - LABEL_WIDTH - 50;
+    const height = items.length * ROW_HEIGHT;
+
+    const rows = items.map((item, i) => {
+        const y = i * ROW_HEIGHT;
+        const width = Math.max((item.value / top) * barSpace, item.value > 0 ? 2 : 0);
+        const text = item.text ?? String(item.value);
+        return `
+            <g>
+                <title>${escapeHTML(`${item.label}: ${text}`)}</title>
+                <text class="chart-label" x="${LABEL_WIDTH - 8}" y="${y + ROW_HEIGHT / 2}" text-anchor="end" dominant-baseline="middle">${escapeHTML(item.label)}</text>
+                <rect class="chart-bar" x="${LABEL_WIDTH}" y="${y + 4}" width="${width.toFixed(1)}" height="${ROW_HEIGHT - 8}" rx="3"></rect>
+                <text class="chart-value" x="${(LABEL_WIDTH + width + 6).toFixed(1)}" y="${y + ROW_HEIGHT / 2}" dominant-baseline="middle">${escapeHTML(text)}</text>
+            </g>`;
+    }).join("");
+
+    return `<svg class="chart" viewBox="0 0 ${WIDTH} ${height}" role="img" aria-label="${escapeHTML(summary)}">${rows}</svg>`;
+}
+
+// Vertical columns with a label under each: [{ label, value }]
+function columnChart(items, { summary }) {
+    if (!items.length) return emptyChart();
+
+    const top = Math.max(...items.map(i => i.value), 1);
+    const slot = WIDTH / items.length;
+    const barWidth = Math.min(slot * 0.7, 36);
+    const baseline = COLUMN_HEIGHT + 16;   // room above the tallest bar for its value
+
+    const columns = items.map((item, i) => {
+        const x = i * slot + (slot - barWidth) / 2;
+        const h = (item.value / top) * COLUMN_HEIGHT;
+        const center = i * slot + slot / 2;
+        return `
+            <g>
+                <title>${escapeHTML(`${item.label}: ${item.value}`)}</title>
+                <rect class="chart-bar" x="${x.toFixed(1)}" y="${(baseline - h).toFixed(1)}" width="${barWidth.toFixed(1)}" height="${h.toFixed(1)}" rx="3"></rect>
+                ${item.value > 0 ? `<text class="chart-value" x="${center.toFixed(1)}" y="${(baseline - h - 4).toFixed(1)}" text-anchor="middle">${item.value}</text>` : ""}
+                <text class="chart-label" x="${center.toFixed(1)}" y="${baseline + 14}" text-anchor="middle">${escapeHTML(item.label)}</text>
+            </g>`;
+    }).join("");
+
+    return `
+        <svg class="chart" viewBox="0 0 ${WIDTH} ${baseline + 22}" role="img" aria-label="${escapeHTML(summary)}">
+            <line class="chart-axis" x1="0" y1="${baseline}" x2="${WIDTH}" y2="${baseline}"></line>
+            ${columns}
+        </svg>`;
+}
+
+function describe(items) {
+    return items.map(i => `${i.label} ${i.text ?? i.value}`).join(", ");
+}
+
+function render(stats) {
+    statsTotals.innerHTML = `
+        <div class="stats-total"><strong>${stats.total}</strong><span>entries</span></div>
+        <div class="stats-total"><strong>${stats.rated}</strong><span>rated</span></div>
+        <div class="stats-total"><strong>${formatRating(stats.averageRating)}</strong><span>average rating</span></div>`;
+
+    if (stats.total === 0) {
+        Object.values(charts).forEach(c => { c.innerHTML = emptyChart("Add some entries to see your stats."); });
+        return;
+    }
+
+    const status = stats.byStatus.map(s => ({ label: enumLabel("statuses", s.key), value: s.count }));
+    charts.status.innerHTML = barChart(status, { summary: `Entries by status: ${describe(status)}` });
+
+    const type = stats.byType.map(s => ({ label: enumLabel("types", s.key), value: s.count }));
+    charts.type.innerHTML = barChart(type, { summary: `Entries by type: ${describe(type)}` });
+
+    // Unused subtypes are left out to keep the chart short; "None" = no subtype set
+    const subType = stats.bySubType
+        .filter(s => s.count > 0)
+        .map(s => ({ label: s.key ? enumLabel("subTypes", s.key) : "None", value: s.count }));
+    charts.subType.innerHTML = barChart(subType, { summary: `Entries by subtype: ${describe(subType)}` });
+
+    const ratings = stats.ratingHistogram.map(b => ({ label: String(b.rating), value: b.count }));
+    charts.ratings.innerHTML = stats.rated === 0
+        ? emptyChart("No rated entries yet.")
+        : columnChart(ratings, { summary: `Rated entries per rating: ${describe(ratings)}` });
+
+    const tags = stats.tagRatings
+        .filter(t => t.averageRating != null)
+        .map(t => ({
+            label: t.tag,
+            value: Number(t.averageRating),
+            text: `${formatRating(t.averageRating)} (${t.rated} rated)`,
+        }));
+    charts.tags.innerHTML = tags.length
+        ? barChart(tags, { max: 10, summary: `Average rating per genre: ${describe(tags)}` })
+        : emptyChart("Rate some tagged entries to compare genres.");
+
+    const months = stats.completedByMonth.map(m => ({ label: monthLabel(m.month), value: m.count }));
+    charts.months.innerHTML = columnChart(months, { summary: `Entries completed per month: ${describe(months)}` });
+}
+
+async function loadStats() {
+    statsError.textContent = "";
+    try {
+        // Labels fall back to the enum names if the metadata can't be loaded
+        const [stats] = await Promise.all([getStats(MONTHS), loadMetadata().catch(() => null)]);
+        if (stats) render(stats);
+    } catch (err) {
+        statsError.textContent = `Failed to load stats: ${err?.message || String(err)}`;
+    }
+}
+
+initLayout();
+loadStats();
@@ -0,0 +1,59 @@
+// Service worker: keeps the app shell (pages, scripts, styles) cached so the app opens without
+// a connection. Same-origin GETs are answered from the cache and refreshed in the background
+// (the next load gets the update). API calls go to another origin and aren't touched: the pages
+// fall back to their IndexedDB copies and queue changes themselves (offline.js).
+//
+// Bump SHELL_CACHE when the list below changes; the old cache is dropped on activate.
+
+const SHELL_CACHE = "pmt-shell-v6";
+
+const SHELL = [
+    "./",
+    "index.html", "entry.html", "login.html", "tags.html", "trash.html", "import.html", "stats.html",
+    "collections.html", "collection.html", "shares.html", "share.html",
+    "styles.css",
+    "app.js", "entry.js", "tags.js", "trash.js", "import.js", "stats.js", "collections.js", "collection.js",
+    "shares.js", "share.js",
+    "api.js", "auth.js", "entries-api.js", "enums.js", "metadata.js", "offline.js", "sync-status.js", "toast.js",
+    "layout.js", "theme.js", "account.js", "html.js", "entry-row.js", "form-values.js", "dialog.js",
+    "collections-api.js", "collection-menu.js", "list-order.js", "paging.js", "shares-api.js", "share-filter.js", "next-up.js"
+];
+
+self.addEventListener("install", (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(k => k !== SHELL_CACHE).map(k => caches.delete(k))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Stale-while-revalidate. Pages carry their state in the query string (index.html?type=Movie),
+// so the cached copy is looked up without it.
+self.addEventListener("fetch", (event) => {
+    const { request } = event;
+    if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith(
+        caches.open(SHELL_CACHE).then(async (cache) => {
+            const cached = await cache.match(request, { ignoreSearch: true });
+            const refresh = fetch(request)
+                .then((res) => {
+                    if (res.ok) cache.put(new URL(request.url).pathname, res.clone());
+                    return res;
+                });
+            if (cached) {
+                event.waitUntil(refresh.catch(() => {}));
+                return cached;
+            }
+            return refresh;
+        })
+    );
+});
@@ -0,0 +1,120 @@
+// Sync status bar: says when the app is offline, how many changes are waiting in the outbox,
+// offers "Sync now", and lists changes the server rejected with Retry / Discard.
+// Waiting changes are sent on mount and whenever the browser comes back online.
+
+import { onOutboxChange, outboxItems, replayOutbox, retryMutation, discardMutation } from "./offline.js";
+import { showToast, showError } from "./toast.js";
+
+const plural = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+
+export function mountSyncStatus(container) {
+    if (!container) return;
+    let items = [];
+    let syncing = false;
+
+    function button(label, dataset) {
+        const btn = document.createElement("button");
+        btn.type = "button";
+        btn.className = "btn btn-small";
+        Object.assign(btn.dataset, dataset);
+        btn.textContent = label;
+        btn.disabled = syncing;
+        return btn;
+    }
+
+    // One line per rejected change: what it was, why the server said no, and what to do about it
+    function conflictItem(item) {
+        const li = document.createElement("li");
+        const text = document.createElement("span");
+        text.textContent = `${item.label || `${item.method} ${item.path}`}: ${item.error.message}`;
+        li.append(text);
+        // An edit conflict can be forced through (drops If-Match); other rejections just retry
+        const conflict = item.error.status === 412;
+        li.append(button(conflict ? "Save mine anyway" : "Retry", { sync: conflict ? "overwrite" : "retry", id: item.id }));
+        if (item.entryId && item.method === "PUT") {
+            const open = document.createElement("a");
+            open.href = `entry.html?mode=edit&id=${encodeURIComponent(item.entryId)}`;
+            open.textContent = "Open entry";
+            li.append(open);
+        }
+        li.append(button("Discard", { sync: "discard", id: item.id }));
+        return li;
+    }
+
+    function render() {
+        const offline = navigator.onLine === false;
+        const failed = items.filter(i => i.error);
+        const waiting = items.length - failed.length;
+
+        container.hidden = !offline && !items.length;
+        container.classList.toggle("is-offline", offline);
+        container.classList.toggle("has-conflicts", failed.length > 0);
+        if (container.hidden) {
+            container.replaceChildren();
+            return;
+        }
+
+        const summary = document.createElement("p");
+        const parts = [];
+        if (offline) parts.push("You're offline. Changes are kept on this device and sent when you're back online.");
+        if (syncing) parts.push("Syncing…");
+        else if (waiting) parts.push(`${plural(waiting, "change", "changes")} waiting to sync.`);
+        if (failed.length) parts.push(`${plural(failed.length, "change", "changes")} couldn't be saved:`);
+        summary.textContent = parts.join(" ");
+        if (waiting && !offline) summary.append(" ", button("Sync now", { sync: "now" }));
+
+        const list = document.createElement("ul");
+        list.className = "sync-conflicts";
+        list.append(...failed.map(conflictItem));
+        container.replaceChildren(summary, ...(failed.length ? [list] : []));
+    }
+
+    async function run(action) {
+        syncing = true;
+        render();
+        try {
+            const { sent, failed } = await action();
+            if (sent) showToast(`Synced ${plural(sent, "offline change", "offline changes")}.`);
+            if (failed) showToast(`${plural(failed, "offline change", "offline changes")} couldn't be saved. See the sync status above.`);
+        } catch (err) {
+            showError("Sync failed", err);
+        } finally {
+            syncing = false;
+            items = await outboxItems();
+            render();
+        }
+    }
+
+    container.addEventListener("click", (e) => {
+        const btn = e.target.closest("[data-sync]");
+        if (!btn || syncing) return;
+        const id = Number(btn.dataset.id);
+        switch (btn.dataset.sync) {
+            case "now":
+                run(replayOutbox);
+                break;
+            case "retry":
+                run(() => retryMutation(id));
+                break;
+            case "overwrite":
+                run(() => retryMutation(id, { overwrite: true }));
+                break;
+            case "discard":
+                discardMutation(id);
+                break;
+        }
+    });
+
+    onOutboxChange((next) => {
+        items = next;
+        render();
+    });
+    window.addEventListener("online", () => run(replayOutbox));
+    window.addEventListener("offline", render);
+
+    outboxItems().then((initial) => {
+        items = initial;
+        if (navigator.onLine !== false && initial.some(i => !i.error)) run(replayOutbox);
+        else render();
+    });
+}
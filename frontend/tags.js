@@ -0,0 +1,220 @@
+// Tags page script: lists the user's tags with usage counts; add, rename, merge and delete them.
+
+import { api, isAbortError } from "./api.js";
+import { showToast, showError } from "./toast.js";
+import { confirmDialog } from "./dialog.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML } from "./html.js";
+
+const TAGS = "/api/tags";
+
+async function listTags() {
+    return api.get(TAGS);
+}
+
+async function createTag(name) {
+    return api.post(TAGS, { name });
+}
+
+// Entries link to the tag by id, so they all show the new name right away
+async function renameTag(id, name) {
+    return api.put(`${TAGS}/${encodeURIComponent(id)}`, { name });
+}
+
+// Moves every entry from id to targetId and removes id; returns the target with its new count
+async function mergeTag(id, targetId) {
+    return api.post(`${TAGS}/${encodeURIComponent(id)}/merge`, { targetId });
+}
+
+// Detaches the tag from all entries, the entries stay
+async function deleteTag(id) {
+    return api.del(`${TAGS}/${encodeURIComponent(id)}`);
+}
+
+// ----- DOM references -----
+const tagContainer = document.getElementById("tagContainer");
+const tagSummary = document.getElementById("tagSummary");
+const newTagForm = document.getElementById("newTagForm");
+const newTagName = document.getElementById("newTagName");
+
+let tags = [];              // TagDto[] from the last load ({ id, name, count })
+let editingId = null;       // row currently showing the rename form
+
+// ------------------
+// Utilities
+// ------------------
+
+function entriesText(count) {
+    return `${count} ${count === 1 ? "entry" : "entries"}`;
+}
+
+function tagById(id) {
+    return tags.find(t => t.id === id);
+}
+
+// ------------------
+// Rendering
+// ------------------
+
+// One row per tag; the merge picker lists every other tag
+function formatTagHTML(tag) {
+    const name = escapeHTML(tag.name);
+    const listUrl = `index.html?genre=${encodeURIComponent(tag.name)}`;
+    const targets = tags
+        .filter(t => t.id !== tag.id)
+        .map(t => `<option value="${t.id}">${escapeHTML(t.name)}</option>`)
+        .join("");
+
+    const main = tag.id === editingId
+        ? `<form class="tag-rename" data-id="${tag.id}">
+                <input type="text" value="${name}" maxlength="64" aria-label="New name for ${name}" required />
+                <button type="submit" class="btn">Save</button>
+                <button type="button" class="btn" data-action="cancel">Cancel</button>
+            </form>`
+        : `<strong>${name}</strong>
+            <span class="entry-meta">(${entriesText(tag.count)})</span>
+            ${tag.count ? `<a href="${listUrl}">Show entries</a>` : ""}`;
+
+    return `
+        <div class="entry-row tag-row" data-id="${tag.id}">
+            <div class="entry-main">${main}</div>
+            <div class="entry-actions">
+                <button type="button" class="btn" data-action="rename" data-id="${tag.id}">Rename</button>
+                ${targets ? `
+                <label for="merge-${tag.id}">Merge into</label>
+                <select id="merge-${tag.id}" data-merge-target>${targets}</select>
+                <button type="button" class="btn" data-action="merge" data-id="${tag.id}">Merge</button>` : ""}
+                <button type="button" class="btn btn-danger" data-action="delete" data-id="${tag.id}">Delete</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderTags() {
+    tagContainer.innerHTML = tags.length
+        ? tags.map(formatTagHTML).join("")
+        : `<div class="muted">No tags yet. Add one above or tag an entry.</div>`;
+    tagSummary.textContent = tags.length ? `${tags.length} ${tags.length === 1 ? "tag" : "tags"}` : "";
+
+    if (editingId) {
+        const input = tagContainer.querySelector(".tag-rename input");
+        input?.focus();
+        input?.select();
+    }
+}
+
+async function loadTags() {
+    tags = (await listTags()) || [];
+    if (!tagById(editingId)) editingId = null;
+    renderTags();
+}
+
+function showLoadError(err) {
+    if (isAbortError(err)) return;
+    console.error(err);
+    tagContainer.innerHTML =
+        `<div class="error">Failed to load tags: ${escapeHTML(err?.message || String(err))}</div>`;
+}
+
+// ---------------------
+// Events
+// ---------------------
+
+newTagForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const name = newTagName.value.trim();
+    if (!name) return;
+
+    const btn = newTagForm.querySelector('button[type="submit"]');
+    btn.disabled = true;
+    try {
+        const created = await createTag(name);
+        newTagName.value = "";
+        showToast(`Added "${created?.name ?? name}".`);
+        await loadTags();
+    } catch (err) {
+        showError("Add failed", err);
+    } finally {
+        btn.disabled = false;
+    }
+});
+
+tagContainer.addEventListener("submit", async (e) => {
+    const form = e.target.closest(".tag-rename");
+    if (!form) return;
+    e.preventDefault();
+
+    const tag = tagById(form.dataset.id);
+    const name = form.querySelector("input").value.trim();
+    if (!tag || !name) return;
+    if (name.toLowerCase() === tag.name) {
+        editingId = null;
+        renderTags();
+        return;
+    }
+
+    form.querySelectorAll("button").forEach(b => { b.disabled = true; });
+    try {
+        const renamed = await renameTag(tag.id, name);
+        editingId = null;
+        showToast(`Renamed "${tag.name}" to "${renamed?.name ?? name}".`);
+        await loadTags();
+    } catch (err) {
+        form.querySelectorAll("button").forEach(b => { b.disabled = false; });
+        showError("Rename failed", err);
+    }
+});
+
+tagContainer.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (!btn) return;
+
+    const action = btn.dataset.action;
+    if (action === "cancel") {
+        editingId = null;
+        renderTags();
+        return;
+    }
+
+    const tag = tagById(btn.dataset.id);
+    if (!tag) return;
+
+    if (action === "rename") {
+        editingId = tag.id;
+        renderTags();
+        return;
+    }
+
+    if (action === "merge") {
+        const target = tagById(btn.closest(".tag-row")?.querySelector("[data-merge-target]")?.value);
+        if (!target) return;
+        if (!await confirmDialog(`Merge "${tag.name}" into "${target.name}"? ${entriesText(tag.count)} will be tagged "${target.name}" and "${tag.name}" goes away.`, { title: "Merge tags", confirmLabel: "Merge" })) return;
+        btn.disabled = true;
+        try {
+            const merged = await mergeTag(tag.id, target.id);
+            showToast(`Merged "${tag.name}" into "${target.name}" (${entriesText(merged?.count ?? target.count)}).`);
+            await loadTags();
+        } catch (err) {
+            btn.disabled = false;
+            showError("Merge failed", err);
+        }
+        return;
+    }
+
+    if (action === "delete") {
+        const used = tag.count ? ` It will be removed from ${entriesText(tag.count)}.` : "";
+        if (!await confirmDialog(`Delete the tag "${tag.name}"?${used}`, { title: "Delete tag", confirmLabel: "Delete", danger: true })) return;
+        btn.disabled = true;
+        try {
+            await deleteTag(tag.id);
+            showToast(`Deleted the tag "${tag.name}".`);
+            await loadTags();
+        } catch (err) {
+            btn.disabled = false;
+            showError("Delete failed", err);
+        }
+    }
+});
+
+initLayout();
+loadTags().catch(showLoadError);
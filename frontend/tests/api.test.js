@@ -0,0 +1,151 @@
+import { API_BASE, navigations, setPageUrl, PAGE_URL, stubFetch } from "./setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { api, http, saveSession, ApiError, OfflineError, isOfflineError } from "../api.js";
+
+// fetch answers, taken in order
+let responses;
+
+const STATUS_TEXT = { 200: "OK", 204: "No Content", 400: "Bad Request", 401: "Unauthorized", 412: "Precondition Failed", 500: "Internal Server Error" };
+
+function respond(status, body) {
+    const text = body === undefined ? null : typeof body === "string" ? body : JSON.stringify(body);
+    const headers = text === null ? {} : { "Content-Type": typeof body === "string" ? "text/plain" : "application/json" };
+    return new Response(text, { status, statusText: STATUS_TEXT[status], headers });
+}
+
+const requests = stubFetch((url, init) => {
+    const next = responses.shift();
+    if (!next) throw new Error(`Unexpected request: ${init.method} ${url}`);
+    if (next instanceof Error) throw next;
+    return next;
+});
+
+beforeEach(() => {
+    responses = [];
+    navigations.length = 0;
+    localStorage.clear();
+    setPageUrl(PAGE_URL);
+});
+
+test("http() sends JSON with the bearer token and parses the JSON answer", async () => {
+    saveSession({ accessToken: "access-1", refreshToken: "refresh-1" });
+    responses.push(respond(200, { id: "e1" }));
+
+    const result = await api.post("/api/mediaentries", { title: "Dune" });
+
+    assert.deepEqual(result, { id: "e1" });
+    assert.equal(requests[0].url, `${API_BASE}/api/mediaentries`);
+    assert.equal(requests[0].method, "POST");
+    assert.equal(requests[0].headers.Authorization, "Bearer access-1");
+    assert.equal(requests[0].body, JSON.stringify({ title: "Dune" }));
+});
+
+test("http() resolves with null for 204 No Content", async () => {
+    responses.push(respond(204));
+    assert.equal(await api.del("/api/mediaentries/e1"), null);
+});
+
+test("401: the refresh token is traded for a new pair and the request sent again", async () => {
+    saveSession({ accessToken: "expired", refreshToken: "refresh-1" });
+    responses.push(
+        respond(401),
+        respond(200, { accessToken: "access-2", refreshToken: "refresh-2" }),
+        respond(200, { email: "me@example.com" })
+    );
+
+    const me = await api.get("/api/auth/me");
+
+    assert.deepEqual(me, { email: "me@example.com" });
+    assert.equal(requests[1].url, `${API_BASE}/api/auth/refresh`);
+    assert.equal(requests[1].headers.Authorization, undefined);
+    assert.equal(requests[1].body, JSON.stringify({ refreshToken: "refresh-1" }));
+    assert.equal(requests[2].headers.Authorization, "Bearer access-2");
+    assert.equal(localStorage.getItem("refreshToken"), "refresh-2");
+    assert.equal(navigations.length, 0);
+});
+
+test("401 without a usable refresh token sends the user to the login page", async () => {
+    saveSession({ accessToken: "expired", refreshToken: "revoked" });
+    responses.push(respond(401), respond(401));
+
+    const result = await api.get("/api/mediaentries");
+
+    assert.equal(result, undefined);
+    assert.equal(requests.length, 2);       // the request and the failed refresh, no retry
+    assert.equal(navigations.length, 1);
+});
+
+test("401 on the login page doesn't redirect again", async () => {
+    setPageUrl("https://app.test/login.html");
+    responses.push(respond(401));
+
+    assert.equal(await api.get("/api/auth/me"), undefined);
+    assert.equal(requests.length, 1);       // no refresh token, nothing to trade
+    assert.equal(navigations.length, 0);
+});
+
+test("anonymous requests send no token and throw a 401 as ApiError", async () => {
+    saveSession({ accessToken: "access-1", refreshToken: "refresh-1" });
+    responses.push(respond(401, { title: "Unauthorized", status: 401 }));
+
+    const err = await http("POST", "/api/auth/login", { email: "a@b.c", password: "x" }, { anonymous: true })
+        .catch(e => e);
+
+    assert.ok(err instanceof ApiError);
+    assert.equal(err.status, 401);
+    assert.equal(requests[0].headers.Authorization, undefined);
+    assert.equal(navigations.length, 0);
+});
+
+test("ProblemDetails errors are parsed into title, detail and field errors", async () => {
+    responses.push(respond(400, {
+        title: "One or more validation errors occurred.",
+        status: 400,
+        errors: { Title: ["Title is required."], "$.rating": ["Rating must be a number."], dto: ["The dto field is required."] }
+    }));
+
+    const err = await api.post("/api/mediaentries", {}).catch(e => e);
+
+    assert.ok(err instanceof ApiError);
+    assert.equal(err.status, 400);
+    assert.equal(err.title, "One or more validation errors occurred.");
+    assert.deepEqual(err.fieldErrors, { title: ["Title is required."], rating: ["Rating must be a number."] });
+    assert.equal(err.message, "HTTP 400 Bad Request: Title is required. Rating must be a number.");
+});
+
+test("a ProblemDetails detail wins over the title, extension members stay available", async () => {
+    responses.push(respond(412, { title: "Edit conflict", detail: "Someone else saved this entry.", current: { id: "e1" } }));
+
+    const err = await api.put("/api/mediaentries/e1", {}).catch(e => e);
+
+    assert.equal(err.status, 412);
+    assert.equal(err.detail, "Someone else saved this entry.");
+    assert.deepEqual(err.problem.current, { id: "e1" });
+    assert.match(err.message, /Someone else saved this entry\.$/);
+});
+
+test("a non-ProblemDetails error body is kept as the message", async () => {
+    responses.push(respond(500, "Something broke"));
+
+    const err = await api.get("/api/mediaentries").catch(e => e);
+
+    assert.equal(err.status, 500);
+    assert.equal(err.problem, null);
+    assert.equal(err.body, "Something broke");
+    assert.equal(err.message, "HTTP 500 Internal Server Error: Something broke");
+});
+
+test("a failed fetch becomes an OfflineError, an abort stays an AbortError", async () => {
+    responses.push(new TypeError("Failed to fetch"));
+    const offline = await api.get("/api/mediaentries").catch(e => e);
+    assert.ok(offline instanceof OfflineError);
+    assert.ok(isOfflineError(offline));
+    assert.equal(offline.cause.message, "Failed to fetch");
+
+    responses.push(new DOMException("The operation was aborted.", "AbortError"));
+    const aborted = await api.get("/api/mediaentries").catch(e => e);
+    assert.equal(aborted.name, "AbortError");
+    assert.ok(!isOfflineError(aborted));
+});
@@ -0,0 +1,36 @@
+import { API_BASE, stubFetch } from "./setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { saveSession } from "../api.js";
+import { collectionPath, listCollections, addToCollection, removeFromCollection, reorderCollection } from "../collections-api.js";
+
+const requests = stubFetch();
+
+beforeEach(() => {
+    saveSession({ accessToken: "access-1", refreshToken: "refresh-1" });
+});
+
+test("collectionPath encodes the id", () => {
+    assert.equal(collectionPath("a/b"), "/api/collections/a%2Fb");
+});
+
+test("listCollections asks for membership only with an entry id", async () => {
+    await listCollections();
+    await listCollections("e1");
+    assert.deepEqual(requests.map(r => r.url), [`${API_BASE}/api/collections`, `${API_BASE}/api/collections?entryId=e1`]);
+});
+
+test("adding, removing and reordering hit the entry endpoints of the collection", async () => {
+    await addToCollection("c1", "e1");
+    await removeFromCollection("c1", "e1");
+    await reorderCollection("c1", ["e2", "e1"]);
+
+    assert.deepEqual(requests.map(r => `${r.method} ${r.url.replace(API_BASE, "")}`), [
+        "POST /api/collections/c1/entries",
+        "DELETE /api/collections/c1/entries/e1",
+        "PUT /api/collections/c1/order"
+    ]);
+    assert.equal(requests[0].body, JSON.stringify({ entryId: "e1" }));
+    assert.equal(requests[2].body, JSON.stringify({ entryIds: ["e2", "e1"] }));
+});
@@ -0,0 +1,85 @@
+import "./setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { confirmDialog, isDialogOpen } from "../dialog.js";
+
+const button = (name) => document.querySelector(`[data-dialog="${name}"]`);
+const press = (key) => document.activeElement.dispatchEvent(
+    new window.KeyboardEvent("keydown", { key, bubbles: true, cancelable: true }));
+
+let opener;
+
+beforeEach(() => {
+    document.body.innerHTML = `<main><button type="button" id="opener">Delete</button></main>`;
+    opener = document.getElementById("opener");
+    opener.focus();
+});
+
+test("confirmDialog resolves true on confirm and false on cancel", async () => {
+    const confirmed = confirmDialog("Delete it?");
+    button("confirm").click();
+    assert.equal(await confirmed, true);
+
+    const cancelled = confirmDialog("Delete it?");
+    button("cancel").click();
+    assert.equal(await cancelled, false);
+    assert.equal(isDialogOpen(), false);
+});
+
+test("confirmDialog labels the dialog and shows text as text", async () => {
+    const result = confirmDialog("Delete <b>Dune</b>?", { title: "Delete entry", confirmLabel: "Delete", danger: true });
+    const dialog = document.querySelector(".modal");
+    assert.equal(dialog.getAttribute("role"), "alertdialog");
+    assert.equal(dialog.getAttribute("aria-modal"), "true");
+    assert.equal(document.getElementById(dialog.getAttribute("aria-labelledby")).textContent, "Delete entry");
+    assert.equal(document.getElementById(dialog.getAttribute("aria-describedby")).textContent, "Delete <b>Dune</b>?");
+    assert.equal(dialog.querySelector("b"), null);
+    assert.equal(button("confirm").textContent, "Delete");
+    assert.ok(button("confirm").classList.contains("btn-danger"));
+    button("cancel").click();
+    await result;
+});
+
+test("confirmDialog focuses Cancel for dangerous actions, Confirm otherwise", async () => {
+    const danger = confirmDialog("Delete it?", { danger: true });
+    assert.equal(document.activeElement, button("cancel"));
+    button("cancel").click();
+    await danger;
+
+    const plain = confirmDialog("Merge them?");
+    assert.equal(document.activeElement, button("confirm"));
+    button("cancel").click();
+    await plain;
+});
+
+test("confirmDialog makes the page inert, keeps Tab inside and cancels on Escape", async () => {
+    const result = confirmDialog("Delete it?", { danger: true });
+    assert.equal(document.querySelector("main").inert, true);
+
+    press("Tab");
+    assert.equal(document.activeElement, button("confirm"));
+    press("Tab");
+    assert.equal(document.activeElement, button("cancel"));
+
+    press("Escape");
+    assert.equal(await result, false);
+    assert.equal(document.querySelector(".modal-backdrop"), null);
+    assert.equal(document.querySelector("main").inert, false);
+    assert.equal(document.activeElement, opener);
+});
+
+test("confirmDialog cancels on a click outside the dialog", async () => {
+    const result = confirmDialog("Delete it?");
+    document.querySelector(".modal-backdrop").click();
+    assert.equal(await result, false);
+});
+
+test("opening a second dialog cancels the first", async () => {
+    const first = confirmDialog("First?");
+    const second = confirmDialog("Second?");
+    assert.equal(await first, false);
+    assert.equal(document.querySelectorAll(".modal").length, 1);
+    button("confirm").click();
+    assert.equal(await second, true);
+});
@@ -0,0 +1,40 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { toQuery, listPath, entryPath, ifMatch, duplicatesPath } from "../entries-api.js";
+
+test("toQuery builds a query string from the set values", () => {
+    assert.equal(toQuery({ search: "dune", page: 2 }), "?search=dune&page=2");
+});
+
+test("toQuery skips null, undefined and empty values", () => {
+    assert.equal(toQuery({ search: "", type: null, subType: undefined, page: 1 }), "?page=1");
+    assert.equal(toQuery({ search: "" }), "");
+    assert.equal(toQuery(null), "");
+});
+
+test("toQuery repeats keys for arrays and drops empty items", () => {
+    assert.equal(toQuery({ status: ["Watching", "", "OnHold"] }), "?status=Watching&status=OnHold");
+    assert.equal(toQuery({ status: [] }), "");
+});
+
+test("toQuery encodes values and keeps zero and false", () => {
+    assert.equal(toQuery({ search: "a&b c" }), "?search=a%26b+c");
+    assert.equal(toQuery({ rating: 0, desc: false }), "?rating=0&desc=false");
+});
+
+test("listPath and entryPath point at the entry endpoints", () => {
+    assert.equal(listPath({ page: 3 }), "/api/mediaentries?page=3");
+    assert.equal(entryPath("a/b"), "/api/mediaentries/a%2Fb");
+});
+
+test("duplicatesPath sends the title and the entry to leave out", () => {
+    assert.equal(duplicatesPath("Dune: Part 2"), "/api/mediaentries/duplicates?title=Dune%3A+Part+2");
+    assert.equal(duplicatesPath("Dune", "e1"), "/api/mediaentries/duplicates?title=Dune&excludeId=e1");
+});
+
+test("ifMatch quotes the version and is undefined without one", () => {
+    assert.deepEqual(ifMatch("8dc1"), { "If-Match": "\"8dc1\"" });
+    assert.equal(ifMatch(null), undefined);
+});
@@ -0,0 +1,96 @@
+import { fragment } from "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { formatEntryHTML, formatPendingCreateHTML } from "../entry-row.js";
+
+const movie = {
+    id: "m1", title: "Dune", type: "Movie", subType: "LiveAction", status: "Completed",
+    rating: 8.5, tags: ["Sci-Fi"], notes: "Saw it twice"
+};
+
+const row = (dto, options) => fragment(formatEntryHTML(dto, options)).querySelector(".entry-row");
+
+test("formatEntryHTML renders title, labels, tags and rating", () => {
+    const el = row(movie);
+    assert.equal(el.dataset.id, "m1");
+    assert.equal(el.dataset.status, "Completed");
+    assert.equal(el.querySelector("strong").textContent, "Dune");
+    // No metadata loaded: labels fall back to the split enum names
+    assert.equal(el.querySelector(".entry-meta").textContent, "(Movie - Live Action, Completed)");
+    assert.deepEqual([...el.querySelectorAll(".tag-badge")].map(t => t.textContent), ["Sci-Fi"]);
+    assert.match(el.querySelector(".entry-sub").textContent, /Rating: 8\.5/);
+    assert.equal(el.querySelector(".entry-notes").textContent, "Saw it twice");
+});
+
+test("formatEntryHTML escapes user-entered text", () => {
+    const el = row({ ...movie, title: "<img src=x onerror=alert(1)>", tags: ["<b>"], notes: "a & b" });
+    assert.equal(el.querySelector("img"), null);
+    assert.equal(el.querySelector("b"), null);
+    assert.equal(el.querySelector("strong").textContent, "<img src=x onerror=alert(1)>");
+    assert.equal(el.querySelector(".tag-badge").textContent, "<b>");
+    assert.equal(el.querySelector(".entry-notes").textContent, "a & b");
+});
+
+test("formatEntryHTML marks the search term in title and notes", () => {
+    const el = row({ ...movie, notes: "dune part one" }, { highlight: "DUNE" });
+    assert.deepEqual([...el.querySelectorAll("mark")].map(m => m.textContent), ["Dune", "dune"]);
+});
+
+test("formatEntryHTML shows N/A and no-tags placeholders for missing values", () => {
+    const el = row({ ...movie, rating: null, tags: [], notes: null });
+    assert.match(el.querySelector(".entry-sub").textContent, /No tags/);
+    assert.match(el.querySelector(".entry-sub").textContent, /Rating: N\/A/);
+    assert.equal(el.querySelector(".entry-notes"), null);
+});
+
+test("formatEntryHTML reflects selection and pending offline changes", () => {
+    assert.equal(row(movie).querySelector(".entry-select").checked, false);
+    assert.equal(row(movie).querySelector(".sync-badge"), null);
+
+    const el = row(movie, { selected: true, pending: true });
+    assert.equal(el.querySelector(".entry-select").checked, true);
+    assert.equal(el.querySelector(".sync-badge").textContent, "Not synced yet");
+});
+
+test("formatEntryHTML adds a +1 button per progress counter, disabled once finished", () => {
+    const manga = { ...movie, type: "Series", subType: "Manga", currentChapter: 10, totalChapters: 10, currentVolume: 1, totalVolumes: null };
+    const buttons = [...row(manga).querySelectorAll("[data-action=progress]")];
+    assert.deepEqual(buttons.map(b => b.dataset.unit), ["Chapter", "Volume"]);
+    assert.equal(buttons[0].disabled, true);
+    assert.equal(buttons[1].disabled, false);
+    assert.equal(row(manga).querySelectorAll("progress").length, 1);  // no bar without a total
+
+    assert.equal(row(movie).querySelectorAll("[data-action=progress]").length, 0);
+});
+
+test("formatPendingCreateHTML renders a queued create without edit or delete", () => {
+    const el = fragment(formatPendingCreateHTML({ ...movie, title: "<i>New</i>" })).querySelector(".entry-row");
+    assert.ok(el.classList.contains("entry-pending"));
+    assert.equal(el.querySelector("strong").textContent, "<i>New</i>");
+    assert.equal(el.querySelector("[data-action]"), null);
+});
+
+test("formatEntryHTML offers an Add to collection button for the entry", () => {
+    const btn = row(movie).querySelector("[data-action=collect]");
+    assert.equal(btn.dataset.id, "m1");
+    assert.equal(btn.getAttribute("aria-expanded"), "false");
+});
+
+test("formatEntryHTML readOnly drops selection, actions, +1 buttons and ids", () => {
+    const { id, ...shared } = { ...movie, type: "Series", subType: "Anime", currentEpisode: 3, totalEpisodes: 12 };
+    const el = row(shared, { readOnly: true });
+    assert.equal(el.querySelector(".entry-select"), null);
+    assert.equal(el.querySelector("button"), null);
+    assert.equal(el.hasAttribute("data-id"), false);
+    assert.equal(el.querySelector("progress").value, 3);
+    assert.equal(el.querySelector("strong").textContent, "Dune");
+});
+
+test("formatEntryHTML rows are list items and name their keyboard shortcuts", () => {
+    const el = row(movie);
+    assert.equal(el.getAttribute("role"), "listitem");
+    assert.equal(el.querySelector('[data-action="edit"]').getAttribute("aria-keyshortcuts"), "E");
+    assert.equal(el.querySelector('[data-action="delete"]').getAttribute("aria-keyshortcuts"), "Delete");
+    assert.equal(fragment(formatPendingCreateHTML(movie)).querySelector(".entry-row").getAttribute("role"), "listitem");
+});
@@ -0,0 +1,34 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { enumStringToLabel, progressUnitsFor, PROGRESS_UNITS } from "../enums.js";
+
+test("enumStringToLabel splits PascalCase enum names", () => {
+    assert.equal(enumStringToLabel("LiveAction"), "Live Action");
+    assert.equal(enumStringToLabel("OnHold"), "On Hold");
+    assert.equal(enumStringToLabel("Movie"), "Movie");
+});
+
+test("enumStringToLabel turns null and undefined into an empty label", () => {
+    assert.equal(enumStringToLabel(null), "");
+    assert.equal(enumStringToLabel(undefined), "");
+});
+
+test("progressUnitsFor: manga counts chapters and volumes, other series episodes", () => {
+    assert.deepEqual(progressUnitsFor("Series", "Manga"), ["chapter", "volume"]);
+    assert.deepEqual(progressUnitsFor("Series", "Anime"), ["episode"]);
+    assert.deepEqual(progressUnitsFor("series", null), ["episode"]);
+});
+
+test("progressUnitsFor: movies have no counters", () => {
+    assert.deepEqual(progressUnitsFor("Movie", "LiveAction"), []);
+    assert.deepEqual(progressUnitsFor(undefined, undefined), []);
+});
+
+test("PROGRESS_UNITS maps every unit to its DTO fields and API enum value", () => {
+    assert.deepEqual(Object.keys(PROGRESS_UNITS), ["episode", "chapter", "volume"]);
+    assert.equal(PROGRESS_UNITS.episode.enumValue, "Episode");
+    assert.equal(PROGRESS_UNITS.chapter.current, "currentChapter");
+    assert.equal(PROGRESS_UNITS.volume.total, "totalVolumes");
+});
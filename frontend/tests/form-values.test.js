@@ -0,0 +1,38 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { parseOptionalRating, parseOptionalCount } from "../form-values.js";
+
+test("parseOptionalRating turns blank input into null", () => {
+    assert.equal(parseOptionalRating(""), null);
+    assert.equal(parseOptionalRating("   "), null);
+    assert.equal(parseOptionalRating(null), null);
+    assert.equal(parseOptionalRating(undefined), null);
+});
+
+test("parseOptionalRating rounds to the nearest half point", () => {
+    assert.equal(parseOptionalRating("7"), 7);
+    assert.equal(parseOptionalRating("7.3"), 7.5);
+    assert.equal(parseOptionalRating("7.2"), 7);
+    assert.equal(parseOptionalRating(" 8.75 "), 9);
+    assert.equal(parseOptionalRating(6.5), 6.5);
+});
+
+test("parseOptionalRating rejects text that isn't a number", () => {
+    assert.equal(parseOptionalRating("great"), null);
+});
+
+test("parseOptionalRating leaves the range check to validation", () => {
+    assert.equal(parseOptionalRating("11"), 11);
+    assert.equal(parseOptionalRating("-1"), -1);
+});
+
+test("parseOptionalCount keeps whole, non-negative counts", () => {
+    assert.equal(parseOptionalCount("12"), 12);
+    assert.equal(parseOptionalCount("3.9"), 3);
+    assert.equal(parseOptionalCount("0"), 0);
+    assert.equal(parseOptionalCount(""), null);
+    assert.equal(parseOptionalCount("-2"), null);
+    assert.equal(parseOptionalCount("lots"), null);
+});
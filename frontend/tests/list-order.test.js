@@ -0,0 +1,23 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { moveItem, sameOrder } from "../list-order.js";
+
+test("moveItem moves one item and leaves the input alone", () => {
+    const ids = ["a", "b", "c", "d"];
+    assert.deepEqual(moveItem(ids, 0, 2), ["b", "c", "a", "d"]);
+    assert.deepEqual(moveItem(ids, 3, 1), ["a", "d", "b", "c"]);
+    assert.deepEqual(ids, ["a", "b", "c", "d"]);
+});
+
+test("moveItem clamps the target and ignores an unknown index", () => {
+    assert.deepEqual(moveItem(["a", "b", "c"], 0, -1), ["a", "b", "c"]);
+    assert.deepEqual(moveItem(["a", "b", "c"], 1, 9), ["a", "c", "b"]);
+    assert.deepEqual(moveItem(["a", "b"], -1, 0), ["a", "b"]);
+});
+
+test("sameOrder compares ids position by position", () => {
+    assert.equal(sameOrder(["a", "b"], ["a", "b"]), true);
+    assert.equal(sameOrder(["a", "b"], ["b", "a"]), false);
+    assert.equal(sameOrder(["a"], ["a", "b"]), false);
+});
@@ -0,0 +1,37 @@
+import { fragment } from "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { nextUpReason, formatNextUpHTML } from "../next-up.js";
+
+const item = {
+    id: "s1", title: "Solaris", type: "Movie", status: "OnHold", tags: ["scifi", "slow"],
+    matchedTags: ["scifi"], similarTo: [{ id: "a1", title: "Arrival", rating: 9 }]
+};
+
+test("nextUpReason names the shared genres and the favorites", () => {
+    assert.equal(nextUpReason(item), "Shares scifi with Arrival (9).");
+    assert.equal(nextUpReason({
+        ...item,
+        matchedTags: ["scifi", "drama"],
+        similarTo: [{ title: "Arrival", rating: 9 }, { title: "Dune", rating: 8.5 }, { title: "Heat", rating: null }]
+    }), "Shares scifi and drama with Arrival (9), Dune (8.5) and Heat.");
+});
+
+test("nextUpReason sums up long genre lists and is empty without matches", () => {
+    assert.equal(
+        nextUpReason({ ...item, matchedTags: ["a", "b", "c", "d", "e"] }),
+        "Shares a, b, c and 2 more with Arrival (9).");
+    assert.equal(nextUpReason({ ...item, matchedTags: [] }), "");
+});
+
+test("formatNextUpHTML links to the edit page and escapes the title", () => {
+    const li = fragment(formatNextUpHTML({ ...item, title: "<b>Solaris</b>" }, "https://app.test/index.html?q=a&b")).querySelector("li");
+    const link = li.querySelector("a");
+    assert.equal(link.textContent, "<b>Solaris</b>");
+    assert.equal(li.querySelector("b"), null);
+    assert.equal(link.getAttribute("href"),
+        "entry.html?mode=edit&id=s1&return=https%3A%2F%2Fapp.test%2Findex.html%3Fq%3Da%26b");
+    assert.equal(li.querySelector(".entry-meta").textContent, "(Movie, On Hold)");
+    assert.equal(li.querySelector(".next-up-reason").textContent, "Shares scifi with Arrival (9).");
+});
@@ -0,0 +1,61 @@
+import { API_BASE, stubFetch } from "./setup.js";
+import { indexedDB } from "fake-indexeddb";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { login, logout } from "../auth.js";
+import { cacheList, cachedList, outboxItems, queueMutation, replayOutbox, clearOfflineData } from "../offline.js";
+
+globalThis.indexedDB = indexedDB;    // jsdom has none
+
+// An open BroadcastChannel would keep the test process alive; a single page has no other tabs anyway
+delete globalThis.BroadcastChannel;
+
+// Sign-in answers carry the user id the offline data is kept for
+const requests = stubFetch((url, init) => {
+    const body = url.endsWith("/api/auth/login")
+        ? { accessToken: "access", refreshToken: "refresh", userId: JSON.parse(init.body).email }
+        : {};
+    return new Response(JSON.stringify(body), { status: 200, headers: { "Content-Type": "application/json" } });
+});
+
+const entryRequests = () => requests.filter(r => r.url.startsWith(`${API_BASE}/api/mediaentries`));
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearOfflineData();
+});
+
+test("a change queued before sign-out is not sent for the next user", async () => {
+    await login("a@example.com", "pw");
+    await queueMutation({ method: "POST", path: "/api/mediaentries", body: { title: "Dune" }, label: "Add \"Dune\"" });
+    await cacheList("/api/mediaentries?page=1", { items: [{ id: "e1", title: "Dune" }] });
+
+    await logout();
+    await login("b@example.com", "pw");
+    const result = await replayOutbox();
+
+    assert.deepEqual(result, { sent: 0, failed: 0 });
+    assert.deepEqual(entryRequests(), []);
+    assert.equal(await cachedList("/api/mediaentries?page=1"), null);
+});
+
+test("another user signing in drops the data left without a sign-out", async () => {
+    await login("a@example.com", "pw");
+    await queueMutation({ method: "DELETE", path: "/api/mediaentries/e1", entryId: "e1", label: "Delete \"Dune\"" });
+
+    await login("b@example.com", "pw");
+
+    assert.deepEqual(await outboxItems(), []);
+});
+
+test("the same user signing in again keeps the queued changes", async () => {
+    await login("a@example.com", "pw");
+    await queueMutation({ method: "POST", path: "/api/mediaentries", body: { title: "Dune" }, label: "Add \"Dune\"" });
+
+    await login("a@example.com", "pw");
+    const result = await replayOutbox();
+
+    assert.deepEqual(result, { sent: 1, failed: 0 });
+    assert.deepEqual(entryRequests().map(r => `${r.method} ${r.body}`), ['POST {"title":"Dune"}']);
+});
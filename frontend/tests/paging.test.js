@@ -0,0 +1,27 @@
+import { fragment } from "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { totalPagesFor, pageWindow, pagerHTML } from "../paging.js";
+
+test("totalPagesFor rounds up and never goes below one page", () => {
+    assert.equal(totalPagesFor(41, 20), 3);
+    assert.equal(totalPagesFor(40, 20), 2);
+    assert.equal(totalPagesFor(0, 20), 1);
+    assert.equal(totalPagesFor(undefined, 20), 1);
+});
+
+test("pageWindow keeps the ends and the neighbours of the current page", () => {
+    assert.deepEqual(pageWindow(5, 12), [1, "…", 4, 5, 6, "…", 12]);
+    assert.deepEqual(pageWindow(1, 3), [1, 2, 3]);
+    assert.deepEqual(pageWindow(2, 12), [1, 2, 3, "…", 12]);
+});
+
+test("pagerHTML marks the current page and disables Prev on the first page", () => {
+    const buttons = [...fragment(pagerHTML(1, 3)).querySelectorAll("[data-page]")];
+    assert.deepEqual(buttons.map(b => b.dataset.page), ["0", "1", "2", "3", "2"]);
+    assert.equal(buttons[0].disabled, true);
+    assert.equal(buttons[1].getAttribute("aria-current"), "page");
+    assert.equal(buttons.at(-1).disabled, false);
+    assert.equal(pagerHTML(1, 1), "");
+});
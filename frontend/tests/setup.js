@@ -0,0 +1,64 @@
+// Browser globals for the unit tests: a jsdom page (index.html of a signed-in app) exposed the way
+// the modules expect them. Import this first in every test file, before any module under test:
+// api.js reads window.APP_CONFIG when it loads.
+
+import { beforeEach, afterEach } from "node:test";
+import { JSDOM, VirtualConsole } from "jsdom";
+
+export const API_BASE = "https://api.test";
+export const PAGE_URL = "https://app.test/index.html?type=Movie";
+
+// jsdom doesn't navigate; assigning location.href reports "Not implemented: navigation" instead.
+// Tests read these to see whether a module tried to leave the page.
+export const navigations = [];
+
+const virtualConsole = new VirtualConsole();
+virtualConsole.on("jsdomError", (err) => {
+    if (/navigation/i.test(err.message)) navigations.push(err.message);
+    else console.error(err);
+});
+
+const dom = new JSDOM("<!doctype html><html><body></body></html>", { url: PAGE_URL, virtualConsole });
+const { window } = dom;
+window.APP_CONFIG = { apiBaseUrl: API_BASE };
+
+globalThis.window = window;
+globalThis.document = window.document;
+globalThis.localStorage = window.localStorage;
+Object.defineProperty(globalThis, "navigator", { value: window.navigator, configurable: true });
+
+// Switch the page, e.g. to login.html where a 401 must not redirect again
+export function setPageUrl(url) {
+    dom.reconfigure({ url });
+}
+
+// Parses an HTML string into a detached element, for asserting on rendered markup
+export function fragment(html) {
+    const template = document.createElement("template");
+    template.innerHTML = html;
+    return template.content;
+}
+
+// 200 with {}, or 204 for a DELETE
+function okResponse(url, init) {
+    return init.method === "DELETE"
+        ? new Response(null, { status: 204 })
+        : new Response("{}", { status: 200, headers: { "Content-Type": "application/json" } });
+}
+
+// Replaces fetch around every test of the calling file. Returns the list of requests sent in the
+// current test; answer(url, init) gives each response (or throws to fail the request).
+export function stubFetch(answer = okResponse) {
+    const requests = [];
+    beforeEach(() => {
+        requests.length = 0;
+        globalThis.fetch = async (url, init) => {
+            requests.push({ url, ...init, headers: { ...init.headers } });
+            return answer(url, init);
+        };
+    });
+    afterEach(() => {
+        delete globalThis.fetch;
+    });
+    return requests;
+}
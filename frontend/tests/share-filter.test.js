@@ -0,0 +1,25 @@
+import "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { filterFromListUrl, describeFilter } from "../share-filter.js";
+
+test("filterFromListUrl maps the list's URL keys to the API filter", () => {
+    const filter = filterFromListUrl("?q=%20dune%20&type=Movie&status=Watching,OnHold&genre=drama&tagMatch=all&sort=title&page=3");
+    assert.deepEqual(filter, {
+        q: "dune", type: ["Movie"], subType: [], status: ["Watching", "OnHold"], tag: ["drama"], tagMatch: "all", collection: null
+    });
+});
+
+test("filterFromListUrl is null for an unfiltered view", () => {
+    assert.equal(filterFromListUrl(""), null);
+    assert.equal(filterFromListUrl("?sort=rating&dir=asc&page=2&tagMatch=all"), null);
+});
+
+test("describeFilter lists the filter in words", () => {
+    assert.equal(describeFilter(null), "Whole library");
+    assert.equal(
+        describeFilter({ status: ["OnHold"], tag: ["drama", "crime"], tagMatch: "all", collection: "c1" }, { collectionName: "Top 10" }),
+        "Status: On Hold · Genres (all): drama, crime · Collection: Top 10");
+    assert.equal(describeFilter({ q: "dune", collection: "c1" }), `Search: "dune" · Collection: (deleted)`);
+});
@@ -0,0 +1,38 @@
+import { API_BASE, stubFetch } from "./setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { saveSession } from "../api.js";
+import { listShares, createShare, revokeShare, getSharedList, shareUrl } from "../shares-api.js";
+
+const requests = stubFetch();
+
+beforeEach(() => {
+    saveSession({ accessToken: "access-1", refreshToken: "refresh-1" });
+});
+
+test("the owner's calls hit /api/shares with the session token", async () => {
+    await listShares();
+    await createShare({ name: "For Sam", filter: null, includeNotes: false, expiresAtUtc: null });
+    await revokeShare("s/1");
+
+    assert.deepEqual(requests.map(r => `${r.method} ${r.url.replace(API_BASE, "")}`), [
+        "GET /api/shares",
+        "POST /api/shares",
+        "DELETE /api/shares/s%2F1"
+    ]);
+    assert.equal(requests[1].body, JSON.stringify({ name: "For Sam", filter: null, includeNotes: false, expiresAtUtc: null }));
+    assert.equal(requests[0].headers.Authorization, "Bearer access-1");
+});
+
+test("getSharedList is anonymous and passes sort and paging", async () => {
+    await getSharedList("ABC123", { sort: "title", dir: "asc", page: 2, pageSize: 20 });
+
+    assert.equal(requests[0].url, `${API_BASE}/api/shared/ABC123?sort=title&dir=asc&page=2&pageSize=20`);
+    assert.equal(requests[0].headers.Authorization, undefined);
+});
+
+test("shareUrl points at share.html next to the current page", () => {
+    assert.equal(shareUrl("ABC123"), "https://app.test/share.html?token=ABC123");
+    assert.equal(shareUrl("A B", "https://example.org/app/shares.html"), "https://example.org/app/share.html?token=A%20B");
+});
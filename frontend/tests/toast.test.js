@@ -0,0 +1,50 @@
+import "./setup.js";
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+
+import { showToast, showError } from "../toast.js";
+
+const region = (type) => document.querySelector(`#toastRegion [data-toast-type="${type}"]`);
+
+beforeEach(() => {
+    document.body.innerHTML = "";
+});
+
+test("showToast puts notices in the polite live region", () => {
+    const dismiss = showToast("Saved.", { timeout: 0 });
+    const live = region("info");
+    assert.equal(live.getAttribute("role"), "status");
+    assert.equal(live.getAttribute("aria-live"), "polite");
+    assert.equal(live.querySelector(".toast span").textContent, "Saved.");
+    dismiss();
+    assert.equal(live.querySelector(".toast"), null);
+});
+
+test("showToast runs the action once and closes the toast", () => {
+    let undone = 0;
+    showToast("Deleted.", { actionLabel: "Undo", onAction: () => undone++, timeout: 0 });
+    document.querySelector(".toast-action").click();
+    assert.equal(undone, 1);
+    assert.equal(document.querySelector(".toast"), null);
+});
+
+test("showError uses the assertive region and stays until dismissed", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    showError("Delete failed", new Error("HTTP 500"));
+    const live = region("error");
+    assert.equal(live.getAttribute("role"), "alert");
+    const toast = live.querySelector(".toast.toast-error");
+    assert.equal(toast.querySelector("span").textContent, "Delete failed: HTTP 500");
+
+    t.mock.timers.tick(60_000);
+    assert.ok(toast.isConnected);
+    toast.querySelector('[aria-label="Dismiss"]').click();
+    assert.equal(toast.isConnected, false);
+});
+
+test("showToast notices go away after their timeout", (t) => {
+    t.mock.timers.enable({ apis: ["setTimeout"] });
+    showToast("Saved.");
+    t.mock.timers.tick(6000);
+    assert.equal(document.querySelector(".toast"), null);
+});
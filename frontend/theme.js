@@ -0,0 +1,16 @@
+// Dark mode: the choice is kept in localStorage ("darkMode") so every page opens the same way.
+
+const STORAGE_KEY = "darkMode";
+
+// Apply the saved mode and keep it in sync with the header toggle (if the page has one)
+export function initTheme(toggle = document.getElementById("darkModeToggle")) {
+    const enabled = localStorage.getItem(STORAGE_KEY) === "true";
+    document.body.classList.toggle("dark-mode", enabled);
+    if (!toggle) return;
+
+    toggle.checked = enabled;
+    toggle.addEventListener("change", () => {
+        document.body.classList.toggle("dark-mode", toggle.checked);
+        localStorage.setItem(STORAGE_KEY, toggle.checked);
+    });
+}
@@ -0,0 +1,69 @@
+// Small toast notifications with an optional action button (e.g. "Undo").
+// Toasts stack in one corner. Notices go to a polite live region, so screen readers announce them
+// without stealing focus; errors go to an assertive one and stay until dismissed.
+
+const DEFAULT_TIMEOUT_MS = 6000;
+
+// Lazily created container shared by every toast on the page, with one live region per kind
+function toastRegion(type) {
+    let region = document.getElementById("toastRegion");
+    if (!region) {
+        region = document.createElement("div");
+        region.id = "toastRegion";
+        region.className = "toast-region";
+        region.innerHTML = `
+            <div class="toast-live" data-toast-type="info" role="status" aria-live="polite"></div>
+            <div class="toast-live" data-toast-type="error" role="alert" aria-live="assertive"></div>`;
+        document.body.appendChild(region);
+    }
+    return region.querySelector(`[data-toast-type="${type === "error" ? "error" : "info"}"]`);
+}
+
+// Show a toast; returns a function that dismisses it early.
+// - actionLabel/onAction: optional button; clicking it runs onAction and closes the toast
+// - type: "info" (default) or "error" (an action failed)
+// - timeout: ms before it disappears on its own (0 keeps it until dismissed; errors default to 0)
+export function showToast(message, { actionLabel = "", onAction = null, type = "info", timeout = type === "error" ? 0 : DEFAULT_TIMEOUT_MS } = {}) {
+    const toast = document.createElement("div");
+    toast.className = type === "error" ? "toast toast-error" : "toast";
+
+    const text = document.createElement("span");
+    text.textContent = message;
+    toast.appendChild(text);
+
+    let timer = null;
+    const dismiss = () => {
+        clearTimeout(timer);
+        toast.remove();
+    };
+
+    if (actionLabel && typeof onAction === "function") {
+        const action = document.createElement("button");
+        action.type = "button";
+        action.className = "btn btn-small toast-action";
+        action.textContent = actionLabel;
+        action.addEventListener("click", () => {
+            dismiss();
+            onAction();
+        });
+        toast.appendChild(action);
+    }
+
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "chip-remove";
+    close.setAttribute("aria-label", "Dismiss");
+    close.textContent = "×";
+    close.addEventListener("click", dismiss);
+    toast.appendChild(close);
+
+    toastRegion(type).appendChild(toast);
+    if (timeout > 0) timer = setTimeout(dismiss, timeout);
+
+    return dismiss;
+}
+
+// Error toast for a failed action, e.g. showError("Delete failed", err)
+export function showError(prefix, err) {
+    return showToast(`${prefix}: ${err?.message || String(err)}`, { type: "error" });
+}
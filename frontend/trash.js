@@ -0,0 +1,156 @@
+// Trash page script: lists soft-deleted entries with restore and permanent delete.
+
+import { isAbortError } from "./api.js";
+import { listTrash, restoreEntry, purgeEntry, emptyTrash } from "./entries-api.js";
+import { loadMetadata, enumLabel } from "./metadata.js";
+import { showToast, showError } from "./toast.js";
+import { confirmDialog } from "./dialog.js";
+import { initLayout } from "./layout.js";
+import { escapeHTML, formatDate } from "./html.js";
+
+const PAGE_SIZE = 20;
+
+// ----- DOM references -----
+const trashContainer = document.getElementById("trashContainer");
+const trashSummary = document.getElementById("trashSummary");
+const trashPager = document.getElementById("trashPager");
+const emptyTrashBtn = document.getElementById("emptyTrashBtn");
+
+let currentPage = 1;
+let lastTotal = 0;
+
+// ------------------
+// Utilities
+// ------------------
+
+// One row per trashed entry (TrashedEntryDto)
+function formatTrashHTML(dto) {
+    const typeLabel = enumLabel("types", dto.type);
+    const subTypeLabel = enumLabel("subTypes", dto.subType);
+    const statusLabel = enumLabel("statuses", dto.status);
+    const purge = dto.purgeAtUtc ? ` &nbsp;-&nbsp; Removed for good on ${escapeHTML(formatDate(dto.purgeAtUtc))}` : "";
+
+    return `
+        <div class="entry-row" data-id="${dto.id}">
+            <div class="entry-main">
+                <strong>${escapeHTML(dto.title)}</strong>
+                <span class="entry-meta">(${escapeHTML(typeLabel)}${subTypeLabel ? ` - ${escapeHTML(subTypeLabel)}` : ""}, ${escapeHTML(statusLabel)})</span>
+            </div>
+            <div class="entry-sub">
+                Deleted ${escapeHTML(formatDate(dto.deletedAtUtc))}${purge}
+            </div>
+            <div class="entry-actions">
+                <button type="button" class="btn" data-action="restore" data-id="${dto.id}">Restore</button>
+                <button type="button" class="btn btn-danger" data-action="purge" data-id="${dto.id}">Delete forever</button>
+            </div>
+        </div>
+    `;
+}
+
+function renderPager() {
+    const totalPages = Math.max(1, Math.ceil(lastTotal / PAGE_SIZE));
+    if (totalPages <= 1) {
+        trashPager.innerHTML = "";
+        return;
+    }
+    trashPager.innerHTML = `
+        <button type="button" class="btn" data-page="${currentPage - 1}"${currentPage <= 1 ? " disabled" : ""}>‹ Prev</button>
+        <span class="muted">Page ${currentPage} of ${totalPages}</span>
+        <button type="button" class="btn" data-page="${currentPage + 1}"${currentPage >= totalPages ? " disabled" : ""}>Next ›</button>
+    `;
+}
+
+async function loadTrash() {
+    trashContainer.innerHTML = `<div class="muted">Loading…</div>`;
+
+    let result = await listTrash(currentPage, PAGE_SIZE);
+    // Restoring/purging the last row of the last page: step back a page
+    if (!result.items?.length && result.total > 0 && currentPage > 1) {
+        currentPage = Math.max(1, Math.ceil(result.total / PAGE_SIZE));
+        result = await listTrash(currentPage, PAGE_SIZE);
+    }
+
+    const items = result.items || [];
+    lastTotal = result.total ?? items.length;
+
+    trashContainer.innerHTML = items.length
+        ? items.map(formatTrashHTML).join("")
+        : `<div class="muted">Trash is empty.</div>`;
+    trashSummary.textContent = lastTotal ? `${lastTotal} deleted ${lastTotal === 1 ? "entry" : "entries"}` : "";
+    emptyTrashBtn.disabled = lastTotal === 0;
+    renderPager();
+}
+
+function showLoadError(err) {
+    if (isAbortError(err)) return;
+    console.error(err);
+    trashContainer.innerHTML =
+        `<div class="error">Failed to load trash: ${escapeHTML(err?.message || String(err))}</div>`;
+}
+
+// ---------------------
+// Events
+// ---------------------
+
+trashContainer.addEventListener("click", async (e) => {
+    const btn = e.target.closest("[data-action]");
+    if (!btn) return;
+
+    const id = btn.getAttribute("data-id");
+    const title = btn.closest(".entry-row")?.querySelector("strong")?.textContent || "Entry";
+
+    if (btn.dataset.action === "restore") {
+        btn.disabled = true;
+        try {
+            await restoreEntry(id);
+            showToast(`Restored "${title}".`);
+            await loadTrash();
+        } catch (err) {
+            btn.disabled = false;
+            showError("Restore failed", err);
+        }
+        return;
+    }
+
+    if (btn.dataset.action === "purge") {
+        if (!await confirmDialog(`Delete "${title}" forever? This can't be undone.`, { title: "Delete forever", confirmLabel: "Delete forever", danger: true })) return;
+        btn.disabled = true;
+        try {
+            await purgeEntry(id);
+            showToast(`Deleted "${title}" forever.`);
+            await loadTrash();
+        } catch (err) {
+            btn.disabled = false;
+            showError("Delete failed", err);
+        }
+    }
+});
+
+emptyTrashBtn.addEventListener("click", async () => {
+    if (!await confirmDialog(`Delete all ${lastTotal} ${lastTotal === 1 ? "entry" : "entries"} in the trash forever? This can't be undone.`, { title: "Empty trash", confirmLabel: "Empty trash", danger: true })) return;
+    emptyTrashBtn.disabled = true;
+    try {
+        await emptyTrash();
+        showToast("Trash emptied.");
+        currentPage = 1;
+        await loadTrash();
+    } catch (err) {
+        emptyTrashBtn.disabled = false;
+        showError("Empty trash failed", err);
+    }
+});
+
+trashPager.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-page]");
+    if (!btn || btn.disabled) return;
+    currentPage = Number(btn.dataset.page);
+    loadTrash().catch(showLoadError);
+});
+
+initLayout();
+
+// Labels fall back to the enum names if the metadata can't be loaded
+loadMetadata()
+    .catch(() => null)
+    .then(() => loadTrash())
+    .catch(showLoadError);